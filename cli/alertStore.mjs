@@ -0,0 +1,89 @@
+// Alert Store
+// The watcher's persistent state in a JSON file: keys of alerts already sent (so restarts never send
+// an alert twice - the watcher's version of the app's notified_breakouts) and webhook or chat deliveries
+// that still failed after their retries, which are tried again on the next cycle.
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const DEFAULT_ALERT_STORE_OPTIONS = {
+  keyRetentionDays: 30,       // Sent keys older than this are forgotten (their signals are long gone)
+  pendingRetentionHours: 24   // Failed deliveries older than this are dropped
+};
+
+// State files written before chat deliveries hold webhook deliveries as { url, payload }: the payload is
+// the request body and carries the alert key. Entries without a body cannot be sent again and are dropped.
+const upgradePending = (delivery) => {
+  if (delivery.body !== undefined) {
+    return delivery;
+  }
+  if (!delivery.payload) {
+    return null;
+  }
+  const { payload, ...rest } = delivery;
+  return { ...rest, key: payload.key, body: payload, target: delivery.url };
+};
+
+/**
+ * Create an alert store
+ * @param {string} file - JSON state file (created with its directory on the first save)
+ * @param {Object} options - Overrides of DEFAULT_ALERT_STORE_OPTIONS
+ * @returns {Object} { isNew, getSentKeys, markSent, getPending, addPending, removePending, save }
+ */
+export const createAlertStore = (file, options = {}) => {
+  const config = { ...DEFAULT_ALERT_STORE_OPTIONS, ...options };
+  const isNew = !existsSync(file);
+  let state = { sent: {}, pending: [] };
+  if (!isNew) {
+    try {
+      state = { ...state, ...JSON.parse(readFileSync(file, 'utf8')) };
+    } catch (error) {
+      console.warn(`[AlertStore] Could not read ${file}, starting with an empty state:`, error.message);
+    }
+    state.pending = state.pending.map(upgradePending).filter(Boolean);
+  }
+
+  const prune = (now) => {
+    const keyCutoff = now - config.keyRetentionDays * DAY_MS;
+    Object.keys(state.sent).forEach(key => {
+      if (state.sent[key] < keyCutoff) {
+        delete state.sent[key];
+      }
+    });
+    const pendingCutoff = now - config.pendingRetentionHours * 60 * 60 * 1000;
+    const expired = state.pending.filter(delivery => delivery.firstFailedAt < pendingCutoff);
+    if (expired.length > 0) {
+      console.warn(`[AlertStore] Dropping ${expired.length} delivery(s) that kept failing for ${config.pendingRetentionHours}h`);
+      state.pending = state.pending.filter(delivery => delivery.firstFailedAt >= pendingCutoff);
+    }
+  };
+
+  const save = () => {
+    prune(Date.now());
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(state, null, 2));
+  };
+
+  return {
+    // True when the state file did not exist yet (first run)
+    isNew: () => isNew,
+    getSentKeys: () => new Set(Object.keys(state.sent)),
+    markSent: (keys) => {
+      const now = Date.now();
+      keys.forEach(key => {
+        state.sent[key] = now;
+      });
+    },
+    getPending: () => [...state.pending],
+    // delivery: { url, key (alert key), body (JSON request body), target (URL shown in logs) }
+    addPending: (delivery, error) => {
+      state.pending.push({ ...delivery, error, firstFailedAt: Date.now() });
+    },
+    removePending: (delivery) => {
+      state.pending = state.pending.filter(pending => !(pending.url === delivery.url && pending.key === delivery.key));
+    },
+    save
+  };
+};
@@ -0,0 +1,54 @@
+// File Storage
+// A Web Storage (localStorage-like) object kept in a JSON file, so the CLI's result caches
+// (binance.js CacheUtils, see setCacheStorage) survive between runs the way they do in the browser.
+
+import { readFileSync, writeFileSync, mkdirSync, existsSync } from 'fs';
+import { dirname } from 'path';
+
+/**
+ * Create a file-backed storage
+ * Every change is written straight back to the file; an unreadable file starts an empty storage.
+ * @param {string|null} file - JSON file path (created with its directory on the first write), or null to keep
+ *   the storage in memory only
+ * @returns {Object} { getItem, setItem, removeItem, clear, key, length }
+ */
+export const createFileStorage = (file) => {
+  let items = {};
+  if (file && existsSync(file)) {
+    try {
+      items = JSON.parse(readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.warn(`[FileStorage] Could not read ${file}, starting with an empty cache:`, error.message);
+    }
+  }
+
+  const save = () => {
+    if (!file) {
+      return;
+    }
+    mkdirSync(dirname(file), { recursive: true });
+    writeFileSync(file, JSON.stringify(items));
+  };
+
+  return {
+    getItem: (key) => (Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null),
+    setItem: (key, value) => {
+      items[key] = String(value);
+      save();
+    },
+    removeItem: (key) => {
+      if (Object.prototype.hasOwnProperty.call(items, key)) {
+        delete items[key];
+        save();
+      }
+    },
+    clear: () => {
+      items = {};
+      save();
+    },
+    key: (index) => Object.keys(items)[index] ?? null,
+    get length() {
+      return Object.keys(items).length;
+    }
+  };
+};
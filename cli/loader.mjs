@@ -0,0 +1,23 @@
+// Source Loader
+// Node module hooks that let the CLI import the app's own modules from src/: they are ES modules
+// written for the CRA bundler (`.js` files in a package without "type": "module", imported without
+// file extensions), which Node would otherwise load as CommonJS and fail to resolve.
+
+const SRC_URL = new URL('../src/', import.meta.url).href;
+
+const isSourceFile = (url) => url.startsWith(SRC_URL);
+
+export const resolve = async (specifier, context, nextResolve) => {
+  const fromSource = context.parentURL && isSourceFile(context.parentURL);
+  if (fromSource && (specifier.startsWith('./') || specifier.startsWith('../')) && !/\.\w+$/.test(specifier)) {
+    return nextResolve(`${specifier}.js`, context);
+  }
+  return nextResolve(specifier, context);
+};
+
+export const load = async (url, context, nextLoad) => {
+  if (isSourceFile(url) && url.endsWith('.js')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+};
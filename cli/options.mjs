@@ -0,0 +1,214 @@
+// Signal Checker CLI options
+// Command line parsing, the usage text and table output of cli/signal-checker.mjs, kept free of Node module
+// hooks so they load anywhere the app's own modules do.
+
+import { homedir } from 'os';
+import { join } from 'path';
+
+export const EXIT_CODES = {
+  OK: 0,
+  FETCH_ERRORS: 1,
+  USAGE: 2
+};
+
+export const SCAN_MODES = ['rsi', 'oversold', 'breakout'];
+
+export const DEFAULT_CLI_OPTIONS = {
+  mode: 'breakout',
+  symbols: null,          // Default: the app's default watchlist
+  format: 'table',
+  days: null,             // Default: 7 for oversold, 3 for breakout
+  threshold: 30,          // Oversold RSI threshold
+  sessions: ['asia'],     // Session preset ids (src/sessions.js)
+  riskProfile: null,      // Risk profile preset id (src/riskProfiles.js), default profile if not set
+  concurrency: null,      // Symbols fetched at once (default: DEFAULT_FETCH_CONCURRENCY)
+  cacheFile: join(homedir(), '.signal-checker', 'cache.json'),
+  cache: true,
+  force: false,
+  baseUrl: null,
+  verbose: false,
+  help: false,
+  // watch
+  interval: 300,          // Seconds between cycles
+  webhooks: [],           // URLs every alert is posted to (--webhook, repeatable)
+  chats: [],              // Chat endpoints { format, url } alerts are sent to as Markdown (--chat format=url, repeatable)
+  appUrl: null,           // App URL of the chat messages' deep links (default: DEFAULT_APP_URL)
+  stateFile: join(homedir(), '.signal-checker', 'alerts.json'),
+  distance: 1,            // Distance from range (%) that triggers a distance alert
+  rsi: true,              // RSI threshold cross alerts (--no-rsi turns them off)
+  rsiOversold: 30,
+  rsiOverbought: 70,
+  once: false,            // Run a single cycle and exit
+  alertExisting: false    // Send the alerts that already exist on the first run instead of recording them
+};
+
+export const COMMANDS = ['scan', 'watch'];
+
+// Repeatable options and the list they add to
+const LIST_OPTION_FLAGS = {
+  '--webhook': 'webhooks',
+  '--chat': 'chats'
+};
+
+const isUrl = (value) => {
+  try {
+    return Boolean(new URL(value));
+  } catch (error) {
+    return false;
+  }
+};
+
+// Errors caused by the arguments exit with EXIT_CODES.USAGE instead of FETCH_ERRORS
+export const usageError = (message) => Object.assign(new Error(message), { exitCode: EXIT_CODES.USAGE });
+
+export const USAGE = `Usage: signal-checker scan [options]
+       signal-checker watch [options]
+
+Options:
+  --mode <rsi|oversold|breakout>  Scan to run (default: breakout)
+  --symbols <list>                Comma-separated pairs, e.g. BTC/USDT,ETH/BTC (default: the app's default watchlist)
+  --format <table|json>           Output format (default: table)
+  --days <n>                      Days to look back (default: 7 for oversold, 3 for breakout)
+  --threshold <n>                 Oversold RSI threshold (default: 30)
+  --sessions <list>               Breakout session presets: asia, london, newyork (default: asia)
+  --risk-profile <id>             Breakout risk profile preset (default: the app's default profile)
+  --concurrency <n>               Symbols fetched at once
+  --cache-file <path>             Result cache file (default: ~/.signal-checker/cache.json)
+  --no-cache                      Keep results in memory only
+  --force                         Skip cached results
+  --base-url <url>                Binance REST base URL (e.g. the mock server, http://localhost:4000)
+  --verbose                       Print the scan logs to stderr
+  --help                          Show this help
+
+Watch options (alerts go to stdout as JSON lines and to every webhook):
+  --interval <seconds>            Time between cycles (default: 300)
+  --webhook <url>                 Webhook to post alerts to as JSON (repeatable)
+  --chat <format>=<url>           Chat endpoint to send alerts to as Markdown: telegram, discord or slack (repeatable),
+                                  e.g. discord=https://discord.com/api/webhooks/<id>/<token> or
+                                  telegram=https://api.telegram.org/bot<token>/sendMessage?chat_id=<chat>
+  --app-url <url>                 App URL for the chat messages' signal links
+  --state-file <path>             Sent alerts and failed deliveries (default: ~/.signal-checker/alerts.json)
+  --distance <percent>            Distance from range that triggers an alert (default: 1)
+  --rsi-oversold <n>              RSI cross down alert level (default: 30)
+  --rsi-overbought <n>            RSI cross up alert level (default: 70)
+  --no-rsi                        No RSI cross alerts
+  --once                          Run one cycle and exit
+  --alert-existing                On the first run, send the alerts that already exist (default: record them silently)
+
+Exit codes: 0 = every symbol scanned, 1 = fetch (or, with --once, delivery) errors, 2 = invalid arguments`;
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} { command, options }
+ */
+export const parseArgs = (args) => {
+  const options = { ...DEFAULT_CLI_OPTIONS };
+  let command = null;
+  const toCamelCase = (name) => name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+  const toList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      if (command) {
+        throw usageError(`Unexpected argument ${arg}`);
+      }
+      command = arg;
+      continue;
+    }
+    // Split on the first '=' only (webhook URLs can have query strings)
+    const [flag, ...inlineParts] = arg.split('=');
+    const inlineValue = inlineParts.length > 0 ? inlineParts.join('=') : undefined;
+    if (flag === '--no-cache' || flag === '--no-rsi') {
+      options[flag.slice(5)] = false;
+      continue;
+    }
+    const name = LIST_OPTION_FLAGS[flag] || toCamelCase(flag.slice(2));
+    // --no-cache, --no-rsi, --webhook and --chat are the only spellings of these options
+    if (!(name in DEFAULT_CLI_OPTIONS) || ['--cache', '--rsi', '--webhooks', '--chats'].includes(flag)) {
+      throw usageError(`Unknown option ${flag}`);
+    }
+    if (typeof DEFAULT_CLI_OPTIONS[name] === 'boolean') {
+      options[name] = true;
+      continue;
+    }
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    if (value === undefined || value.startsWith('--')) {
+      throw usageError(`Missing value for ${flag}`);
+    }
+    if (name === 'symbols' || name === 'sessions') {
+      options[name] = toList(value);
+    } else if (name === 'webhooks') {
+      options.webhooks = [...options.webhooks, ...toList(value)];
+    } else if (name === 'chats') {
+      // The format is checked against MESSAGE_FORMATS once the app modules are loaded
+      const separator = value.indexOf('=');
+      const endpoint = { format: value.slice(0, separator).trim().toLowerCase(), url: value.slice(separator + 1).trim() };
+      if (separator <= 0 || !isUrl(endpoint.url)) {
+        throw usageError(`${flag} expects <format>=<url>, e.g. discord=https://discord.com/api/webhooks/...`);
+      }
+      options.chats = [...options.chats, endpoint];
+    } else if (['days', 'threshold', 'concurrency', 'interval', 'distance', 'rsiOversold', 'rsiOverbought'].includes(name)) {
+      options[name] = Number(value);
+      if (!Number.isFinite(options[name]) || options[name] <= 0) {
+        throw usageError(`${flag} must be a positive number`);
+      }
+    } else {
+      options[name] = value;
+    }
+  }
+
+  if (!SCAN_MODES.includes(options.mode)) {
+    throw usageError(`Unknown mode ${options.mode} (expected ${SCAN_MODES.join(', ')})`);
+  }
+  if (!['table', 'json'].includes(options.format)) {
+    throw usageError(`Unknown format ${options.format} (expected table or json)`);
+  }
+  return { command, options };
+};
+
+/**
+ * Format rows as a plain-text table
+ * @param {Array<Object>} columns - { label, value (row => string), align ('left' | 'right') }
+ * @param {Array<Object>} rows - Rows
+ * @returns {string} Table text
+ */
+export const formatTable = (columns, rows) => {
+  const cells = rows.map(row => columns.map(column => String(column.value(row) ?? '-')));
+  const widths = columns.map((column, i) => Math.max(column.label.length, ...cells.map(line => line[i].length)));
+  const formatLine = (line) => line
+    .map((cell, i) => (columns[i].align === 'right' ? cell.padStart(widths[i]) : cell.padEnd(widths[i])))
+    .join('  ')
+    .trimEnd();
+  return [
+    formatLine(columns.map(column => column.label)),
+    formatLine(widths.map(width => '-'.repeat(width))),
+    ...cells.map(formatLine)
+  ].join('\n');
+};
+
+/**
+ * Session presets and risk profile named on the command line
+ * @param {Object} modules - App modules { sessions, riskProfiles, symbols }
+ * @param {Object} options - Parsed options with the symbols to scan
+ * @returns {Object} { sessions, riskProfilesBySymbol } - profiles keyed by trading pair, as fetchMultipleBreakoutSignals looks them up
+ */
+export const resolveBreakoutSettings = ({ sessions, riskProfiles, symbols }, options) => {
+  const selectedSessions = options.sessions.map(id => {
+    const session = sessions.SESSION_PRESETS.find(preset => preset.id === id);
+    if (!session) {
+      throw usageError(`Unknown session ${id} (expected ${sessions.SESSION_PRESETS.map(preset => preset.id).join(', ')})`);
+    }
+    return session;
+  });
+  let riskProfilesBySymbol = {};
+  if (options.riskProfile) {
+    const profile = riskProfiles.RISK_PROFILE_PRESETS.find(preset => preset.id === options.riskProfile);
+    if (!profile) {
+      throw usageError(`Unknown risk profile ${options.riskProfile} (expected ${riskProfiles.RISK_PROFILE_PRESETS.map(preset => preset.id).join(', ')})`);
+    }
+    riskProfilesBySymbol = Object.fromEntries(options.symbols.map(symbol => [symbols.toTradingPair(symbol), profile]));
+  }
+  return { sessions: selectedSessions, riskProfilesBySymbol };
+};
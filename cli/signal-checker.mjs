@@ -0,0 +1,232 @@
+#!/usr/bin/env node
+// Signal Checker CLI
+// Runs the app's RSI, oversold and breakout scans without a browser, using the same fetch and detection
+// code (src/binance.js). Result caches live in a JSON file instead of localStorage, output is a table
+// or JSON, and the exit code is non-zero when any symbol failed to fetch, so it can run from cron.
+// `watch` keeps running and sends the app's alerts to stdout and webhooks instead (see watcher.mjs).
+//
+// Usage: signal-checker scan [--mode rsi|oversold|breakout] [--symbols BTC/USDT,ETH/USDT] [--format table|json]
+//   [--days N] [--threshold 30] [--sessions asia,london,newyork] [--risk-profile id] [--concurrency 4]
+//   [--cache-file path] [--no-cache] [--force] [--base-url http://localhost:4000] [--verbose]
+// (npm run scan -- --mode breakout --symbols BTC/USDT,ETH/USDT)
+//        signal-checker watch [--interval 300] [--webhook url]... [--chat telegram|discord|slack=url]...
+//   [--app-url url] [--state-file path] [--distance 1] [--rsi-oversold 30] [--rsi-overbought 70] [--no-rsi]
+//   [--once] [--alert-existing] (+ the scan options)
+// (npm run watch -- --webhook http://localhost:4001/alerts)
+//
+// Exit codes: 0 = every symbol scanned, 1 = fetch (or, with --once, delivery) errors, 2 = invalid arguments
+
+import * as nodeModule from 'module';
+import { pathToFileURL } from 'url';
+import { createFileStorage } from './fileStorage.mjs';
+import { EXIT_CODES, COMMANDS, USAGE, usageError, parseArgs, formatTable, resolveBreakoutSettings } from './options.mjs';
+
+export { EXIT_CODES, SCAN_MODES, DEFAULT_CLI_OPTIONS, COMMANDS, parseArgs, formatTable } from './options.mjs';
+
+const formatTime = (time) => (time ? new Date(time).toISOString().slice(0, 16).replace('T', ' ') : null);
+const formatNumber = (value, decimals = 2) => (value === null || value === undefined || isNaN(value) ? null : Number(value).toFixed(decimals));
+
+// Load the app's modules through the source loader (they are written for the CRA bundler)
+const loadAppModules = async (options) => {
+  if (typeof nodeModule.register !== 'function') {
+    throw new Error(`Node ${process.versions.node} cannot load the app's modules (Node 18.19+ or 20.6+ is required)`);
+  }
+  if (options.baseUrl) {
+    process.env.REACT_APP_BINANCE_BASE_URL = options.baseUrl.replace(/\/$/, '');
+  }
+  nodeModule.register('./loader.mjs', import.meta.url);
+  const [binance, watchlist, sessions, riskProfiles, symbols, concurrency, alertConditions, alertDelivery, messageFormatters] = await Promise.all([
+    import('../src/binance.js'),
+    import('../src/watchlist.js'),
+    import('../src/sessions.js'),
+    import('../src/riskProfiles.js'),
+    import('../src/symbols.js'),
+    import('../src/concurrency.js'),
+    import('../src/alertConditions.js'),
+    import('../src/alertDelivery.js'),
+    import('../src/messageFormatters.js')
+  ]);
+  return { binance, watchlist, sessions, riskProfiles, symbols, concurrency, alertConditions, alertDelivery, messageFormatters };
+};
+
+// Scans return { results, tables } - tables are [title, columns, rows] for the table output
+const scans = {
+  rsi: async ({ binance, symbols }, options, scanOptions) => {
+    const results = await binance.fetchMultipleRSI(options.symbols, 14, 14, options.force, scanOptions);
+    return {
+      results,
+      tables: [['RSI (1h)', [
+        { label: 'Symbol', value: row => symbols.toDisplaySymbol(row.symbol) },
+        { label: 'Price', value: row => symbols.formatSymbolPrice(row.price, row.symbol), align: 'right' },
+        { label: 'RSI', value: row => formatNumber(row.rsi), align: 'right' },
+        { label: 'RSI MA', value: row => formatNumber(row.rsi_ma), align: 'right' },
+        { label: 'Change', value: row => formatNumber(row.change), align: 'right' },
+        { label: 'Candle close (UTC)', value: row => formatTime(row.timestamp) }
+      ], results]]
+    };
+  },
+  oversold: async ({ binance, symbols }, options, scanOptions) => {
+    const results = await binance.fetchOversoldHistory(options.symbols, options.days || 7, options.threshold, options.force, scanOptions);
+    const sorted = [...results].sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    return {
+      results: sorted,
+      tables: [[`Oversold (RSI <= ${options.threshold}, last ${options.days || 7} days)`, [
+        { label: 'Symbol', value: row => symbols.toDisplaySymbol(row.symbol) },
+        { label: 'Time (UTC)', value: row => formatTime(row.timestamp) },
+        { label: 'RSI', value: row => formatNumber(row.rsi), align: 'right' },
+        { label: 'Price', value: row => symbols.formatSymbolPrice(row.price, row.symbol), align: 'right' }
+      ], sorted]]
+    };
+  },
+  breakout: async (modules, options, scanOptions) => {
+    const { binance, symbols } = modules;
+    const { sessions, riskProfilesBySymbol } = resolveBreakoutSettings(modules, options);
+    const results = await binance.fetchMultipleBreakoutSignals(options.symbols, options.days || 3, options.force,
+      sessions, riskProfilesBySymbol, undefined, scanOptions);
+    const price = (value, row) => symbols.formatSymbolPrice(value, row.symbol);
+    return {
+      results,
+      tables: [
+        [`Breakout signals (last ${options.days || 3} days)`, [
+          { label: 'Symbol', value: row => symbols.toDisplaySymbol(row.symbol) },
+          { label: 'Session', value: row => row.sessionName },
+          { label: 'Range date', value: row => row.rangeDate },
+          { label: 'Side', value: row => row.breakoutDirection.toUpperCase() },
+          { label: 'Re-entry (UTC)', value: row => formatTime(row.reentryTime) },
+          { label: 'Entry', value: row => price(row.entryPrice, row), align: 'right' },
+          { label: 'SL', value: row => price(row.stopLoss, row), align: 'right' },
+          { label: 'TP', value: row => price(row.takeProfit, row), align: 'right' },
+          { label: 'Result', value: row => row.result.toUpperCase() }
+        ], results.signals],
+        ['Breakouts waiting for re-entry', [
+          { label: 'Symbol', value: row => symbols.toDisplaySymbol(row.symbol) },
+          { label: 'Session', value: row => row.sessionName },
+          { label: 'Side', value: row => (row.isAbove ? 'ABOVE' : 'BELOW') },
+          { label: 'Breakout (UTC)', value: row => formatTime(row.breakoutTime) },
+          { label: 'Breakout price', value: row => price(row.breakoutPrice, row), align: 'right' },
+          { label: 'Range', value: row => `${price(row.rangeLow, row)} - ${price(row.rangeHigh, row)}` }
+        ], results.breakoutsWithoutReentry]
+      ]
+    };
+  }
+};
+
+/**
+ * Run a scan
+ * @param {Object} options - Parsed CLI options
+ * @param {Object} io - { stdout, stderr } (writable streams)
+ * @returns {Promise<number>} Exit code
+ */
+export const runScan = async (options, { stdout = process.stdout, stderr = process.stderr } = {}) => {
+  // The scan code logs a lot to the console: send it to stderr with --verbose, drop it otherwise
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+    console[method] = options.verbose ? (...args) => stderr.write(`${args.map(String).join(' ')}\n`) : () => {};
+  });
+
+  const modules = await loadAppModules(options);
+  const { binance, watchlist, concurrency } = modules;
+  binance.setCacheStorage(createFileStorage(options.cache ? options.cacheFile : null));
+
+  const errors = [];
+  const scanOptions = {
+    concurrency: options.concurrency || concurrency.DEFAULT_FETCH_CONCURRENCY,
+    onProgress: ({ symbol, error }) => {
+      if (error) {
+        errors.push({ symbol, error });
+      }
+    }
+  };
+  const scanSymbols = (options.symbols || watchlist.DEFAULT_SYMBOLS).map(modules.symbols.toTradingPair);
+  const scanInput = { ...options, symbols: scanSymbols };
+
+  if (options.format === 'table') {
+    // Prices show at each pair's own precision; without tick sizes they fall back to the default formatting
+    await binance.fetchSymbolTickSizes(scanSymbols).catch(() => {});
+  }
+
+  const { results, tables } = await scans[options.mode](modules, scanInput, scanOptions);
+
+  if (options.format === 'json') {
+    stdout.write(`${JSON.stringify({ mode: options.mode, generatedAt: new Date().toISOString(), symbols: scanSymbols, errors, results }, null, 2)}\n`);
+  } else {
+    tables.forEach(([title, columns, rows]) => {
+      stdout.write(`\n${title}: ${rows.length}\n`);
+      stdout.write(rows.length > 0 ? `${formatTable(columns, rows)}\n` : '(none)\n');
+    });
+    errors.forEach(({ symbol, error }) => stderr.write(`Error: ${symbol}: ${error}\n`));
+  }
+
+  return errors.length > 0 ? EXIT_CODES.FETCH_ERRORS : EXIT_CODES.OK;
+};
+
+/**
+ * Run the watcher: every --interval seconds until SIGINT/SIGTERM, or a single cycle with --once
+ * @param {Object} options - Parsed options (see parseArgs)
+ * @param {Object} io - { stdout, stderr } streams (default: the process streams)
+ * @returns {Promise<number>} Exit code (with --once: FETCH_ERRORS when a symbol or a delivery failed)
+ */
+export const runWatch = async (options, { stdout = process.stdout, stderr = process.stderr } = {}) => {
+  ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+    console[method] = options.verbose ? (...args) => stderr.write(`${args.map(String).join(' ')}\n`) : () => {};
+  });
+
+  const modules = await loadAppModules(options);
+  const { binance, watchlist, messageFormatters } = modules;
+  binance.setCacheStorage(createFileStorage(options.cache ? options.cacheFile : null));
+
+  const unknownChat = options.chats.find(endpoint => !messageFormatters.MESSAGE_FORMATS.includes(endpoint.format));
+  if (unknownChat) {
+    throw usageError(`Unknown chat format ${unknownChat.format} (expected ${messageFormatters.MESSAGE_FORMATS.join(', ')})`);
+  }
+
+  const watchSymbols = (options.symbols || watchlist.DEFAULT_SYMBOLS).map(modules.symbols.toTradingPair);
+  const { sessions, riskProfilesBySymbol } = resolveBreakoutSettings(modules, { ...options, symbols: watchSymbols });
+  const { createWatcher } = await import('./watcher.mjs');
+  const watcher = createWatcher({ modules, symbols: watchSymbols, sessions, riskProfilesBySymbol, options, stdout, stderr });
+
+  if (options.once) {
+    const { fetchErrors, deliveryErrors } = await watcher.runCycle();
+    return fetchErrors.length > 0 || deliveryErrors > 0 ? EXIT_CODES.FETCH_ERRORS : EXIT_CODES.OK;
+  }
+
+  return new Promise(resolve => {
+    const shutdown = () => {
+      watcher.stop();
+      resolve(EXIT_CODES.OK);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+    watcher.start();
+  });
+};
+
+const main = async () => {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+  const { command, options } = parsed;
+  if (options.help || command === 'help') {
+    process.stdout.write(`${USAGE}\n`);
+    return EXIT_CODES.OK;
+  }
+  if (!COMMANDS.includes(command)) {
+    process.stderr.write(`${command ? `Unknown command ${command}` : 'Missing command'}\n\n${USAGE}\n`);
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    return await (command === 'watch' ? runWatch(options) : runScan(options));
+  } catch (error) {
+    process.stderr.write(`Error: ${error.message}\n`);
+    return error.exitCode || EXIT_CODES.FETCH_ERRORS;
+  }
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  // Pending scheduler timers would keep Node running, so exit explicitly once the scan (or watch) is done
+  main().then(code => process.exit(code));
+}
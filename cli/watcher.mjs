@@ -0,0 +1,160 @@
+// Watcher
+// Long-running loop behind `signal-checker watch`: every cycle refreshes the breakout scan (and RSI),
+// finds new re-entry signals, signals closed at their stop or target, breakouts close to their range and
+// RSI threshold crosses with the app's own alert conditions (src/alertConditions.js), prints each new
+// alert as a JSON line on stdout, posts it to the configured webhooks and sends it as a Markdown message
+// to the chat endpoints (src/messageFormatters.js). Sent alerts are remembered in the alert store, so
+// restarts and overlapping scans never send one twice.
+
+import { createAlertStore } from './alertStore.mjs';
+
+/**
+ * Create a watcher
+ * @param {Object} input - { modules (app modules from loadAppModules), symbols, sessions, riskProfilesBySymbol,
+ *   options (parsed CLI options), stdout, stderr }
+ * @returns {Object} { runCycle, start, stop }
+ */
+export const createWatcher = ({ modules, symbols, sessions, riskProfilesBySymbol, options, stdout = process.stdout, stderr = process.stderr }) => {
+  const { binance, alertConditions, alertDelivery, messageFormatters, concurrency } = modules;
+  const store = createAlertStore(options.stateFile);
+  const rsiThresholds = { oversold: options.rsiOversold, overbought: options.rsiOverbought };
+  const appUrl = options.appUrl || messageFormatters.DEFAULT_APP_URL;
+  const fetchConcurrency = options.concurrency || concurrency.DEFAULT_FETCH_CONCURRENCY;
+  // On the first run the alerts that already exist are recorded without being sent (unless --alert-existing)
+  let recordBaseline = store.isNew() && !options.alertExisting;
+  let previousSignals = [];
+  let timer = null;
+  let stopped = false;
+
+  const log = (message) => stderr.write(`[Watcher] ${new Date().toISOString()} ${message}\n`);
+
+  // One delivery per webhook (the JSON payload) and per chat endpoint (the formatted message).
+  // Chat URLs carry bot tokens, so logs only show their platform and host.
+  const getDeliveries = (alert, payload) => [
+    ...options.webhooks.map(url => ({ url, key: alert.key, body: payload, target: url })),
+    ...options.chats.map(endpoint => ({
+      url: endpoint.url,
+      key: alert.key,
+      body: alertDelivery.buildChatRequestBody(endpoint, messageFormatters.toMessageEvent(alert), { appUrl }),
+      target: `${endpoint.format} (${new URL(endpoint.url).host})`
+    }))
+  ];
+
+  const deliver = async (alert, payload) => {
+    const deliveries = getDeliveries(alert, payload);
+    const results = await Promise.all(deliveries.map(delivery => alertDelivery.postWebhook(delivery.url, delivery.body)));
+    results.forEach((result, index) => {
+      if (!result.ok) {
+        log(`Delivery of ${alert.key} to ${deliveries[index].target} failed (${result.error}), will retry next cycle`);
+        store.addPending(deliveries[index], result.error);
+      }
+    });
+    return results.every(result => result.ok);
+  };
+
+  // Deliveries that failed in earlier cycles
+  const retryPending = async () => {
+    let failed = 0;
+    for (const delivery of store.getPending()) {
+      const result = await alertDelivery.postWebhook(delivery.url, delivery.body);
+      if (result.ok) {
+        store.removePending(delivery);
+        log(`Delivered ${delivery.key} to ${delivery.target} on retry`);
+      } else {
+        failed++;
+      }
+    }
+    return failed;
+  };
+
+  /**
+   * Run one cycle
+   * @returns {Promise<Object>} { alerts (payloads sent), fetchErrors, deliveryErrors }
+   */
+  const runCycle = async () => {
+    const fetchErrors = [];
+    const scanOptions = {
+      concurrency: fetchConcurrency,
+      onProgress: ({ symbol, error }) => {
+        if (error) {
+          fetchErrors.push({ symbol, error });
+        }
+      }
+    };
+
+    const rsiRows = options.rsi
+      ? await binance.fetchMultipleRSI(symbols, 14, 14, false, scanOptions)
+      : [];
+    const { signals, breakoutsWithoutReentry } = await binance.fetchMultipleBreakoutSignals(symbols, options.days || 3, false,
+      sessions, riskProfilesBySymbol, undefined, scanOptions);
+
+    const sentKeys = store.getSentKeys();
+    const alerts = [
+      ...alertConditions.findNewSignalAlerts(signals, previousSignals, sentKeys),
+      ...alertConditions.findClosedSignalAlerts(signals, previousSignals, sentKeys),
+      ...alertConditions.findDistanceAlerts(breakoutsWithoutReentry, sentKeys, options.distance),
+      ...(options.rsi ? alertConditions.findRSICrossAlerts(rsiRows, sentKeys, rsiThresholds) : [])
+    ];
+    previousSignals = signals;
+
+    if (recordBaseline) {
+      recordBaseline = false;
+      store.markSent(alerts.map(alert => alert.key));
+      store.save();
+      log(`First run: recorded ${alerts.length} existing alert(s) without sending them`);
+      return { alerts: [], fetchErrors, deliveryErrors: 0 };
+    }
+
+    let deliveryErrors = await retryPending();
+    const payloads = [];
+    for (const alert of alerts) {
+      const payload = alertDelivery.buildAlertPayload(alert);
+      stdout.write(`${JSON.stringify(payload)}\n`);
+      // Sent once printed; webhooks that fail keep their own pending copy
+      store.markSent([alert.key]);
+      store.save();
+      if (!(await deliver(alert, payload))) {
+        deliveryErrors++;
+      }
+      payloads.push(payload);
+    }
+    store.save();
+
+    fetchErrors.forEach(({ symbol, error }) => log(`Fetch error ${symbol}: ${error}`));
+    log(`Cycle done: ${payloads.length} new alert(s), ${fetchErrors.length} fetch error(s), ${store.getPending().length} pending delivery(s)`);
+    return { alerts: payloads, fetchErrors, deliveryErrors };
+  };
+
+  /**
+   * Run cycles every options.interval seconds until stop() (a failing cycle is logged and the next one still runs)
+   */
+  const start = async () => {
+    const loop = async () => {
+      try {
+        await runCycle();
+      } catch (error) {
+        log(`Cycle failed: ${error.message}`);
+      }
+      if (!stopped) {
+        timer = setTimeout(loop, options.interval * 1000);
+      }
+    };
+    log(`Watching ${symbols.length} symbol(s) every ${options.interval}s, ${options.webhooks.length} webhook(s), ${options.chats.length} chat endpoint(s)`);
+    await loop();
+  };
+
+  const stop = () => {
+    stopped = true;
+    if (timer) {
+      clearTimeout(timer);
+      timer = null;
+    }
+    store.save();
+  };
+
+  return {
+    runCycle,
+    start,
+    stop
+  };
+};
@@ -0,0 +1,359 @@
+// Mock Market Data
+// Candles, prices and exchange info for the mock Binance server (server.mjs). Symbols with fixture
+// files replay those klines; every other symbol gets a seeded random walk of 1m candles, aggregated
+// into the requested interval. Walks start at midnight UTC, so runs on the same day with the same seed
+// serve the same candles.
+
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { join } from 'path';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+export const INTERVAL_MS = {
+  '1m': MINUTE_MS,
+  '3m': 3 * MINUTE_MS,
+  '5m': 5 * MINUTE_MS,
+  '15m': 15 * MINUTE_MS,
+  '30m': 30 * MINUTE_MS,
+  '1h': 60 * MINUTE_MS,
+  '2h': 2 * 60 * MINUTE_MS,
+  '4h': 4 * 60 * MINUTE_MS,
+  '6h': 6 * 60 * MINUTE_MS,
+  '8h': 8 * 60 * MINUTE_MS,
+  '12h': 12 * 60 * MINUTE_MS,
+  '1d': DAY_MS,
+  '3d': 3 * DAY_MS,
+  '1w': 7 * DAY_MS
+};
+
+// Binance weeks open on Monday 00:00 UTC (the epoch was a Thursday)
+const INTERVAL_OFFSET_MS = {
+  '1w': 4 * DAY_MS
+};
+
+// Quote assets recognised when splitting a Binance symbol (longest first, so FDUSD wins over USD-like suffixes)
+const QUOTE_ASSETS = ['FDUSD', 'USDT', 'USDC', 'BTC', 'ETH', 'BNB'];
+
+// Rough starting prices so the generated charts look like the real pairs (others start between 1 and 100)
+const START_PRICES = {
+  BTC: 65000,
+  ETH: 3200,
+  BNB: 580,
+  SOL: 150,
+  XRP: 0.55,
+  SUI: 1.2,
+  DOGE: 0.12,
+  ADA: 0.45,
+  ASTER: 1.5,
+  PEPE: 0.00001,
+  ENA: 0.5,
+  LINK: 14,
+  TAO: 400,
+  PUMP: 0.005
+};
+
+const MINUTE_VOLATILITY = 0.0008; // Standard deviation of the 1m log return (about 3% a day)
+
+/**
+ * Split a Binance symbol into base and quote asset
+ * @param {string} symbol - Binance symbol (e.g., 'BTCUSDT')
+ * @returns {Object|null} { baseAsset, quoteAsset }, or null if no known quote asset matches
+ */
+export const splitSymbol = (symbol) => {
+  const quoteAsset = QUOTE_ASSETS.find(quote => symbol.endsWith(quote) && symbol.length > quote.length);
+  return quoteAsset ? { baseAsset: symbol.slice(0, -quoteAsset.length), quoteAsset } : null;
+};
+
+// 32-bit string hash (FNV-1a), used to give every symbol its own random sequence
+const hashString = (value) => {
+  let hash = 2166136261;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 16777619);
+  }
+  return hash >>> 0;
+};
+
+// Small seeded PRNG (mulberry32), returns numbers in [0, 1)
+const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal sample (Box-Muller)
+const nextGaussian = (random) => {
+  const u = Math.max(random(), Number.EPSILON);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+/**
+ * Tick size used for a price (about six significant digits, like most Binance pairs)
+ * @param {number} price - Price
+ * @returns {number} Tick size
+ */
+export const getMockTickSize = (price) => Math.pow(10, Math.floor(Math.log10(price)) - 5);
+
+const getTickDecimals = (tickSize) => Math.max(0, Math.ceil(-Math.log10(tickSize) - 1e-9));
+
+const alignOpenTime = (time, interval) => {
+  const intervalMs = INTERVAL_MS[interval];
+  const offset = INTERVAL_OFFSET_MS[interval] || 0;
+  return Math.floor((time - offset) / intervalMs) * intervalMs + offset;
+};
+
+/**
+ * Load kline fixtures from a directory
+ * Accepts `<SYMBOL>_<interval>.json` files holding a /api/v3/klines response (e.g. saved with curl), and
+ * session files downloaded from the app's Record / Replay section (every recorded klines response is used).
+ * @param {string} directory - Fixture directory (missing directories load nothing)
+ * @returns {Map} Series ('BTCUSDT|1h') -> kline rows sorted by open time
+ */
+export const loadFixtures = (directory) => {
+  const series = new Map();
+  if (!directory || !existsSync(directory)) {
+    return series;
+  }
+
+  const addRows = (key, rows) => {
+    if (!series.has(key)) {
+      series.set(key, new Map());
+    }
+    rows.forEach(row => series.get(key).set(row[0], row));
+  };
+
+  readdirSync(directory)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      const contents = JSON.parse(readFileSync(join(directory, file), 'utf8'));
+      if (Array.isArray(contents)) {
+        const match = file.match(/^([A-Z0-9]+)_(\w+)\.json$/);
+        if (!match) {
+          console.warn(`[MockServer] Skipping fixture ${file} (expected <SYMBOL>_<interval>.json)`);
+          return;
+        }
+        addRows(`${match[1]}|${match[2]}`, contents);
+        return;
+      }
+      (contents.responses || []).forEach(entry => {
+        const { pathname, searchParams } = new URL(entry.path, 'http://localhost');
+        if (pathname.endsWith('/klines') && entry.status === 200 && Array.isArray(entry.body)) {
+          addRows(`${searchParams.get('symbol')}|${searchParams.get('interval')}`, entry.body);
+        }
+      });
+    });
+
+  return new Map(Array.from(series.entries()).map(([key, rows]) => [
+    key,
+    Array.from(rows.values()).sort((a, b) => a[0] - b[0])
+  ]));
+};
+
+/**
+ * Create the mock market
+ * @param {Object} options - { seed (random walk seed, default 1), historyDays (days of generated candles
+ *   before today, default 120), fixtures (Map from loadFixtures), now (time source, default Date.now) }
+ * @returns {Object} { getKlines, getPrice, get24hrTicker, getSymbolInfo, getFixtureSymbols }
+ */
+export const createMockMarket = ({ seed = 1, historyDays = 120, fixtures = new Map(), now = () => Date.now() } = {}) => {
+  const listedAt = Math.floor(now() / DAY_MS) * DAY_MS - historyDays * DAY_MS;
+  const walks = new Map();
+
+  // 1m random walk of a symbol, extended up to the current minute on every call
+  const getWalk = (symbol) => {
+    if (!walks.has(symbol)) {
+      const { baseAsset } = splitSymbol(symbol) || { baseAsset: symbol };
+      const random = createRandom(hashString(symbol) ^ seed);
+      const startPrice = START_PRICES[baseAsset] || 1 + random() * 99;
+      walks.set(symbol, { random, tickSize: getMockTickSize(startPrice), opens: [], highs: [], lows: [], closes: [], volumes: [], lastClose: startPrice });
+    }
+    const walk = walks.get(symbol);
+    const minutes = Math.floor((now() - listedAt) / MINUTE_MS) + 1;
+    while (walk.closes.length < minutes) {
+      const open = walk.lastClose;
+      const close = open * Math.exp(MINUTE_VOLATILITY * nextGaussian(walk.random));
+      walk.opens.push(open);
+      walk.highs.push(Math.max(open, close) * (1 + Math.abs(nextGaussian(walk.random)) * MINUTE_VOLATILITY / 2));
+      walk.lows.push(Math.min(open, close) * (1 - Math.abs(nextGaussian(walk.random)) * MINUTE_VOLATILITY / 2));
+      walk.closes.push(close);
+      walk.volumes.push(10 + walk.random() * 990);
+      walk.lastClose = close;
+    }
+    return walk;
+  };
+
+  // Kline row in Binance's format, aggregated from the walk's 1m candles
+  const buildKline = (walk, openTime, intervalMs) => {
+    const first = Math.max(0, Math.ceil((openTime - listedAt) / MINUTE_MS));
+    const last = Math.min(walk.closes.length - 1, Math.floor((openTime + intervalMs - 1 - listedAt) / MINUTE_MS));
+    if (last < first) {
+      return null;
+    }
+    let high = -Infinity;
+    let low = Infinity;
+    let volume = 0;
+    for (let i = first; i <= last; i++) {
+      high = Math.max(high, walk.highs[i]);
+      low = Math.min(low, walk.lows[i]);
+      volume += walk.volumes[i];
+    }
+    const decimals = getTickDecimals(walk.tickSize);
+    const close = walk.closes[last];
+    const quoteVolume = volume * close;
+    return [
+      openTime,
+      walk.opens[first].toFixed(decimals),
+      high.toFixed(decimals),
+      low.toFixed(decimals),
+      close.toFixed(decimals),
+      volume.toFixed(2),
+      openTime + intervalMs - 1,
+      quoteVolume.toFixed(2),
+      (last - first + 1) * 25,
+      (volume / 2).toFixed(2),
+      (quoteVolume / 2).toFixed(2),
+      '0'
+    ];
+  };
+
+  const getFixture = (symbol, interval) => fixtures.get(`${symbol}|${interval}`) || null;
+
+  // Smallest fixture interval of a symbol, so prices of fixture symbols come from their own candles
+  const getFixtureInterval = (symbol) => Object.keys(INTERVAL_MS)
+    .find(interval => fixtures.has(`${symbol}|${interval}`)) || null;
+
+  /**
+   * Klines following Binance's rules: openTime within [startTime, endTime], the first `limit` candles
+   * from startTime when only startTime is given, otherwise the latest `limit` candles up to endTime
+   * @param {string} symbol - Binance symbol (e.g., 'BTCUSDT')
+   * @param {string} interval - Kline interval (e.g., '1h')
+   * @param {Object} query - { startTime, endTime, limit (default 500, at most 1000) }
+   * @returns {Array} Kline rows (oldest to newest)
+   */
+  const getKlines = (symbol, interval, { startTime = null, endTime = null, limit = 500 } = {}) => {
+    const count = Math.min(1000, Math.max(1, limit));
+    const fixture = getFixture(symbol, interval);
+    if (fixture) {
+      const inWindow = fixture.filter(row => (startTime === null || row[0] >= startTime) && (endTime === null || row[0] <= endTime));
+      return startTime !== null && endTime === null ? inWindow.slice(0, count) : inWindow.slice(-count);
+    }
+
+    const intervalMs = INTERVAL_MS[interval];
+    const walk = getWalk(symbol);
+    const latestOpenTime = alignOpenTime(Math.min(endTime === null ? Infinity : endTime, now()), interval);
+    const firstOpenTime = alignOpenTime(listedAt, interval);
+    let openTimes = [];
+    if (startTime !== null && endTime === null) {
+      let from = alignOpenTime(startTime, interval);
+      if (from < startTime) {
+        from += intervalMs;
+      }
+      from = Math.max(from, firstOpenTime);
+      for (let time = from; time <= latestOpenTime && openTimes.length < count; time += intervalMs) {
+        openTimes.push(time);
+      }
+    } else {
+      const from = Math.max(startTime === null ? -Infinity : startTime, firstOpenTime);
+      for (let time = latestOpenTime; time >= from && openTimes.length < count; time -= intervalMs) {
+        openTimes.push(time);
+      }
+      openTimes = openTimes.reverse();
+    }
+    return openTimes
+      .map(openTime => buildKline(walk, openTime, intervalMs))
+      .filter(row => row !== null);
+  };
+
+  // Candles of the last 24 hours: hourly for generated symbols (the forming hour included), the smallest
+  // fixture interval for fixture symbols (counted back from their last candle)
+  const getLastDayRows = (symbol) => {
+    const fixtureInterval = getFixtureInterval(symbol);
+    if (fixtureInterval) {
+      const rows = fixtures.get(`${symbol}|${fixtureInterval}`);
+      const lastOpenTime = rows[rows.length - 1][0];
+      return rows.filter(row => row[0] > lastOpenTime - DAY_MS);
+    }
+    return getKlines(symbol, '1h', { limit: 25 }).filter(row => row[6] > now() - DAY_MS);
+  };
+
+  /**
+   * Latest price of a symbol
+   * @param {string} symbol - Binance symbol
+   * @returns {string|null} Price, or null if the symbol has no candles
+   */
+  const getPrice = (symbol) => {
+    const fixtureInterval = getFixtureInterval(symbol);
+    const rows = fixtureInterval ? fixtures.get(`${symbol}|${fixtureInterval}`) : getKlines(symbol, '1m', { limit: 1 });
+    return rows.length > 0 ? rows[rows.length - 1][4] : null;
+  };
+
+  /**
+   * 24hr ticker statistics in Binance's format
+   * @param {string} symbol - Binance symbol
+   * @returns {Object|null} Ticker, or null if the symbol has no candles
+   */
+  const get24hrTicker = (symbol) => {
+    const rows = getLastDayRows(symbol);
+    if (rows.length === 0) {
+      return null;
+    }
+    const first = rows[0];
+    const last = rows[rows.length - 1];
+    const openPrice = parseFloat(first[1]);
+    const lastPrice = parseFloat(last[4]);
+    const volume = rows.reduce((sum, row) => sum + parseFloat(row[5]), 0);
+    const quoteVolume = rows.reduce((sum, row) => sum + parseFloat(row[7]), 0);
+    return {
+      symbol,
+      priceChange: String(lastPrice - openPrice),
+      priceChangePercent: ((lastPrice - openPrice) / openPrice * 100).toFixed(3),
+      weightedAvgPrice: String(volume > 0 ? quoteVolume / volume : lastPrice),
+      openPrice: first[1],
+      highPrice: String(Math.max(...rows.map(row => parseFloat(row[2])))),
+      lowPrice: String(Math.min(...rows.map(row => parseFloat(row[3])))),
+      lastPrice: last[4],
+      volume: volume.toFixed(2),
+      quoteVolume: quoteVolume.toFixed(2),
+      openTime: first[0],
+      closeTime: last[6],
+      count: rows.reduce((sum, row) => sum + row[8], 0)
+    };
+  };
+
+  /**
+   * exchangeInfo entry of a symbol (status TRADING, with a PRICE_FILTER matching its prices)
+   * @param {string} symbol - Binance symbol
+   * @returns {Object|null} Symbol info, or null if the quote asset is unknown
+   */
+  const getSymbolInfo = (symbol) => {
+    const assets = splitSymbol(symbol);
+    if (!assets) {
+      return null;
+    }
+    const price = parseFloat(getPrice(symbol));
+    const tickSize = getFixtureInterval(symbol) ? getMockTickSize(price) : getWalk(symbol).tickSize;
+    return {
+      symbol,
+      status: 'TRADING',
+      baseAsset: assets.baseAsset,
+      quoteAsset: assets.quoteAsset,
+      filters: [
+        { filterType: 'PRICE_FILTER', minPrice: tickSize.toFixed(getTickDecimals(tickSize)), maxPrice: '1000000.00000000', tickSize: tickSize.toFixed(getTickDecimals(tickSize)) }
+      ]
+    };
+  };
+
+  return {
+    getKlines,
+    getPrice,
+    get24hrTicker,
+    getSymbolInfo,
+    getFixtureSymbols: () => Array.from(new Set(Array.from(fixtures.keys()).map(key => key.split('|')[0])))
+  };
+};
@@ -0,0 +1,334 @@
+// Mock Binance REST Server
+// Serves the Binance endpoints the app uses (/api/v3/klines, ticker/price, ticker/24hr, exchangeInfo)
+// from fixture files or generated random-walk candles (marketData.mjs), so the app runs with no
+// network. Request weight is counted per minute like Binance (X-MBX-USED-WEIGHT-1M header, 429 once the
+// limit is used up, 418 for clients that keep going), and a scenario file can script 429/418/5xx
+// responses to exercise the request scheduler's retry paths. The combined WebSocket stream is served on
+// /stream (streams.mjs).
+//
+// Usage: npm run mock-server -- [--port 4000] [--fixtures dir] [--scenario file] [--seed 1]
+//   [--history-days 120] [--symbols BTCUSDT,ETHUSDT] [--weight-limit 6000] [--ban-after 10] [--ban-seconds 120]
+//   [--latency 0] [--stream-update-ms 2000] [--drop-streams-after 0] [--quiet]
+// Then start the app with REACT_APP_BINANCE_BASE_URL=http://localhost:4000 and
+// REACT_APP_BINANCE_STREAM_URL=ws://localhost:4000/stream (npm run start:mock).
+
+import { createServer } from 'http';
+import { readFileSync } from 'fs';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { createMockMarket, loadFixtures, INTERVAL_MS } from './marketData.mjs';
+import { attachMockStreams } from './streams.mjs';
+
+const MINUTE_MS = 60 * 1000;
+
+// The app's default watchlist (src/watchlist.js), listed in exchangeInfo and the all-symbol tickers.
+// Only listed symbols (and fixture symbols) exist: anything else gets Binance's -1121 Invalid symbol.
+const DEFAULT_LISTED_SYMBOLS = ['BTCUSDT', 'BNBUSDT', 'ETHUSDT', 'XRPUSDT', 'SOLUSDT', 'SUIUSDT', 'DOGEUSDT', 'ADAUSDT', 'ASTERUSDT', 'PEPEUSDT', 'ENAUSDT', 'LINKUSDT', 'TAOUSDT', 'PUMPUSDT'];
+
+export const DEFAULT_MOCK_SERVER_OPTIONS = {
+  port: 4000,
+  fixtures: fileURLToPath(new URL('./fixtures', import.meta.url)),
+  scenario: null,        // Scripted responses file (see scenarios/)
+  seed: 1,               // Random walk seed
+  historyDays: 120,      // Days of generated candles
+  symbols: DEFAULT_LISTED_SYMBOLS, // Symbols the mock knows
+  weightLimit: 6000,     // Request weight per minute before 429s (0 = unlimited)
+  banAfter: 10,          // Requests sent after a 429 within the same minute before a 418
+  banSeconds: 120,       // How long a 418 ban lasts
+  latency: 0,            // Delay before every response in ms
+  streamUpdateMs: 2000,  // Time between stream updates in ms
+  dropStreamsAfter: 0,   // Drop every stream connection this many seconds after it opened (0 = never)
+  quiet: false
+};
+
+/**
+ * Request weight of an endpoint, as Binance counts it (kept in line with getRequestWeight in src/requestScheduler.js)
+ * @param {string} pathname - Request path
+ * @param {URLSearchParams} searchParams - Query parameters
+ * @returns {number} Request weight
+ */
+export const getEndpointWeight = (pathname, searchParams) => {
+  if (pathname.endsWith('/klines') || pathname.endsWith('/uiKlines')) {
+    return 2;
+  }
+  if (pathname.endsWith('/ticker/price')) {
+    return searchParams.has('symbol') ? 2 : 4;
+  }
+  if (pathname.endsWith('/ticker/24hr')) {
+    return searchParams.has('symbol') ? 2 : 80;
+  }
+  if (pathname.endsWith('/exchangeInfo')) {
+    return 20;
+  }
+  return 1;
+};
+
+/**
+ * Load a scenario file
+ * { "responses": [{ "path", "symbol", "status", "after", "times", "retryAfter", "body" }] } - each rule answers
+ * requests whose path ends with `path` (any path if left out) and, if set, whose symbol is `symbol`: the
+ * first `after` matching requests (default 0) pass, the next `times` (default 1, null = all) get `status`.
+ * The file can also override any server option (e.g. "weightLimit": 500).
+ * @param {string} file - Scenario file path
+ * @returns {Object} Parsed scenario
+ */
+export const loadScenario = (file) => {
+  const scenario = JSON.parse(readFileSync(file, 'utf8'));
+  if (!Array.isArray(scenario.responses || [])) {
+    throw new Error(`Scenario ${file}: "responses" must be an array`);
+  }
+  return scenario;
+};
+
+const binanceError = (code, msg) => ({ code, msg });
+
+// Scripted responses state: how many matching requests each rule has seen
+const createScriptedResponses = (rules = []) => {
+  const seen = rules.map(() => 0);
+
+  return (pathname, searchParams) => {
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      if ((rule.path && !pathname.endsWith(rule.path)) || (rule.symbol && searchParams.get('symbol') !== rule.symbol)) {
+        continue;
+      }
+      seen[i]++;
+      const after = rule.after || 0;
+      const times = rule.times === undefined ? 1 : rule.times;
+      if (seen[i] > after && (times === null || seen[i] <= after + times)) {
+        return rule;
+      }
+    }
+    return null;
+  };
+};
+
+/**
+ * Create the mock Binance server (not listening yet - call listen(port))
+ * @param {Object} options - Overrides of DEFAULT_MOCK_SERVER_OPTIONS (scenario options override these in turn)
+ * @returns {Object} Node http.Server
+ */
+export const createMockBinanceServer = (options = {}) => {
+  const scenario = options.scenario ? loadScenario(options.scenario) : {};
+  const { responses: scriptedRules = [], ...scenarioOptions } = scenario;
+  const config = { ...DEFAULT_MOCK_SERVER_OPTIONS, ...options, ...scenarioOptions };
+  const fixtures = loadFixtures(config.fixtures);
+  const market = createMockMarket({ seed: config.seed, historyDays: config.historyDays, fixtures });
+  const listedSymbols = Array.from(new Set([...config.symbols, ...market.getFixtureSymbols()]));
+  const getScriptedResponse = createScriptedResponses(scriptedRules);
+  const isListed = (symbol) => listedSymbols.includes(symbol);
+
+  let windowStart = 0;
+  let usedWeight = 0;
+  let rateLimited = false;
+  let requestsAfterLimit = 0;
+  let bannedUntil = 0;
+
+  const log = (...args) => {
+    if (!config.quiet) {
+      console.log('[MockServer]', ...args);
+    }
+  };
+
+  // Weight is counted per UTC minute, like Binance
+  const countWeight = (now, weight) => {
+    const currentWindow = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+    if (currentWindow !== windowStart) {
+      windowStart = currentWindow;
+      usedWeight = 0;
+      rateLimited = false;
+      requestsAfterLimit = 0;
+    }
+    usedWeight += weight;
+  };
+
+  const getSymbols = (searchParams) => {
+    if (searchParams.has('symbol')) {
+      return [searchParams.get('symbol')];
+    }
+    if (searchParams.has('symbols')) {
+      return JSON.parse(searchParams.get('symbols'));
+    }
+    return null;
+  };
+
+  // Endpoint handlers return [status, body]
+  const routes = {
+    '/api/v3/ping': () => [200, {}],
+    '/api/v3/time': () => [200, { serverTime: Date.now() }],
+    '/api/v3/klines': (searchParams) => {
+      const symbol = searchParams.get('symbol');
+      const interval = searchParams.get('interval');
+      if (!symbol || !isListed(symbol)) {
+        return [400, binanceError(-1121, 'Invalid symbol.')];
+      }
+      if (!INTERVAL_MS[interval]) {
+        return [400, binanceError(-1120, 'Invalid interval.')];
+      }
+      const toNumber = (name) => (searchParams.has(name) ? parseInt(searchParams.get(name)) : null);
+      return [200, market.getKlines(symbol, interval, {
+        startTime: toNumber('startTime'),
+        endTime: toNumber('endTime'),
+        limit: toNumber('limit') || 500
+      })];
+    },
+    '/api/v3/ticker/price': (searchParams) => {
+      const symbols = getSymbols(searchParams);
+      if (symbols && symbols.some(symbol => !isListed(symbol))) {
+        return [400, binanceError(-1121, 'Invalid symbol.')];
+      }
+      const tickers = (symbols || listedSymbols).map(symbol => ({ symbol, price: market.getPrice(symbol) }));
+      return [200, searchParams.has('symbol') ? tickers[0] : tickers];
+    },
+    '/api/v3/ticker/24hr': (searchParams) => {
+      const symbols = getSymbols(searchParams);
+      if (symbols && symbols.some(symbol => !isListed(symbol))) {
+        return [400, binanceError(-1121, 'Invalid symbol.')];
+      }
+      const tickers = (symbols || listedSymbols).map(symbol => market.get24hrTicker(symbol)).filter(Boolean);
+      return [200, searchParams.has('symbol') ? tickers[0] : tickers];
+    },
+    '/api/v3/exchangeInfo': (searchParams) => {
+      const symbols = getSymbols(searchParams);
+      if (symbols && symbols.some(symbol => !isListed(symbol))) {
+        return [400, binanceError(-1121, 'Invalid symbol.')];
+      }
+      return [200, {
+        timezone: 'UTC',
+        serverTime: Date.now(),
+        rateLimits: [{ rateLimitType: 'REQUEST_WEIGHT', interval: 'MINUTE', intervalNum: 1, limit: config.weightLimit || 6000 }],
+        symbols: (symbols || listedSymbols).map(symbol => market.getSymbolInfo(symbol))
+      }];
+    }
+  };
+  routes['/api/v3/uiKlines'] = routes['/api/v3/klines'];
+
+  const handle = (url) => {
+    const { pathname, searchParams } = url;
+    const now = Date.now();
+
+    if (bannedUntil > now) {
+      return [418, binanceError(-1003, `Way too much request weight used; IP banned until ${bannedUntil}.`), { 'Retry-After': Math.ceil((bannedUntil - now) / 1000) }];
+    }
+
+    const scripted = getScriptedResponse(pathname, searchParams);
+    if (scripted) {
+      const headers = scripted.retryAfter ? { 'Retry-After': scripted.retryAfter } : {};
+      if (scripted.status === 418 && scripted.retryAfter) {
+        bannedUntil = now + scripted.retryAfter * 1000;
+      }
+      return [scripted.status, scripted.body || binanceError(-1003, `Scripted ${scripted.status} response.`), headers];
+    }
+
+    if (rateLimited) {
+      requestsAfterLimit++;
+      if (requestsAfterLimit >= config.banAfter) {
+        bannedUntil = now + config.banSeconds * 1000;
+        log(`Client kept sending after a 429, banning for ${config.banSeconds}s`);
+        return [418, binanceError(-1003, `Way too much request weight used; IP banned until ${bannedUntil}.`), { 'Retry-After': config.banSeconds }];
+      }
+    }
+
+    countWeight(now, getEndpointWeight(pathname, searchParams));
+    if (config.weightLimit && usedWeight > config.weightLimit) {
+      rateLimited = true;
+      const retryAfter = Math.ceil((windowStart + MINUTE_MS - now) / 1000);
+      return [429, binanceError(-1003, `Too much request weight used; current limit is ${config.weightLimit} request weight per 1 MINUTE.`), { 'Retry-After': retryAfter }];
+    }
+
+    const route = routes[pathname];
+    if (!route) {
+      return [404, binanceError(-1000, `Unknown endpoint ${pathname}.`)];
+    }
+    return route(searchParams);
+  };
+
+  const server = createServer((request, response) => {
+    const corsHeaders = {
+      'Access-Control-Allow-Origin': '*',
+      'Access-Control-Allow-Headers': '*',
+      // The request scheduler reads these, so the browser has to expose them
+      'Access-Control-Expose-Headers': 'X-MBX-USED-WEIGHT-1M, Retry-After'
+    };
+    if (request.method === 'OPTIONS') {
+      response.writeHead(204, corsHeaders);
+      response.end();
+      return;
+    }
+
+    const url = new URL(request.url, 'http://localhost');
+    let result;
+    try {
+      result = handle(url);
+    } catch (error) {
+      result = [500, binanceError(-1000, error.message)];
+    }
+    const [status, body, headers = {}] = result;
+
+    setTimeout(() => {
+      response.writeHead(status, {
+        ...corsHeaders,
+        ...headers,
+        'Content-Type': 'application/json',
+        'X-MBX-USED-WEIGHT-1M': String(usedWeight)
+      });
+      response.end(JSON.stringify(body));
+      log(`${status} ${url.pathname}${url.search} (weight ${usedWeight}/${config.weightLimit || '∞'})`);
+    }, config.latency);
+  });
+
+  attachMockStreams(server, { market, isListed, updateMs: config.streamUpdateMs, dropAfterSeconds: config.dropStreamsAfter, log });
+
+  server.on('listening', () => {
+    const { port } = server.address();
+    log(`Listening on http://localhost:${port} (streams on ws://localhost:${port}/stream) - ${fixtures.size} fixture series, ${listedSymbols.length} listed symbols, ${scriptedRules.length} scripted responses`);
+  });
+
+  return server;
+};
+
+/**
+ * Parse command line arguments (--name value or --name=value, --flag for booleans)
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Server options
+ */
+export const parseArgs = (args) => {
+  const options = {};
+  const toCamelCase = (name) => name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split('=');
+    if (!flag.startsWith('--')) {
+      throw new Error(`Unexpected argument ${args[i]}`);
+    }
+    const name = toCamelCase(flag.slice(2));
+    if (!(name in DEFAULT_MOCK_SERVER_OPTIONS)) {
+      throw new Error(`Unknown option ${flag}`);
+    }
+    if (typeof DEFAULT_MOCK_SERVER_OPTIONS[name] === 'boolean') {
+      options[name] = true;
+      continue;
+    }
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    if (value === undefined) {
+      throw new Error(`Missing value for ${flag}`);
+    }
+    if (name === 'symbols') {
+      options.symbols = value.split(',').map(symbol => symbol.trim().toUpperCase()).filter(Boolean);
+    } else if (typeof DEFAULT_MOCK_SERVER_OPTIONS[name] === 'number') {
+      options[name] = Number(value);
+    } else {
+      options[name] = value;
+    }
+  }
+  return options;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const port = options.port || Number(process.env.PORT) || DEFAULT_MOCK_SERVER_OPTIONS.port;
+    createMockBinanceServer(options).listen(port);
+  } catch (error) {
+    console.error(`[MockServer] ${error.message}`);
+    process.exit(1);
+  }
+}
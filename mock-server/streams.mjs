@@ -0,0 +1,233 @@
+// Mock Binance Combined Streams
+// WebSocket endpoint of the mock server (server.mjs): /stream?streams=btcusdt@kline_5m/btcusdt@miniTicker/...
+// pushes the mock market's forming kline and miniTicker updates every few seconds and each candle once
+// more with x: true when it closes, like wss://stream.binance.com:9443/stream. Connections can be dropped
+// after a set time to exercise the app's reconnect and REST polling fallback (src/binanceStream.js).
+// The WebSocket framing (RFC 6455) is written out here, so the mock needs no dependencies.
+
+import { createHash } from 'crypto';
+import { INTERVAL_MS } from './marketData.mjs';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const OPCODES = {
+  TEXT: 0x1,
+  CLOSE: 0x8,
+  PING: 0x9,
+  PONG: 0xA
+};
+
+/**
+ * Encode a server frame (final, unmasked)
+ * @param {number} opcode - Frame opcode (OPCODES)
+ * @param {Buffer|string} payload - Frame payload
+ * @returns {Buffer} Frame
+ */
+export const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    // 64-bit length as two 32-bit halves
+    header.writeUInt32BE(Math.floor(data.length / 0x100000000), 2);
+    header.writeUInt32BE(data.length % 0x100000000, 6);
+  }
+  return Buffer.concat([header, data]);
+};
+
+/**
+ * Decode the complete client frames at the start of a buffer (client frames are masked)
+ * @param {Buffer} buffer - Received bytes
+ * @returns {Object} { frames: [{ opcode, payload }], rest (bytes of an incomplete frame) }
+ */
+export const decodeFrames = (buffer) => {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const opcode = buffer[offset] & 0x0F;
+    const masked = (buffer[offset + 1] & 0x80) !== 0;
+    let length = buffer[offset + 1] & 0x7F;
+    let headerLength = 2;
+    if (length === 126) {
+      if (buffer.length - offset < 4) break;
+      length = buffer.readUInt16BE(offset + 2);
+      headerLength = 4;
+    } else if (length === 127) {
+      if (buffer.length - offset < 10) break;
+      length = buffer.readUInt32BE(offset + 2) * 0x100000000 + buffer.readUInt32BE(offset + 6);
+      headerLength = 10;
+    }
+    const maskLength = masked ? 4 : 0;
+    if (buffer.length - offset < headerLength + maskLength + length) {
+      break;
+    }
+    const payload = Buffer.from(buffer.subarray(offset + headerLength + maskLength, offset + headerLength + maskLength + length));
+    if (masked) {
+      const mask = buffer.subarray(offset + headerLength, offset + headerLength + 4);
+      for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+      }
+    }
+    frames.push({ opcode, payload });
+    offset += headerLength + maskLength + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+};
+
+// kline event of a Binance kline row
+const toKlineEvent = (symbol, interval, row, isClosed, now) => ({
+  e: 'kline',
+  E: now,
+  s: symbol,
+  k: {
+    t: row[0],
+    T: row[6],
+    s: symbol,
+    i: interval,
+    o: row[1],
+    c: row[4],
+    h: row[2],
+    l: row[3],
+    v: row[5],
+    n: row[8],
+    x: isClosed,
+    q: row[7],
+    V: row[9],
+    Q: row[10]
+  }
+});
+
+// 24hrMiniTicker event of a 24hr ticker
+const toMiniTickerEvent = (ticker, now) => ({
+  e: '24hrMiniTicker',
+  E: now,
+  s: ticker.symbol,
+  c: ticker.lastPrice,
+  o: ticker.openPrice,
+  h: ticker.highPrice,
+  l: ticker.lowPrice,
+  v: ticker.volume,
+  q: ticker.quoteVolume
+});
+
+/**
+ * Serve combined streams on an http server's upgrade requests
+ * @param {Object} server - Node http.Server
+ * @param {Object} options - { market (createMockMarket), isListed (symbol -> boolean), updateMs (time between
+ *   updates, default 2000), dropAfterSeconds (drop every connection this long after it opened without a close
+ *   frame, 0 = never), log, now (time source, default Date.now) }
+ * @returns {Object} { close (drop every connection), getConnectionCount }
+ */
+export const attachMockStreams = (server, { market, isListed, updateMs = 2000, dropAfterSeconds = 0, log = () => {}, now = () => Date.now() }) => {
+  const connections = new Set();
+
+  // Streams of a /stream?streams=... request that the mock can serve: [{ name, symbol, type, interval }]
+  const parseStreams = (searchParams) => (searchParams.get('streams') || '')
+    .split('/')
+    .filter(Boolean)
+    .map(name => {
+      const [streamSymbol, type = ''] = name.split('@');
+      const symbol = streamSymbol.toUpperCase();
+      const interval = type.startsWith('kline_') ? type.slice('kline_'.length) : null;
+      return { name, symbol, type: interval ? 'kline' : type, interval };
+    })
+    .filter(stream => isListed(stream.symbol) && (stream.type === 'miniTicker' || (stream.type === 'kline' && INTERVAL_MS[stream.interval])));
+
+  const handleUpgrade = (request, socket) => {
+    const url = new URL(request.url, 'http://localhost');
+    const key = request.headers['sec-websocket-key'];
+    if (url.pathname !== '/stream' || !key || (request.headers.upgrade || '').toLowerCase() !== 'websocket') {
+      socket.end('HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n');
+      return;
+    }
+
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write(`HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`);
+    socket.setNoDelay(true);
+
+    const streams = parseStreams(url.searchParams);
+    // Open time of each kline stream's last closed candle, so closes are sent once
+    const lastClosedOpenTime = new Map();
+    const connection = { socket, timers: [] };
+    connections.add(connection);
+    log(`Stream connected: ${streams.length} stream(s)`);
+
+    const send = (stream, data) => socket.write(encodeFrame(OPCODES.TEXT, JSON.stringify({ stream: stream.name, data })));
+
+    const pushUpdates = () => {
+      const time = now();
+      streams.forEach(stream => {
+        if (stream.type === 'miniTicker') {
+          const ticker = market.get24hrTicker(stream.symbol);
+          if (ticker) {
+            send(stream, toMiniTickerEvent(ticker, time));
+          }
+          return;
+        }
+        const rows = market.getKlines(stream.symbol, stream.interval, { limit: 2 });
+        const forming = rows.find(row => row[6] >= time);
+        const closed = rows.filter(row => row[6] < time).pop();
+        if (closed && lastClosedOpenTime.has(stream.name) && lastClosedOpenTime.get(stream.name) !== closed[0]) {
+          send(stream, toKlineEvent(stream.symbol, stream.interval, closed, true, time));
+        }
+        if (closed) {
+          lastClosedOpenTime.set(stream.name, closed[0]);
+        }
+        if (forming) {
+          send(stream, toKlineEvent(stream.symbol, stream.interval, forming, false, time));
+        }
+      });
+    };
+
+    const end = () => {
+      connection.timers.forEach(timer => clearTimeout(timer));
+      connections.delete(connection);
+    };
+
+    pushUpdates();
+    connection.timers.push(setInterval(pushUpdates, updateMs));
+    if (dropAfterSeconds > 0) {
+      connection.timers.push(setTimeout(() => {
+        log(`Dropping stream connection after ${dropAfterSeconds}s`);
+        socket.destroy();
+      }, dropAfterSeconds * 1000));
+    }
+
+    let buffered = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+      const { frames, rest } = decodeFrames(Buffer.concat([buffered, chunk]));
+      buffered = rest;
+      frames.forEach(frame => {
+        if (frame.opcode === OPCODES.PING) {
+          socket.write(encodeFrame(OPCODES.PONG, frame.payload));
+        } else if (frame.opcode === OPCODES.CLOSE) {
+          end();
+          socket.end(encodeFrame(OPCODES.CLOSE, frame.payload.subarray(0, 2)));
+        }
+      });
+    });
+    socket.on('close', () => {
+      end();
+      log('Stream disconnected');
+    });
+    socket.on('error', () => socket.destroy());
+  };
+
+  server.on('upgrade', handleUpgrade);
+
+  return {
+    close: () => {
+      connections.forEach(connection => connection.socket.destroy());
+    },
+    getConnectionCount: () => connections.size
+  };
+};
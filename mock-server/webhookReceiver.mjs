@@ -0,0 +1,117 @@
+// Webhook Receiver
+// Local endpoint for the watcher's webhooks and chat messages (cli/watcher.mjs): logs every alert it
+// receives, and can answer the first requests with an error status to exercise the delivery retries.
+// It accepts any path, so it also stands in for the Telegram, Discord and Slack endpoints.
+//
+// Usage: npm run webhook-receiver -- [--port 4001] [--fail 0] [--fail-status 503] [--quiet]
+// Then run the watcher with --webhook http://localhost:4001/alerts or --chat discord=http://localhost:4001/discord.
+
+import { createServer } from 'http';
+import { pathToFileURL } from 'url';
+
+export const DEFAULT_WEBHOOK_RECEIVER_OPTIONS = {
+  port: 4001,
+  fail: 0,             // Requests answered with failStatus before the receiver starts accepting
+  failStatus: 503,
+  quiet: false         // Only log the first line of each alert
+};
+
+/**
+ * Create the webhook receiver (not listening yet - call listen(port))
+ * @param {Object} options - Overrides of DEFAULT_WEBHOOK_RECEIVER_OPTIONS, plus onAlert(payload)
+ * @returns {http.Server} Server (received payloads in server.received)
+ */
+export const createWebhookReceiver = (options = {}) => {
+  const config = { ...DEFAULT_WEBHOOK_RECEIVER_OPTIONS, ...options };
+  let failuresLeft = config.fail;
+
+  const server = createServer((req, res) => {
+    if (req.method !== 'POST') {
+      res.writeHead(405, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ error: 'POST alerts as JSON' }));
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      if (failuresLeft > 0) {
+        failuresLeft--;
+        console.log(`[WebhookReceiver] Failing request with ${config.failStatus} (${failuresLeft} failure(s) left)`);
+        res.writeHead(config.failStatus, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Scripted failure' }));
+        return;
+      }
+
+      let payload;
+      try {
+        payload = JSON.parse(body);
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'Invalid JSON' }));
+        return;
+      }
+
+      server.received.push(payload);
+      // Webhook payloads have a title, chat messages their text (Telegram, Slack) or content (Discord)
+      const message = payload.title || payload.text || payload.content || '';
+      console.log(config.quiet
+        ? `[WebhookReceiver] ${req.url} ${message.split('\n')[0]}`
+        : `[WebhookReceiver] ${req.url}\n${payload.title ? JSON.stringify(payload, null, 2) : message}`);
+      if (config.onAlert) {
+        config.onAlert(payload);
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true }));
+    });
+  });
+
+  server.received = [];
+  server.on('listening', () => {
+    console.log(`[WebhookReceiver] Listening on http://localhost:${server.address().port}`);
+  });
+  return server;
+};
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} args - Arguments after the script name
+ * @returns {Object} Options
+ */
+export const parseArgs = (args) => {
+  const options = {};
+  const toCamelCase = (name) => name.replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+  for (let i = 0; i < args.length; i++) {
+    const [flag, inlineValue] = args[i].split('=');
+    if (!flag.startsWith('--')) {
+      throw new Error(`Unexpected argument ${args[i]}`);
+    }
+    const name = toCamelCase(flag.slice(2));
+    if (!(name in DEFAULT_WEBHOOK_RECEIVER_OPTIONS)) {
+      throw new Error(`Unknown option ${flag}`);
+    }
+    if (typeof DEFAULT_WEBHOOK_RECEIVER_OPTIONS[name] === 'boolean') {
+      options[name] = true;
+      continue;
+    }
+    const value = inlineValue !== undefined ? inlineValue : args[++i];
+    if (value === undefined || !Number.isFinite(Number(value))) {
+      throw new Error(`${flag} needs a number`);
+    }
+    options[name] = Number(value);
+  }
+  return options;
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    const options = parseArgs(process.argv.slice(2));
+    const port = options.port || Number(process.env.PORT) || DEFAULT_WEBHOOK_RECEIVER_OPTIONS.port;
+    createWebhookReceiver(options).listen(port);
+  } catch (error) {
+    console.error(`[WebhookReceiver] ${error.message}`);
+    process.exit(1);
+  }
+}
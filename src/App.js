@@ -1,15 +1,77 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { fetchMultipleRSI, fetchOversoldHistory, fetchMultipleBreakoutSignals, formatNYTime } from './binance';
+import { ResponsiveContainer, ComposedChart, Area, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceArea, ReferenceLine, ReferenceDot } from 'recharts';
+import { fetchMultipleRSI, fetchOversoldHistory, fetchMultipleBreakoutSignals, fetchKlinesRange, getBinanceExchangeInfo, fetchSymbolTickSizes, binanceScheduler } from './binance';
+import { formatNYTime } from './timeFormat';
+import { DEFAULT_SESSION, SESSION_PRESETS, RANGE_INTERVAL_HOURS, validateSession } from './sessions';
+import { runBacktest } from './backtest';
+import { DEFAULT_STRATEGY_CONFIG, INTRABAR_POLICY_LABELS } from './breakoutStrategy';
+import { DEFAULT_SIMULATION, simulateSignal, getSignalTargets, getTargetsMovePercent, getRealizedMovePercent } from './simulation';
+import { MARGIN_MODES, MARGIN_MODE_LABELS } from './liquidation';
+import { DEFAULT_EQUITY_SETTINGS, buildEquityCurve, addBuyAndHold, getSymbolEquityKey } from './equityCurve';
+import { getSignalChartWindow, buildSignalChartData } from './signalChart';
+import { candleStore } from './candleStore';
+import { clock } from './clock';
+import { replayController, REPLAY_MODES } from './replay';
+import { createBinanceStream, STREAM_STATUS, STREAM_STATUS_LABELS } from './binanceStream';
+import { createLiveDetectors, mergeLiveBreakouts } from './liveDetectors';
+import {
+  RULE_CONDITIONS,
+  RULE_CONDITION_LABELS,
+  ALERT_SEVERITIES,
+  ALERT_SEVERITY_LABELS,
+  ALERT_CHANNELS,
+  ALERT_CHANNEL_LABELS,
+  DEFAULT_ALERT_RULES,
+  validateAlertRule,
+  describeAlertRule,
+  evaluateAlertRules,
+  updateSignalResults,
+  buildRuleAlertPayload
+} from './alertRules';
+import { postWebhook } from './alertDelivery';
+import { parseSignalLink } from './messageFormatters';
+import {
+  DEFAULT_WATCHLIST,
+  getWatchlist,
+  validateWatchlist,
+  createWatchlist,
+  addWatchlistSymbol,
+  removeWatchlistSymbol,
+  moveWatchlistSymbol,
+  searchExchangeSymbols
+} from './watchlist';
+import { DEFAULT_QUOTE_ASSET, QUOTE_ASSETS, toDisplaySymbol, toTradingPair, formatSymbolPrice, formatQuotedPrice } from './symbols';
+import {
+  DEFAULT_RISK_PROFILE,
+  RISK_PROFILE_PRESETS,
+  SL_MODES,
+  SL_MODE_LABELS,
+  TRAIL_MODES,
+  TRAIL_MODE_LABELS,
+  validateRiskProfile,
+  describeRiskProfile,
+  parseTargets,
+  getRiskProfileForSymbol,
+  getRiskProfilesSignature
+} from './riskProfiles';
 import { 
   isNotificationSupported, 
   requestNotificationPermission, 
   getNotificationPermission,
   registerServiceWorker,
-  sendNotification,
-  formatBreakoutNotification
+  sendNotification
 } from './notificationService';
 import './App.css';
 
+// Labels for the exit reason recorded on closed breakout signals
+const EXIT_REASON_LABELS = {
+  tp: 'TP',
+  sl: 'SL',
+  breakeven: 'Break-even',
+  trail: 'Trailing stop',
+  'session-end': 'Session end'
+};
+
 // Helper function to get RSI signal interpretation
 const getRSISignal = (rsi) => {
   if (rsi >= 70) return { text: '[RED] OVERBOUGHT', color: '#ff6b6b', bgColor: 'rgba(255, 107, 107, 0.2)' };
@@ -18,47 +80,6 @@ const getRSISignal = (rsi) => {
   return { text: '[BLUE] OVERSOLD', color: '#4dabf7', bgColor: 'rgba(77, 171, 247, 0.2)' };
 };
 
-// Timezone constant (UTC+7 - Bangkok/Indochina Time)
-const UTC_PLUS_7_OFFSET_MS = 7 * 60 * 60 * 1000; // 7 hours in milliseconds
-
-// Format timestamp to UTC+7 (Bangkok/Indochina Time)
-// For 1-hour candles, show time as HH:00
-const formatTimestamp = (timestamp) => {
-  if (!timestamp) return 'N/A';
-  try {
-    // Timestamp from Binance is in UTC, display in UTC+7 (Bangkok timezone)
-    const date = new Date(timestamp);
-    const dateFormatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'Asia/Bangkok',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false
-    });
-    const timeStr = dateFormatter.format(date);
-    // Round to :00 for 1-hour candles
-    const parts = timeStr.split(', ');
-    if (parts.length === 2) {
-      const [monthDay, time] = parts;
-      const [hour, minute] = time.split(':');
-      return `${monthDay}, ${hour.padStart(2, '0')}:00`;
-    }
-    // Fallback: format as MM/DD, HH:00
-    const [month, day, ...timeParts] = timeStr.split(/[/ ]/);
-    const time = timeParts.find(p => p.includes(':'));
-    if (time) {
-      const [hour] = time.split(':');
-      return `${month}/${day}, ${hour.padStart(2, '0')}:00`;
-    }
-    // If parsing fails, just return with :00
-    const [hour] = timeStr.split(':');
-    return hour ? `${hour.padStart(2, '0')}:00` : timeStr;
-  } catch (e) {
-    return 'Invalid Date';
-  }
-};
-
 // Format datetime to UTC+7 (Bangkok/Indochina Time) for display
 // Format: YYYY-MM-DD HH:MM:SS
 const formatDateTime = (timestamp) => {
@@ -106,7 +127,7 @@ const isToday = (timestamp) => {
   if (!timestamp) return false;
   try {
     const date = new Date(timestamp);
-    const now = new Date();
+    const now = clock.date();
     
     // Format both dates in Bangkok timezone (YYYY-MM-DD)
     const formatter = new Intl.DateTimeFormat('en-CA', {
@@ -164,7 +185,7 @@ const formatTime = (timestamp) => {
     const timeStr = formatter.format(date);
     // For 1-hour candles, round to :00 (top of the hour)
     // Extract hour and set minute to 00
-    const [hour, minute] = timeStr.split(':');
+    const [hour] = timeStr.split(':');
     return `${hour.padStart(2, '0')}:00`;
   } catch (e) {
     return 'Invalid Date';
@@ -202,157 +223,6 @@ const getDateAt1100UTC7 = (date) => {
   }
 };
 
-// Format price for display
-const formatPrice = (price) => {
-  if (!price || isNaN(price)) return 'N/A';
-  if (price >= 1000) {
-    return price.toFixed(2);
-  } else if (price >= 1) {
-    return price.toFixed(4);
-  } else if (price >= 0.01) {
-    return price.toFixed(4);
-  } else {
-    return price.toFixed(6);
-  }
-};
-
-// Shared cryptocurrency list - same across all features
-// Order: BTC BNB ETH XRP SOL SUI DOGE ADA ASTER PEPE ENA LINK TAO PUMP
-const DEFAULT_SYMBOLS = ['BTC/USDT', 'BNB/USDT', 'ETH/USDT', 'XRP/USDT', 'SOL/USDT', 'SUI/USDT', 'DOGE/USDT', 'ADA/USDT', 'ASTER/USDT', 'PEPE/USDT', 'ENA/USDT', 'LINK/USDT', 'TAO/USDT', 'PUMP/USDT'];
-
-// Cryptocurrency Filter Component
-const CryptoFilter = ({ selectedCryptos, onToggleCrypto, onSelectAll, onDeselectAll }) => {
-  const cryptoList = DEFAULT_SYMBOLS.map(s => s.replace('/USDT', ''));
-  const allSelected = selectedCryptos.size === cryptoList.length;
-  const someSelected = selectedCryptos.size > 0 && selectedCryptos.size < cryptoList.length;
-  
-  return (
-    <div style={{ 
-      marginBottom: '1.5rem',
-      padding: '1rem',
-      backgroundColor: 'rgba(255, 255, 255, 0.05)',
-      borderRadius: '8px',
-      border: '1px solid rgba(255, 255, 255, 0.1)'
-    }}>
-      <div style={{ 
-        display: 'flex', 
-        justifyContent: 'space-between', 
-        alignItems: 'center',
-        marginBottom: '0.75rem'
-      }}>
-        <h3 style={{ margin: 0, fontSize: '1rem', fontWeight: '600' }}>
-          Filter Cryptocurrencies
-        </h3>
-        <div style={{ display: 'flex', gap: '0.5rem' }}>
-          <button
-            onClick={onSelectAll}
-            style={{
-              padding: '0.4rem 0.8rem',
-              fontSize: '0.85rem',
-              backgroundColor: 'rgba(107, 207, 127, 0.2)',
-              color: '#6bcf7f',
-              border: '1px solid #6bcf7f',
-              borderRadius: '4px',
-              cursor: 'pointer',
-              fontWeight: '500'
-            }}
-            onMouseEnter={(e) => e.target.style.backgroundColor = 'rgba(107, 207, 127, 0.3)'}
-            onMouseLeave={(e) => e.target.style.backgroundColor = 'rgba(107, 207, 127, 0.2)'}
-          >
-            Select All
-          </button>
-          <button
-            onClick={onDeselectAll}
-            style={{
-              padding: '0.4rem 0.8rem',
-              fontSize: '0.85rem',
-              backgroundColor: 'rgba(255, 107, 107, 0.2)',
-              color: '#ff6b6b',
-              border: '1px solid #ff6b6b',
-              borderRadius: '4px',
-              cursor: 'pointer',
-              fontWeight: '500'
-            }}
-            onMouseEnter={(e) => e.target.style.backgroundColor = 'rgba(255, 107, 107, 0.3)'}
-            onMouseLeave={(e) => e.target.style.backgroundColor = 'rgba(255, 107, 107, 0.2)'}
-          >
-            Deselect All
-          </button>
-        </div>
-      </div>
-      <div style={{
-        display: 'flex',
-        flexWrap: 'wrap',
-        gap: '0.5rem'
-      }}>
-        {cryptoList.map((crypto) => {
-          const isSelected = selectedCryptos.has(crypto);
-          return (
-            <label
-              key={crypto}
-              style={{
-                display: 'flex',
-                alignItems: 'center',
-                padding: '0.5rem 0.75rem',
-                backgroundColor: isSelected 
-                  ? 'rgba(107, 207, 127, 0.2)' 
-                  : 'rgba(255, 255, 255, 0.05)',
-                border: `1px solid ${isSelected ? '#6bcf7f' : 'rgba(255, 255, 255, 0.2)'}`,
-                borderRadius: '4px',
-                cursor: 'pointer',
-                transition: 'all 0.2s',
-                fontWeight: isSelected ? '600' : '400'
-              }}
-              onMouseEnter={(e) => {
-                if (!isSelected) {
-                  e.currentTarget.style.backgroundColor = 'rgba(255, 255, 255, 0.1)';
-                  e.currentTarget.style.borderColor = 'rgba(255, 255, 255, 0.3)';
-                }
-              }}
-              onMouseLeave={(e) => {
-                if (!isSelected) {
-                  e.currentTarget.style.backgroundColor = 'rgba(255, 255, 255, 0.05)';
-                  e.currentTarget.style.borderColor = 'rgba(255, 255, 255, 0.2)';
-                }
-              }}
-            >
-              <input
-                type="checkbox"
-                checked={isSelected}
-                onChange={() => onToggleCrypto(crypto)}
-                style={{
-                  marginRight: '0.5rem',
-                  cursor: 'pointer',
-                  width: '16px',
-                  height: '16px'
-                }}
-              />
-              <span style={{
-                color: isSelected ? '#6bcf7f' : '#fff',
-                fontSize: '0.9rem'
-              }}>
-                {crypto}
-              </span>
-            </label>
-          );
-        })}
-      </div>
-      <div style={{
-        marginTop: '0.75rem',
-        fontSize: '0.85rem',
-        opacity: 0.7,
-        color: someSelected ? '#ffd93d' : '#fff'
-      }}>
-        {allSelected 
-          ? `All ${cryptoList.length} cryptocurrencies selected`
-          : someSelected 
-            ? `${selectedCryptos.size} of ${cryptoList.length} cryptocurrencies selected`
-            : 'No cryptocurrencies selected - all data will be hidden'}
-      </div>
-    </div>
-  );
-};
-
 // Helper function to normalize Date objects in data (convert strings to Date objects if needed)
 const normalizeDates = (data) => {
   if (!data || !Array.isArray(data)) return data;
@@ -382,6 +252,26 @@ const normalizeDates = (data) => {
   });
 };
 
+// Record or clear a symbol's fetch error (keyed by display symbol, e.g. 'PUMP')
+const updateSymbolError = (symbolErrors, symbol, error) => {
+  const next = { ...(symbolErrors || {}) };
+  if (error) {
+    next[toDisplaySymbol(symbol)] = { message: error, retrying: false };
+  } else {
+    delete next[toDisplaySymbol(symbol)];
+  }
+  return next;
+};
+
+// Flag the errors of symbols being retried (disables their retry buttons)
+const markSymbolErrorsRetrying = (symbolErrors, symbols) => {
+  const next = { ...(symbolErrors || {}) };
+  symbols.map(toDisplaySymbol).filter(symbol => next[symbol]).forEach(symbol => {
+    next[symbol] = { ...next[symbol], retrying: true };
+  });
+  return next;
+};
+
 // Helper function to filter data by selected cryptocurrencies
 const filterDataByCryptos = (data, selectedCryptos) => {
   if (!data || !Array.isArray(data)) return data;
@@ -389,13 +279,13 @@ const filterDataByCryptos = (data, selectedCryptos) => {
   // Normalize dates first (in case data comes from cache as strings)
   const normalizedData = normalizeDates(data);
   return normalizedData.filter(item => {
-    const symbol = (item.symbol || '').replace('/USDT', '');
+    const symbol = toDisplaySymbol(item.symbol);
     return selectedCryptos.has(symbol);
   });
 };
 
 // Section Toggle Component
-const SectionToggle = ({ isExpanded, onToggle, title, count, lastUpdateTime }) => {
+const SectionToggle = ({ isExpanded, onToggle, title, count, lastUpdateTime, progress = null }) => {
   return (
     <div style={{
       display: 'flex',
@@ -429,6 +319,11 @@ const SectionToggle = ({ isExpanded, onToggle, title, count, lastUpdateTime }) =
               Last updated: {formatDateTime(lastUpdateTime)}
             </span>
           )}
+          {progress && progress.completed < progress.total && (
+            <span style={{ fontSize: '0.75rem', opacity: 0.6, marginLeft: '1.5rem' }}>
+              Fetching symbols: {progress.completed}/{progress.total}
+            </span>
+          )}
         </div>
       </div>
       <span style={{ fontSize: '0.85rem', opacity: 0.7 }}>
@@ -438,16 +333,35 @@ const SectionToggle = ({ isExpanded, onToggle, title, count, lastUpdateTime }) =
   );
 };
 
+// Inline badge for a symbol whose last fetch failed, with a retry for just that symbol
+const SymbolErrorBadge = ({ label, symbolError, onRetry }) => {
+  return (
+    <span className="symbol-error-badge" title={symbolError.message}>
+      ⚠ {label} failed
+      {onRetry && (
+        <button className="symbol-retry-btn" onClick={onRetry} disabled={symbolError.retrying}>
+          {symbolError.retrying ? 'Retrying...' : 'Retry'}
+        </button>
+      )}
+    </span>
+  );
+};
+
 // Merged RSI + Breakout Status Table Component
 const MergedRSIBreakoutTable = ({ 
   rsiData, 
   rsiLoading, 
   rsiError, 
+  rsiProgress,
+  rsiSymbolErrors = {},
   onRefreshRSI,
+  onRetryRSISymbol,
   breakoutData, 
   breakoutLoading, 
   breakoutError,
+  breakoutSymbolErrors = {},
   onRefreshBreakout,
+  onRetryBreakoutSymbol,
   breakoutSignalsData,
   selectedCryptos, 
   isExpanded, 
@@ -462,7 +376,7 @@ const MergedRSIBreakoutTable = ({
   const rsiDataMap = new Map();
   if (filteredRsiData && Array.isArray(filteredRsiData)) {
     filteredRsiData.forEach(item => {
-      const symbol = (item.symbol || '').replace('/USDT', '');
+      const symbol = toDisplaySymbol(item.symbol);
       rsiDataMap.set(symbol.toUpperCase(), item);
     });
   }
@@ -476,7 +390,7 @@ const MergedRSIBreakoutTable = ({
     } else {
       // Create placeholder entry for missing RSI data
       return {
-        symbol: `${symbol}/USDT`,
+        symbol: toTradingPair(symbol),
         rsi: null,
         previous_rsi: null,
         timestamp: null,
@@ -510,8 +424,8 @@ const MergedRSIBreakoutTable = ({
       // Get all signals for this symbol that have re-entry time (signals with exit/re-entry)
       const symbolSignals = signalsArray
         .filter(s => {
-          // Match symbol (handle both "BNB" and "BNB/USDT" formats)
-          const sSymbol = (s.symbol || '').toUpperCase().replace('/USDT', '');
+          // Match symbol (handle both "BNB" and "BNB/USDT" formats, other quotes stay as "ETH/BTC")
+          const sSymbol = toDisplaySymbol((s.symbol || '').toUpperCase());
           const matchesSymbol = sSymbol === symbolUpper;
           const hasReentry = s.reentryTime && (s.reentryTime instanceof Date || new Date(s.reentryTime).getTime() > 0);
           // Prioritize pending, but also check others to see if we're missing something
@@ -548,7 +462,7 @@ const MergedRSIBreakoutTable = ({
     if (breakoutData && Array.isArray(breakoutData)) {
       const symbolBreakouts = breakoutData
         .filter(b => {
-          const bSymbol = (b.symbol || '').toUpperCase().replace('/USDT', '');
+          const bSymbol = toDisplaySymbol((b.symbol || '').toUpperCase());
           return bSymbol === symbolUpper;
         })
         .sort((a, b) => {
@@ -598,7 +512,7 @@ const MergedRSIBreakoutTable = ({
     if (signalsArray && Array.isArray(signalsArray)) {
       const closedSignals = signalsArray
         .filter(s => {
-          const sSymbol = (s.symbol || '').toUpperCase().replace('/USDT', '');
+          const sSymbol = toDisplaySymbol((s.symbol || '').toUpperCase());
           return sSymbol === symbolUpper && (s.result === 'win' || s.result === 'loss');
         })
         .sort((a, b) => {
@@ -624,7 +538,7 @@ const MergedRSIBreakoutTable = ({
       const breakoutDate = breakoutTime instanceof Date ? breakoutTime : new Date(breakoutTime);
       
       // Get today's date at 11:00 UTC+7 (start of today's 4H timeframe)
-      const todayAt1100UTC7 = getDateAt1100UTC7(new Date());
+      const todayAt1100UTC7 = getDateAt1100UTC7(clock.date());
       
       if (!todayAt1100UTC7) return false;
       
@@ -644,7 +558,7 @@ const MergedRSIBreakoutTable = ({
   // Returns true only if we haven't reset for today yet (ensures reset happens only once)
   const isAfter1500UTC7 = () => {
     try {
-      const now = new Date();
+      const now = clock.date();
       
       // Get today's date at 15:00 UTC+7 (end of today's 4H timeframe)
       // UTC+7 means UTC is 7 hours behind, so 15:00 UTC+7 = 08:00 UTC
@@ -703,6 +617,7 @@ const MergedRSIBreakoutTable = ({
           title="RSI Analysis & Breakout Status"
           count={loading ? null : dataCount}
           lastUpdateTime={lastUpdateTime}
+          progress={rsiProgress}
         />
       </div>
     );
@@ -717,6 +632,7 @@ const MergedRSIBreakoutTable = ({
           title="RSI Analysis & Breakout Status"
           count={null}
           lastUpdateTime={lastUpdateTime}
+          progress={rsiProgress}
         />
       <div className="loading-mini">
         <div className="spinner-mini"></div>
@@ -735,6 +651,7 @@ const MergedRSIBreakoutTable = ({
           title="RSI Analysis & Breakout Status"
           count={null}
           lastUpdateTime={lastUpdateTime}
+          progress={rsiProgress}
         />
       <div className="error-mini">
         <strong>Error:</strong> {error}
@@ -753,6 +670,7 @@ const MergedRSIBreakoutTable = ({
           title="RSI Analysis & Breakout Status"
           count={0}
           lastUpdateTime={lastUpdateTime}
+          progress={rsiProgress}
         />
         <p style={{ textAlign: 'center', padding: '2rem', opacity: 0.7 }}>
           No RSI data available. Click "Refresh" to fetch data.
@@ -769,6 +687,7 @@ const MergedRSIBreakoutTable = ({
         title="RSI Analysis & Breakout Status"
         count={dataCount}
         lastUpdateTime={lastUpdateTime}
+        progress={rsiProgress}
       />
       <div className="rsi-table-header">
         <div>
@@ -798,7 +717,7 @@ const MergedRSIBreakoutTable = ({
           </thead>
           <tbody>
             {filteredRsiData.map((item, index) => {
-              const symbol = item.symbol?.replace('/USDT', '') || 'N/A';
+              const symbol = toDisplaySymbol(item.symbol) || 'N/A';
               const prevRSI = item.previous_rsi ?? null;
               const currRSI = item.rsi ?? null;
               
@@ -846,7 +765,7 @@ const MergedRSIBreakoutTable = ({
                 
                 if (signalsArray && Array.isArray(signalsArray)) {
                   const symbolSignals = signalsArray.filter(s => {
-                    const sSymbol = (s.symbol || '').toUpperCase().replace('/USDT', '');
+                    const sSymbol = toDisplaySymbol((s.symbol || '').toUpperCase());
                     return sSymbol === symbol.toUpperCase();
                   });
                   console.log(`[DEBUG ${symbol}] Found ${symbolSignals.length} signals for symbol:`, symbolSignals.map(s => ({
@@ -1117,6 +1036,12 @@ const MergedRSIBreakoutTable = ({
                 <tr key={index}>
                   <td>
                     <strong>{symbol}</strong>
+                    {rsiSymbolErrors[symbol] && (
+                      <SymbolErrorBadge label="RSI" symbolError={rsiSymbolErrors[symbol]} onRetry={() => onRetryRSISymbol(toTradingPair(symbol))} />
+                    )}
+                    {breakoutSymbolErrors[symbol] && (
+                      <SymbolErrorBadge label="Breakout" symbolError={breakoutSymbolErrors[symbol]} onRetry={() => onRetryBreakoutSymbol(toTradingPair(symbol))} />
+                    )}
                   </td>
                   <td>
                     <span className="rsi-value" style={{ 
@@ -1179,11 +1104,11 @@ const MergedRSIBreakoutTable = ({
 };
 
 // Oversold History Table Component
-const OversoldHistoryTable = ({ data, loading, error, onRefresh, selectedCryptos, onToggleCrypto, isExpanded, onToggleExpanded, lastUpdateTime }) => {
+const OversoldHistoryTable = ({ data, loading, error, progress, onRefresh, selectedCryptos, onToggleCrypto, isExpanded, onToggleExpanded, lastUpdateTime }) => {
   // Filter data by selected cryptocurrencies (show/hide)
   const normalizedData = normalizeDates(data || []);
   const filteredData = normalizedData.filter(item => {
-    const symbol = (item.symbol || '').replace('/USDT', '');
+    const symbol = toDisplaySymbol(item.symbol);
     return selectedCryptos.has(symbol);
   });
   const dataCount = filteredData.length;
@@ -1197,12 +1122,14 @@ const OversoldHistoryTable = ({ data, loading, error, onRefresh, selectedCryptos
           title="Oversold History (RSI ≤ 30)"
           count={loading ? null : dataCount}
           lastUpdateTime={lastUpdateTime}
+          progress={progress}
         />
       </div>
     );
   }
 
-  if (loading) {
+  // Only show loading if we don't have data yet (symbols fill in as they arrive)
+  if (loading && (!data || !Array.isArray(data) || data.length === 0)) {
     return (
       <div className="oversold-table-container">
         <SectionToggle 
@@ -1211,6 +1138,7 @@ const OversoldHistoryTable = ({ data, loading, error, onRefresh, selectedCryptos
           title="Oversold History (RSI ≤ 30)"
           count={null}
           lastUpdateTime={lastUpdateTime}
+          progress={progress}
         />
       <div className="loading-mini">
         <div className="spinner-mini"></div>
@@ -1229,6 +1157,7 @@ const OversoldHistoryTable = ({ data, loading, error, onRefresh, selectedCryptos
           title="Oversold History (RSI ≤ 30)"
           count={null}
           lastUpdateTime={lastUpdateTime}
+          progress={progress}
         />
       <div className="error-mini">
         <strong>Error:</strong> {error}
@@ -1246,6 +1175,7 @@ const OversoldHistoryTable = ({ data, loading, error, onRefresh, selectedCryptos
           title="Oversold History (RSI ≤ 30)"
           count={0}
           lastUpdateTime={lastUpdateTime}
+          progress={progress}
         />
         <p style={{ textAlign: 'center', padding: '2rem', opacity: 0.7 }}>
           No oversold events found in the last 3 days. Click "Refresh" to fetch data.
@@ -1262,6 +1192,7 @@ const OversoldHistoryTable = ({ data, loading, error, onRefresh, selectedCryptos
         title="Oversold History (RSI ≤ 30)"
         count={dataCount}
         lastUpdateTime={lastUpdateTime}
+        progress={progress}
       />
       <div className="oversold-table-header">
         <div>
@@ -1284,7 +1215,7 @@ const OversoldHistoryTable = ({ data, loading, error, onRefresh, selectedCryptos
         
         // Count per cryptocurrency
         const summary = allData.reduce((acc, item) => {
-          const symbol = item.symbol.replace('/USDT', '');
+          const symbol = toDisplaySymbol(item.symbol);
           acc[symbol] = (acc[symbol] || 0) + 1;
           return acc;
         }, {});
@@ -1440,7 +1371,7 @@ const BreakoutsWithoutReentryTable = ({ data, loading, error, onRefresh, selecte
   // Filter data by selected cryptocurrencies (show/hide)
   const normalizedData = normalizeDates(data || []);
   const filteredData = normalizedData.filter(item => {
-    const symbol = (item.symbol || '').replace('/USDT', '');
+    const symbol = toDisplaySymbol(item.symbol);
     return selectedCryptos.has(symbol);
   });
   const dataCount = filteredData.length;
@@ -1574,15 +1505,15 @@ const BreakoutsWithoutReentryTable = ({ data, loading, error, onRefresh, selecte
                   <td>
                     <div className="range-info">
                       <span className="range-item">
-                        <strong>High:</strong> ${formatPrice(breakout.rangeHigh)}
+                        <strong>High:</strong> {formatQuotedPrice(breakout.rangeHigh, breakout.symbol)}
                       </span>
                       <span className="range-item">
-                        <strong>Low:</strong> ${formatPrice(breakout.rangeLow)}
+                        <strong>Low:</strong> {formatQuotedPrice(breakout.rangeLow, breakout.symbol)}
                       </span>
                     </div>
                   </td>
                   <td>{formatNYTime(breakout.breakoutTime)}</td>
-                  <td>${formatPrice(breakout.breakoutPrice)}</td>
+                  <td>{formatQuotedPrice(breakout.breakoutPrice, breakout.symbol)}</td>
                   <td>
                     <span className="direction-badge" style={{ 
                       backgroundColor: directionBadge.bgColor,
@@ -1594,7 +1525,7 @@ const BreakoutsWithoutReentryTable = ({ data, loading, error, onRefresh, selecte
                   </td>
                   <td>
                     {breakout.currentPrice ? (
-                      <span>${formatPrice(breakout.currentPrice)}</span>
+                      <span>{formatQuotedPrice(breakout.currentPrice, breakout.symbol)}</span>
                     ) : (
                       <span style={{ opacity: 0.6 }}>N/A</span>
                     )}
@@ -1621,17 +1552,203 @@ const BreakoutsWithoutReentryTable = ({ data, loading, error, onRefresh, selecte
 };
 
 // Breakout Trading Signals Table Component
-const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos, onToggleCrypto, isExpanded, onToggleExpanded, lastUpdateTime }) => {
+// Candlestick body + wick for a Bar whose value is the candle's [low, high]
+const CandlestickShape = ({ x, y, width, height, payload }) => {
+  const { open, close, high, low } = payload;
+  const isUp = close >= open;
+  const color = isUp ? '#6bcf7f' : '#ff6b6b';
+  const priceToY = (price) => high === low ? y : y + ((high - price) / (high - low)) * height;
+  const bodyTop = priceToY(Math.max(open, close));
+  const bodyHeight = Math.max(priceToY(Math.min(open, close)) - bodyTop, 1);
+  const centerX = x + width / 2;
+  return (
+    <g>
+      <line x1={centerX} x2={centerX} y1={y} y2={y + height} stroke={color} strokeWidth={1} />
+      <rect x={x} y={bodyTop} width={Math.max(width, 1)} height={bodyHeight} fill={color} />
+    </g>
+  );
+};
+
+const SIGNAL_LEVEL_COLORS = {
+  entry: '#4da2ff',
+  sl: '#ff6b6b'
+};
+
+const SignalChartModal = ({ signal, onClose }) => {
+  const [chart, setChart] = useState({ loading: true, data: null, error: null });
+  
+  useEffect(() => {
+    let cancelled = false;
+    const { startTime, endTime } = getSignalChartWindow(signal);
+    setChart({ loading: true, data: null, error: null });
+    fetchKlinesRange(toTradingPair(signal.symbol), '5m', startTime, endTime)
+      .then(candles => {
+        if (!cancelled) {
+          setChart({ loading: false, data: buildSignalChartData(signal, candles), error: null });
+        }
+      })
+      .catch(error => {
+        console.error(`[SignalChart] Error fetching 5m candles for ${signal.symbol}:`, error);
+        if (!cancelled) {
+          setChart({ loading: false, data: null, error: error.message || 'Failed to load candles' });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [signal]);
+  
+  // Close on Escape
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        onClose();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+  
+  const { data } = chart;
+  const exitLabel = signal.exitReason ? (EXIT_REASON_LABELS[signal.exitReason] || signal.exitReason) : 'Open';
+  
+  return (
+    <div className="chart-modal-overlay" onClick={onClose}>
+      <div className="chart-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="chart-modal-header">
+          <div>
+            <h3 style={{ margin: 0 }}>
+              {signal.symbol} {signal.breakoutDirection.toUpperCase()} | {signal.sessionName || signal.session} {signal.rangeDate}
+            </h3>
+            <p className="breakout-subtitle" style={{ margin: '0.25rem 0 0 0' }}>
+              Range {formatQuotedPrice(signal.rangeLow, signal.symbol)} - {formatQuotedPrice(signal.rangeHigh, signal.symbol)} | Breakout {formatNYTime(signal.breakoutTime)} | Re-entry {formatNYTime(signal.reentryTime)} | {signal.closeTime ? `Closed ${formatNYTime(signal.closeTime)} (${exitLabel})` : 'Position open'}
+            </p>
+          </div>
+          <button onClick={onClose} className="refresh-btn-small">✕ Close</button>
+        </div>
+        
+        {chart.loading && (
+          <div className="loading-mini">
+            <div className="spinner-mini"></div>
+            <span>Loading 5m candles...</span>
+          </div>
+        )}
+        
+        {chart.error && (
+          <div className="error-mini">
+            <strong>Error:</strong> {chart.error}
+          </div>
+        )}
+        
+        {data && (
+          <div className="trend-chart-wrapper">
+            <ResponsiveContainer width="100%" height={460}>
+              <ComposedChart data={data.points} margin={{ top: 10, right: 60, bottom: 10, left: 10 }}>
+                <CartesianGrid />
+                <XAxis
+                  dataKey="time"
+                  tickFormatter={(time) => formatNYTime(time)}
+                  stroke="rgba(255, 255, 255, 0.6)"
+                  fontSize={11}
+                  minTickGap={40}
+                />
+                <YAxis
+                  domain={data.yDomain}
+                  tickFormatter={(value) => formatSymbolPrice(value, signal.symbol)}
+                  stroke="rgba(255, 255, 255, 0.6)"
+                  fontSize={11}
+                  width={80}
+                  allowDataOverflow
+                />
+                <Tooltip
+                  content={({ active, payload }) => {
+                    if (!active || !payload || payload.length === 0) {
+                      return null;
+                    }
+                    const point = payload[0].payload;
+                    return (
+                      <div style={{ background: '#1e222d', border: '1px solid rgba(255, 255, 255, 0.15)', borderRadius: '4px', padding: '0.5rem 0.75rem', fontSize: '0.85rem' }}>
+                        <div style={{ marginBottom: '0.25rem', opacity: 0.8 }}>{formatNYTime(point.time)}</div>
+                        <div>O {formatQuotedPrice(point.open, signal.symbol)} H {formatQuotedPrice(point.high, signal.symbol)}</div>
+                        <div>L {formatQuotedPrice(point.low, signal.symbol)} C {formatQuotedPrice(point.close, signal.symbol)}</div>
+                      </div>
+                    );
+                  }}
+                />
+                {data.rangeBox && (
+                  <ReferenceArea {...data.rangeBox} fill="#ffd93d" fillOpacity={0.12} stroke="#ffd93d" strokeOpacity={0.6} />
+                )}
+                <ReferenceLine y={signal.rangeHigh} stroke="#ffd93d" strokeDasharray="2 4" strokeOpacity={0.5} />
+                <ReferenceLine y={signal.rangeLow} stroke="#ffd93d" strokeDasharray="2 4" strokeOpacity={0.5} />
+                {data.levels.map(level => (
+                  <ReferenceLine
+                    key={level.key}
+                    y={level.price}
+                    stroke={SIGNAL_LEVEL_COLORS[level.key] || '#6bcf7f'}
+                    strokeDasharray="6 3"
+                    label={{ value: level.label, position: 'right', fill: SIGNAL_LEVEL_COLORS[level.key] || '#6bcf7f', fontSize: 11 }}
+                  />
+                ))}
+                <Bar dataKey="range" shape={CandlestickShape} isAnimationActive={false} />
+                {data.breakout && (
+                  <ReferenceDot x={data.breakout.time} y={data.breakout.price} r={6} fill="#ff9800" stroke="#fff" label={{ value: 'Breakout', position: 'top', fill: '#ff9800', fontSize: 11 }} />
+                )}
+                {data.reentry && (
+                  <ReferenceDot x={data.reentry.time} y={data.reentry.price} r={6} fill="#4da2ff" stroke="#fff" label={{ value: 'Re-entry', position: 'bottom', fill: '#4da2ff', fontSize: 11 }} />
+                )}
+                {data.exits.map((exit, index) => (
+                  <ReferenceDot
+                    key={`${exit.type}-${index}`}
+                    x={exit.time}
+                    y={exit.price}
+                    r={6}
+                    fill={exit.type.startsWith('tp') ? '#6bcf7f' : '#ff6b6b'}
+                    stroke="#fff"
+                    label={{ value: `${exit.type.toUpperCase()} ${exit.percent}%`, position: 'top', fill: '#fff', fontSize: 11 }}
+                  />
+                ))}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const BreakoutSignalsTable = ({ data, loading, error, progress, symbolErrors = {}, onRetrySymbol, sessions = [DEFAULT_SESSION], simulationSettings = DEFAULT_SIMULATION, onSimulationSettingsChange, onRefresh, selectedCryptos, onToggleCrypto, isExpanded, onToggleExpanded, lastUpdateTime, linkedSignal, onLinkedSignalOpened }) => {
+  const [chartSignal, setChartSignal] = useState(null); // Signal shown in the candlestick chart modal
+
+  // Signal deep link (chat messages): open its chart as soon as the signal is loaded
+  useEffect(() => {
+    if (!linkedSignal || !data) {
+      return;
+    }
+    const signal = normalizeDates(data).find(item => (
+      toDisplaySymbol(item.symbol) === toDisplaySymbol(linkedSignal.symbol) &&
+      item.reentryTime && item.reentryTime.getTime() === linkedSignal.time &&
+      (!linkedSignal.session || item.session === linkedSignal.session)
+    ));
+    if (signal) {
+      setChartSignal(signal);
+      if (!isExpanded) {
+        onToggleExpanded();
+      }
+      onLinkedSignalOpened();
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [linkedSignal, data]);
+  
   // Filter data by selected cryptocurrencies (show/hide)
   const normalizedData = normalizeDates(data || []);
   
   // Calculate 24 hours ago from current time
-  const now = new Date();
+  const now = clock.date();
   const twentyFourHoursAgo = now.getTime() - (24 * 60 * 60 * 1000);
   
   // Filter by selected cryptos AND last 24 hours (based on exit time for closed, entry time for pending)
   const filteredDataRaw = normalizedData.filter(item => {
-    const symbol = (item.symbol || '').replace('/USDT', '');
+    const symbol = toDisplaySymbol(item.symbol);
     if (!selectedCryptos.has(symbol)) {
       return false;
     }
@@ -1661,6 +1778,10 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
   });
   
   const dataCount = filteredData ? filteredData.length : 0;
+  
+  // $1000 per trade at the chosen leverage / margin mode (cross margin is backed by the $10,000 wallet)
+  const simulationOptions = { leverage: simulationSettings.leverage, marginMode: simulationSettings.marginMode };
+  const simulationLabel = `$1000 @ ${simulationSettings.leverage}x ${MARGIN_MODE_LABELS[simulationSettings.marginMode] || ''}`.trim();
 
   if (!isExpanded) {
     return (
@@ -1671,6 +1792,7 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
           title="4H UTC+7 Breakout Trading Signals"
           count={loading ? null : dataCount}
           lastUpdateTime={lastUpdateTime}
+          progress={progress}
         />
       </div>
     );
@@ -1686,6 +1808,7 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
           title="4H UTC+7 Breakout Trading Signals"
           count={null}
           lastUpdateTime={lastUpdateTime}
+          progress={progress}
         />
         <div className="loading-mini">
           <div className="spinner-mini"></div>
@@ -1704,6 +1827,7 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
           title="4H UTC+7 Breakout Trading Signals"
           count={null}
           lastUpdateTime={lastUpdateTime}
+          progress={progress}
         />
         <div className="error-mini">
           <strong>Error:</strong> {error}
@@ -1721,6 +1845,7 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
           title="4H UTC+7 Breakout Trading Signals"
           count={0}
           lastUpdateTime={lastUpdateTime}
+          progress={progress}
         />
         <p style={{ textAlign: 'center', padding: '2rem', opacity: 0.7 }}>
           No breakout signals found. Click "Refresh" to fetch data.
@@ -1737,10 +1862,42 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
         title="4H UTC+7 Breakout Trading Signals"
         count={dataCount}
         lastUpdateTime={lastUpdateTime}
+        progress={progress}
       />
       <div className="breakout-table-header">
         <div>
-          <p className="breakout-subtitle">Last 7 days | BTC Only | 4H Range (High/Low) | 5m Exit/Re-entry | Detection: UTC+7 Time 11:00-15:00 | Display: UTC+7 | Risk Ratio 1:2</p>
+          <p className="breakout-subtitle">Last 7 days | BTC Only | 4H Range (High/Low) | 5m Exit/Re-entry | Sessions: {sessions.map(session => session.name).join(', ')} | Display: UTC+7 | SL/TP: per-symbol risk profile</p>
+          <div className="settings-list inline">
+            <label className="settings-list-item">
+              Leverage
+              <input
+                className="settings-input"
+                type="number"
+                min="1"
+                max="125"
+                value={simulationSettings.leverage}
+                onChange={(e) => {
+                  const leverage = parseInt(e.target.value, 10);
+                  if (leverage >= 1 && leverage <= 125) {
+                    onSimulationSettingsChange({ ...simulationSettings, leverage });
+                  }
+                }}
+                style={{ width: '4.5rem' }}
+              />
+            </label>
+            <label className="settings-list-item">
+              Margin
+              <select
+                className="settings-input"
+                value={simulationSettings.marginMode}
+                onChange={(e) => onSimulationSettingsChange({ ...simulationSettings, marginMode: e.target.value })}
+              >
+                {Object.keys(MARGIN_MODE_LABELS).map(mode => (
+                  <option key={mode} value={mode}>{MARGIN_MODE_LABELS[mode]}</option>
+                ))}
+              </select>
+            </label>
+          </div>
         </div>
         <button onClick={onRefresh} className="refresh-btn-small" disabled={loading}>
           {loading ? 'Loading...' : 'Refresh'}
@@ -1750,6 +1907,16 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
         <p className="breakout-count">
           <strong>[DATA]</strong> Found <strong>{filteredData.length}</strong> trading signals:
         </p>
+        {Object.keys(symbolErrors).length > 0 && (
+          <p className="breakout-count">
+            {Object.keys(symbolErrors).map(symbol => (
+              <span key={symbol} style={{ marginRight: '0.75rem' }}>
+                <strong>{symbol}</strong>
+                <SymbolErrorBadge label="Fetch" symbolError={symbolErrors[symbol]} onRetry={() => onRetrySymbol(toTradingPair(symbol))} />
+              </span>
+            ))}
+          </p>
+        )}
       </div>
       
       {/* Summary by Cryptocurrency */}
@@ -1764,13 +1931,26 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
               total: 0,
               wins: 0,
               losses: 0,
-              pending: 0
+              pending: 0,
+              grossPnl: 0,
+              netPnl: 0,
+              costs: 0
             };
           }
           acc[symbol].total++;
           if (signal.result === 'win') acc[symbol].wins++;
           else if (signal.result === 'loss') acc[symbol].losses++;
           else acc[symbol].pending++;
+          
+          // Cumulative simulated P&L and costs (fees + slippage + funding) of closed trades
+          if (signal.result === 'win' || signal.result === 'loss') {
+            const { realized, netRealized, costs } = simulateSignal(signal, simulationOptions);
+            if (realized !== null) {
+              acc[symbol].grossPnl += realized;
+              acc[symbol].netPnl += netRealized;
+              acc[symbol].costs += costs.total;
+            }
+          }
           return acc;
         }, {});
         
@@ -1863,6 +2043,13 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                         </span>
                       </div>
                     )}
+                    {summary.completed > 0 && (
+                      <div style={{ fontSize: '0.8rem', opacity: 0.85 }}>
+                        Gross {summary.grossPnl >= 0 ? '+' : '-'}${Math.abs(summary.grossPnl).toFixed(2)}
+                        {' | '}Net <span style={{ color: summary.netPnl >= 0 ? '#6bcf7f' : '#ff6b6b' }}>{summary.netPnl >= 0 ? '+' : '-'}${Math.abs(summary.netPnl).toFixed(2)}</span>
+                        {' | '}Costs <span style={{ color: '#ff6b6b' }}>-${summary.costs.toFixed(2)}</span>
+                      </div>
+                    )}
                   </div>
                 );
               })}
@@ -1881,7 +2068,7 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
               <th>Long/Short</th>
               <th>TP/SL</th>
               <th>Gain %</th>
-              <th>Simulation ($1000 @ 50x)</th>
+              <th>Simulation ({simulationLabel})</th>
             </tr>
           </thead>
           <tbody>
@@ -1889,66 +2076,44 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
               const isWin = signal.result === 'win';
               const isLoss = signal.result === 'loss';
               const isPending = signal.result === 'pending';
-              const rowClass = `breakout-row ${isWin ? 'win-row' : ''} ${isLoss ? 'loss-row' : ''} ${isPending ? 'pending-row' : ''}`;
+              
+              // Simulation P&L at the chosen leverage (partial exits weighted, liquidation checked)
+              const simulation = simulateSignal(signal, simulationOptions);
+              const isLiquidated = simulation.liquidated;
+              const rowClass = `breakout-row ${isWin && !isLiquidated ? 'win-row' : ''} ${isLoss || isLiquidated ? 'loss-row' : ''} ${isPending && !isLiquidated ? 'pending-row' : ''}`;
               
               const directionBadge = signal.breakoutDirection === 'long' 
                 ? { text: 'LONG', color: '#6bcf7f', bgColor: 'rgba(107, 207, 127, 0.2)' }
                 : { text: 'SHORT', color: '#ff6b6b', bgColor: 'rgba(255, 107, 107, 0.2)' };
               
-              // Calculate percentage gain from entry to take profit
+              // Percentage move: realized from fills once closed, all targets while pending
               const calculateGainPercent = () => {
                 if (!signal.entryPrice || !signal.takeProfit) return 'N/A';
-                if (signal.breakoutDirection === 'long') {
-                  // For LONG: (TP - Entry) / Entry * 100
-                  const gain = ((signal.takeProfit - signal.entryPrice) / signal.entryPrice) * 100;
-                  return gain.toFixed(2);
-                } else {
-                  // For SHORT: (Entry - TP) / Entry * 100
-                  const gain = ((signal.entryPrice - signal.takeProfit) / signal.entryPrice) * 100;
-                  return gain.toFixed(2);
-                }
+                const move = isPending ? getTargetsMovePercent(signal) : getRealizedMovePercent(signal);
+                return move === null ? 'N/A' : move.toFixed(2);
               };
               
               const gainPercent = calculateGainPercent();
               
-              // Calculate simulation P&L for $1000 at 50x leverage
-              const calculateSimulation = () => {
-                if (!signal.entryPrice || !signal.takeProfit || !signal.stopLoss) return { profit: null, loss: null };
-                
-                const principal = 1000;
-                const leverage = 50;
-                
-                if (signal.breakoutDirection === 'long') {
-                  // For LONG: Profit at TP, Loss at SL
-                  const tpPriceChange = ((signal.takeProfit - signal.entryPrice) / signal.entryPrice);
-                  const slPriceChange = ((signal.entryPrice - signal.stopLoss) / signal.entryPrice);
-                  const profit = principal * leverage * tpPriceChange;
-                  const loss = principal * leverage * slPriceChange;
-                  return { profit, loss };
-                } else {
-                  // For SHORT: Profit at TP, Loss at SL
-                  const tpPriceChange = ((signal.entryPrice - signal.takeProfit) / signal.entryPrice);
-                  const slPriceChange = ((signal.stopLoss - signal.entryPrice) / signal.entryPrice);
-                  const profit = principal * leverage * tpPriceChange;
-                  const loss = principal * leverage * slPriceChange;
-                  return { profit, loss };
-                }
-              };
-              
-              const simulation = calculateSimulation();
-              
               return (
-                <tr key={index} className={rowClass.trim()}>
+                <tr key={index} className={rowClass.trim()} onClick={() => setChartSignal(signal)} style={{ cursor: 'pointer' }} title="Show chart">
                   <td><strong>{signal.symbol}</strong></td>
                   <td>
                     <div className="range-info">
                       <span className="range-item">
-                        <strong>High:</strong> ${signal.rangeHigh ? formatPrice(signal.rangeHigh) : 'N/A'}
+                        <strong>High:</strong> {formatQuotedPrice(signal.rangeHigh, signal.symbol)}
                       </span>
                       <span className="range-item">
-                        <strong>Low:</strong> ${signal.rangeLow ? formatPrice(signal.rangeLow) : 'N/A'}
+                        <strong>Low:</strong> {formatQuotedPrice(signal.rangeLow, signal.symbol)}
                       </span>
-                      {signal.rangeCloseTime && (() => {
+                      {signal.sessionName && (
+                        <span className="session-tag">{signal.sessionName}</span>
+                      )}
+                      {signal.rangeOpenTime ? (
+                        <span className="range-item" style={{ marginTop: '0.25rem', fontSize: '0.85rem', opacity: 0.8 }}>
+                          {formatNYTime(signal.rangeOpenTime)}
+                        </span>
+                      ) : signal.rangeCloseTime && (() => {
                         const dateAt1100 = getDateAt1100UTC7(signal.rangeCloseTime);
                         return dateAt1100 ? (
                           <span className="range-item" style={{ marginTop: '0.25rem', fontSize: '0.85rem', opacity: 0.8 }}>
@@ -1981,16 +2146,47 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                     }}>
                       {directionBadge.text}
                     </span>
-                    <span style={{ marginLeft: '0.5rem' }}>${formatPrice(signal.entryPrice)}</span>
+                    <span style={{ marginLeft: '0.5rem' }}>{formatQuotedPrice(signal.entryPrice, signal.symbol)}</span>
                   </td>
                   <td>
                     <div className="tp-sl-info">
+                      {getSignalTargets(signal).length > 1 ? getSignalTargets(signal).map((target, targetIndex) => {
+                        const filled = (signal.fills || []).some(fill => fill.type === `tp${targetIndex + 1}`);
+                        return (
+                          <span key={targetIndex} className="tp-sl-item" style={{ opacity: filled ? 0.6 : 1 }}>
+                            <strong>TP{targetIndex + 1}:</strong> {formatQuotedPrice(target.price, signal.symbol)} ({target.closePercent}%){filled && ' ✓'}
+                          </span>
+                        );
+                      }) : (
+                        <span className="tp-sl-item">
+                          <strong>TP:</strong> {formatQuotedPrice(signal.takeProfit, signal.symbol)}
+                        </span>
+                      )}
                       <span className="tp-sl-item">
-                        <strong>TP:</strong> ${formatPrice(signal.takeProfit)}
-                      </span>
-                      <span className="tp-sl-item">
-                        <strong>SL:</strong> ${formatPrice(signal.stopLoss)}
+                        <strong>SL:</strong> {formatQuotedPrice(signal.stopLoss, signal.symbol)}
                       </span>
+                      {signal.currentStop !== undefined && signal.currentStop !== signal.stopLoss && (
+                        <span className="tp-sl-item">
+                          <strong>{signal.stopReason === 'trail' ? 'Trail:' : 'Stop:'}</strong> {formatQuotedPrice(signal.currentStop, signal.symbol)}{signal.stopReason === 'breakeven' && ' (BE)'}
+                        </span>
+                      )}
+                      {signal.intrabarAmbiguous && (
+                        <span
+                          className="tp-sl-item"
+                          style={{ fontSize: '0.8rem', color: '#ffd93d' }}
+                          title="A 5m candle reached both the stop and a target"
+                        >
+                          ⚠ Stop + TP in one candle ({signal.intrabarChecks.map(check => check.resolution).join(', ')})
+                        </span>
+                      )}
+                      {signal.exitReason && (
+                        <span className="tp-sl-item" style={{ fontSize: '0.85rem', opacity: 0.8 }}>
+                          Exit: {EXIT_REASON_LABELS[signal.exitReason] || signal.exitReason}
+                        </span>
+                      )}
+                      {signal.riskProfileName && (
+                        <span className="session-tag">{signal.riskProfileName}</span>
+                      )}
                     </div>
                   </td>
                   <td>
@@ -1999,7 +2195,7 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                       fontWeight: 'bold',
                       fontSize: '1rem'
                     }}>
-                      {gainPercent !== 'N/A' ? (isLoss ? `-${gainPercent}%` : `+${gainPercent}%`) : gainPercent}
+                      {gainPercent !== 'N/A' ? `${parseFloat(gainPercent) >= 0 ? '+' : ''}${gainPercent}%` : gainPercent}
                     </span>
                   </td>
                   <td>
@@ -2014,6 +2210,9 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                           }}>
                             +${simulation.profit.toFixed(2)}
                           </span>
+                          <span style={{ fontSize: '0.75rem', opacity: 0.7 }}>
+                            (net {simulation.netProfit >= 0 ? '+' : '-'}${Math.abs(simulation.netProfit).toFixed(2)})
+                          </span>
                         </div>
                         <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
                           <span style={{ fontSize: '0.85rem', opacity: 0.8 }}>SL Hit:</span>
@@ -2024,6 +2223,9 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                           }}>
                             -${simulation.loss.toFixed(2)}
                           </span>
+                          <span style={{ fontSize: '0.75rem', opacity: 0.7 }}>
+                            (net -${simulation.netLoss.toFixed(2)})
+                          </span>
                         </div>
                         <div style={{ 
                           fontSize: '0.75rem', 
@@ -2031,10 +2233,22 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                           marginTop: '0.25rem',
                           fontStyle: 'italic'
                         }}>
-                          {isWin && `Final: +$${(simulation.profit).toFixed(2)}`}
-                          {isLoss && `Final: -$${(simulation.loss).toFixed(2)}`}
-                          {isPending && `Net: +$${(simulation.profit - simulation.loss).toFixed(2)} if win`}
+                          {isLiquidated && (
+                            <span style={{ color: '#ff6b6b', fontWeight: 'bold', fontStyle: 'normal', display: 'block' }}>
+                              LIQUIDATED at {formatQuotedPrice(simulation.liquidationPrice, signal.symbol)}
+                            </span>
+                          )}
+                          {(!isPending || isLiquidated) && simulation.realized !== null && `Final: ${simulation.realized >= 0 ? '+' : '-'}$${Math.abs(simulation.realized).toFixed(2)} gross, ${simulation.netRealized >= 0 ? '+' : '-'}$${Math.abs(simulation.netRealized).toFixed(2)} net`}
+                          {isPending && !isLiquidated && `Net: +$${(simulation.profit - simulation.loss).toFixed(2)} if win`}
                         </div>
+                        <div style={{ fontSize: '0.7rem', opacity: 0.6 }}>
+                          {simulation.liquidationPrice !== null ? `Liq. price: ${formatQuotedPrice(simulation.liquidationPrice, signal.symbol)}` : 'No liquidation price'}
+                        </div>
+                        {simulation.costs && (
+                          <div style={{ fontSize: '0.7rem', opacity: 0.6 }}>
+                            Costs: fees ${simulation.costs.fees.toFixed(2)}, slippage ${simulation.costs.slippage.toFixed(2)}, funding {simulation.costs.funding >= 0 ? '' : '-'}${Math.abs(simulation.costs.funding).toFixed(2)}
+                          </div>
+                        )}
                       </div>
                     ) : (
                       <span style={{ opacity: 0.6 }}>N/A</span>
@@ -2055,10 +2269,10 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
           const winRate = completed > 0 ? ((wins / completed) * 100).toFixed(2) : 0;
           const lossRate = completed > 0 ? ((losses / completed) * 100).toFixed(2) : 0;
           
-          // Wallet Simulation: $10,000 wallet, $1000 per trade @ 50x leverage
+          // Wallet Simulation: $10,000 wallet, $1000 per trade at the chosen leverage / margin mode
           const walletBalance = 10000;
           const perTradeAllocation = 1000;
-          const leverage = 50;
+          const { leverage, marginMode } = simulationSettings;
           
           const calculateWalletSimulation = () => {
             let totalProfitIfAllTP = 0;
@@ -2067,29 +2281,38 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
             let actualLoss = 0;
             let pendingProfit = 0;
             let pendingLoss = 0;
+            let totalNetProfitIfAllTP = 0;
+            let totalNetLossIfAllSL = 0;
+            let totalCosts = 0;
+            let liquidations = 0;
+            let liquidatedAmount = 0;
             
             filteredData.forEach(signal => {
               if (!signal.entryPrice || !signal.takeProfit || !signal.stopLoss) return;
               
-              let tpPriceChange, slPriceChange;
-              if (signal.breakoutDirection === 'long') {
-                tpPriceChange = ((signal.takeProfit - signal.entryPrice) / signal.entryPrice);
-                slPriceChange = ((signal.entryPrice - signal.stopLoss) / signal.entryPrice);
-              } else {
-                tpPriceChange = ((signal.entryPrice - signal.takeProfit) / signal.entryPrice);
-                slPriceChange = ((signal.stopLoss - signal.entryPrice) / signal.entryPrice);
-              }
-              
-              const profit = perTradeAllocation * leverage * tpPriceChange;
-              const loss = perTradeAllocation * leverage * slPriceChange;
+              const { profit, loss, realized, netProfit, netLoss, costs, liquidated } = simulateSignal(signal, { principal: perTradeAllocation, leverage, marginMode, walletBalance });
               
               totalProfitIfAllTP += profit;
               totalLossIfAllSL += loss;
+              totalNetProfitIfAllTP += netProfit;
+              totalNetLossIfAllSL += netLoss;
+              
+              if (liquidated) {
+                liquidations++;
+                liquidatedAmount += -realized;
+              }
               
-              if (signal.result === 'win') {
-                actualProfit += profit;
-              } else if (signal.result === 'loss') {
-                actualLoss += loss;
+              // A liquidated position is closed, whatever the signal did afterwards
+              if (signal.result === 'win' || signal.result === 'loss' || liquidated) {
+                // Fees + slippage + funding of closed trades
+                totalCosts += costs.total;
+                
+                // Closed trades use the realized P&L of their fills (a scaled exit can win less than the full TP)
+                if (realized >= 0) {
+                  actualProfit += realized;
+                } else {
+                  actualLoss += -realized;
+                }
               } else if (signal.result === 'pending') {
                 pendingProfit += profit;
                 pendingLoss += loss;
@@ -2097,7 +2320,8 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
             });
             
             const actualNet = actualProfit - actualLoss;
-            const finalWallet = walletBalance + actualNet;
+            const actualNetAfterCosts = actualNet - totalCosts;
+            const finalWallet = walletBalance + actualNetAfterCosts;
             const potentialNet = totalProfitIfAllTP - totalLossIfAllSL;
             const optimisticFinal = walletBalance + totalProfitIfAllTP;
             const pessimisticFinal = walletBalance - totalLossIfAllSL;
@@ -2108,6 +2332,12 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
               actualProfit,
               actualLoss,
               actualNet,
+              actualNetAfterCosts,
+              totalCosts,
+              liquidations,
+              liquidatedAmount,
+              totalNetProfitIfAllTP,
+              totalNetLossIfAllSL,
               finalWallet,
               potentialNet,
               optimisticFinal,
@@ -2161,7 +2391,7 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                   marginBottom: '0.75rem',
                   color: '#ffd93d'
                 }}>
-                  💰 Wallet Simulation: ${walletBalance.toLocaleString()} @ $1,000/trade (50x leverage)
+                  💰 Wallet Simulation: ${walletBalance.toLocaleString()} @ $1,000/trade ({leverage}x leverage, {MARGIN_MODE_LABELS[marginMode]} margin)
                 </h4>
                 
                 <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
@@ -2184,7 +2414,7 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                         +${simulation.totalProfitIfAllTP.toFixed(2)}
                       </div>
                       <div style={{ fontSize: '0.85rem', opacity: 0.7, marginTop: '0.25rem' }}>
-                        Final: ${simulation.optimisticFinal.toFixed(2)}
+                        Final: ${simulation.optimisticFinal.toFixed(2)} | Net of costs: {simulation.totalNetProfitIfAllTP >= 0 ? '+' : '-'}${Math.abs(simulation.totalNetProfitIfAllTP).toFixed(2)}
                       </div>
                     </div>
                     
@@ -2194,7 +2424,7 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                         -${simulation.totalLossIfAllSL.toFixed(2)}
                       </div>
                       <div style={{ fontSize: '0.85rem', opacity: 0.7, marginTop: '0.25rem' }}>
-                        Final: ${simulation.pessimisticFinal.toFixed(2)}
+                        Final: ${simulation.pessimisticFinal.toFixed(2)} | Net of costs: -${simulation.totalNetLossIfAllSL.toFixed(2)}
                       </div>
                     </div>
                   </div>
@@ -2209,6 +2439,12 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                       <span style={{ fontSize: '0.9rem', opacity: 0.8 }}>Losses ({losses}):</span>
                       <span style={{ color: '#ff6b6b', fontWeight: 'bold' }}>-${simulation.actualLoss.toFixed(2)}</span>
                     </div>
+                    {simulation.liquidations > 0 && (
+                      <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.25rem' }}>
+                        <span style={{ fontSize: '0.9rem', opacity: 0.8 }}>Liquidated ({simulation.liquidations}, included in losses):</span>
+                        <span style={{ color: '#ff6b6b', fontWeight: 'bold' }}>-${simulation.liquidatedAmount.toFixed(2)}</span>
+                      </div>
+                    )}
                     {pending > 0 && (
                       <>
                         <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.25rem', opacity: 0.7 }}>
@@ -2230,7 +2466,7 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                       fontSize: '1rem',
                       fontWeight: '600'
                     }}>
-                      <span>Net P&L:</span>
+                      <span>Gross P&L:</span>
                       <span style={{ 
                         color: simulation.actualNet >= 0 ? '#6bcf7f' : '#ff6b6b',
                         fontSize: '1.2rem'
@@ -2238,6 +2474,25 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                         {simulation.actualNet >= 0 ? '+' : ''}${simulation.actualNet.toFixed(2)}
                       </span>
                     </div>
+                    <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '0.25rem' }}>
+                      <span style={{ fontSize: '0.9rem', opacity: 0.8 }}>Costs (fees, slippage, funding):</span>
+                      <span style={{ color: '#ff6b6b', fontWeight: 'bold' }}>-${simulation.totalCosts.toFixed(2)}</span>
+                    </div>
+                    <div style={{ 
+                      display: 'flex', 
+                      justifyContent: 'space-between', 
+                      marginTop: '0.25rem',
+                      fontSize: '1rem',
+                      fontWeight: '600'
+                    }}>
+                      <span>Net P&L:</span>
+                      <span style={{ 
+                        color: simulation.actualNetAfterCosts >= 0 ? '#6bcf7f' : '#ff6b6b',
+                        fontSize: '1.2rem'
+                      }}>
+                        {simulation.actualNetAfterCosts >= 0 ? '+' : ''}${simulation.actualNetAfterCosts.toFixed(2)}
+                      </span>
+                    </div>
                     <div style={{ 
                       display: 'flex', 
                       justifyContent: 'space-between', 
@@ -2255,7 +2510,7 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
                       marginTop: '0.5rem',
                       textAlign: 'center'
                     }}>
-                      Return: {((simulation.actualNet / walletBalance) * 100).toFixed(2)}%
+                      Return: {((simulation.actualNetAfterCosts / walletBalance) * 100).toFixed(2)}% net ({((simulation.actualNet / walletBalance) * 100).toFixed(2)}% gross)
                     </div>
                   </div>
                 </div>
@@ -2264,73 +2519,1798 @@ const BreakoutSignalsTable = ({ data, loading, error, onRefresh, selectedCryptos
           );
         })()}
       </div>
+      
+      {chartSignal && (
+        <SignalChartModal signal={chartSignal} onClose={() => setChartSignal(null)} />
+      )}
     </div>
   );
 };
 
-function App() {
-  const [rsiData, setRsiData] = useState({ data: null, loading: false, error: null, lastUpdateTime: null });
-  const [oversoldHistory, setOversoldHistory] = useState({ data: null, loading: false, error: null, lastUpdateTime: null });
-  const [breakoutSignals, setBreakoutSignals] = useState({ data: null, loading: false, error: null, lastUpdateTime: null });
-  const [breakoutsWithoutReentry, setBreakoutsWithoutReentry] = useState({ data: null, loading: false, error: null, lastUpdateTime: null });
+// Watchlist Manager Component
+// Named symbol lists; the active list drives every fetcher. Symbols are picked from Binance exchange info.
+const WatchlistManager = ({ watchlists, activeWatchlistId, onSelectWatchlist, onAddWatchlist, onRemoveWatchlist, onUpdateWatchlist, isExpanded, onToggleExpanded }) => {
+  const [quoteAsset, setQuoteAsset] = useState(DEFAULT_QUOTE_ASSET);
+  const [query, setQuery] = useState('');
+  const [exchangeSymbols, setExchangeSymbols] = useState({ quoteAsset: null, symbols: [], loading: false, error: null });
+  const [newName, setNewName] = useState('');
+  const [formError, setFormError] = useState(null);
   
-  // Cryptocurrency filter state for Oversold History (stored in localStorage)
-  const [oversoldSelectedCryptos, setOversoldSelectedCryptos] = useState(() => {
-    try {
-      const saved = localStorage.getItem('oversold_filter_selection');
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        const savedSet = new Set(parsed);
-        // Ensure all current DEFAULT_SYMBOLS are included (merge with saved selection)
-        const allCryptos = DEFAULT_SYMBOLS.map(s => s.replace('/USDT', ''));
-        allCryptos.forEach(crypto => savedSet.add(crypto));
-        return savedSet;
-      }
-    } catch (e) {
-      console.warn('Failed to load oversold filter from localStorage:', e);
-    }
-    // Default: all cryptocurrencies selected
-    return new Set(DEFAULT_SYMBOLS.map(s => s.replace('/USDT', '')));
-  });
-
-  // Cryptocurrency filter state for Breakout Signals (stored in localStorage)
-  const [breakoutSignalsSelectedCryptos, setBreakoutSignalsSelectedCryptos] = useState(() => {
-    try {
-      const saved = localStorage.getItem('breakout_signals_filter_selection');
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        const savedSet = new Set(parsed);
-        // Ensure all current DEFAULT_SYMBOLS are included (merge with saved selection)
-        const allCryptos = DEFAULT_SYMBOLS.map(s => s.replace('/USDT', ''));
-        allCryptos.forEach(crypto => savedSet.add(crypto));
-        return savedSet;
-      }
-    } catch (e) {
-      console.warn('Failed to load breakout signals filter from localStorage:', e);
-    }
-    // Default: all cryptocurrencies selected
-    return new Set(DEFAULT_SYMBOLS.map(s => s.replace('/USDT', '')));
-  });
-
-  // Section expanded state (stored in localStorage)
-  const [expandedSections, setExpandedSections] = useState(() => {
-    try {
-      const saved = localStorage.getItem('section_expanded_state');
-      if (saved) {
-        return JSON.parse(saved);
-      }
-    } catch (e) {
-      console.warn('Failed to load section expanded state from localStorage:', e);
+  const activeWatchlist = getWatchlist(watchlists, activeWatchlistId);
+  
+  // Exchange info is only loaded once the section is open (and again when the quote asset changes)
+  useEffect(() => {
+    if (!isExpanded || exchangeSymbols.quoteAsset === quoteAsset) {
+      return;
     }
-    // Default: all sections expanded
-    return {
-      mergedRSIBreakout: true,
-      oversold: true,
-      breakoutSignals: true
+    let cancelled = false;
+    setExchangeSymbols(prev => ({ ...prev, loading: true, error: null }));
+    getBinanceExchangeInfo(quoteAsset)
+      .then(symbols => {
+        if (!cancelled) {
+          setExchangeSymbols({ quoteAsset, symbols, loading: false, error: null });
+        }
+      })
+      .catch(error => {
+        if (!cancelled) {
+          setExchangeSymbols({ quoteAsset: null, symbols: [], loading: false, error: error.message || 'Failed to load exchange info' });
+        }
+      });
+    return () => {
+      cancelled = true;
     };
-  });
-
-  // Notification state
+  }, [isExpanded, quoteAsset, exchangeSymbols.quoteAsset]);
+  
+  if (!isExpanded) {
+    return (
+      <div className="breakout-table-container">
+        <SectionToggle 
+          isExpanded={isExpanded} 
+          onToggle={onToggleExpanded} 
+          title={`Watchlist: ${activeWatchlist.name}`}
+          count={activeWatchlist.symbols.length}
+        />
+      </div>
+    );
+  }
+  
+  const searchResults = searchExchangeSymbols(exchangeSymbols.symbols, query, { excludeSymbols: activeWatchlist.symbols });
+  
+  const handleCreate = () => {
+    const name = newName.trim();
+    if (watchlists.some(watchlist => watchlist.name.toLowerCase() === name.toLowerCase())) {
+      setFormError(`A watchlist named "${name}" already exists`);
+      return;
+    }
+    const watchlist = createWatchlist(name, activeWatchlist.symbols);
+    const error = validateWatchlist(watchlist);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    setFormError(null);
+    setNewName('');
+    onAddWatchlist(watchlist);
+  };
+  
+  return (
+    <div className="breakout-table-container">
+      <SectionToggle 
+        isExpanded={isExpanded} 
+        onToggle={onToggleExpanded} 
+        title={`Watchlist: ${activeWatchlist.name}`}
+        count={activeWatchlist.symbols.length}
+      />
+      <div className="breakout-table-header">
+        <div>
+          <p className="breakout-subtitle">The active watchlist drives RSI, oversold history, breakout signals, the live stream and the backtest | Order is kept in every table</p>
+        </div>
+      </div>
+      
+      <div className="settings-form">
+        <label className="settings-field">
+          Active Watchlist
+          <select className="settings-input" value={activeWatchlist.id} onChange={(e) => onSelectWatchlist(e.target.value)}>
+            {watchlists.map(watchlist => (
+              <option key={watchlist.id} value={watchlist.id}>{watchlist.name} ({watchlist.symbols.length})</option>
+            ))}
+          </select>
+        </label>
+        {activeWatchlist.id !== DEFAULT_WATCHLIST.id && (
+          <button onClick={() => onRemoveWatchlist(activeWatchlist.id)} className="refresh-btn-small">
+            Delete "{activeWatchlist.name}"
+          </button>
+        )}
+        <label className="settings-field">
+          New Watchlist (copies the active one)
+          <input className="settings-input" value={newName} onChange={(e) => setNewName(e.target.value)} placeholder="e.g., Majors" />
+        </label>
+        <button onClick={handleCreate} className="refresh-btn-small" disabled={!newName.trim()}>
+          Create
+        </button>
+        {formError && <p className="settings-error">{formError}</p>}
+      </div>
+      
+      <div className="settings-list">
+        {activeWatchlist.symbols.map((symbol, index) => (
+          <div key={symbol} className="settings-list-item enabled">
+            <strong style={{ flex: 1 }}>{index + 1}. {symbol}</strong>
+            <button
+              onClick={() => onUpdateWatchlist(moveWatchlistSymbol(activeWatchlist, symbol, -1))}
+              className="refresh-btn-small"
+              style={{ minHeight: 'auto', padding: '0.3rem 0.6rem' }}
+              disabled={index === 0}
+              title="Move up"
+            >
+              ↑
+            </button>
+            <button
+              onClick={() => onUpdateWatchlist(moveWatchlistSymbol(activeWatchlist, symbol, 1))}
+              className="refresh-btn-small"
+              style={{ minHeight: 'auto', padding: '0.3rem 0.6rem' }}
+              disabled={index === activeWatchlist.symbols.length - 1}
+              title="Move down"
+            >
+              ↓
+            </button>
+            <button
+              onClick={() => onUpdateWatchlist(removeWatchlistSymbol(activeWatchlist, symbol))}
+              className="refresh-btn-small"
+              style={{ minHeight: 'auto', padding: '0.3rem 0.6rem' }}
+              disabled={activeWatchlist.symbols.length <= 1}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+      </div>
+      
+      <div className="settings-form">
+        <label className="settings-field">
+          Quote Asset
+          <select className="settings-input" value={quoteAsset} onChange={(e) => setQuoteAsset(e.target.value)}>
+            {QUOTE_ASSETS.map(asset => (
+              <option key={asset} value={asset}>{asset}</option>
+            ))}
+          </select>
+        </label>
+        <label className="settings-field">
+          Add Symbol
+          <input className="settings-input" value={query} onChange={(e) => setQuery(e.target.value)} placeholder="Search, e.g., AVAX" />
+        </label>
+      </div>
+      
+      {exchangeSymbols.loading && (
+        <div className="loading-mini">
+          <div className="spinner-mini"></div>
+          <span>Loading {quoteAsset} pairs from Binance...</span>
+        </div>
+      )}
+      
+      {exchangeSymbols.error && (
+        <div className="error-mini">
+          <strong>Error:</strong> {exchangeSymbols.error}
+        </div>
+      )}
+      
+      {query.trim() && !exchangeSymbols.loading && (
+        <div className="settings-list inline">
+          {searchResults.length === 0 ? (
+            <span style={{ opacity: 0.7, fontSize: '0.85rem' }}>No trading {quoteAsset} pairs match "{query.trim()}"</span>
+          ) : searchResults.map(pair => (
+            <button
+              key={pair}
+              onClick={() => onUpdateWatchlist(addWatchlistSymbol(activeWatchlist, pair))}
+              className="refresh-btn-small"
+              style={{ minHeight: 'auto', padding: '0.3rem 0.6rem' }}
+            >
+              + {pair}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Candle Store Settings Component
+// Size statistics of the persistent candle store (IndexedDB) with per-series and age-based eviction
+const formatBytes = (bytes) => {
+  if (bytes === null || bytes === undefined) return 'N/A';
+  if (bytes >= 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / 1024).toFixed(0)} KB`;
+};
+
+const CandleStoreSettings = ({ isExpanded, onToggleExpanded }) => {
+  const [stats, setStats] = useState({ data: null, loading: false, error: null });
+  const [evictDays, setEvictDays] = useState(90);
+  const [busy, setBusy] = useState(false);
+  
+  const loadStats = async () => {
+    setStats(prev => ({ ...prev, loading: true, error: null }));
+    try {
+      const data = await candleStore.getStats();
+      setStats({ data, loading: false, error: null });
+    } catch (error) {
+      setStats({ data: null, loading: false, error: error.message || 'Failed to read candle store' });
+    }
+  };
+  
+  // Stats are read when the section opens
+  useEffect(() => {
+    if (isExpanded) {
+      loadStats();
+    }
+  }, [isExpanded]);
+  
+  const runAndReload = async (action) => {
+    setBusy(true);
+    await action();
+    setBusy(false);
+    loadStats();
+  };
+  
+  const seriesCount = stats.data ? stats.data.series.length : 0;
+  
+  if (!isExpanded) {
+    return (
+      <div className="breakout-table-container">
+        <SectionToggle 
+          isExpanded={isExpanded} 
+          onToggle={onToggleExpanded} 
+          title="Candle Store"
+          count={seriesCount}
+        />
+      </div>
+    );
+  }
+  
+  const data = stats.data;
+  
+  return (
+    <div className="breakout-table-container">
+      <SectionToggle 
+        isExpanded={isExpanded} 
+        onToggle={onToggleExpanded} 
+        title="Candle Store"
+        count={seriesCount}
+      />
+      <div className="breakout-table-header">
+        <div>
+          <p className="breakout-subtitle">Closed candles kept per symbol and interval across reloads | Only missing ranges are fetched from Binance | Evicted candles are fetched again when needed</p>
+        </div>
+        <button onClick={loadStats} disabled={stats.loading || busy} className="refresh-btn-small">
+          {stats.loading ? '⏳' : '🔄'} Refresh
+        </button>
+      </div>
+      
+      {stats.error && (
+        <div className="error-mini">
+          <strong>Error:</strong> {stats.error}
+        </div>
+      )}
+      
+      {data && (
+        <>
+          <div className="oversold-summary">
+            <div className="oversold-summary-grid">
+              <div className="oversold-summary-item">
+                <strong>Storage:</strong> {data.backend === 'indexedDB' ? 'IndexedDB' : 'Memory (not persisted)'}
+              </div>
+              <div className="oversold-summary-item">
+                <strong>Candles:</strong> {data.totalCandles.toLocaleString('en-US')}
+              </div>
+              <div className="oversold-summary-item">
+                <strong>Estimated Size:</strong> {formatBytes(data.estimatedBytes)}
+              </div>
+              {data.usage !== null && (
+                <div className="oversold-summary-item">
+                  <strong>Browser Storage:</strong> {formatBytes(data.usage)} of {formatBytes(data.quota)}
+                </div>
+              )}
+            </div>
+          </div>
+          
+          {data.series.length === 0 ? (
+            <p style={{ textAlign: 'center', padding: '1rem', opacity: 0.7 }}>No candles stored yet</p>
+          ) : (
+            <div className="breakout-table-wrapper">
+              <table className="breakout-table">
+                <thead>
+                  <tr>
+                    <th>Symbol</th>
+                    <th>Interval</th>
+                    <th>Candles</th>
+                    <th>From / To</th>
+                    <th>Size</th>
+                    <th></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {data.series.map(series => (
+                    <tr key={series.series} className="breakout-row">
+                      <td><strong>{toDisplaySymbol(series.symbol)}</strong></td>
+                      <td>{series.interval}</td>
+                      <td>{series.count.toLocaleString('en-US')}</td>
+                      <td>{series.firstOpenTime !== null ? `${formatNYTime(series.firstOpenTime)} / ${formatNYTime(series.lastOpenTime)}` : '-'}</td>
+                      <td>{formatBytes(series.estimatedBytes)}</td>
+                      <td>
+                        <button
+                          onClick={() => runAndReload(() => candleStore.evictSeries(series.symbol, series.interval))}
+                          className="refresh-btn-small"
+                          style={{ minHeight: 'auto', padding: '0.3rem 0.6rem' }}
+                          disabled={busy}
+                        >
+                          Evict
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+      
+      <div className="settings-form">
+        <label className="settings-field">
+          Evict candles older than (days)
+          <input className="settings-input" type="number" min="1" value={evictDays} onChange={(e) => setEvictDays(e.target.value)} />
+        </label>
+        <button
+          onClick={() => runAndReload(() => candleStore.evictBefore(Date.now() - Number(evictDays) * 24 * 60 * 60 * 1000))}
+          className="refresh-btn-small"
+          disabled={busy || !(Number(evictDays) > 0)}
+        >
+          Evict Old Candles
+        </button>
+        <button onClick={() => runAndReload(() => candleStore.clear())} className="refresh-btn-small" disabled={busy || seriesCount === 0}>
+          Clear All
+        </button>
+      </div>
+    </div>
+  );
+};
+
+// Breakout Sessions Settings Component
+// Lets the user enable built-in sessions (Asia/London/New York) and define custom ones
+const SessionSettings = ({ sessions, enabledSessionIds, onToggleSession, onAddSession, onRemoveSession, isExpanded, onToggleExpanded }) => {
+  const [form, setForm] = useState({
+    name: '',
+    timeZone: 'UTC',
+    rangeStartHour: '8',
+    rangeHours: '1',
+    rangeInterval: '1h',
+    windowEndHour: '17'
+  });
+  const [formError, setFormError] = useState(null);
+  
+  const enabledCount = sessions.filter(s => enabledSessionIds.includes(s.id)).length;
+  
+  if (!isExpanded) {
+    return (
+      <div className="breakout-table-container">
+        <SectionToggle 
+          isExpanded={isExpanded} 
+          onToggle={onToggleExpanded} 
+          title="Breakout Sessions"
+          count={enabledCount}
+        />
+      </div>
+    );
+  }
+  
+  const handleFieldChange = (field) => (e) => {
+    const value = e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+  
+  const handleAdd = () => {
+    const name = form.name.trim();
+    const session = {
+      id: `custom_${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`,
+      name,
+      timeZone: form.timeZone.trim(),
+      rangeStartHour: parseInt(form.rangeStartHour, 10),
+      rangeHours: parseInt(form.rangeHours, 10),
+      rangeInterval: form.rangeInterval,
+      windowEndHour: parseInt(form.windowEndHour, 10)
+    };
+    
+    const error = validateSession(session);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    if (sessions.some(s => s.id === session.id)) {
+      setFormError(`A session named "${name}" already exists`);
+      return;
+    }
+    
+    setFormError(null);
+    setForm(prev => ({ ...prev, name: '' }));
+    onAddSession(session);
+  };
+  
+  const isPreset = (session) => SESSION_PRESETS.some(p => p.id === session.id);
+  
+  return (
+    <div className="breakout-table-container">
+      <SectionToggle 
+        isExpanded={isExpanded} 
+        onToggle={onToggleExpanded} 
+        title="Breakout Sessions"
+        count={enabledCount}
+      />
+      <div className="breakout-table-header">
+        <div>
+          <p className="breakout-subtitle">Range window per session (session timezone) | Breakouts/re-entries tracked from range close until the window end | Enabled sessions run side by side</p>
+        </div>
+      </div>
+      
+      <div className="settings-list">
+        {sessions.map(session => {
+          const isEnabled = enabledSessionIds.includes(session.id);
+          return (
+            <div key={session.id} className={`settings-list-item ${isEnabled ? 'enabled' : ''}`}>
+              <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', flex: 1 }}>
+                <input
+                  type="checkbox"
+                  checked={isEnabled}
+                  onChange={() => onToggleSession(session.id)}
+                  style={{ width: '16px', height: '16px', cursor: 'pointer' }}
+                />
+                <strong>{session.name}</strong>
+                <span style={{ opacity: 0.7, fontSize: '0.85rem' }}>
+                  {session.timeZone} | Range {String(session.rangeStartHour).padStart(2, '0')}:00 +{session.rangeHours}h ({session.rangeInterval} candles) | Window until {String(session.windowEndHour).padStart(2, '0')}:00
+                </span>
+              </label>
+              {!isPreset(session) && (
+                <button
+                  onClick={() => onRemoveSession(session.id)}
+                  className="refresh-btn-small"
+                  style={{ minHeight: 'auto', padding: '0.3rem 0.6rem' }}
+                >
+                  Remove
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      
+      <div className="settings-form">
+        <label className="settings-field">
+          Name
+          <input className="settings-input" value={form.name} onChange={handleFieldChange('name')} placeholder="e.g., Tokyo Open" />
+        </label>
+        <label className="settings-field">
+          Timezone (IANA)
+          <input className="settings-input" value={form.timeZone} onChange={handleFieldChange('timeZone')} placeholder="e.g., Asia/Tokyo" />
+        </label>
+        <label className="settings-field">
+          Range Start (hour)
+          <input className="settings-input" type="number" min="0" max="23" value={form.rangeStartHour} onChange={handleFieldChange('rangeStartHour')} />
+        </label>
+        <label className="settings-field">
+          Range Length (hours)
+          <input className="settings-input" type="number" min="1" max="24" value={form.rangeHours} onChange={handleFieldChange('rangeHours')} />
+        </label>
+        <label className="settings-field">
+          Range Candles
+          <select className="settings-input" value={form.rangeInterval} onChange={handleFieldChange('rangeInterval')}>
+            {Object.keys(RANGE_INTERVAL_HOURS).map(interval => (
+              <option key={interval} value={interval}>{interval}</option>
+            ))}
+          </select>
+        </label>
+        <label className="settings-field">
+          Window End (hour)
+          <input className="settings-input" type="number" min="0" max="23" value={form.windowEndHour} onChange={handleFieldChange('windowEndHour')} />
+        </label>
+        <button onClick={handleAdd} className="refresh-btn-small" disabled={!form.name.trim()}>
+          Add Session
+        </button>
+        {formError && <p className="settings-error">{formError}</p>}
+      </div>
+    </div>
+  );
+};
+
+const RiskProfileSettings = ({ profiles, assignments, symbols, onAssign, onAddProfile, onRemoveProfile, intrabarPolicy, onIntrabarPolicyChange, isExpanded, onToggleExpanded }) => {
+  const [form, setForm] = useState({
+    name: '',
+    slMode: SL_MODES.BREAKOUT_EXTREME,
+    maxSlPercent: '1',
+    targets: '2:100',
+    moveToBreakEven: false,
+    trailMode: TRAIL_MODES.NONE,
+    trailPercent: '0.5',
+    trailAtrMultiplier: '2',
+    closeAtSessionEnd: false,
+    atrPeriod: '14',
+    atrMultiplier: '1.5',
+    tickSize: '', // Empty = the pair's exchange tick size
+    ticks: '100'
+  });
+  const [formError, setFormError] = useState(null);
+  
+  const assignedCount = symbols.filter(symbol => assignments[symbol] && assignments[symbol] !== DEFAULT_RISK_PROFILE.id).length;
+  
+  if (!isExpanded) {
+    return (
+      <div className="breakout-table-container">
+        <SectionToggle 
+          isExpanded={isExpanded} 
+          onToggle={onToggleExpanded} 
+          title="Risk Profiles"
+          count={profiles.length}
+        />
+      </div>
+    );
+  }
+  
+  const handleFieldChange = (field) => (e) => {
+    const value = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+  
+  const handleAdd = () => {
+    const name = form.name.trim();
+    const profile = {
+      id: `custom_${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`,
+      name,
+      slMode: form.slMode,
+      maxSlPercent: parseFloat(form.maxSlPercent),
+      targets: parseTargets(form.targets),
+      moveToBreakEven: form.moveToBreakEven,
+      trailMode: form.trailMode,
+      trailPercent: parseFloat(form.trailPercent),
+      trailAtrMultiplier: parseFloat(form.trailAtrMultiplier),
+      closeAtSessionEnd: form.closeAtSessionEnd,
+      atrPeriod: parseInt(form.atrPeriod, 10),
+      atrMultiplier: parseFloat(form.atrMultiplier),
+      tickSize: form.tickSize.trim() === '' ? null : parseFloat(form.tickSize),
+      ticks: parseInt(form.ticks, 10)
+    };
+    
+    const error = validateRiskProfile(profile);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    if (profiles.some(p => p.id === profile.id)) {
+      setFormError(`A risk profile named "${name}" already exists`);
+      return;
+    }
+    
+    setFormError(null);
+    setForm(prev => ({ ...prev, name: '' }));
+    onAddProfile(profile);
+  };
+  
+  const isPreset = (profile) => RISK_PROFILE_PRESETS.some(p => p.id === profile.id);
+  
+  return (
+    <div className="breakout-table-container">
+      <SectionToggle 
+        isExpanded={isExpanded} 
+        onToggle={onToggleExpanded} 
+        title="Risk Profiles"
+        count={profiles.length}
+      />
+      <div className="breakout-table-header">
+        <div>
+          <p className="breakout-subtitle">SL placement, max SL % and reward ratio per symbol | Applied to live signals, simulation, backtest and notifications | {assignedCount} of {symbols.length} symbols on a custom profile</p>
+        </div>
+      </div>
+      
+      <div className="settings-form" style={{ marginBottom: '1rem' }}>
+        <label className="settings-field">
+          Stop + TP in one 5m candle (fallback when 1m candles can't tell)
+          <select className="settings-input" value={intrabarPolicy} onChange={(e) => onIntrabarPolicyChange(e.target.value)}>
+            {Object.keys(INTRABAR_POLICY_LABELS).map(policy => (
+              <option key={policy} value={policy}>{INTRABAR_POLICY_LABELS[policy]}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      
+      <div className="settings-list">
+        {profiles.map(profile => (
+          <div key={profile.id} className="settings-list-item">
+            <span style={{ flex: 1 }}>
+              <strong>{profile.name}</strong>
+              <span style={{ opacity: 0.7, fontSize: '0.85rem', marginLeft: '0.5rem' }}>
+                {describeRiskProfile(profile)}
+              </span>
+            </span>
+            {!isPreset(profile) && (
+              <button
+                onClick={() => onRemoveProfile(profile.id)}
+                className="refresh-btn-small"
+                style={{ minHeight: 'auto', padding: '0.3rem 0.6rem' }}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      
+      <div className="settings-list inline" style={{ marginBottom: '1rem' }}>
+        {symbols.map(symbol => (
+          <label key={symbol} className={`settings-list-item ${assignments[symbol] && assignments[symbol] !== DEFAULT_RISK_PROFILE.id ? 'enabled' : ''}`}>
+            <strong>{toDisplaySymbol(symbol)}</strong>
+            <select
+              className="settings-input"
+              value={profiles.some(p => p.id === assignments[symbol]) ? assignments[symbol] : DEFAULT_RISK_PROFILE.id}
+              onChange={(e) => onAssign(symbol, e.target.value)}
+            >
+              {profiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+      
+      <div className="settings-form">
+        <label className="settings-field">
+          Name
+          <input className="settings-input" value={form.name} onChange={handleFieldChange('name')} placeholder="e.g., Tight ATR" />
+        </label>
+        <label className="settings-field">
+          Stop Loss
+          <select className="settings-input" value={form.slMode} onChange={handleFieldChange('slMode')}>
+            {Object.values(SL_MODES).map(mode => (
+              <option key={mode} value={mode}>{SL_MODE_LABELS[mode]}</option>
+            ))}
+          </select>
+        </label>
+        <label className="settings-field">
+          Max SL % (0 = no cap)
+          <input className="settings-input" type="number" min="0" step="0.1" value={form.maxSlPercent} onChange={handleFieldChange('maxSlPercent')} />
+        </label>
+        <label className="settings-field">
+          Targets (R:close %)
+          <input className="settings-input" value={form.targets} onChange={handleFieldChange('targets')} placeholder="e.g., 1:50, 2:30, 3:20" />
+        </label>
+        <label className="settings-field">
+          <span>
+            <input type="checkbox" checked={form.moveToBreakEven} onChange={handleFieldChange('moveToBreakEven')} />
+            {' '}Move SL to entry after TP1
+          </span>
+        </label>
+        <label className="settings-field">
+          Trailing Stop
+          <select className="settings-input" value={form.trailMode} onChange={handleFieldChange('trailMode')}>
+            {Object.values(TRAIL_MODES).map(mode => (
+              <option key={mode} value={mode}>{TRAIL_MODE_LABELS[mode]}</option>
+            ))}
+          </select>
+        </label>
+        {form.trailMode === TRAIL_MODES.PERCENT && (
+          <label className="settings-field">
+            Trail %
+            <input className="settings-input" type="number" min="0.01" step="0.1" value={form.trailPercent} onChange={handleFieldChange('trailPercent')} />
+          </label>
+        )}
+        {(form.trailMode === TRAIL_MODES.ATR || form.trailMode === TRAIL_MODES.CHANDELIER) && (
+          <label className="settings-field">
+            Trail ATR Multiplier
+            <input className="settings-input" type="number" min="0.1" step="0.1" value={form.trailAtrMultiplier} onChange={handleFieldChange('trailAtrMultiplier')} />
+          </label>
+        )}
+        <label className="settings-field">
+          <span>
+            <input type="checkbox" checked={form.closeAtSessionEnd} onChange={handleFieldChange('closeAtSessionEnd')} />
+            {' '}Close at session end
+          </span>
+        </label>
+        {(form.slMode === SL_MODES.ATR || form.trailMode === TRAIL_MODES.ATR || form.trailMode === TRAIL_MODES.CHANDELIER) && (
+          <label className="settings-field">
+            ATR Period (5m)
+            <input className="settings-input" type="number" min="1" value={form.atrPeriod} onChange={handleFieldChange('atrPeriod')} />
+          </label>
+        )}
+        {form.slMode === SL_MODES.ATR && (
+          <>
+            <label className="settings-field">
+              ATR Multiplier
+              <input className="settings-input" type="number" min="0.1" step="0.1" value={form.atrMultiplier} onChange={handleFieldChange('atrMultiplier')} />
+            </label>
+          </>
+        )}
+        {form.slMode === SL_MODES.FIXED_TICK && (
+          <>
+            <label className="settings-field">
+              Tick Size
+              <input className="settings-input" type="number" min="0" step="any" placeholder="Exchange tick size" value={form.tickSize} onChange={handleFieldChange('tickSize')} />
+            </label>
+            <label className="settings-field">
+              Ticks
+              <input className="settings-input" type="number" min="1" value={form.ticks} onChange={handleFieldChange('ticks')} />
+            </label>
+          </>
+        )}
+        <button onClick={handleAdd} className="refresh-btn-small" disabled={!form.name.trim()}>
+          Add Profile
+        </button>
+        {formError && <p className="settings-error">{formError}</p>}
+      </div>
+    </div>
+  );
+};
+
+// Historical backtest of the breakout/re-entry strategy (runs on demand, not cached)
+const BacktestPanel = ({ symbols, sessions, riskProfilesBySymbol, intrabarPolicy, isExpanded, onToggleExpanded }) => {
+  const [days, setDays] = useState(90);
+  const [selectedSymbols, setSelectedSymbols] = useState(['BTC/USDT']);
+  const [sessionId, setSessionId] = useState(DEFAULT_SESSION.id);
+  const [state, setState] = useState({ running: false, progress: null, result: null, error: null });
+  
+  if (!isExpanded) {
+    return (
+      <div className="breakout-table-container">
+        <SectionToggle 
+          isExpanded={isExpanded} 
+          onToggle={onToggleExpanded} 
+          title="Breakout Backtest"
+          count={state.result ? state.result.trades.length : 0}
+        />
+      </div>
+    );
+  }
+  
+  const toggleSymbol = (symbol) => {
+    setSelectedSymbols(prev => prev.includes(symbol) ? prev.filter(s => s !== symbol) : [...prev, symbol]);
+  };
+  
+  const handleRun = async () => {
+    const session = sessions.find(s => s.id === sessionId) || DEFAULT_SESSION;
+    setState({ running: true, progress: null, result: null, error: null });
+    try {
+      const result = await runBacktest({
+        symbols: selectedSymbols,
+        days,
+        session,
+        riskProfilesBySymbol,
+        intrabarPolicy,
+        onProgress: (progress) => setState(prev => ({ ...prev, progress }))
+      });
+      setState({ running: false, progress: null, result, error: null });
+    } catch (error) {
+      console.error('[Backtest] Error running backtest:', error);
+      setState({ running: false, progress: null, result: null, error: error.message || 'Backtest failed' });
+    }
+  };
+  
+  const formatR = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}R`;
+  const formatProfitFactor = (value) => value === null ? '∞' : value.toFixed(2);
+  const { result, progress } = state;
+  const report = result ? result.report : null;
+  
+  const statCards = report ? [
+    { label: 'Trades', value: `${report.trades}${report.openTrades > 0 ? ` (+${report.openTrades} open)` : ''}` },
+    { label: 'Win Rate', value: `${report.winRate.toFixed(2)}%`, color: report.winRate >= 50 ? '#6bcf7f' : '#ff6b6b' },
+    { label: 'Expectancy', value: `${formatR(report.expectancyR)} (${report.expectancyPercent.toFixed(2)}%)`, color: report.expectancyR >= 0 ? '#6bcf7f' : '#ff6b6b' },
+    { label: 'Profit Factor', value: formatProfitFactor(report.profitFactor) },
+    { label: 'Total', value: formatR(report.totalR), color: report.totalR >= 0 ? '#6bcf7f' : '#ff6b6b' },
+    { label: 'Max Drawdown', value: `-${report.maxDrawdownR.toFixed(2)}R`, color: '#ff6b6b' },
+    { label: 'Longest Losing Streak', value: report.longestLosingStreak },
+    { label: 'Ambiguous Candles', value: `${report.ambiguousTrades} trade${report.ambiguousTrades === 1 ? '' : 's'}` }
+  ] : [];
+  
+  const renderBreakdownRows = (rows) => rows.map(({ key, stats }) => (
+    <tr key={key}>
+      <td><strong>{key}</strong></td>
+      <td>{stats.trades}</td>
+      <td>{stats.wins} / {stats.losses}</td>
+      <td>{stats.trades > 0 ? `${stats.winRate.toFixed(2)}%` : '-'}</td>
+      <td style={{ color: stats.expectancyR >= 0 ? '#6bcf7f' : '#ff6b6b' }}>{stats.trades > 0 ? formatR(stats.expectancyR) : '-'}</td>
+      <td>{stats.trades > 0 ? formatProfitFactor(stats.profitFactor) : '-'}</td>
+      <td style={{ color: stats.totalR >= 0 ? '#6bcf7f' : '#ff6b6b' }}>{formatR(stats.totalR)}</td>
+    </tr>
+  ));
+  
+  const breakdownHead = (
+    <thead>
+      <tr>
+        <th></th>
+        <th>Trades</th>
+        <th>Win / Loss</th>
+        <th>Win Rate</th>
+        <th>Expectancy</th>
+        <th>Profit Factor</th>
+        <th>Total</th>
+      </tr>
+    </thead>
+  );
+  
+  return (
+    <div className="breakout-table-container">
+      <SectionToggle 
+        isExpanded={isExpanded} 
+        onToggle={onToggleExpanded} 
+        title="Breakout Backtest"
+        count={result ? result.trades.length : 0}
+      />
+      <div className="breakout-table-header">
+        <div>
+          <p className="breakout-subtitle">Replays the live range/breakout/re-entry/SL/TP rules on historical 5m candles | P&L in R multiples (1R = entry to SL)</p>
+        </div>
+      </div>
+      
+      <div className="settings-form">
+        <label className="settings-field">
+          Period
+          <select className="settings-input" value={days} onChange={(e) => setDays(parseInt(e.target.value, 10))} disabled={state.running}>
+            {[30, 90, 180, 365].map(d => (
+              <option key={d} value={d}>Last {d} days</option>
+            ))}
+          </select>
+        </label>
+        <label className="settings-field">
+          Session
+          <select className="settings-input" value={sessionId} onChange={(e) => setSessionId(e.target.value)} disabled={state.running}>
+            {sessions.map(session => (
+              <option key={session.id} value={session.id}>{session.name}</option>
+            ))}
+          </select>
+        </label>
+        <button onClick={handleRun} className="refresh-btn-small" disabled={state.running || selectedSymbols.length === 0}>
+          {state.running ? 'Running...' : 'Run Backtest'}
+        </button>
+      </div>
+      
+      <div className="settings-list inline">
+        {symbols.map(symbol => (
+          <label key={symbol} className={`settings-list-item ${selectedSymbols.includes(symbol) ? 'enabled' : ''}`} style={{ cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={selectedSymbols.includes(symbol)}
+              onChange={() => toggleSymbol(symbol)}
+              disabled={state.running}
+              style={{ width: '16px', height: '16px', cursor: 'pointer' }}
+            />
+            {toDisplaySymbol(symbol)}
+          </label>
+        ))}
+      </div>
+      
+      {state.running && (
+        <div className="loading-mini">
+          <div className="spinner-mini"></div>
+          <p>
+            {progress
+              ? `Backtesting ${progress.symbol} (${progress.symbolIndex + 1}/${progress.symbolCount}) - ${progress.stage === 'replay' ? 'replaying' : `fetching ${progress.stage} candles`}${progress.candles ? ` (${progress.candles})` : ''}...`
+              : 'Starting backtest...'}
+          </p>
+        </div>
+      )}
+      
+      {state.error && (
+        <div className="error-mini">
+          <p>⚠️ {state.error}</p>
+        </div>
+      )}
+      
+      {report && (
+        <>
+          <div className="oversold-summary" style={{ marginBottom: '1.5rem' }}>
+            <div className="summary-header">
+              <h4 style={{ marginBottom: '0.75rem', fontSize: '1rem', fontWeight: '600' }}>
+                {result.session.name} | {formatNYTime(result.startTime)} - {formatNYTime(result.endTime)}
+              </h4>
+            </div>
+            <div className="oversold-summary-grid">
+              {statCards.map(card => (
+                <div key={card.label} className="oversold-summary-item" style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', padding: '0.75rem', borderRadius: '4px' }}>
+                  <span className="summary-count" style={{ fontSize: '0.85rem', opacity: 0.8 }}>{card.label}</span>
+                  <span className="summary-symbol" style={{ color: card.color }}><strong>{card.value}</strong></span>
+                </div>
+              ))}
+            </div>
+          </div>
+          
+          <div className="breakout-table-wrapper">
+            <table className="breakout-table">
+              {breakdownHead}
+              <tbody>
+                {renderBreakdownRows(Object.entries(report.bySymbol).map(([key, stats]) => ({ key, stats })))}
+              </tbody>
+            </table>
+          </div>
+          
+          <div className="breakout-table-wrapper" style={{ marginTop: '1rem' }}>
+            <table className="breakout-table">
+              {breakdownHead}
+              <tbody>
+                {renderBreakdownRows(report.byWeekday.map(({ day, ...stats }) => ({ key: day, stats })))}
+              </tbody>
+            </table>
+          </div>
+          
+          <div className="breakout-table-wrapper" style={{ marginTop: '1rem' }}>
+            <table className="breakout-table">
+              <thead>
+                <tr>
+                  <th>Symbol</th>
+                  <th>Range Date</th>
+                  <th>Re-entry / Close</th>
+                  <th>Long/Short</th>
+                  <th>Entry / Exit</th>
+                  <th>Result</th>
+                </tr>
+              </thead>
+              <tbody>
+                {result.trades.map((trade, index) => (
+                  <tr key={index} className={`breakout-row ${trade.result === 'win' ? 'win-row' : ''} ${trade.result === 'loss' ? 'loss-row' : ''} ${trade.result === 'pending' ? 'pending-row' : ''}`.trim()}>
+                    <td><strong>{trade.symbol}</strong></td>
+                    <td>{trade.rangeDate}</td>
+                    <td>{formatNYTime(trade.reentryTime)} / {trade.closeTime ? formatNYTime(trade.closeTime) : 'Open'}</td>
+                    <td>{trade.breakoutDirection.toUpperCase()}</td>
+                    <td>{formatQuotedPrice(trade.entryPrice, trade.symbol)} / {trade.exitPrice !== null ? formatQuotedPrice(trade.exitPrice, trade.symbol) : '-'}</td>
+                    <td style={{ color: trade.result === 'win' ? '#6bcf7f' : trade.result === 'loss' ? '#ff6b6b' : '#ffd93d' }}>
+                      {trade.rMultiple !== null ? `${formatR(trade.rMultiple)} (${trade.pnlPercent.toFixed(2)}%)` : 'PENDING'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Colors for the per-symbol equity lines (cycled when there are more symbols)
+const EQUITY_LINE_COLORS = ['#f7931a', '#627eea', '#f3ba2f', '#23292f', '#9945ff', '#4da2ff', '#c2a633', '#0033ad', '#ff6b9d', '#4caf50', '#7c4dff', '#2a5ada', '#00bcd4', '#ff7043'];
+
+const EquityCurvePanel = ({ signals, isExpanded, onToggleExpanded }) => {
+  const [startingBalance, setStartingBalance] = useState(DEFAULT_EQUITY_SETTINGS.startingBalance);
+  const [riskPercent, setRiskPercent] = useState(DEFAULT_EQUITY_SETTINGS.riskPercent);
+  const [visibleSymbols, setVisibleSymbols] = useState([]);
+  const [btcCandles, setBtcCandles] = useState(null);
+  
+  const curve = buildEquityCurve(signals || [], { startingBalance, riskPercent });
+  const startTime = curve.points.length > 0 ? curve.points[0].time : null;
+  const endTime = curve.points.length > 0 ? curve.points[curve.points.length - 1].time : null;
+  
+  // BTC 1h candles for the buy-and-hold comparison, refetched when the curve's period changes
+  useEffect(() => {
+    if (!isExpanded || startTime === null) {
+      return;
+    }
+    let cancelled = false;
+    fetchKlinesRange('BTC/USDT', '1h', startTime - 60 * 60 * 1000, endTime)
+      .then(candles => {
+        if (!cancelled) {
+          setBtcCandles(candles);
+        }
+      })
+      .catch(error => {
+        console.warn('[EquityCurve] Failed to load BTC candles for buy-and-hold comparison:', error);
+        if (!cancelled) {
+          setBtcCandles(null);
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isExpanded, startTime, endTime]);
+  
+  if (!isExpanded) {
+    return (
+      <div className="breakout-table-container">
+        <SectionToggle 
+          isExpanded={isExpanded} 
+          onToggle={onToggleExpanded} 
+          title="Equity Curve"
+          count={curve.trades}
+        />
+      </div>
+    );
+  }
+  
+  const toggleSymbol = (symbol) => {
+    setVisibleSymbols(prev => prev.includes(symbol) ? prev.filter(s => s !== symbol) : [...prev, symbol]);
+  };
+  
+  const points = addBuyAndHold(curve.points, btcCandles, startingBalance, 'btcHold');
+  const lastPoint = points.length > 0 ? points[points.length - 1] : null;
+  const btcReturnPercent = lastPoint && typeof lastPoint.btcHold === 'number'
+    ? ((lastPoint.btcHold - startingBalance) / startingBalance) * 100
+    : null;
+  const formatBalance = (value) => `$${value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  const formatSignedPercent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+  
+  const statCards = [
+    { label: 'Closed Trades', value: curve.trades },
+    { label: 'Final Balance', value: formatBalance(curve.finalEquity), color: curve.finalEquity >= startingBalance ? '#6bcf7f' : '#ff6b6b' },
+    { label: 'Return', value: formatSignedPercent(curve.returnPercent), color: curve.returnPercent >= 0 ? '#6bcf7f' : '#ff6b6b' },
+    { label: 'Max Drawdown', value: `-${curve.maxDrawdownPercent.toFixed(2)}%`, color: '#ff6b6b' },
+    { label: 'BTC Buy & Hold', value: btcReturnPercent !== null ? formatSignedPercent(btcReturnPercent) : '-', color: btcReturnPercent === null ? undefined : btcReturnPercent >= 0 ? '#6bcf7f' : '#ff6b6b' }
+  ];
+  
+  const renderTooltip = ({ active, payload }) => {
+    if (!active || !payload || payload.length === 0) {
+      return null;
+    }
+    const point = payload[0].payload;
+    return (
+      <div style={{ background: '#1e222d', border: '1px solid rgba(255, 255, 255, 0.15)', borderRadius: '4px', padding: '0.5rem 0.75rem', fontSize: '0.85rem' }}>
+        <div style={{ marginBottom: '0.25rem', opacity: 0.8 }}>{formatNYTime(point.time)}</div>
+        <div><strong>Equity:</strong> {formatBalance(point.equity)}</div>
+        {point.symbol && (
+          <div style={{ color: point.rMultiple >= 0 ? '#6bcf7f' : '#ff6b6b' }}>
+            {point.symbol} {point.rMultiple >= 0 ? '+' : ''}{point.rMultiple.toFixed(2)}R
+          </div>
+        )}
+        {point.drawdownPercent > 0 && (
+          <div style={{ color: '#ff6b6b' }}><strong>Drawdown:</strong> -{point.drawdownPercent.toFixed(2)}%</div>
+        )}
+        {typeof point.btcHold === 'number' && (
+          <div style={{ color: '#f7931a' }}><strong>BTC Hold:</strong> {formatBalance(point.btcHold)}</div>
+        )}
+        {visibleSymbols.filter(symbol => curve.symbols.includes(symbol)).map(symbol => (
+          <div key={symbol}><strong>{symbol}:</strong> {formatBalance(point[getSymbolEquityKey(symbol)])}</div>
+        ))}
+      </div>
+    );
+  };
+  
+  return (
+    <div className="breakout-table-container">
+      <SectionToggle 
+        isExpanded={isExpanded} 
+        onToggle={onToggleExpanded} 
+        title="Equity Curve"
+        count={curve.trades}
+      />
+      <div className="breakout-table-header">
+        <div>
+          <p className="breakout-subtitle">Compounds the closed breakout signals in close-time order | each trade risks a fixed % of the current balance (1R = entry to SL) | Red area = drawdown from peak</p>
+        </div>
+      </div>
+      
+      <div className="settings-form">
+        <label className="settings-field">
+          Starting Balance ($)
+          <input
+            type="number"
+            className="settings-input"
+            min="1"
+            value={startingBalance}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (value > 0) {
+                setStartingBalance(value);
+              }
+            }}
+          />
+        </label>
+        <label className="settings-field">
+          Risk per Trade (%)
+          <input
+            type="number"
+            className="settings-input"
+            min="0.1"
+            max="100"
+            step="0.1"
+            value={riskPercent}
+            onChange={(e) => {
+              const value = parseFloat(e.target.value);
+              if (value > 0 && value <= 100) {
+                setRiskPercent(value);
+              }
+            }}
+          />
+        </label>
+      </div>
+      
+      {curve.trades === 0 ? (
+        <p style={{ textAlign: 'center', padding: '2rem', opacity: 0.7 }}>
+          No closed breakout signals yet. Closed signals from the Breakout Trading Signals section appear here.
+        </p>
+      ) : (
+        <>
+          <div className="oversold-summary" style={{ marginBottom: '1.5rem' }}>
+            <div className="oversold-summary-grid">
+              {statCards.map(card => (
+                <div key={card.label} className="oversold-summary-item" style={{ display: 'flex', flexDirection: 'column', gap: '0.25rem', padding: '0.75rem', borderRadius: '4px' }}>
+                  <span style={{ fontSize: '0.85rem', opacity: 0.8 }}>{card.label}</span>
+                  <strong style={{ fontSize: '1.1rem', color: card.color }}>{card.value}</strong>
+                </div>
+              ))}
+            </div>
+          </div>
+          
+          <div className="settings-list inline">
+            {curve.symbols.map((symbol, index) => (
+              <label key={symbol} className={`settings-list-item ${visibleSymbols.includes(symbol) ? 'enabled' : ''}`} style={{ cursor: 'pointer' }}>
+                <input
+                  type="checkbox"
+                  checked={visibleSymbols.includes(symbol)}
+                  onChange={() => toggleSymbol(symbol)}
+                  style={{ width: '16px', height: '16px', cursor: 'pointer' }}
+                />
+                <span style={{ color: EQUITY_LINE_COLORS[index % EQUITY_LINE_COLORS.length] }}>●</span> {symbol}
+              </label>
+            ))}
+          </div>
+          
+          <div className="trend-chart-wrapper">
+            <ResponsiveContainer width="100%" height={360}>
+              <ComposedChart data={points} margin={{ top: 10, right: 20, bottom: 10, left: 10 }}>
+                <CartesianGrid />
+                <XAxis
+                  dataKey="time"
+                  type="number"
+                  scale="time"
+                  domain={['dataMin', 'dataMax']}
+                  tickFormatter={(time) => formatNYTime(time)}
+                  stroke="rgba(255, 255, 255, 0.6)"
+                  fontSize={11}
+                />
+                <YAxis
+                  domain={['auto', 'auto']}
+                  tickFormatter={(value) => `$${Math.round(value).toLocaleString('en-US')}`}
+                  stroke="rgba(255, 255, 255, 0.6)"
+                  fontSize={11}
+                  width={80}
+                />
+                <Tooltip content={renderTooltip} />
+                <Legend />
+                {/* Drawdown shading between the equity and its running peak */}
+                <Area type="stepAfter" dataKey="drawdownRange" name="Drawdown" stroke="none" fill="#ff6b6b" fillOpacity={0.3} isAnimationActive={false} />
+                <Line type="stepAfter" dataKey="equity" name="Portfolio" stroke="#6bcf7f" strokeWidth={2} dot={false} isAnimationActive={false} />
+                {curve.symbols.map((symbol, index) => visibleSymbols.includes(symbol) && (
+                  <Line
+                    key={symbol}
+                    type="stepAfter"
+                    dataKey={getSymbolEquityKey(symbol)}
+                    name={symbol}
+                    stroke={EQUITY_LINE_COLORS[index % EQUITY_LINE_COLORS.length]}
+                    strokeWidth={1.5}
+                    dot={false}
+                    isAnimationActive={false}
+                  />
+                ))}
+                {btcCandles && (
+                  <Line type="monotone" dataKey="btcHold" name="BTC Buy & Hold" stroke="#f7931a" strokeDasharray="5 5" strokeWidth={1.5} dot={false} connectNulls isAnimationActive={false} />
+                )}
+              </ComposedChart>
+            </ResponsiveContainer>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+// Alert Rules Component
+// Rule editor (conditions ANDed per symbol) and the log of recently fired alerts
+const ALERT_LOG_SIZE = 50; // Alerts kept in the log
+
+const EMPTY_RULE_CONDITION = { type: RULE_CONDITIONS.RSI, operator: '<', value: '30', percent: '0.5', edge: 'any', direction: 'any', result: 'any' };
+
+const AlertRulesSettings = ({ rules, alertLog, onToggleRule, onAddRule, onRemoveRule, isExpanded, onToggleExpanded }) => {
+  const [form, setForm] = useState({
+    name: '',
+    symbols: '',
+    cooldownMinutes: '60',
+    severity: ALERT_SEVERITIES.WARNING,
+    channel: ALERT_CHANNELS.BROWSER,
+    webhookUrl: ''
+  });
+  const [conditions, setConditions] = useState([{ ...EMPTY_RULE_CONDITION }]);
+  const [formError, setFormError] = useState(null);
+  
+  const enabledCount = rules.filter(rule => rule.enabled).length;
+  
+  if (!isExpanded) {
+    return (
+      <div className="breakout-table-container">
+        <SectionToggle 
+          isExpanded={isExpanded} 
+          onToggle={onToggleExpanded} 
+          title="Alert Rules"
+          count={enabledCount}
+        />
+      </div>
+    );
+  }
+  
+  const handleFieldChange = (field) => (e) => {
+    const value = e.target.value;
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+  
+  const handleConditionChange = (index, field) => (e) => {
+    const value = e.target.value;
+    setConditions(prev => prev.map((condition, i) => (i === index ? { ...condition, [field]: value } : condition)));
+  };
+  
+  // Only the fields of the condition's type are kept
+  const toRuleCondition = (condition) => {
+    switch (condition.type) {
+      case RULE_CONDITIONS.RSI:
+        return { type: condition.type, operator: condition.operator, value: parseFloat(condition.value) };
+      case RULE_CONDITIONS.RANGE_DISTANCE:
+        return { type: condition.type, edge: condition.edge, percent: parseFloat(condition.percent) };
+      case RULE_CONDITIONS.SIGNAL_CLOSED:
+        return { type: condition.type, result: condition.result };
+      case RULE_CONDITIONS.BREAKOUT:
+        return { type: condition.type, direction: ['above', 'below'].includes(condition.direction) ? condition.direction : 'any' };
+      default:
+        return { type: condition.type, direction: ['long', 'short'].includes(condition.direction) ? condition.direction : 'any' };
+    }
+  };
+  
+  const handleAdd = () => {
+    const name = form.name.trim();
+    const rule = {
+      id: `custom_${name.toLowerCase().replace(/[^a-z0-9]+/g, '_')}`,
+      name,
+      enabled: true,
+      symbols: form.symbols.split(',').map(s => s.trim().toUpperCase()).filter(Boolean).map(s => toDisplaySymbol(toTradingPair(s))),
+      conditions: conditions.map(toRuleCondition),
+      cooldownMinutes: parseFloat(form.cooldownMinutes) || 0,
+      severity: form.severity,
+      channel: form.channel,
+      webhookUrl: form.channel === ALERT_CHANNELS.WEBHOOK ? form.webhookUrl.trim() : ''
+    };
+    
+    const error = validateAlertRule(rule);
+    if (error) {
+      setFormError(error);
+      return;
+    }
+    if (rules.some(r => r.id === rule.id)) {
+      setFormError(`A rule named "${name}" already exists`);
+      return;
+    }
+    
+    setFormError(null);
+    setForm(prev => ({ ...prev, name: '' }));
+    setConditions([{ ...EMPTY_RULE_CONDITION }]);
+    onAddRule(rule);
+  };
+  
+  const isBuiltIn = (rule) => DEFAULT_ALERT_RULES.some(r => r.id === rule.id);
+  
+  return (
+    <div className="breakout-table-container">
+      <SectionToggle 
+        isExpanded={isExpanded} 
+        onToggle={onToggleExpanded} 
+        title="Alert Rules"
+        count={enabledCount}
+      />
+      <div className="breakout-table-header">
+        <div>
+          <p className="breakout-subtitle">Checked after every data refresh | All conditions of a rule must hold for the same symbol | Signal and breakout rules fire once per signal, RSI / range rules again after their cooldown</p>
+        </div>
+      </div>
+      
+      <div className="settings-list">
+        {rules.map(rule => (
+          <div key={rule.id} className={`settings-list-item ${rule.enabled ? 'enabled' : ''}`}>
+            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', cursor: 'pointer', flex: 1 }}>
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={() => onToggleRule(rule.id)}
+                style={{ width: '16px', height: '16px', cursor: 'pointer' }}
+              />
+              <span className={`alert-severity ${rule.severity}`}>{ALERT_SEVERITY_LABELS[rule.severity]}</span>
+              <strong>{rule.name}</strong>
+              <span style={{ opacity: 0.7, fontSize: '0.85rem' }}>
+                {describeAlertRule(rule)} | {ALERT_CHANNEL_LABELS[rule.channel]}
+              </span>
+            </label>
+            {!isBuiltIn(rule) && (
+              <button
+                onClick={() => onRemoveRule(rule.id)}
+                className="refresh-btn-small"
+                style={{ minHeight: 'auto', padding: '0.3rem 0.6rem' }}
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+      
+      <div className="settings-form" style={{ marginBottom: '1rem' }}>
+        <label className="settings-field">
+          Name
+          <input className="settings-input" value={form.name} onChange={handleFieldChange('name')} placeholder="e.g., SOL dip at range low" />
+        </label>
+        <label className="settings-field">
+          Symbols (empty = all)
+          <input className="settings-input" value={form.symbols} onChange={handleFieldChange('symbols')} placeholder="e.g., SOL, ETH" />
+        </label>
+        {conditions.map((condition, index) => (
+          <div key={index} className="settings-field" style={{ flexDirection: 'row', alignItems: 'flex-end', gap: '0.5rem' }}>
+            <label className="settings-field">
+              {index === 0 ? 'Condition' : 'AND'}
+              <select className="settings-input" value={condition.type} onChange={handleConditionChange(index, 'type')}>
+                {Object.values(RULE_CONDITIONS).map(type => (
+                  <option key={type} value={type}>{RULE_CONDITION_LABELS[type]}</option>
+                ))}
+              </select>
+            </label>
+            {condition.type === RULE_CONDITIONS.RSI && (
+              <>
+                <select className="settings-input" value={condition.operator} onChange={handleConditionChange(index, 'operator')} style={{ minWidth: '50px' }}>
+                  <option value="<">&lt;</option>
+                  <option value=">">&gt;</option>
+                </select>
+                <input className="settings-input" type="number" min="1" max="99" value={condition.value} onChange={handleConditionChange(index, 'value')} />
+              </>
+            )}
+            {condition.type === RULE_CONDITIONS.RANGE_DISTANCE && (
+              <>
+                <input className="settings-input" type="number" min="0.01" step="0.1" value={condition.percent} onChange={handleConditionChange(index, 'percent')} title="Distance in %" />
+                <select className="settings-input" value={condition.edge} onChange={handleConditionChange(index, 'edge')}>
+                  <option value="any">% of range high or low</option>
+                  <option value="high">% of range high</option>
+                  <option value="low">% of range low</option>
+                </select>
+              </>
+            )}
+            {condition.type === RULE_CONDITIONS.SIGNAL_REENTRY && (
+              <select className="settings-input" value={condition.direction} onChange={handleConditionChange(index, 'direction')}>
+                <option value="any">Long or short</option>
+                <option value="long">Long</option>
+                <option value="short">Short</option>
+              </select>
+            )}
+            {condition.type === RULE_CONDITIONS.BREAKOUT && (
+              <select className="settings-input" value={condition.direction} onChange={handleConditionChange(index, 'direction')}>
+                <option value="any">Above or below</option>
+                <option value="above">Above range</option>
+                <option value="below">Below range</option>
+              </select>
+            )}
+            {condition.type === RULE_CONDITIONS.SIGNAL_CLOSED && (
+              <select className="settings-input" value={condition.result} onChange={handleConditionChange(index, 'result')}>
+                <option value="any">Any outcome</option>
+                <option value="win">As win</option>
+                <option value="loss">As loss</option>
+                <option value="breakeven">At break-even</option>
+              </select>
+            )}
+            {conditions.length > 1 && (
+              <button
+                onClick={() => setConditions(prev => prev.filter((c, i) => i !== index))}
+                className="refresh-btn-small"
+                style={{ minHeight: 'auto', padding: '0.3rem 0.6rem' }}
+              >
+                ✕
+              </button>
+            )}
+          </div>
+        ))}
+        <button onClick={() => setConditions(prev => [...prev, { ...EMPTY_RULE_CONDITION }])} className="refresh-btn-small">
+          + AND
+        </button>
+        <label className="settings-field">
+          Cooldown (minutes)
+          <input className="settings-input" type="number" min="0" value={form.cooldownMinutes} onChange={handleFieldChange('cooldownMinutes')} />
+        </label>
+        <label className="settings-field">
+          Severity
+          <select className="settings-input" value={form.severity} onChange={handleFieldChange('severity')}>
+            {Object.values(ALERT_SEVERITIES).map(severity => (
+              <option key={severity} value={severity}>{ALERT_SEVERITY_LABELS[severity]}</option>
+            ))}
+          </select>
+        </label>
+        <label className="settings-field">
+          Channel
+          <select className="settings-input" value={form.channel} onChange={handleFieldChange('channel')}>
+            {Object.values(ALERT_CHANNELS).map(channel => (
+              <option key={channel} value={channel}>{ALERT_CHANNEL_LABELS[channel]}</option>
+            ))}
+          </select>
+        </label>
+        {form.channel === ALERT_CHANNELS.WEBHOOK && (
+          <label className="settings-field">
+            Webhook URL
+            <input className="settings-input" value={form.webhookUrl} onChange={handleFieldChange('webhookUrl')} placeholder="https://..." />
+          </label>
+        )}
+        <button onClick={handleAdd} className="refresh-btn-small" disabled={!form.name.trim()}>
+          Add Rule
+        </button>
+        {formError && <p className="settings-error">{formError}</p>}
+      </div>
+      
+      <h4 style={{ margin: '0 0 0.5rem' }}>Recent Alerts</h4>
+      {alertLog.length === 0 ? (
+        <p className="breakout-subtitle">No alerts fired yet</p>
+      ) : (
+        <div className="settings-list">
+          {alertLog.map(entry => (
+            <div key={`${entry.key}-${entry.firedAt}`} className="settings-list-item" style={{ alignItems: 'flex-start' }}>
+              <span className={`alert-severity ${entry.severity}`}>{ALERT_SEVERITY_LABELS[entry.severity]}</span>
+              <span style={{ flex: 1 }}>
+                <strong>{entry.title}</strong>
+                <span style={{ display: 'block', opacity: 0.7, fontSize: '0.85rem', whiteSpace: 'pre-line' }}>{entry.body}</span>
+              </span>
+              <span style={{ opacity: 0.7, fontSize: '0.8rem', whiteSpace: 'nowrap' }}>
+                {formatNYTime(new Date(entry.firedAt))} | {ALERT_CHANNEL_LABELS[entry.channel]}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Record / Replay Component
+// Records every Binance response into a downloadable session file, or replays a loaded one
+const ReplaySettings = ({ status, isExpanded, onToggleExpanded }) => {
+  const [error, setError] = useState(null);
+  
+  const isRecording = status.mode === REPLAY_MODES.RECORDING;
+  const isReplaying = status.mode === REPLAY_MODES.REPLAY;
+  
+  const downloadRecording = () => {
+    const contents = replayController.exportRecording();
+    if (!contents) {
+      return;
+    }
+    const url = URL.createObjectURL(new Blob([contents], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `binance-session-${new Date(status.startedAt).toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+  
+  const stopAndDownload = () => {
+    replayController.stopRecording();
+    downloadRecording();
+  };
+  
+  const loadSessionFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) {
+      return;
+    }
+    try {
+      replayController.loadRecording(await file.text());
+      setError(null);
+    } catch (loadError) {
+      setError(`Could not load ${file.name}: ${loadError.message}`);
+    }
+  };
+  
+  const modeLabel = isReplaying ? 'Replaying' : isRecording ? 'Recording' : 'Live';
+  
+  if (!isExpanded) {
+    return (
+      <div className="breakout-table-container">
+        <SectionToggle 
+          isExpanded={isExpanded} 
+          onToggle={onToggleExpanded} 
+          title={`Record / Replay (${modeLabel})`}
+          count={null}
+        />
+      </div>
+    );
+  }
+  
+  return (
+    <div className="breakout-table-container">
+      <SectionToggle 
+        isExpanded={isExpanded} 
+        onToggle={onToggleExpanded} 
+        title={`Record / Replay (${modeLabel})`}
+        count={null}
+      />
+      <div className="breakout-table-header">
+        <div>
+          <p className="breakout-subtitle">Start Recording reloads every section and records each Binance response into a session file | Replay it later with the clock pinned to the recording time to reproduce signals exactly | Live stream, caches and notifications are off during a replay</p>
+        </div>
+      </div>
+      
+      {error && (
+        <div className="error-mini">
+          <strong>Error:</strong> {error}
+        </div>
+      )}
+      
+      {status.mode !== REPLAY_MODES.LIVE && (
+        <div className="oversold-summary">
+          <div className="oversold-summary-grid">
+            <div className="oversold-summary-item">
+              <strong>Responses:</strong> {status.responses.toLocaleString('en-US')}
+            </div>
+            <div className="oversold-summary-item">
+              <strong>Started:</strong> {formatDateTime(status.startedAt)}
+            </div>
+            {status.endedAt && (
+              <div className="oversold-summary-item">
+                <strong>{isReplaying ? 'Clock pinned to:' : 'Ended:'}</strong> {formatDateTime(status.endedAt)}
+              </div>
+            )}
+          </div>
+        </div>
+      )}
+      
+      <div className="settings-form">
+        {isRecording ? (
+          <button onClick={stopAndDownload} className="refresh-btn-small">
+            ⏹ Stop & Download
+          </button>
+        ) : (
+          <button onClick={() => replayController.startRecording()} className="refresh-btn-small" disabled={isReplaying}>
+            ⏺ Start Recording
+          </button>
+        )}
+        {!isRecording && !isReplaying && status.responses > 0 && (
+          <button onClick={downloadRecording} className="refresh-btn-small">
+            Download Last Recording
+          </button>
+        )}
+        {isReplaying ? (
+          <button onClick={() => replayController.stopReplay()} className="refresh-btn-small">
+            Back to Live Data
+          </button>
+        ) : (
+          <label className="settings-field">
+            Load session file
+            <input className="settings-input" type="file" accept="application/json,.json" onChange={loadSessionFile} disabled={isRecording} />
+          </label>
+        )}
+      </div>
+    </div>
+  );
+};
+
+// Request Scheduler Status Component
+// Binance request weight used this minute and requests waiting in the shared scheduler queue
+const RequestSchedulerStatus = () => {
+  const [status, setStatus] = useState(() => binanceScheduler.getStatus());
+  
+  useEffect(() => {
+    const unsubscribe = binanceScheduler.subscribe(setStatus);
+    // Weight resets every minute even when no request is made
+    const interval = setInterval(() => setStatus(binanceScheduler.getStatus()), 5000);
+    return () => {
+      unsubscribe();
+      clearInterval(interval);
+    };
+  }, []);
+  
+  const usage = status.usedWeight / status.weightLimit;
+  const color = status.pausedUntil || status.usedWeight >= status.budget
+    ? '#ff6b6b'
+    : usage >= 0.5 ? '#ffd93d' : '#6bcf7f';
+  
+  return (
+    <span
+      style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontSize: '0.85rem', color }}
+      title={`Binance request weight used this minute: ${status.usedWeight} of ${status.weightLimit} (scheduler budget ${status.budget}) | ${status.active} in flight, ${status.queued} queued | ${status.retries} retries so far`}
+    >
+      ⚖ API {status.usedWeight}/{status.weightLimit}
+      {status.queued > 0 && ` | ${status.queued} queued`}
+      {status.pausedUntil && ` | paused until ${new Date(status.pausedUntil).toLocaleTimeString()}`}
+    </span>
+  );
+};
+
+function App() {
+  const [rsiData, setRsiData] = useState({ data: null, loading: false, error: null, lastUpdateTime: null });
+  const [oversoldHistory, setOversoldHistory] = useState({ data: null, loading: false, error: null, lastUpdateTime: null });
+  const [breakoutSignals, setBreakoutSignals] = useState({ data: null, loading: false, error: null, lastUpdateTime: null });
+  const [breakoutsWithoutReentry, setBreakoutsWithoutReentry] = useState({ data: null, loading: false, error: null, lastUpdateTime: null });
+  
+  // Watchlists (stored in localStorage) - the active watchlist drives every fetcher
+  // The default watchlist can be edited but not deleted
+  const [watchlists, setWatchlists] = useState(() => {
+    try {
+      const saved = localStorage.getItem('watchlists');
+      if (saved) {
+        const parsed = JSON.parse(saved).filter(watchlist => !validateWatchlist(watchlist));
+        return parsed.some(watchlist => watchlist.id === DEFAULT_WATCHLIST.id) ? parsed : [DEFAULT_WATCHLIST, ...parsed];
+      }
+    } catch (e) {
+      console.warn('Failed to load watchlists from localStorage:', e);
+    }
+    return [DEFAULT_WATCHLIST];
+  });
+  
+  const [activeWatchlistId, setActiveWatchlistId] = useState(() => {
+    try {
+      return localStorage.getItem('active_watchlist') || DEFAULT_WATCHLIST.id;
+    } catch (e) {
+      console.warn('Failed to load active watchlist from localStorage:', e);
+      return DEFAULT_WATCHLIST.id;
+    }
+  });
+  
+  const watchedSymbols = getWatchlist(watchlists, activeWatchlistId).symbols;
+  const watchlistKey = watchedSymbols.join(',');
+  
+  // Interval-driven refreshes read the latest symbols from a ref
+  const watchedSymbolsRef = useRef(watchedSymbols);
+  watchedSymbolsRef.current = watchedSymbols;
+  
+  // Cryptocurrency filter state for Oversold History (stored in localStorage)
+  const [oversoldSelectedCryptos, setOversoldSelectedCryptos] = useState(() => {
+    try {
+      const saved = localStorage.getItem('oversold_filter_selection');
+      if (saved) {
+        const parsed = JSON.parse(saved);
+        const savedSet = new Set(parsed);
+        // Ensure all watched symbols are included (merge with saved selection)
+        const allCryptos = watchedSymbols.map(s => toDisplaySymbol(s));
+        allCryptos.forEach(crypto => savedSet.add(crypto));
+        return savedSet;
+      }
+    } catch (e) {
+      console.warn('Failed to load oversold filter from localStorage:', e);
+    }
+    // Default: all cryptocurrencies selected
+    return new Set(watchedSymbols.map(s => toDisplaySymbol(s)));
+  });
+
+  // Cryptocurrency filter state for Breakout Signals (stored in localStorage)
+  const [breakoutSignalsSelectedCryptos, setBreakoutSignalsSelectedCryptos] = useState(() => {
+    try {
+      const saved = localStorage.getItem('breakout_signals_filter_selection');
+      if (saved) {
+        const parsed = JSON.parse(saved);
+        const savedSet = new Set(parsed);
+        // Ensure all watched symbols are included (merge with saved selection)
+        const allCryptos = watchedSymbols.map(s => toDisplaySymbol(s));
+        allCryptos.forEach(crypto => savedSet.add(crypto));
+        return savedSet;
+      }
+    } catch (e) {
+      console.warn('Failed to load breakout signals filter from localStorage:', e);
+    }
+    // Default: all cryptocurrencies selected
+    return new Set(watchedSymbols.map(s => toDisplaySymbol(s)));
+  });
+
+  // Breakout sessions (stored in localStorage)
+  // Custom sessions are user-defined; enabled ids select which sessions run side by side
+  const [customSessions, setCustomSessions] = useState(() => {
+    try {
+      const saved = localStorage.getItem('breakout_custom_sessions');
+      if (saved) {
+        return JSON.parse(saved).filter(session => !validateSession(session));
+      }
+    } catch (e) {
+      console.warn('Failed to load custom sessions from localStorage:', e);
+    }
+    return [];
+  });
+
+  const [enabledSessionIds, setEnabledSessionIds] = useState(() => {
+    try {
+      const saved = localStorage.getItem('breakout_enabled_sessions');
+      if (saved) {
+        const parsed = JSON.parse(saved);
+        if (Array.isArray(parsed) && parsed.length > 0) {
+          return parsed;
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to load enabled sessions from localStorage:', e);
+    }
+    // Default: only the original 11:00 UTC+7 session
+    return [DEFAULT_SESSION.id];
+  });
+
+  const availableSessions = [...SESSION_PRESETS, ...customSessions];
+  const activeSessions = availableSessions.filter(session => enabledSessionIds.includes(session.id));
+  
+  // Keep the latest active sessions in a ref so interval-driven refreshes use the current selection
+  const activeSessionsRef = useRef(activeSessions);
+  activeSessionsRef.current = activeSessions.length > 0 ? activeSessions : [DEFAULT_SESSION];
+
+  // Risk profiles (stored in localStorage)
+  // Custom profiles are user-defined; assignments map each symbol to a profile id
+  const [customRiskProfiles, setCustomRiskProfiles] = useState(() => {
+    try {
+      const saved = localStorage.getItem('breakout_custom_risk_profiles');
+      if (saved) {
+        return JSON.parse(saved).filter(profile => !validateRiskProfile(profile));
+      }
+    } catch (e) {
+      console.warn('Failed to load custom risk profiles from localStorage:', e);
+    }
+    return [];
+  });
+
+  const [riskProfileAssignments, setRiskProfileAssignments] = useState(() => {
+    try {
+      const saved = localStorage.getItem('breakout_risk_profile_assignments');
+      if (saved) {
+        return JSON.parse(saved);
+      }
+    } catch (e) {
+      console.warn('Failed to load risk profile assignments from localStorage:', e);
+    }
+    // Default: every symbol on the default profile
+    return {};
+  });
+
+  const availableRiskProfiles = [...RISK_PROFILE_PRESETS, ...customRiskProfiles];
+  const riskProfilesBySymbol = {};
+  watchedSymbols.forEach(symbol => {
+    riskProfilesBySymbol[symbol] = getRiskProfileForSymbol(symbol, riskProfileAssignments, availableRiskProfiles);
+  });
+
+  // Same as sessions: interval-driven refreshes read the latest profiles from a ref
+  const riskProfilesRef = useRef(riskProfilesBySymbol);
+  riskProfilesRef.current = riskProfilesBySymbol;
+
+  // Fallback when a 5m candle reaches both stop and target and its 1m candles can't settle the order
+  const [intrabarPolicy, setIntrabarPolicy] = useState(() => {
+    try {
+      const saved = localStorage.getItem('breakout_intrabar_policy');
+      if (saved && INTRABAR_POLICY_LABELS[saved]) {
+        return saved;
+      }
+    } catch (e) {
+      console.warn('Failed to load intrabar policy from localStorage:', e);
+    }
+    return DEFAULT_STRATEGY_CONFIG.intrabarPolicy;
+  });
+
+  const intrabarPolicyRef = useRef(intrabarPolicy);
+  intrabarPolicyRef.current = intrabarPolicy;
+
+  // Leverage and margin mode of the $1000-per-trade simulation (display only, no refetch needed)
+  const [simulationSettings, setSimulationSettings] = useState(() => {
+    try {
+      const saved = localStorage.getItem('breakout_simulation_settings');
+      if (saved) {
+        const parsed = JSON.parse(saved);
+        if (parsed.leverage >= 1 && Object.values(MARGIN_MODES).includes(parsed.marginMode)) {
+          return { leverage: parsed.leverage, marginMode: parsed.marginMode };
+        }
+      }
+    } catch (e) {
+      console.warn('Failed to load simulation settings from localStorage:', e);
+    }
+    return { leverage: DEFAULT_SIMULATION.leverage, marginMode: DEFAULT_SIMULATION.marginMode };
+  });
+
+  // Section expanded state (stored in localStorage)
+  const [expandedSections, setExpandedSections] = useState(() => {
+    try {
+      const saved = localStorage.getItem('section_expanded_state');
+      if (saved) {
+        return JSON.parse(saved);
+      }
+    } catch (e) {
+      console.warn('Failed to load section expanded state from localStorage:', e);
+    }
+    // Default: all sections expanded
+    return {
+      mergedRSIBreakout: true,
+      oversold: true,
+      breakoutSignals: true
+    };
+  });
+
+  // Notification state
   const [notificationsEnabled, setNotificationsEnabled] = useState(() => {
     try {
       const saved = localStorage.getItem('notifications_enabled');
@@ -2343,7 +4323,57 @@ function App() {
 
   const [notificationPermission, setNotificationPermission] = useState('default');
   const [serviceWorkerRegistration, setServiceWorkerRegistration] = useState(null);
+
+  // Signal deep link from a chat message (?signal=BTC&time=...), cleared once its chart is open
+  const [linkedSignal, setLinkedSignal] = useState(() => parseSignalLink(window.location.search));
+
+  const handleLinkedSignalOpened = () => {
+    setLinkedSignal(null);
+    window.history.replaceState(null, '', window.location.pathname);
+  };
+
+  // Record / replay mode (replay.js) - a replay answers every request from a recorded session
+  const [replayStatus, setReplayStatus] = useState(() => replayController.getStatus());
+  const isReplaying = replayStatus.mode === REPLAY_MODES.REPLAY;
+
+  useEffect(() => replayController.subscribe(setReplayStatus), []);
+
+  // WebSocket stream status - REST polling only runs while the stream is not live
+  const [streamStatus, setStreamStatus] = useState(STREAM_STATUS.CLOSED);
+  const streamStatusRef = useRef(STREAM_STATUS.CLOSED);
+  const liveDetectorsRef = useRef(null);
+  
+  // Alert rules (alertRules.js, stored in localStorage) - the built-in rules until the user adds their own
+  const [alertRules, setAlertRules] = useState(() => {
+    try {
+      const saved = localStorage.getItem('alert_rules');
+      if (saved) {
+        const rules = JSON.parse(saved).filter(rule => !validateAlertRule(rule));
+        // Built-in rules added since the rules were saved
+        return [...rules, ...DEFAULT_ALERT_RULES.filter(builtIn => !rules.some(rule => rule.id === builtIn.id))];
+      }
+    } catch (e) {
+      console.warn('Failed to load alert rules from localStorage:', e);
+    }
+    return DEFAULT_ALERT_RULES;
+  });
+  const alertRulesRef = useRef(alertRules);
+  alertRulesRef.current = alertRules;
+  
+  // Last time each rule fired per symbol (cooldowns)
+  const alertCooldownsRef = useRef({});
+  // Last result of each signal at the previous evaluation (signal_results), so closes survive a reload
+  const signalResultsRef = useRef({});
+  const [alertLog, setAlertLog] = useState([]); // Recently fired alerts, newest first
   
+  // Latest data for rule evaluations started from a refresh that only updated part of it
+  const alertDataRef = useRef({ rsiRows: [], signals: [], breakouts: [] });
+  alertDataRef.current = {
+    rsiRows: rsiData.data || [],
+    signals: breakoutSignals.data || [],
+    breakouts: breakoutsWithoutReentry.data || []
+  };
+
   // Track notified breakouts to avoid duplicates (store in localStorage)
   const notifiedBreakoutsRef = useRef(new Set());
   
@@ -2356,7 +4386,23 @@ function App() {
         notifiedBreakoutsRef.current = new Set(breakouts);
       }
     } catch (e) {
-      console.warn('Failed to load notified breakouts:', e);
+      console.warn('Failed to load notified breakouts:', e);
+    }
+    try {
+      const saved = localStorage.getItem('alert_rule_cooldowns');
+      if (saved) {
+        alertCooldownsRef.current = JSON.parse(saved);
+      }
+    } catch (e) {
+      console.warn('Failed to load alert rule cooldowns:', e);
+    }
+    try {
+      const saved = localStorage.getItem('signal_results');
+      if (saved) {
+        signalResultsRef.current = JSON.parse(saved);
+      }
+    } catch (e) {
+      console.warn('Failed to load signal results:', e);
     }
   }, []);
 
@@ -2370,6 +4416,24 @@ function App() {
     }
   };
 
+  // Save alert rule cooldowns to localStorage
+  const saveAlertCooldowns = () => {
+    try {
+      localStorage.setItem('alert_rule_cooldowns', JSON.stringify(alertCooldownsRef.current));
+    } catch (e) {
+      console.warn('Failed to save alert rule cooldowns:', e);
+    }
+  };
+
+  // Save the signals' last results to localStorage
+  const saveSignalResults = () => {
+    try {
+      localStorage.setItem('signal_results', JSON.stringify(signalResultsRef.current));
+    } catch (e) {
+      console.warn('Failed to save signal results:', e);
+    }
+  };
+
   // Save filter selections to localStorage whenever they change
   useEffect(() => {
     try {
@@ -2387,6 +4451,63 @@ function App() {
     }
   }, [breakoutSignalsSelectedCryptos]);
 
+  // Save session settings to localStorage whenever they change
+  useEffect(() => {
+    try {
+      localStorage.setItem('breakout_custom_sessions', JSON.stringify(customSessions));
+      localStorage.setItem('breakout_enabled_sessions', JSON.stringify(enabledSessionIds));
+    } catch (e) {
+      console.warn('Failed to save session settings to localStorage:', e);
+    }
+  }, [customSessions, enabledSessionIds]);
+
+  // Save risk profile settings to localStorage whenever they change
+  useEffect(() => {
+    try {
+      localStorage.setItem('breakout_custom_risk_profiles', JSON.stringify(customRiskProfiles));
+      localStorage.setItem('breakout_risk_profile_assignments', JSON.stringify(riskProfileAssignments));
+    } catch (e) {
+      console.warn('Failed to save risk profile settings to localStorage:', e);
+    }
+  }, [customRiskProfiles, riskProfileAssignments]);
+
+  // Save alert rules to localStorage whenever they change
+  useEffect(() => {
+    try {
+      localStorage.setItem('alert_rules', JSON.stringify(alertRules));
+    } catch (e) {
+      console.warn('Failed to save alert rules to localStorage:', e);
+    }
+  }, [alertRules]);
+
+  // Save intrabar policy to localStorage whenever it changes
+  useEffect(() => {
+    try {
+      localStorage.setItem('breakout_intrabar_policy', intrabarPolicy);
+    } catch (e) {
+      console.warn('Failed to save intrabar policy to localStorage:', e);
+    }
+  }, [intrabarPolicy]);
+
+  // Save simulation settings to localStorage whenever they change
+  useEffect(() => {
+    try {
+      localStorage.setItem('breakout_simulation_settings', JSON.stringify(simulationSettings));
+    } catch (e) {
+      console.warn('Failed to save simulation settings to localStorage:', e);
+    }
+  }, [simulationSettings]);
+
+  // Save watchlists to localStorage whenever they change
+  useEffect(() => {
+    try {
+      localStorage.setItem('watchlists', JSON.stringify(watchlists));
+      localStorage.setItem('active_watchlist', activeWatchlistId);
+    } catch (e) {
+      console.warn('Failed to save watchlists to localStorage:', e);
+    }
+  }, [watchlists, activeWatchlistId]);
+
   // Save section expanded state to localStorage whenever it changes
   useEffect(() => {
     try {
@@ -2430,184 +4551,266 @@ function App() {
     });
   };
 
+  // Session handlers for Breakout Sessions
+  const toggleSession = (sessionId) => {
+    setEnabledSessionIds(prev => {
+      if (prev.includes(sessionId)) {
+        // Keep at least one session enabled
+        return prev.length > 1 ? prev.filter(id => id !== sessionId) : prev;
+      }
+      return [...prev, sessionId];
+    });
+  };
+
+  // Watchlist handlers for Watchlists
+  const addWatchlist = (watchlist) => {
+    setWatchlists(prev => [...prev, watchlist]);
+    setActiveWatchlistId(watchlist.id);
+  };
+
+  const removeWatchlist = (watchlistId) => {
+    setWatchlists(prev => prev.filter(watchlist => watchlist.id !== watchlistId));
+    setActiveWatchlistId(prev => (prev === watchlistId ? DEFAULT_WATCHLIST.id : prev));
+  };
+
+  const updateWatchlist = (updated) => {
+    setWatchlists(prev => prev.map(watchlist => (watchlist.id === updated.id ? updated : watchlist)));
+  };
+
+  const addCustomSession = (session) => {
+    setCustomSessions(prev => [...prev, session]);
+    setEnabledSessionIds(prev => [...prev, session.id]);
+  };
+
+  const removeCustomSession = (sessionId) => {
+    setCustomSessions(prev => prev.filter(session => session.id !== sessionId));
+    setEnabledSessionIds(prev => {
+      const remaining = prev.filter(id => id !== sessionId);
+      return remaining.length > 0 ? remaining : [DEFAULT_SESSION.id];
+    });
+  };
+
+  // Risk profile handlers for Risk Profiles
+  const assignRiskProfile = (symbol, profileId) => {
+    setRiskProfileAssignments(prev => ({ ...prev, [symbol]: profileId }));
+  };
+
+  const toggleAlertRule = (ruleId) => {
+    setAlertRules(prev => prev.map(rule => (rule.id === ruleId ? { ...rule, enabled: !rule.enabled } : rule)));
+  };
+
+  const addAlertRule = (rule) => {
+    setAlertRules(prev => [...prev, rule]);
+  };
+
+  const removeAlertRule = (ruleId) => {
+    setAlertRules(prev => prev.filter(rule => rule.id !== ruleId));
+  };
+
+  const addRiskProfile = (profile) => {
+    setCustomRiskProfiles(prev => [...prev, profile]);
+  };
+
+  const removeRiskProfile = (profileId) => {
+    setCustomRiskProfiles(prev => prev.filter(profile => profile.id !== profileId));
+    // Symbols on the removed profile fall back to the default profile
+    setRiskProfileAssignments(prev => {
+      const next = { ...prev };
+      Object.keys(next).forEach(symbol => {
+        if (next[symbol] === profileId) {
+          delete next[symbol];
+        }
+      });
+      return next;
+    });
+  };
+
   // Fetch RSI directly from Binance API
-  const fetchRSIData = async (forceRefresh = false) => {
-    setRsiData(prev => ({ ...prev, loading: true, error: null }));
+  // retrySymbols: refetch only these symbols (per-symbol retry) and keep the other rows
+  const fetchRSIData = async (forceRefresh = false, retrySymbols = []) => {
+    const isRetry = retrySymbols.length > 0;
+    setRsiData(prev => ({
+      ...prev,
+      loading: true,
+      error: null,
+      progress: null,
+      symbolErrors: markSymbolErrorsRetrying(prev.symbolErrors, retrySymbols)
+    }));
+
+    // New rows replace the symbol's current row (kept in watchlist order)
+    const mergeRows = (rows, newRows) => watchedSymbolsRef.current
+      .map(watched => newRows.find(row => row.symbol === watched) || (rows || []).find(row => row.symbol === watched))
+      .filter(Boolean);
 
     try {
-      const results = await fetchMultipleRSI(DEFAULT_SYMBOLS, 14, 14, forceRefresh);
-      const updateTime = new Date();
+      // Rows fill in as each symbol arrives; each symbol's error is tracked on its own
+      const results = await fetchMultipleRSI(watchedSymbolsRef.current, 14, 14, forceRefresh, {
+        retrySymbols,
+        onProgress: ({ symbol, completed, total, result, error }) => {
+          setRsiData(prev => ({
+            ...prev,
+            data: result ? mergeRows(prev.data, [result]) : prev.data,
+            progress: { completed, total },
+            symbolErrors: updateSymbolError(prev.symbolErrors, symbol, error)
+          }));
+        }
+      });
+      const updateTime = clock.date();
       console.log(`[RSI] Data updated at ${updateTime.toISOString()}`);
-      setRsiData({ data: results, loading: false, error: null, lastUpdateTime: updateTime });
+      // A retry returns only the retried rows
+      setRsiData(prev => ({ ...prev, data: isRetry ? mergeRows(prev.data, results) : results, loading: false, error: null, lastUpdateTime: updateTime, progress: null }));
+      requestAlertRun();
     } catch (err) {
+      const message = err.message || 'Failed to fetch RSI from Binance';
       setRsiData(prev => ({ 
-        data: null, 
+        data: isRetry ? prev.data : null, // A failed retry keeps the other rows
         loading: false, 
-        error: err.message || 'Failed to fetch RSI from Binance',
-        lastUpdateTime: prev?.lastUpdateTime || null
+        error: isRetry ? null : message,
+        lastUpdateTime: prev?.lastUpdateTime || null,
+        progress: null,
+        symbolErrors: retrySymbols.reduce((errors, symbol) => updateSymbolError(errors, symbol, message), prev.symbolErrors)
       }));
     }
   };
 
   // Fetch oversold history (RSI <= 30) for last 3 days
   const fetchOversoldData = async (forceRefresh = false) => {
-    setOversoldHistory(prev => ({ ...prev, loading: true, error: null }));
+    setOversoldHistory(prev => ({ ...prev, loading: true, error: null, progress: null }));
 
     try {
-      const results = await fetchOversoldHistory(DEFAULT_SYMBOLS, 3, 30, forceRefresh);
-      const updateTime = new Date();
+      // Each symbol's events are added as soon as they arrive (same symbol and time = same event)
+      const results = await fetchOversoldHistory(watchedSymbolsRef.current, 3, 30, forceRefresh, {
+        onProgress: ({ completed, total, result }) => {
+          const getEventKey = (event) => `${event.symbol}_${new Date(event.timestamp).getTime()}`;
+          const newKeys = new Set(result.map(getEventKey));
+          setOversoldHistory(prev => ({
+            ...prev,
+            data: result.length > 0
+              ? [...(prev.data || []).filter(event => !newKeys.has(getEventKey(event))), ...result]
+                .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+              : prev.data,
+            progress: { completed, total }
+          }));
+        }
+      });
+      const updateTime = clock.date();
       console.log(`[Oversold] Data updated at ${updateTime.toISOString()}`);
-      setOversoldHistory({ data: results, loading: false, error: null, lastUpdateTime: updateTime });
+      setOversoldHistory({ data: results, loading: false, error: null, lastUpdateTime: updateTime, progress: null });
     } catch (err) {
       setOversoldHistory(prev => ({ 
         data: null, 
         loading: false, 
         error: err.message || 'Failed to fetch oversold history from Binance',
-        lastUpdateTime: prev?.lastUpdateTime || null
+        lastUpdateTime: prev?.lastUpdateTime || null,
+        progress: null
       }));
     }
   };
 
-  // Helper function to calculate distance from range
-  const calculateDistanceFromRange = (breakout) => {
-    if (!breakout.currentPrice || !breakout.rangeHigh || !breakout.rangeLow) {
-      return null;
+  // Deliver an alert from the rules to its channel; delivered alerts are remembered (signal/breakout keys
+  // in notified_breakouts, cooldowns in alert_rule_cooldowns) and listed in the alert log.
+  // Undelivered ones fire again on the next refresh.
+  const deliverRuleAlert = async (alert) => {
+    const { rule } = alert;
+    if (rule.channel === ALERT_CHANNELS.BROWSER) {
+      if (!notificationsEnabled || notificationPermission !== 'granted') {
+        return;
+      }
+      const sent = await sendNotification(alert.title, {
+        body: alert.body,
+        icon: '/icon-192x192.png',
+        tag: alert.key,
+        requireInteraction: alert.requireInteraction,
+        data: { symbol: alert.symbol, type: 'alert-rule', ruleId: rule.id }
+      });
+      if (!sent) {
+        return;
+      }
+    } else if (rule.channel === ALERT_CHANNELS.WEBHOOK) {
+      const result = await postWebhook(rule.webhookUrl, buildRuleAlertPayload(alert));
+      if (!result.ok) {
+        console.warn(`[AlertRules] Webhook for "${rule.name}" failed (${result.error}), will retry on the next refresh`);
+        return;
+      }
     }
 
-    if (breakout.isAbove) {
-      // Above range: distance = ((currentPrice - rangeHigh) / rangeHigh) * 100
-      return ((breakout.currentPrice - breakout.rangeHigh) / breakout.rangeHigh) * 100;
-    } else {
-      // Below range: distance = ((rangeLow - currentPrice) / rangeLow) * 100
-      return ((breakout.rangeLow - breakout.currentPrice) / breakout.rangeLow) * 100;
+    if (alert.notifyOnce) {
+      notifiedBreakoutsRef.current.add(alert.key);
+      saveNotifiedBreakouts();
+    }
+    if (rule.cooldownMinutes > 0) {
+      alertCooldownsRef.current = { ...alertCooldownsRef.current, [alert.cooldownKey]: clock.now() };
+      saveAlertCooldowns();
     }
+    setAlertLog(prev => [
+      { key: alert.key, title: alert.title, body: alert.body, severity: rule.severity, channel: rule.channel, firedAt: clock.now() },
+      ...prev
+    ].slice(0, ALERT_LOG_SIZE));
+    console.log(`[AlertRules] "${rule.name}" fired for ${alert.symbol} (${rule.channel})`);
   };
 
-  // Helper function to check for new breakouts and send notifications
-  const checkAndNotifyNewBreakouts = (newSignals, oldSignals = [], newBreakoutsWithoutReentry = [], oldBreakoutsWithoutReentry = []) => {
-    if (!notificationsEnabled || notificationPermission !== 'granted') {
+  // Evaluate the alert rules (alertRules.js) after a data refresh
+  // data: { signals, previousSignals, breakouts, rsiRows } - parts the refresh did not touch come from the current state
+  const runAlertRules = (data = {}) => {
+    // Replayed data is history, never alerted
+    if (replayController.isReplaying()) {
       return;
     }
+    const current = alertDataRef.current;
+    const signals = data.signals || current.signals;
+    const alerts = evaluateAlertRules(alertRulesRef.current, {
+      symbols: watchedSymbolsRef.current,
+      rsiRows: data.rsiRows || current.rsiRows,
+      signals,
+      previousSignals: data.previousSignals || signals,
+      previousResults: signalResultsRef.current,
+      breakouts: data.breakouts || current.breakouts
+    }, {
+      notifiedKeys: notifiedBreakoutsRef.current,
+      lastFiredAt: alertCooldownsRef.current,
+      now: clock.now()
+    });
+    signalResultsRef.current = updateSignalResults(signalResultsRef.current, signals);
+    saveSignalResults();
+    alerts.forEach(deliverRuleAlert);
+  };
 
-    // 1. Check for new breakouts with re-entry (BREAKOUT notification)
-    if (newSignals && Array.isArray(newSignals)) {
-      // Create a map of old signals for quick lookup
-      const oldSignalsMap = new Map();
-      if (oldSignals && Array.isArray(oldSignals)) {
-        oldSignals.forEach(signal => {
-          if (signal.reentryTime) {
-            const key = `signal_${signal.symbol}_${signal.reentryTime instanceof Date ? signal.reentryTime.getTime() : new Date(signal.reentryTime).getTime()}`;
-            oldSignalsMap.set(key, signal);
-          }
-        });
-      }
-
-      // Find new signals (signals with re-entry that weren't in old data)
-      newSignals.forEach(signal => {
-        if (!signal.reentryTime) return; // Only notify for signals with re-entry
-        if (signal.result === 'win' || signal.result === 'loss') return; // Don't notify for closed positions
-        
-        const reentryTime = signal.reentryTime instanceof Date 
-          ? signal.reentryTime 
-          : new Date(signal.reentryTime);
-        const key = `signal_${signal.symbol}_${reentryTime.getTime()}`;
-        
-        // Check if this is a new signal (not in old data and not already notified)
-        const isNewSignal = !oldSignalsMap.has(key);
-        const alreadyNotified = notifiedBreakoutsRef.current.has(key);
-        
-        if (isNewSignal && !alreadyNotified) {
-          // This is a new breakout with re-entry - send notification
-          const notification = formatBreakoutNotification(
-            signal.symbol || 'UNKNOWN',
-            signal.breakoutTime,
-            signal.reentryTime,
-            signal.breakoutDirection,
-            formatNYTime // Pass formatNYTime function
-          );
-          
-          sendNotification(notification.title, {
-            body: notification.body,
-            icon: notification.icon,
-            tag: notification.tag,
-            data: notification.data
-          }).then(sent => {
-            if (sent) {
-              // Mark as notified
-              notifiedBreakoutsRef.current.add(key);
-              saveNotifiedBreakouts();
-              console.log(`[Notifications] Sent BREAKOUT notification for ${signal.symbol}`);
-            }
-          });
-        }
-      });
-    }
-
-    // 2. Check for distance from range < 1% (DISTANCE notification)
-    if (newBreakoutsWithoutReentry && Array.isArray(newBreakoutsWithoutReentry)) {
-      // Create a map of old breakouts for quick lookup
-      const oldBreakoutsMap = new Map();
-      if (oldBreakoutsWithoutReentry && Array.isArray(oldBreakoutsWithoutReentry)) {
-        oldBreakoutsWithoutReentry.forEach(breakout => {
-          if (breakout.breakoutTime) {
-            const key = `distance_${breakout.symbol}_${breakout.breakoutTime instanceof Date ? breakout.breakoutTime.getTime() : new Date(breakout.breakoutTime).getTime()}`;
-            oldBreakoutsMap.set(key, breakout);
-          }
-        });
-      }
+  // Alert rule runs requested by refreshes are made once the refreshed data has rendered (alertDataRef is
+  // then current), so each refresh is evaluated once. Requests made before the run are combined and keep
+  // the oldest previous signals, so no transition between them is missed.
+  const alertRunRequestRef = useRef(null);
+  const [alertRunCount, setAlertRunCount] = useState(0);
+  const requestAlertRun = (previousSignals = null) => {
+    const pending = alertRunRequestRef.current;
+    alertRunRequestRef.current = { previousSignals: (pending && pending.previousSignals) || previousSignals };
+    setAlertRunCount(count => count + 1);
+  };
 
-      // Check each breakout for distance < 1%
-      newBreakoutsWithoutReentry.forEach(breakout => {
-        if (!breakout.breakoutTime) return;
-        
-        const breakoutTime = breakout.breakoutTime instanceof Date 
-          ? breakout.breakoutTime 
-          : new Date(breakout.breakoutTime);
-        const key = `distance_${breakout.symbol}_${breakoutTime.getTime()}`;
-        
-        // Calculate distance from range
-        const distancePercent = calculateDistanceFromRange(breakout);
-        
-        if (distancePercent !== null && Math.abs(distancePercent) < 1) {
-          // Distance is less than 1% - check if we should notify
-          const alreadyNotified = notifiedBreakoutsRef.current.has(key);
-          
-          if (!alreadyNotified) {
-            // Send notification for distance < 1%
-            const symbolName = breakout.symbol || 'UNKNOWN';
-            const direction = breakout.isAbove ? 'LONG' : 'SHORT';
-            const distanceText = distancePercent >= 0 
-              ? `+${distancePercent.toFixed(2)}%` 
-              : `${distancePercent.toFixed(2)}%`;
-            
-            sendNotification(`📊 ${symbolName} Close to Range`, {
-              body: `${direction} breakout is ${distanceText} from range\nBreakout: ${formatNYTime(breakoutTime)}`,
-              icon: '/icon-192x192.png',
-              tag: `distance-${symbolName}-${breakoutTime.getTime()}`,
-              data: { symbol: breakout.symbol, type: 'distance-alert', distance: distancePercent }
-            }).then(sent => {
-              if (sent) {
-                // Mark as notified
-                notifiedBreakoutsRef.current.add(key);
-                saveNotifiedBreakouts();
-                console.log(`[Notifications] Sent DISTANCE notification for ${symbolName} (${distanceText} from range)`);
-              }
-            });
-          }
-        }
-      });
+  useEffect(() => {
+    const request = alertRunRequestRef.current;
+    if (!request) {
+      return;
     }
-  };
+    alertRunRequestRef.current = null;
+    runAlertRules(request.previousSignals ? { previousSignals: request.previousSignals } : {});
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [alertRunCount]);
 
   // Fetch breakout trading signals (single API call returns both signals and breakoutsWithoutReentry)
   // This data is used by both:
   // - RSI Analysis & Breakout Status (uses breakoutsWithoutReentry for current status)
   // - 4H UTC+7 Breakout Trading Signals (uses signals for history)
-  const fetchBreakoutSignals = async (forceRefresh = false) => {
+  // retrySymbols: refetch only these symbols from scratch (per-symbol retry) and keep the others
+  const fetchBreakoutSignals = async (forceRefresh = false, retrySymbols = []) => {
+    const isRetry = retrySymbols.length > 0;
+    // Data from before this fetch - partial results fill the tables while it runs, so notifications
+    // compare against this instead of the current state
+    const signalsBeforeFetch = alertDataRef.current.signals;
+    
     // Only show loading if we don't have data yet
     setBreakoutSignals(prev => {
       const hasData = prev.data && Array.isArray(prev.data) && prev.data.length > 0;
-      return { ...prev, loading: !hasData, error: null };
+      return { ...prev, loading: !hasData, error: null, progress: null, symbolErrors: markSymbolErrorsRetrying(prev.symbolErrors, retrySymbols) };
     });
     
     setBreakoutsWithoutReentry(prev => {
@@ -2618,61 +4821,72 @@ function App() {
     try {
       // Single API call returns both { signals, breakoutsWithoutReentry }
       // Uses caching with incremental fetching (sinceDate parameter) to only get new data
-      const results = await fetchMultipleBreakoutSignals(DEFAULT_SYMBOLS, 3, forceRefresh);
-      const updateTime = new Date();
-      console.log(`[BreakoutSignals] Data updated at ${updateTime.toISOString()} - ${results.signals?.length || 0} signals, ${results.breakoutsWithoutReentry?.length || 0} breakouts`);
-      
-      // Check for new breakouts and send notifications
-      // Need to access previous state to compare
-      setBreakoutSignals(prev => {
-        const prevSignals = prev.data || [];
-        
-        // Also get previous breakoutsWithoutReentry for distance checking
-        const prevBreakoutsWithoutReentry = breakoutsWithoutReentry.data || [];
-        
-        // Check for new breakouts after state update
-        if (notificationsEnabled && notificationPermission === 'granted') {
-          // Use setTimeout to ensure state update happens first
-          setTimeout(() => {
-            checkAndNotifyNewBreakouts(
-              results.signals || [], 
-              prevSignals,
-              results.breakoutsWithoutReentry || [],
-              prevBreakoutsWithoutReentry
-            );
-          }, 100);
+      // Each symbol's results are merged in as soon as they arrive; each symbol's error is tracked on its own
+      const results = await fetchMultipleBreakoutSignals(watchedSymbolsRef.current, 3, forceRefresh, activeSessionsRef.current, riskProfilesRef.current, intrabarPolicyRef.current, {
+        retrySymbols,
+        onProgress: ({ symbol, completed, total, result, error }) => {
+          const getBreakoutKey = (breakout) => `${breakout.symbol}_${breakout.session || DEFAULT_SESSION.id}_${new Date(breakout.breakoutTime).getTime()}`;
+          const newBreakoutKeys = new Set(result.breakoutsWithoutReentry.map(getBreakoutKey));
+          setBreakoutSignals(prev => ({
+            ...prev,
+            data: result.signals.length > 0
+              ? mergeLiveBreakouts({ signals: prev.data || [] }, { symbol, signals: result.signals, breakoutsWithoutReentry: [] }).signals
+              : prev.data,
+            progress: { completed, total },
+            symbolErrors: updateSymbolError(prev.symbolErrors, symbol, error)
+          }));
+          if (result.breakoutsWithoutReentry.length > 0) {
+            setBreakoutsWithoutReentry(prev => ({
+              ...prev,
+              data: [...(prev.data || []).filter(breakout => !newBreakoutKeys.has(getBreakoutKey(breakout))), ...result.breakoutsWithoutReentry]
+                .sort((a, b) => new Date(b.breakoutTime).getTime() - new Date(a.breakoutTime).getTime())
+            }));
+          }
         }
-        
-        return { 
-          data: results.signals || [], 
-          loading: false, 
-          error: null, 
-          lastUpdateTime: updateTime 
-        };
       });
+      const updateTime = clock.date();
+      console.log(`[BreakoutSignals] Data updated at ${updateTime.toISOString()} - ${results.signals?.length || 0} signals, ${results.breakoutsWithoutReentry?.length || 0} breakouts`);
       
-      setBreakoutsWithoutReentry(prev => {
-        const prevBreakouts = prev.data || [];
-        
-        return { 
-          data: results.breakoutsWithoutReentry || [], 
-          loading: false, 
-          error: null, 
-          lastUpdateTime: updateTime 
-        };
-      });
+      // A retry returns only the retried symbols: they replace those symbols' rows
+      const mergeRetried = (current) => retrySymbols.reduce((merged, symbol) => mergeLiveBreakouts(merged, {
+        symbol,
+        signals: (results.signals || []).filter(signal => signal.symbol === toDisplaySymbol(symbol)),
+        breakoutsWithoutReentry: (results.breakoutsWithoutReentry || []).filter(breakout => breakout.symbol === toDisplaySymbol(symbol))
+      }), current);
+      
+      setBreakoutSignals(prev => ({ 
+        data: isRetry ? mergeRetried({ signals: prev.data || [], breakoutsWithoutReentry: [] }).signals : results.signals || [], 
+        loading: false, 
+        error: null, 
+        lastUpdateTime: updateTime,
+        progress: null,
+        symbolErrors: prev.symbolErrors
+      }));
+      
+      setBreakoutsWithoutReentry(prev => ({ 
+        data: isRetry ? mergeRetried({ signals: [], breakoutsWithoutReentry: prev.data || [] }).breakoutsWithoutReentry : results.breakoutsWithoutReentry || [], 
+        loading: false, 
+        error: null, 
+        lastUpdateTime: updateTime 
+      }));
+      
+      // Run the alert rules on the new data, comparing with the data from before the fetch
+      requestAlertRun(signalsBeforeFetch);
     } catch (err) {
+      const message = err.message || 'Failed to fetch breakout signals from Binance';
       setBreakoutSignals(prev => ({ 
         data: prev.data || null, // Keep existing data on error
         loading: false, 
-        error: err.message || 'Failed to fetch breakout signals from Binance',
-        lastUpdateTime: prev?.lastUpdateTime || null
+        error: isRetry ? null : message,
+        lastUpdateTime: prev?.lastUpdateTime || null,
+        progress: null,
+        symbolErrors: retrySymbols.reduce((errors, symbol) => updateSymbolError(errors, symbol, message), prev.symbolErrors)
       }));
       
       setBreakoutsWithoutReentry(prev => ({ 
         data: prev.data || null, // Keep existing data on error
         loading: false, 
-        error: err.message || 'Failed to fetch breakout signals from Binance',
+        error: isRetry ? null : message,
         lastUpdateTime: prev?.lastUpdateTime || null
       }));
     }
@@ -2682,6 +4896,44 @@ function App() {
   // Now just calls fetchBreakoutSignals which handles both
   const fetchBreakoutsWithoutReentryData = fetchBreakoutSignals;
 
+  // Apply an update from the live detectors (a 1h or 5m candle closed on the WebSocket stream)
+  // Updates are merged per symbol with functional state updates, since several symbols close at the same time
+  const applyLiveUpdate = (update) => {
+    const updateTime = clock.date();
+    
+    if (update.type === 'rsi') {
+      setRsiData(prev => ({
+        ...prev,
+        data: watchedSymbolsRef.current
+          .map(symbol => symbol === update.symbol ? update.data : (prev.data || []).find(row => row.symbol === symbol))
+          .filter(Boolean),
+        lastUpdateTime: updateTime
+      }));
+      requestAlertRun();
+      return;
+    }
+    
+    // Signals shown before this update (the last render) are what the alert rules compare against
+    const signalsBeforeUpdate = alertDataRef.current.signals;
+    setBreakoutSignals(prev => ({
+      ...prev,
+      data: mergeLiveBreakouts({ signals: prev.data || [], breakoutsWithoutReentry: [] }, update).signals,
+      error: null,
+      lastUpdateTime: updateTime
+    }));
+    setBreakoutsWithoutReentry(prev => ({
+      ...prev,
+      data: mergeLiveBreakouts({ signals: [], breakoutsWithoutReentry: prev.data || [] }, update).breakoutsWithoutReentry,
+      error: null,
+      lastUpdateTime: updateTime
+    }));
+    requestAlertRun(signalsBeforeUpdate);
+  };
+
+  // Latest handler for the stream callbacks (created once on mount)
+  const liveUpdateHandlerRef = useRef(applyLiveUpdate);
+  liveUpdateHandlerRef.current = applyLiveUpdate;
+
   // Register service worker and check notification permission on mount
   useEffect(() => {
     const initNotifications = async () => {
@@ -2727,6 +4979,78 @@ function App() {
     }
   }, [notificationsEnabled]);
 
+  // Live updates over the Binance WebSocket stream (kline_5m, kline_1h and miniTicker for every symbol)
+  // Candles are (re)seeded over REST on every connect; while the socket is down the REST polling below takes over
+  // Replays stay offline so live candles never mix with the recording
+  useEffect(() => {
+    if (isReplaying) {
+      liveDetectorsRef.current = null;
+      return;
+    }
+    const liveDetectors = createLiveDetectors({
+      symbols: watchedSymbolsRef.current,
+      sessions: activeSessionsRef.current,
+      riskProfilesBySymbol: riskProfilesRef.current,
+      intrabarPolicy: intrabarPolicyRef.current
+    });
+    liveDetectorsRef.current = liveDetectors;
+    
+    // Streamed prices are pushed to the tables at most every PRICE_FLUSH_MS
+    const PRICE_FLUSH_MS = 5000;
+    const pendingPrices = {};
+    let priceFlushTimer = null;
+    const flushPrices = () => {
+      priceFlushTimer = null;
+      const priceBySymbolName = {};
+      Object.keys(pendingPrices).forEach(symbol => {
+        priceBySymbolName[toDisplaySymbol(symbol)] = pendingPrices[symbol];
+        delete pendingPrices[symbol];
+      });
+      const withPrice = (item) => priceBySymbolName[item.symbol] !== undefined ? { ...item, currentPrice: priceBySymbolName[item.symbol] } : item;
+      setBreakoutsWithoutReentry(prev => prev.data ? { ...prev, data: prev.data.map(withPrice) } : prev);
+      setBreakoutSignals(prev => prev.data ? { ...prev, data: prev.data.map(signal => signal.result === 'pending' ? withPrice(signal) : signal) } : prev);
+    };
+    
+    const stream = createBinanceStream({
+      symbols: watchedSymbolsRef.current,
+      onStatusChange: (status) => {
+        streamStatusRef.current = status;
+        setStreamStatus(status);
+        if (status === STREAM_STATUS.OPEN) {
+          liveDetectors.seed();
+        }
+      },
+      onCandleClose: async (event) => {
+        try {
+          const update = await liveDetectors.applyCandle(event);
+          if (update) {
+            liveUpdateHandlerRef.current(update);
+          }
+        } catch (error) {
+          console.error(`[Live] Error processing ${event.symbol} ${event.interval} candle:`, error);
+        }
+      },
+      onTicker: (event) => {
+        liveDetectors.applyTicker(event);
+        pendingPrices[event.symbol] = event.price;
+        if (!priceFlushTimer) {
+          priceFlushTimer = setTimeout(flushPrices, PRICE_FLUSH_MS);
+        }
+      }
+    });
+    stream.start();
+    
+    return () => {
+      stream.stop();
+      if (priceFlushTimer) {
+        clearTimeout(priceFlushTimer);
+      }
+    };
+  }, [watchlistKey, isReplaying]); // Reconnects with the new symbols when the watchlist changes
+
+  // True while the stream is connected and its detectors have candles (REST polling is skipped then)
+  const isStreamLive = () => streamStatusRef.current === STREAM_STATUS.OPEN && liveDetectorsRef.current && liveDetectorsRef.current.isSeeded();
+
   // Auto-fetch all data on component mount
   useEffect(() => {
     // Fetch all data automatically when page loads
@@ -2738,13 +5062,95 @@ function App() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, []);
 
+  // Re-fetch breakout signals when the enabled sessions, risk profiles or intrabar policy change (skip the initial mount fetch above)
+  const detectionSettingsInitializedRef = useRef(false);
+  const detectionSettingsKey = `${activeSessions.map(session => session.id).join(',')}|${getRiskProfilesSignature(riskProfilesBySymbol)}|${intrabarPolicy}`;
+
+  useEffect(() => {
+    if (!detectionSettingsInitializedRef.current) {
+      detectionSettingsInitializedRef.current = true;
+      return;
+    }
+    console.log(`[Settings] Detection settings changed, refreshing breakout signals...`);
+    if (liveDetectorsRef.current) {
+      liveDetectorsRef.current.setConfig({ sessions: activeSessionsRef.current, riskProfilesBySymbol: riskProfilesRef.current, intrabarPolicy: intrabarPolicyRef.current });
+    }
+    fetchBreakoutSignals(false);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [detectionSettingsKey]);
+
+  // Starting a recording reloads every section so the session file holds all of it; entering or leaving
+  // a replay reloads every section from the recording (or from Binance again)
+  const previousReplayModeRef = useRef(replayStatus.mode);
+
+  useEffect(() => {
+    const previousMode = previousReplayModeRef.current;
+    previousReplayModeRef.current = replayStatus.mode;
+    if (replayStatus.mode === previousMode || (previousMode === REPLAY_MODES.RECORDING && replayStatus.mode === REPLAY_MODES.LIVE)) {
+      return;
+    }
+    console.log(`[Replay] Mode changed to ${replayStatus.mode}, refreshing...`);
+    fetchRSIData(true);
+    fetchOversoldData(true);
+    fetchBreakoutSignals(true);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [replayStatus.mode]);
+
+  // Load tick sizes of the watched symbols so prices show at each pair's precision (re-renders once loaded)
+  const [, setTickSizesVersion] = useState(0);
+
+  useEffect(() => {
+    let cancelled = false;
+    fetchSymbolTickSizes(watchedSymbolsRef.current)
+      .then(() => {
+        if (!cancelled) {
+          setTickSizesVersion(version => version + 1);
+        }
+      })
+      .catch(error => {
+        console.warn('[Symbols] Could not load tick sizes, using default price precision:', error.message || error);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [watchlistKey, isReplaying]);
+
+  // Re-fetch everything when the watched symbols change (switching or editing the active watchlist)
+  const previousWatchedSymbolsRef = useRef(watchedSymbols);
+
+  useEffect(() => {
+    const previousSymbols = previousWatchedSymbolsRef.current;
+    previousWatchedSymbolsRef.current = watchedSymbolsRef.current;
+    if (previousSymbols === watchedSymbolsRef.current) {
+      return;
+    }
+    console.log(`[Watchlist] Watched symbols changed (${watchedSymbolsRef.current.length}), refreshing...`);
+    // Newly watched symbols start selected in both filters
+    const addedCryptos = watchedSymbolsRef.current
+      .filter(symbol => !previousSymbols.includes(symbol))
+      .map(s => toDisplaySymbol(s));
+    if (addedCryptos.length > 0) {
+      setOversoldSelectedCryptos(prev => new Set([...prev, ...addedCryptos]));
+      setBreakoutSignalsSelectedCryptos(prev => new Set([...prev, ...addedCryptos]));
+    }
+
+    fetchRSIData(false);
+    fetchOversoldData(false);
+    fetchBreakoutSignals(false);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [watchlistKey]);
+
   // Auto-refresh RSI features on hour change (xx:00:00)
   // This only refreshes RSI Analysis and Oversold History, not breakout features
   const lastTriggeredHourRef = useRef(-1);
 
   useEffect(() => {
     const checkAndUpdateRSI = () => {
-      const now = new Date();
+      // A replay is pinned to the recording time, nothing new can arrive
+      if (replayController.isReplaying()) {
+        return;
+      }
+      const now = clock.date();
       const minutes = now.getMinutes();
       const currentHour = now.getHours();
       
@@ -2758,7 +5164,10 @@ function App() {
         
         // Only refresh RSI features (these will check cache and fetch new candles if available)
         // Using forceRefresh=false to leverage cache - it will auto-detect new hourly candles
-        fetchRSIData(false);
+        // RSI comes from the WebSocket stream while it is live
+        if (!isStreamLive()) {
+          fetchRSIData(false);
+        }
         fetchOversoldData(false);
         
         // Note: Breakout features are NOT refreshed automatically - left untouched
@@ -2784,7 +5193,10 @@ function App() {
   
   useEffect(() => {
     const checkAndUpdateBreakout = () => {
-      const now = new Date();
+      if (replayController.isReplaying()) {
+        return;
+      }
+      const now = clock.date();
       const seconds = now.getSeconds();
       const minutes = now.getMinutes();
       
@@ -2792,7 +5204,8 @@ function App() {
       // Only trigger when seconds < 2 to catch the exact moment, and we haven't triggered for this minute yet
       const shouldTrigger = seconds < 2 && minutes !== lastTriggeredMinRef.current;
       
-      if (shouldTrigger) {
+      // Breakouts come from the WebSocket stream while it is live
+      if (shouldTrigger && !isStreamLive()) {
         lastTriggeredMinRef.current = minutes;
         const timestamp = now.toISOString();
         const hour = now.getHours();
@@ -2914,6 +5327,33 @@ function App() {
                 <span>{notificationsEnabled && notificationPermission === 'granted' ? 'Notifications ON' : 'Notifications OFF'}</span>
           </button>
             )}
+            <span
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: '0.4rem',
+                fontSize: '0.85rem',
+                color: streamStatus === STREAM_STATUS.OPEN ? '#6bcf7f' : '#ffd93d'
+              }}
+              title={streamStatus === STREAM_STATUS.OPEN
+                ? 'Prices and candles stream from Binance in real time'
+                : 'WebSocket stream unavailable - data is refreshed by REST polling'}
+            >
+              ● {STREAM_STATUS_LABELS[streamStatus]}
+            </span>
+            <RequestSchedulerStatus />
+            {replayStatus.mode !== REPLAY_MODES.LIVE && (
+              <span
+                style={{ display: 'flex', alignItems: 'center', gap: '0.4rem', fontSize: '0.85rem', color: '#ff6b6b' }}
+                title={isReplaying
+                  ? 'Every request is answered from the loaded session and the clock is pinned to the recording time'
+                  : 'Every Binance response is being recorded'}
+              >
+                {isReplaying
+                  ? `⏪ Replay @ ${formatDateTime(replayStatus.endedAt)}`
+                  : `⏺ Recording (${replayStatus.responses})`}
+              </span>
+            )}
         </div>
         </div>
         {/* <p style={{ fontSize: '0.85rem', opacity: 0.8, marginTop: '0.5rem' }}>
@@ -2928,11 +5368,16 @@ function App() {
             rsiData={rsiData.data}
             rsiLoading={rsiData.loading}
             rsiError={rsiData.error}
+            rsiProgress={rsiData.progress}
+            rsiSymbolErrors={rsiData.symbolErrors}
             onRefreshRSI={fetchRSIData}
+            onRetryRSISymbol={(symbol) => fetchRSIData(false, [symbol])}
             breakoutData={breakoutsWithoutReentry.data}
             breakoutLoading={breakoutsWithoutReentry.loading}
             breakoutError={breakoutsWithoutReentry.error}
+            breakoutSymbolErrors={breakoutSignals.symbolErrors}
             onRefreshBreakout={fetchBreakoutsWithoutReentryData}
+            onRetryBreakoutSymbol={(symbol) => fetchBreakoutSignals(false, [symbol])}
             breakoutSignalsData={breakoutSignals.data}
             selectedCryptos={oversoldSelectedCryptos}
             isExpanded={expandedSections.mergedRSIBreakout}
@@ -2941,18 +5386,120 @@ function App() {
           />
         </div>
 
+        {/* Watchlists Section */}
+        <div className="rsi-main-section">
+          <WatchlistManager
+            watchlists={watchlists}
+            activeWatchlistId={getWatchlist(watchlists, activeWatchlistId).id}
+            onSelectWatchlist={setActiveWatchlistId}
+            onAddWatchlist={addWatchlist}
+            onRemoveWatchlist={removeWatchlist}
+            onUpdateWatchlist={updateWatchlist}
+            isExpanded={expandedSections.watchlists}
+            onToggleExpanded={() => toggleSection('watchlists')}
+          />
+        </div>
+
+        {/* Breakout Sessions Section */}
+        <div className="rsi-main-section">
+          <SessionSettings
+            sessions={availableSessions}
+            enabledSessionIds={enabledSessionIds}
+            onToggleSession={toggleSession}
+            onAddSession={addCustomSession}
+            onRemoveSession={removeCustomSession}
+            isExpanded={expandedSections.sessions}
+            onToggleExpanded={() => toggleSection('sessions')}
+          />
+        </div>
+
+        {/* Risk Profiles Section */}
+        <div className="rsi-main-section">
+          <RiskProfileSettings
+            profiles={availableRiskProfiles}
+            assignments={riskProfileAssignments}
+            symbols={watchedSymbols}
+            onAssign={assignRiskProfile}
+            onAddProfile={addRiskProfile}
+            onRemoveProfile={removeRiskProfile}
+            intrabarPolicy={intrabarPolicy}
+            onIntrabarPolicyChange={setIntrabarPolicy}
+            isExpanded={expandedSections.riskProfiles}
+            onToggleExpanded={() => toggleSection('riskProfiles')}
+          />
+        </div>
+
+        {/* Candle Store Section */}
+        <div className="rsi-main-section">
+          <CandleStoreSettings
+            isExpanded={expandedSections.candleStore}
+            onToggleExpanded={() => toggleSection('candleStore')}
+          />
+        </div>
+
+        {/* Alert Rules Section */}
+        <div className="rsi-main-section">
+          <AlertRulesSettings
+            rules={alertRules}
+            alertLog={alertLog}
+            onToggleRule={toggleAlertRule}
+            onAddRule={addAlertRule}
+            onRemoveRule={removeAlertRule}
+            isExpanded={expandedSections.alertRules}
+            onToggleExpanded={() => toggleSection('alertRules')}
+          />
+        </div>
+
+        {/* Record / Replay Section */}
+        <div className="rsi-main-section">
+          <ReplaySettings
+            status={replayStatus}
+            isExpanded={expandedSections.replay}
+            onToggleExpanded={() => toggleSection('replay')}
+          />
+        </div>
+
         {/* Breakout Trading Signals Section */}
         <div className="rsi-main-section">
           <BreakoutSignalsTable
             data={breakoutSignals.data}
             loading={breakoutSignals.loading}
             error={breakoutSignals.error}
+            progress={breakoutSignals.progress}
+            symbolErrors={breakoutSignals.symbolErrors}
+            onRetrySymbol={(symbol) => fetchBreakoutSignals(false, [symbol])}
+            sessions={activeSessionsRef.current}
+            simulationSettings={simulationSettings}
+            onSimulationSettingsChange={setSimulationSettings}
             onRefresh={fetchBreakoutSignals}
             selectedCryptos={breakoutSignalsSelectedCryptos}
             onToggleCrypto={toggleBreakoutSignalsCrypto}
             isExpanded={expandedSections.breakoutSignals}
             onToggleExpanded={() => toggleSection('breakoutSignals')}
             lastUpdateTime={breakoutSignals.lastUpdateTime}
+            linkedSignal={linkedSignal}
+            onLinkedSignalOpened={handleLinkedSignalOpened}
+          />
+        </div>
+
+        {/* Equity Curve Section */}
+        <div className="rsi-main-section">
+          <EquityCurvePanel
+            signals={breakoutSignals.data}
+            isExpanded={expandedSections.equityCurve}
+            onToggleExpanded={() => toggleSection('equityCurve')}
+          />
+        </div>
+
+        {/* Breakout Backtest Section */}
+        <div className="rsi-main-section">
+          <BacktestPanel
+            symbols={watchedSymbols}
+            sessions={availableSessions}
+            riskProfilesBySymbol={riskProfilesBySymbol}
+            intrabarPolicy={intrabarPolicy}
+            isExpanded={expandedSections.backtest}
+            onToggleExpanded={() => toggleSection('backtest')}
           />
         </div>
 
@@ -2962,6 +5509,7 @@ function App() {
             data={oversoldHistory.data}
             loading={oversoldHistory.loading}
             error={oversoldHistory.error}
+            progress={oversoldHistory.progress}
             onRefresh={fetchOversoldData}
             selectedCryptos={oversoldSelectedCryptos}
             onToggleCrypto={toggleOversoldCrypto}
@@ -0,0 +1,250 @@
+// Alert Conditions
+// The conditions that trigger the headless watcher's alerts (cli/watcher.mjs): new re-entry signals,
+// signals closing at their stop or target, breakouts coming back close to their range and RSI threshold crosses. Each alert has a stable key, so
+// callers deduplicate against the keys they already notified (the watcher's state file). The app's alert
+// rules (alertRules.js) use the same keys for their built-in rules, so both dedupe the same way.
+
+import { DEFAULT_SESSION } from './sessions';
+import { formatBreakoutNotification } from './notificationService';
+import { formatNYTime } from './timeFormat';
+import { formatSymbolPrice } from './symbols';
+import { getRealizedMovePercent, getRealizedRMultiple } from './simulation';
+
+export const ALERT_TYPES = {
+  SIGNAL: 'breakout-reentry',
+  CLOSE: 'signal-closed',
+  DISTANCE: 'distance-alert',
+  RSI_CROSS: 'rsi-cross'
+};
+
+export const DEFAULT_DISTANCE_ALERT_PERCENT = 1; // Breakouts within this % of their range trigger a distance alert
+
+export const DEFAULT_RSI_ALERT_THRESHOLDS = {
+  oversold: 30,   // RSI crossing down to or below this
+  overbought: 70  // RSI crossing up to or above this
+};
+
+// Outcome of a closed signal, from its exit reason (breakoutStrategy.js)
+export const SIGNAL_OUTCOME_LABELS = {
+  tp: 'TP hit',
+  sl: 'SL hit',
+  breakeven: 'Break-even',
+  trail: 'Trailing stop',
+  'session-end': 'Session end'
+};
+
+const toDate = (time) => (time instanceof Date ? time : new Date(time));
+
+// Suffix for alert keys of non-default sessions (keeps existing stored keys valid)
+const getSessionKeySuffix = (item) => {
+  return item.session && item.session !== DEFAULT_SESSION.id ? `_${item.session}` : '';
+};
+
+/**
+ * Alert key of a re-entry signal
+ * @param {Object} signal - Signal with symbol, reentryTime and session
+ * @returns {string} Key (e.g. 'signal_BTC_1730000000000')
+ */
+export const getSignalAlertKey = (signal) => `signal_${signal.symbol}_${toDate(signal.reentryTime).getTime()}${getSessionKeySuffix(signal)}`;
+
+/**
+ * Alert key of a signal's close (TP/SL hit)
+ * @param {Object} signal - Signal with symbol, reentryTime and session
+ * @returns {string} Key (e.g. 'outcome_signal_BTC_1730000000000')
+ */
+export const getCloseAlertKey = (signal) => `outcome_${getSignalAlertKey(signal)}`;
+
+/**
+ * Alert key of a breakout close to its range
+ * @param {Object} breakout - Breakout without re-entry (symbol, breakoutTime, session)
+ * @returns {string} Key (e.g. 'distance_BTC_1730000000000')
+ */
+export const getDistanceAlertKey = (breakout) => `distance_${breakout.symbol}_${toDate(breakout.breakoutTime).getTime()}${getSessionKeySuffix(breakout)}`;
+
+/**
+ * Distance of a breakout's current price from its range
+ * @param {Object} breakout - Breakout without re-entry (currentPrice, rangeHigh, rangeLow, isAbove)
+ * @returns {number|null} Distance in % (positive = still outside the range), or null without prices
+ */
+export const calculateDistanceFromRange = (breakout) => {
+  if (!breakout.currentPrice || !breakout.rangeHigh || !breakout.rangeLow) {
+    return null;
+  }
+
+  if (breakout.isAbove) {
+    // Above range: distance = ((currentPrice - rangeHigh) / rangeHigh) * 100
+    return ((breakout.currentPrice - breakout.rangeHigh) / breakout.rangeHigh) * 100;
+  }
+  // Below range: distance = ((rangeLow - currentPrice) / rangeLow) * 100
+  return ((breakout.rangeLow - breakout.currentPrice) / breakout.rangeLow) * 100;
+};
+
+/**
+ * New re-entry signals: still open and not in the previous data or already notified
+ * @param {Array<Object>} newSignals - Signals after the refresh
+ * @param {Array<Object>} oldSignals - Signals before the refresh
+ * @param {Set<string>} notifiedKeys - Keys already alerted
+ * @returns {Array<Object>} Alerts { type, key, symbol, time, item }
+ */
+export const findNewSignalAlerts = (newSignals = [], oldSignals = [], notifiedKeys = new Set()) => {
+  const oldKeys = new Set((oldSignals || []).filter(signal => signal.reentryTime).map(getSignalAlertKey));
+
+  return (newSignals || [])
+    .filter(signal => signal.reentryTime && signal.result !== 'win' && signal.result !== 'loss')
+    .map(signal => ({ type: ALERT_TYPES.SIGNAL, key: getSignalAlertKey(signal), symbol: signal.symbol, time: toDate(signal.reentryTime), item: signal }))
+    .filter(alert => !oldKeys.has(alert.key) && !notifiedKeys.has(alert.key));
+};
+
+const isClosed = (signal) => signal.result === 'win' || signal.result === 'loss';
+
+/**
+ * Outcome label of a closed signal (e.g., "TP hit", "Break-even")
+ * @param {Object} signal - Closed signal (result, exitReason)
+ * @returns {string} Label
+ */
+export const getSignalOutcomeLabel = (signal) => {
+  return SIGNAL_OUTCOME_LABELS[signal.exitReason] || (signal.result === 'win' ? SIGNAL_OUTCOME_LABELS.tp : SIGNAL_OUTCOME_LABELS.sl);
+};
+
+/**
+ * Signals that closed (win or loss) since they were open: open in the previous data, or open when their
+ * re-entry was alerted - the alerted key outlives a restart, the previous data does not
+ * @param {Array<Object>} newSignals - Signals after the refresh
+ * @param {Array<Object>} oldSignals - Signals before the refresh
+ * @param {Set<string>} notifiedKeys - Keys already alerted
+ * @returns {Array<Object>} Alerts { type, key, symbol, time (close time), item }
+ */
+export const findClosedSignalAlerts = (newSignals = [], oldSignals = [], notifiedKeys = new Set()) => {
+  const openKeys = new Set((oldSignals || []).filter(signal => signal.reentryTime && !isClosed(signal)).map(getSignalAlertKey));
+
+  return (newSignals || [])
+    .filter(signal => signal.reentryTime && isClosed(signal))
+    .filter(signal => openKeys.has(getSignalAlertKey(signal)) || notifiedKeys.has(getSignalAlertKey(signal)))
+    .map(signal => ({
+      type: ALERT_TYPES.CLOSE,
+      key: getCloseAlertKey(signal),
+      symbol: signal.symbol,
+      time: toDate(signal.closeTime || signal.reentryTime),
+      item: signal
+    }))
+    .filter(alert => !notifiedKeys.has(alert.key));
+};
+
+/**
+ * Breakouts without re-entry whose price came back within thresholdPercent of the range
+ * @param {Array<Object>} breakouts - Breakouts without re-entry after the refresh
+ * @param {Set<string>} notifiedKeys - Keys already alerted
+ * @param {number} thresholdPercent - Distance that triggers the alert (default: DEFAULT_DISTANCE_ALERT_PERCENT)
+ * @returns {Array<Object>} Alerts { type, key, symbol, time, distancePercent, item }
+ */
+export const findDistanceAlerts = (breakouts = [], notifiedKeys = new Set(), thresholdPercent = DEFAULT_DISTANCE_ALERT_PERCENT) => {
+  return (breakouts || [])
+    .filter(breakout => breakout.breakoutTime)
+    .map(breakout => ({
+      type: ALERT_TYPES.DISTANCE,
+      key: getDistanceAlertKey(breakout),
+      symbol: breakout.symbol,
+      time: toDate(breakout.breakoutTime),
+      distancePercent: calculateDistanceFromRange(breakout),
+      item: breakout
+    }))
+    .filter(alert => alert.distancePercent !== null && Math.abs(alert.distancePercent) < thresholdPercent && !notifiedKeys.has(alert.key));
+};
+
+/**
+ * RSI threshold crosses between the previous and the latest closed candle
+ * @param {Array<Object>} rsiRows - fetchMultipleRSI results (symbol, timestamp, rsi, previous_rsi)
+ * @param {Set<string>} notifiedKeys - Keys already alerted
+ * @param {Object} thresholds - { oversold, overbought } (default: DEFAULT_RSI_ALERT_THRESHOLDS)
+ * @returns {Array<Object>} Alerts { type, key, symbol, time, direction ('oversold' | 'overbought'), threshold, item }
+ */
+export const findRSICrossAlerts = (rsiRows = [], notifiedKeys = new Set(), thresholds = DEFAULT_RSI_ALERT_THRESHOLDS) => {
+  const alerts = [];
+  (rsiRows || []).forEach(row => {
+    if (row.rsi === null || row.rsi === undefined || row.previous_rsi === null || row.previous_rsi === undefined) {
+      return;
+    }
+    const time = toDate(row.timestamp);
+    const crosses = [
+      { direction: 'oversold', threshold: thresholds.oversold, crossed: row.previous_rsi > thresholds.oversold && row.rsi <= thresholds.oversold },
+      { direction: 'overbought', threshold: thresholds.overbought, crossed: row.previous_rsi < thresholds.overbought && row.rsi >= thresholds.overbought }
+    ];
+    crosses
+      .filter(cross => cross.threshold !== null && cross.threshold !== undefined && cross.crossed)
+      .forEach(({ direction, threshold }) => {
+        const key = `rsi_${row.symbol}_${time.getTime()}_${direction}`;
+        if (!notifiedKeys.has(key)) {
+          alerts.push({ type: ALERT_TYPES.RSI_CROSS, key, symbol: row.symbol, time, direction, threshold, item: row });
+        }
+      });
+  });
+  return alerts;
+};
+
+/**
+ * Title and body of an alert (browser notifications and plain-text deliveries)
+ * @param {Object} alert - Alert from one of the find* functions
+ * @returns {Object} { title, body, tag, data }
+ */
+export const formatAlertMessage = (alert) => {
+  const { item } = alert;
+
+  if (alert.type === ALERT_TYPES.SIGNAL) {
+    const notification = formatBreakoutNotification(
+      item.symbol || 'UNKNOWN',
+      toDate(item.breakoutTime),
+      toDate(item.reentryTime),
+      item.breakoutDirection,
+      formatNYTime,
+      {
+        sessionName: item.sessionName,
+        entryPrice: formatSymbolPrice(item.entryPrice, item.symbol),
+        stopLoss: formatSymbolPrice(item.stopLoss, item.symbol),
+        takeProfit: formatSymbolPrice(item.takeProfit, item.symbol),
+        riskProfileName: item.riskProfileName
+      }
+    );
+    return { title: notification.title, body: notification.body, tag: notification.tag, data: notification.data };
+  }
+
+  if (alert.type === ALERT_TYPES.CLOSE) {
+    const symbolName = item.symbol || 'UNKNOWN';
+    const direction = item.breakoutDirection === 'long' ? 'LONG' : 'SHORT';
+    const move = getRealizedMovePercent(item);
+    const rMultiple = getRealizedRMultiple(item);
+    const fills = item.fills || [];
+    const exitPrice = fills.length > 0 ? fills[fills.length - 1].price : null;
+    const resultText = move !== null
+      ? `${move >= 0 ? '+' : ''}${move.toFixed(2)}%${rMultiple !== null ? ` (${rMultiple >= 0 ? '+' : ''}${rMultiple.toFixed(2)}R)` : ''}`
+      : item.result;
+    return {
+      title: `${item.result === 'win' ? '✅' : '❌'} ${symbolName} ${direction} ${getSignalOutcomeLabel(item)}`,
+      body: `Result: ${resultText}\nEntry: ${formatSymbolPrice(item.entryPrice, item.symbol)}` +
+        `${exitPrice ? ` | Exit: ${formatSymbolPrice(exitPrice, item.symbol)}` : ''}\nClosed: ${formatNYTime(alert.time)}`,
+      tag: `close-${symbolName}-${toDate(item.reentryTime).getTime()}`,
+      data: { symbol: item.symbol, type: ALERT_TYPES.CLOSE, result: item.result, exitReason: item.exitReason, movePercent: move }
+    };
+  }
+
+  if (alert.type === ALERT_TYPES.DISTANCE) {
+    const symbolName = item.symbol || 'UNKNOWN';
+    const direction = item.isAbove ? 'LONG' : 'SHORT';
+    const distanceText = alert.distancePercent >= 0
+      ? `+${alert.distancePercent.toFixed(2)}%`
+      : `${alert.distancePercent.toFixed(2)}%`;
+    return {
+      title: `📊 ${symbolName} Close to Range`,
+      body: `${direction} breakout is ${distanceText} from range\nBreakout: ${formatNYTime(alert.time)}`,
+      tag: `distance-${symbolName}-${alert.time.getTime()}`,
+      data: { symbol: item.symbol, type: ALERT_TYPES.DISTANCE, distance: alert.distancePercent }
+    };
+  }
+
+  const crossText = alert.direction === 'oversold' ? `fell to ${alert.threshold} or below` : `rose to ${alert.threshold} or above`;
+  return {
+    title: `${alert.direction === 'oversold' ? '📉' : '📈'} ${item.symbol} RSI ${alert.direction === 'oversold' ? 'Oversold' : 'Overbought'}`,
+    body: `RSI (1h) ${crossText}: ${item.previous_rsi.toFixed(2)} → ${item.rsi.toFixed(2)}\nPrice: ${formatSymbolPrice(item.price, item.symbol)}\nCandle close: ${formatNYTime(alert.time)}`,
+    tag: `rsi-${item.symbol}-${alert.time.getTime()}-${alert.direction}`,
+    data: { symbol: item.symbol, type: ALERT_TYPES.RSI_CROSS, direction: alert.direction, rsi: item.rsi }
+  };
+};
@@ -0,0 +1,73 @@
+// Alert Conditions tests
+// Close alerts for signals that hit their stop or target, and the chat messages they become.
+import { ALERT_TYPES, findClosedSignalAlerts, getSignalAlertKey, getCloseAlertKey, formatAlertMessage } from './alertConditions';
+import { MESSAGE_EVENTS, toMessageEvent, formatChatMessage } from './messageFormatters';
+
+const REENTRY_TIME = new Date(Date.UTC(2026, 0, 5, 9, 0));
+const CLOSE_TIME = new Date(Date.UTC(2026, 0, 5, 10, 30));
+
+const openSignal = {
+  symbol: 'BTC/USDT',
+  breakoutDirection: 'long',
+  breakoutTime: new Date(Date.UTC(2026, 0, 5, 8, 30)),
+  reentryTime: REENTRY_TIME,
+  entryPrice: 100,
+  stopLoss: 99,
+  takeProfit: 102,
+  rangeHigh: 105,
+  rangeLow: 100.5,
+  result: 'pending',
+  fills: []
+};
+
+const won = {
+  ...openSignal,
+  result: 'win',
+  exitReason: 'tp',
+  closeTime: CLOSE_TIME,
+  fills: [{ type: 'tp', price: 102, percent: 100, time: CLOSE_TIME }]
+};
+
+describe('findClosedSignalAlerts', () => {
+  test('alerts a signal that was open before the refresh', () => {
+    const alerts = findClosedSignalAlerts([won], [openSignal], new Set());
+
+    expect(alerts).toEqual([{ type: ALERT_TYPES.CLOSE, key: getCloseAlertKey(won), symbol: 'BTC/USDT', time: CLOSE_TIME, item: won }]);
+  });
+
+  test('alerts a signal whose re-entry was alerted, without the previous data (after a restart)', () => {
+    expect(findClosedSignalAlerts([won], [], new Set([getSignalAlertKey(openSignal)]))).toHaveLength(1);
+  });
+
+  test('skips signals never seen open and closes already alerted', () => {
+    expect(findClosedSignalAlerts([won], [], new Set())).toEqual([]);
+    expect(findClosedSignalAlerts([won], [openSignal], new Set([getCloseAlertKey(won)]))).toEqual([]);
+    expect(findClosedSignalAlerts([openSignal], [openSignal], new Set())).toEqual([]);
+  });
+});
+
+describe('close alert messages', () => {
+  const [alert] = findClosedSignalAlerts([won], [openSignal], new Set());
+
+  test('formats the outcome and the result', () => {
+    const message = formatAlertMessage(alert);
+
+    expect(message.title).toBe('✅ BTC/USDT LONG TP hit');
+    expect(message.body).toMatch(/^Result: \+2\.00% \(\+2\.00R\)/);
+    expect(message.data).toMatchObject({ type: ALERT_TYPES.CLOSE, result: 'win', exitReason: 'tp' });
+  });
+
+  test('becomes a close chat message', () => {
+    const event = toMessageEvent(alert);
+
+    expect(event.type).toBe(MESSAGE_EVENTS.CLOSE);
+    expect(formatChatMessage(event, 'slack').split('\n')[0]).toBe('*✅ BTC LONG closed: Take profit*');
+  });
+
+  test('distance alerts become near-range messages, not breakouts', () => {
+    const event = toMessageEvent({ type: ALERT_TYPES.DISTANCE, item: { ...openSignal, isAbove: true, currentPrice: 105.5 }, distancePercent: 0.48 });
+
+    expect(event.type).toBe(MESSAGE_EVENTS.NEAR_RANGE);
+    expect(formatChatMessage(event, 'slack').split('\n')[0]).toBe('*📊 BTC is back near its range (broke above)*');
+  });
+});
@@ -0,0 +1,107 @@
+// Alert Delivery
+// Posts alerts as JSON to webhook URLs and as Markdown messages to chat endpoints (Telegram, Discord,
+// Slack - see messageFormatters.js), the headless watcher's outputs, retrying failed deliveries with the
+// same exponential backoff and jitter as the Binance request scheduler.
+
+import { getRetryDelay } from './requestScheduler';
+import { formatAlertMessage } from './alertConditions';
+import { MESSAGE_FORMATTERS, MESSAGE_FORMATS, formatChatMessage } from './messageFormatters';
+
+export const DEFAULT_DELIVERY_OPTIONS = {
+  retries: 3,           // Retries after the first attempt
+  baseDelayMs: 1000,    // First retry delay, doubled per attempt
+  maxDelayMs: 30000,    // Retry delay cap
+  timeoutMs: 10000      // Time allowed for one attempt
+};
+
+/**
+ * JSON payload of an alert
+ * @param {Object} alert - Alert from alertConditions.js
+ * @returns {Object} { key, type, symbol, time, title, body, data, details, sentAt }
+ */
+export const buildAlertPayload = (alert) => {
+  const message = formatAlertMessage(alert);
+  return {
+    key: alert.key,
+    type: alert.type,
+    symbol: alert.symbol,
+    time: alert.time.toISOString(),
+    title: message.title,
+    body: message.body,
+    data: message.data,
+    details: alert.item,
+    sentAt: new Date().toISOString()
+  };
+};
+
+// Client errors will fail the same way again, except timeouts and rate limits
+const isRetryableStatus = (status) => status >= 500 || status === 408 || status === 429;
+
+/**
+ * Post a payload to a webhook, retrying network errors, timeouts, 429s and 5xx responses
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON payload
+ * @param {Object} options - Overrides of DEFAULT_DELIVERY_OPTIONS, plus fetchImpl (default: the global fetch)
+ * @returns {Promise<Object>} { url, ok, status, attempts, error } - never rejects
+ */
+export const postWebhook = async (url, payload, options = {}) => {
+  const { fetchImpl, ...overrides } = options;
+  const config = { ...DEFAULT_DELIVERY_OPTIONS, ...overrides };
+  const doFetch = fetchImpl || fetch;
+  let status = null;
+  let error = null;
+  let attempts = 0;
+
+  for (let attempt = 0; attempt <= config.retries; attempt++) {
+    attempts = attempt + 1;
+    if (attempt > 0) {
+      await new Promise(resolve => setTimeout(resolve, getRetryDelay(attempt, config)));
+    }
+    const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+    const timeout = controller ? setTimeout(() => controller.abort(), config.timeoutMs) : null;
+    try {
+      const response = await doFetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        signal: controller ? controller.signal : undefined
+      });
+      status = response.status;
+      error = response.ok ? null : `HTTP ${response.status}`;
+    } catch (fetchError) {
+      status = null;
+      error = fetchError.name === 'AbortError' ? `Timed out after ${config.timeoutMs}ms` : (fetchError.message || String(fetchError));
+    } finally {
+      if (timeout) {
+        clearTimeout(timeout);
+      }
+    }
+
+    if (!error) {
+      return { url, ok: true, status, attempts, error: null };
+    }
+    if (status !== null && !isRetryableStatus(status)) {
+      break;
+    }
+    if (attempt < config.retries) {
+      console.warn(`[Delivery] ${url}: ${error}, retrying (attempt ${attempt + 1}/${config.retries})`);
+    }
+  }
+
+  return { url, ok: false, status, attempts, error };
+};
+
+/**
+ * Request body of a chat message for an endpoint
+ * @param {Object} endpoint - { format (MESSAGE_FORMATS entry), url }
+ * @param {Object} event - Message event (see messageFormatters.toMessageEvent)
+ * @param {Object} options - formatChatMessage options ({ appUrl })
+ * @returns {Object} JSON body in the endpoint's format
+ */
+export const buildChatRequestBody = (endpoint, event, options = {}) => {
+  const formatter = MESSAGE_FORMATTERS[endpoint.format];
+  if (!formatter) {
+    throw new Error(`Unknown chat format ${endpoint.format} (expected ${MESSAGE_FORMATS.join(', ')})`);
+  }
+  return formatter.toRequestBody(formatChatMessage(event, formatter, options), endpoint.url);
+};
@@ -0,0 +1,85 @@
+// Alert Delivery tests
+// Webhook retries: which failures are retried, and the backoff between attempts.
+import { postWebhook } from './alertDelivery';
+import { createFetch } from './testing/fetchMocks';
+
+const URL = 'https://hooks.example.com/alerts';
+const TIMEOUT_MS = 10000;
+
+describe('postWebhook', () => {
+  let retryDelays;
+
+  beforeEach(() => {
+    retryDelays = [];
+    // Retry waits run at once and are recorded; the per-attempt timeout never fires
+    jest.spyOn(global, 'setTimeout').mockImplementation((callback, ms) => {
+      if (ms !== TIMEOUT_MS) {
+        retryDelays.push(ms);
+        callback();
+      }
+      return 0;
+    });
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('posts the payload as JSON once when the endpoint accepts it', async () => {
+    const fetchImpl = createFetch(200);
+    const result = await postWebhook(URL, { key: 'signal_BTC_1' }, { fetchImpl });
+
+    expect(result).toEqual({ url: URL, ok: true, status: 200, attempts: 1, error: null });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    const [url, request] = fetchImpl.mock.calls[0];
+    expect(url).toBe(URL);
+    expect(request.method).toBe('POST');
+    expect(request.headers['Content-Type']).toBe('application/json');
+    expect(JSON.parse(request.body)).toEqual({ key: 'signal_BTC_1' });
+    expect(retryDelays).toEqual([]);
+  });
+
+  test('retries 5xx responses until the endpoint accepts', async () => {
+    const fetchImpl = createFetch(503, 502, 200);
+    const result = await postWebhook(URL, {}, { fetchImpl });
+
+    expect(result).toMatchObject({ ok: true, status: 200, attempts: 3 });
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  test('backs off exponentially up to the delay cap', async () => {
+    const fetchImpl = createFetch(503);
+    const result = await postWebhook(URL, {}, { fetchImpl, retries: 4, baseDelayMs: 1000, maxDelayMs: 3000 });
+
+    expect(result).toEqual({ url: URL, ok: false, status: 503, attempts: 5, error: 'HTTP 503' });
+    // Half of each delay is jitter (Math.random is 0 here): 1s, 2s, 4s capped at 3s, 3s
+    expect(retryDelays).toEqual([500, 1000, 1500, 1500]);
+  });
+
+  test('retries network errors, timeouts and 429s', async () => {
+    const abort = new Error('The operation was aborted');
+    abort.name = 'AbortError';
+    const fetchImpl = createFetch(new Error('ECONNREFUSED'), abort, 429, 204);
+    const result = await postWebhook(URL, {}, { fetchImpl });
+
+    expect(result).toMatchObject({ ok: true, status: 204, attempts: 4 });
+  });
+
+  test('reports the last error once the retries run out', async () => {
+    const abort = new Error('The operation was aborted');
+    abort.name = 'AbortError';
+    const result = await postWebhook(URL, {}, { fetchImpl: createFetch(abort), retries: 1 });
+
+    expect(result).toEqual({ url: URL, ok: false, status: null, attempts: 2, error: `Timed out after ${TIMEOUT_MS}ms` });
+  });
+
+  test('does not retry client errors', async () => {
+    const fetchImpl = createFetch(404);
+    const result = await postWebhook(URL, {}, { fetchImpl });
+
+    expect(result).toMatchObject({ ok: false, status: 404, attempts: 1, error: 'HTTP 404' });
+    expect(retryDelays).toEqual([]);
+  });
+});
@@ -0,0 +1,450 @@
+// Alert Rules
+// User-defined alert rules: a rule fires for a symbol when all of its conditions hold, e.g.
+// "RSI 1h < 25 AND price within 0.5% of range low on SOL/ETH" or "any signal closed as loss".
+// Closed signals are outcome alerts (TP hit, SL hit, break-even) with the P&L, the time in trade and the day's tally;
+// the caller stores each signal's last result (updateSignalResults), so closes while the app was shut still alert.
+// Signal and breakout conditions fire once per signal/breakout (the alert keys go to notified_breakouts);
+// rules made only of RSI and range conditions fire again while they hold, at most once per cooldown.
+// Rules are evaluated after every data refresh (App.js) with evaluateAlertRules, which is pure:
+// the caller keeps the notified keys and the per-rule cooldowns.
+
+import { toDisplaySymbol, formatSymbolPrice } from './symbols';
+import { formatNYTime } from './timeFormat';
+import { getZonedDateKey } from './sessions';
+import { getRealizedMovePercent, getRealizedRMultiple } from './simulation';
+import {
+  getSignalAlertKey,
+  getCloseAlertKey,
+  getDistanceAlertKey,
+  getSignalOutcomeLabel,
+  calculateDistanceFromRange
+} from './alertConditions';
+import { MESSAGE_EVENTS, formatDuration } from './messageFormatters';
+
+// Condition types
+export const RULE_CONDITIONS = {
+  SIGNAL_REENTRY: 'signal-reentry', // New re-entry signal { direction: 'any' | 'long' | 'short' }
+  SIGNAL_CLOSED: 'signal-closed',   // Open signal closed { result: 'any' | 'win' | 'loss' | 'breakeven' }
+  BREAKOUT: 'breakout',             // Breakout waiting for re-entry { direction: 'any' | 'above' | 'below' }
+  RSI: 'rsi',                       // RSI (1h) { operator: '<' | '>', value }
+  RANGE_DISTANCE: 'range-distance'  // Price within { percent } of the range { edge: 'any' | 'high' | 'low' }
+};
+
+export const RULE_CONDITION_LABELS = {
+  [RULE_CONDITIONS.SIGNAL_REENTRY]: 'New re-entry signal',
+  [RULE_CONDITIONS.SIGNAL_CLOSED]: 'Signal closed',
+  [RULE_CONDITIONS.BREAKOUT]: 'Breakout waiting for re-entry',
+  [RULE_CONDITIONS.RSI]: 'RSI (1h)',
+  [RULE_CONDITIONS.RANGE_DISTANCE]: 'Price near range'
+};
+
+// Conditions about a signal or breakout (one per rule); the others describe the symbol's current state
+const EVENT_CONDITIONS = [RULE_CONDITIONS.SIGNAL_REENTRY, RULE_CONDITIONS.SIGNAL_CLOSED, RULE_CONDITIONS.BREAKOUT];
+
+export const ALERT_SEVERITIES = {
+  INFO: 'info',
+  WARNING: 'warning',
+  CRITICAL: 'critical'
+};
+
+export const ALERT_SEVERITY_LABELS = {
+  [ALERT_SEVERITIES.INFO]: 'Info',
+  [ALERT_SEVERITIES.WARNING]: 'Warning',
+  [ALERT_SEVERITIES.CRITICAL]: 'Critical'
+};
+
+export const ALERT_SEVERITY_ICONS = {
+  [ALERT_SEVERITIES.INFO]: 'ℹ️',
+  [ALERT_SEVERITIES.WARNING]: '⚠️',
+  [ALERT_SEVERITIES.CRITICAL]: '🚨'
+};
+
+// The daily tally counts signals by the day they closed, in the app's timezone (UTC+7)
+const TALLY_TIME_ZONE = 'Asia/Bangkok';
+
+// Where a fired alert goes (every alert is also listed in the app's alert log)
+export const ALERT_CHANNELS = {
+  BROWSER: 'browser', // Browser notification
+  IN_APP: 'in-app',   // Alert log only
+  WEBHOOK: 'webhook'  // JSON POST to the rule's webhookUrl
+};
+
+export const ALERT_CHANNEL_LABELS = {
+  [ALERT_CHANNELS.BROWSER]: 'Browser Notification',
+  [ALERT_CHANNELS.IN_APP]: 'Alert Log Only',
+  [ALERT_CHANNELS.WEBHOOK]: 'Webhook'
+};
+
+/**
+ * Built-in rules - the notifications the app sent before rules existed
+ * (new re-entry signals, breakouts back within 1% of their range) and the outcome of every closed signal
+ */
+export const DEFAULT_ALERT_RULES = [
+  {
+    id: 'new-signal',
+    name: 'New re-entry signal',
+    enabled: true,
+    symbols: [], // Empty = every watched symbol
+    conditions: [{ type: RULE_CONDITIONS.SIGNAL_REENTRY, direction: 'any' }],
+    cooldownMinutes: 0,
+    severity: ALERT_SEVERITIES.WARNING,
+    channel: ALERT_CHANNELS.BROWSER,
+    webhookUrl: ''
+  },
+  {
+    id: 'close-to-range',
+    name: 'Breakout close to range',
+    enabled: true,
+    symbols: [],
+    conditions: [
+      { type: RULE_CONDITIONS.BREAKOUT, direction: 'any' },
+      { type: RULE_CONDITIONS.RANGE_DISTANCE, edge: 'any', percent: 1 }
+    ],
+    cooldownMinutes: 0,
+    severity: ALERT_SEVERITIES.INFO,
+    channel: ALERT_CHANNELS.BROWSER,
+    webhookUrl: ''
+  },
+  {
+    id: 'signal-outcome',
+    name: 'Position closed',
+    enabled: true,
+    symbols: [],
+    conditions: [{ type: RULE_CONDITIONS.SIGNAL_CLOSED, result: 'any' }],
+    cooldownMinutes: 0,
+    severity: ALERT_SEVERITIES.WARNING,
+    channel: ALERT_CHANNELS.BROWSER,
+    webhookUrl: ''
+  }
+];
+
+// Keys of the built-in rules' alerts: the first two keep the keys of the notifications they replace,
+// so nothing notified before is sent again; all three are the watcher's keys for the same alerts
+const BUILT_IN_ALERT_KEYS = {
+  'new-signal': getSignalAlertKey,
+  'close-to-range': getDistanceAlertKey,
+  'signal-outcome': getCloseAlertKey
+};
+
+const isClosed = (signal) => signal.result === 'win' || signal.result === 'loss';
+
+/**
+ * Last known result of each signal, for the next evaluation (stored by the caller across reloads)
+ * Open signals that left the data keep their entry, so they still alert if they come back closed
+ * @param {Object} previousResults - Signal alert key -> 'pending' | 'win' | 'loss' from the last evaluation
+ * @param {Array<Object>} signals - Signals of every symbol
+ * @returns {Object} Signal alert key -> result
+ */
+export const updateSignalResults = (previousResults = {}, signals = []) => {
+  const results = Object.fromEntries(Object.entries(previousResults || {}).filter(([, result]) => result === 'pending'));
+  (signals || []).filter(signal => signal.reentryTime).forEach(signal => {
+    results[getSignalAlertKey(signal)] = isClosed(signal) ? signal.result : 'pending';
+  });
+  return results;
+};
+
+/**
+ * Tally of the signals closed on a day (break-even exits are counted apart from wins and losses)
+ * @param {Array<Object>} signals - Signals of every symbol
+ * @param {number|Date} time - Any time on the day (UTC+7 calendar day)
+ * @returns {Object} { date (YYYY-MM-DD), wins, losses, breakeven, closed, netMovePercent (sum of realized moves) }
+ */
+export const getDailyTally = (signals, time) => {
+  const date = getZonedDateKey(time, TALLY_TIME_ZONE);
+  return (signals || [])
+    .filter(signal => isClosed(signal) && signal.closeTime && getZonedDateKey(signal.closeTime, TALLY_TIME_ZONE) === date)
+    .reduce((tally, signal) => {
+      const outcome = signal.exitReason === 'breakeven' ? 'breakeven' : (signal.result === 'win' ? 'wins' : 'losses');
+      return {
+        ...tally,
+        [outcome]: tally[outcome] + 1,
+        closed: tally.closed + 1,
+        netMovePercent: tally.netMovePercent + (getRealizedMovePercent(signal) || 0)
+      };
+    }, { date, wins: 0, losses: 0, breakeven: 0, closed: 0, netMovePercent: 0 });
+};
+
+/**
+ * Validate an alert rule
+ * @param {Object} rule - Alert rule
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateAlertRule = (rule) => {
+  if (!rule || !rule.id || !rule.name) {
+    return 'Rule needs an id and a name';
+  }
+  if (!Array.isArray(rule.symbols) || !Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+    return 'Rule needs at least one condition';
+  }
+  for (const condition of rule.conditions) {
+    if (!Object.values(RULE_CONDITIONS).includes(condition.type)) {
+      return `Unknown condition: ${condition.type}`;
+    }
+    if (condition.type === RULE_CONDITIONS.RSI && (!['<', '>'].includes(condition.operator) || !(condition.value > 0 && condition.value < 100))) {
+      return 'RSI condition needs < or > and a value between 0 and 100';
+    }
+    if (condition.type === RULE_CONDITIONS.RANGE_DISTANCE && (!['any', 'high', 'low'].includes(condition.edge) || !(condition.percent > 0))) {
+      return 'Range condition needs an edge (any, high or low) and a distance greater than 0';
+    }
+  }
+  const eventConditions = rule.conditions.filter(condition => EVENT_CONDITIONS.includes(condition.type));
+  if (eventConditions.length > 1) {
+    return 'A rule can have only one signal or breakout condition';
+  }
+  if (!(rule.cooldownMinutes >= 0)) {
+    return 'Cooldown must be 0 or more minutes';
+  }
+  if (eventConditions.length === 0 && !(rule.cooldownMinutes > 0)) {
+    return 'Rules without a signal or breakout condition need a cooldown (they fire again while they hold)';
+  }
+  if (!Object.values(ALERT_SEVERITIES).includes(rule.severity)) {
+    return `Unknown severity: ${rule.severity}`;
+  }
+  if (!Object.values(ALERT_CHANNELS).includes(rule.channel)) {
+    return `Unknown channel: ${rule.channel}`;
+  }
+  if (rule.channel === ALERT_CHANNELS.WEBHOOK && !/^https?:\/\/\S+$/.test(rule.webhookUrl || '')) {
+    return 'Webhook channel needs an http(s) URL';
+  }
+  return null;
+};
+
+/**
+ * Describe a condition in a few words (e.g., "RSI (1h) < 25", "Within 0.5% of range low")
+ * @param {Object} condition - Rule condition
+ * @returns {string} Description
+ */
+export const describeRuleCondition = (condition) => {
+  switch (condition.type) {
+    case RULE_CONDITIONS.SIGNAL_REENTRY:
+      return `New ${condition.direction && condition.direction !== 'any' ? `${condition.direction.toUpperCase()} ` : ''}re-entry signal`;
+    case RULE_CONDITIONS.SIGNAL_CLOSED:
+      if (condition.result === 'breakeven') {
+        return 'Signal closed at break-even';
+      }
+      return `Signal closed${condition.result && condition.result !== 'any' ? ` as ${condition.result}` : ''}`;
+    case RULE_CONDITIONS.BREAKOUT:
+      return `Breakout${condition.direction && condition.direction !== 'any' ? ` ${condition.direction} range` : ''} waiting for re-entry`;
+    case RULE_CONDITIONS.RSI:
+      return `RSI (1h) ${condition.operator} ${condition.value}`;
+    case RULE_CONDITIONS.RANGE_DISTANCE:
+      return `Within ${condition.percent}% of range ${condition.edge === 'any' ? 'high or low' : condition.edge}`;
+    default:
+      return condition.type;
+  }
+};
+
+/**
+ * Describe a rule in one line (e.g., "RSI (1h) < 25 AND Within 0.5% of range low on SOL, ETH")
+ * @param {Object} rule - Alert rule
+ * @returns {string} Description
+ */
+export const describeAlertRule = (rule) => {
+  const symbolsText = rule.symbols.length > 0 ? rule.symbols.join(', ') : 'every symbol';
+  const cooldownText = rule.cooldownMinutes > 0 ? `, cooldown ${rule.cooldownMinutes}m` : '';
+  return `${rule.conditions.map(describeRuleCondition).join(' AND ')} on ${symbolsText}${cooldownText}`;
+};
+
+const toTime = (time) => (time instanceof Date ? time.getTime() : new Date(time).getTime());
+
+// Most recent range of a symbol (from its signals and breakouts)
+const getLatestRange = (items) => {
+  return items
+    .filter(item => item.rangeHigh && item.rangeLow)
+    .reduce((latest, item) => (!latest || toTime(item.rangeCloseTime || item.breakoutTime) > toTime(latest.rangeCloseTime || latest.breakoutTime) ? item : latest), null);
+};
+
+// Subjects (signals or breakouts) of a symbol matching a rule's event condition: [{ key, eventType (MESSAGE_EVENTS), time, item, text }]
+const getEventSubjects = (condition, data) => {
+  if (condition.type === RULE_CONDITIONS.SIGNAL_REENTRY) {
+    const previousKeys = new Set(data.previousSignals.filter(signal => signal.reentryTime).map(getSignalAlertKey));
+    return data.signals
+      .filter(signal => signal.reentryTime && !isClosed(signal))
+      .filter(signal => !condition.direction || condition.direction === 'any' || signal.breakoutDirection === condition.direction)
+      .filter(signal => !previousKeys.has(getSignalAlertKey(signal)))
+      .map(signal => ({
+        key: getSignalAlertKey(signal),
+        eventType: MESSAGE_EVENTS.REENTRY,
+        time: toTime(signal.reentryTime),
+        item: signal,
+        text: `${signal.breakoutDirection === 'long' ? 'LONG' : 'SHORT'} re-entry at ${formatNYTime(new Date(signal.reentryTime))}` +
+          ` | Entry ${formatSymbolPrice(signal.entryPrice, signal.symbol)} SL ${formatSymbolPrice(signal.stopLoss, signal.symbol)} TP ${formatSymbolPrice(signal.takeProfit, signal.symbol)}`
+      }));
+  }
+
+  if (condition.type === RULE_CONDITIONS.SIGNAL_CLOSED) {
+    // Only signals seen open before this refresh or with an open last result: closes are transitions,
+    // not every closed signal in the history
+    const previousOpenKeys = new Set(data.previousSignals
+      .filter(signal => signal.reentryTime && !isClosed(signal))
+      .map(getSignalAlertKey));
+    const wasOpen = (signal) => previousOpenKeys.has(getSignalAlertKey(signal)) || data.previousResults[getSignalAlertKey(signal)] === 'pending';
+    return data.signals
+      .filter(signal => isClosed(signal) && wasOpen(signal))
+      .filter(signal => !condition.result || condition.result === 'any' ||
+        (condition.result === 'breakeven' ? signal.exitReason === 'breakeven' : signal.result === condition.result))
+      .map(signal => {
+        const move = getRealizedMovePercent(signal);
+        const rMultiple = getRealizedRMultiple(signal);
+        const closeTime = signal.closeTime ? new Date(signal.closeTime) : null;
+        const tally = getDailyTally(data.allSignals, closeTime || data.now);
+        return {
+          key: `closed_${getSignalAlertKey(signal)}`,
+          eventType: MESSAGE_EVENTS.CLOSE,
+          time: toTime(closeTime || signal.reentryTime),
+          item: signal,
+          text: [
+            `${signal.breakoutDirection === 'long' ? 'LONG' : 'SHORT'} ${getSignalOutcomeLabel(signal)}${closeTime ? ` at ${formatNYTime(closeTime)}` : ''}`,
+            `P&L ${move !== null ? `${move >= 0 ? '+' : ''}${move.toFixed(2)}%` : 'N/A'}` +
+              `${rMultiple !== null ? ` (${rMultiple >= 0 ? '+' : ''}${rMultiple.toFixed(2)}R)` : ''}` +
+              `${closeTime ? ` | ${formatDuration(closeTime.getTime() - toTime(signal.reentryTime))} in trade` : ''}`,
+            `Today: ${tally.wins}W ${tally.losses}L ${tally.breakeven}BE, ` +
+              `${tally.netMovePercent >= 0 ? '+' : ''}${tally.netMovePercent.toFixed(2)}% net`
+          ].join('\n')
+        };
+      });
+  }
+
+  return data.breakouts
+    .filter(breakout => breakout.breakoutTime)
+    .filter(breakout => !condition.direction || condition.direction === 'any' || (condition.direction === 'above' ? breakout.isAbove : !breakout.isAbove))
+    .map(breakout => ({
+      key: getDistanceAlertKey(breakout).replace(/^distance_/, 'breakout_'),
+      eventType: MESSAGE_EVENTS.BREAKOUT,
+      time: toTime(breakout.breakoutTime),
+      item: breakout,
+      text: `Breakout ${breakout.isAbove ? 'above' : 'below'} range at ${formatNYTime(new Date(breakout.breakoutTime))}`
+    }));
+};
+
+// Check a state condition; returns the text explaining the match, or null
+const checkStateCondition = (condition, data, subject) => {
+  if (condition.type === RULE_CONDITIONS.RSI) {
+    const rsi = data.rsiRow ? data.rsiRow.rsi : null;
+    if (rsi === null || rsi === undefined) {
+      return null;
+    }
+    const matches = condition.operator === '<' ? rsi < condition.value : rsi > condition.value;
+    return matches ? `RSI (1h) ${rsi.toFixed(2)} ${condition.operator} ${condition.value}` : null;
+  }
+
+  // Range distance: the subject's range, else the symbol's latest range; streamed price, else the latest 1h close
+  const rangeItem = subject && subject.item.rangeHigh ? subject.item : getLatestRange([...data.breakouts, ...data.signals]);
+  const price = (subject && subject.item.currentPrice) || (rangeItem && rangeItem.currentPrice) || (data.rsiRow && data.rsiRow.price);
+  if (!rangeItem || !price) {
+    return null;
+  }
+  // A breakout subject with "any" edge is measured from the edge it broke (the original distance alert)
+  if (subject && subject.item.isAbove !== undefined && condition.edge === 'any') {
+    const distance = calculateDistanceFromRange({ ...subject.item, currentPrice: price });
+    return distance !== null && Math.abs(distance) < condition.percent
+      ? `Price ${formatSymbolPrice(price, rangeItem.symbol)} is ${distance >= 0 ? '+' : ''}${distance.toFixed(2)}% from the range`
+      : null;
+  }
+  const edges = condition.edge === 'any' ? ['high', 'low'] : [condition.edge];
+  const closest = edges
+    .map(edge => {
+      const level = edge === 'high' ? rangeItem.rangeHigh : rangeItem.rangeLow;
+      return { edge, distance: Math.abs(price - level) / level * 100 };
+    })
+    .reduce((best, edge) => (!best || edge.distance < best.distance ? edge : best), null);
+  return closest.distance < condition.percent
+    ? `Price ${formatSymbolPrice(price, rangeItem.symbol)} is ${closest.distance.toFixed(2)}% from range ${closest.edge}`
+    : null;
+};
+
+/**
+ * Cooldown key of a rule for a symbol
+ * @param {Object} rule - Alert rule
+ * @param {string} symbol - Display symbol
+ * @returns {string} Key in the lastFiredAt map
+ */
+export const getRuleCooldownKey = (rule, symbol) => `${rule.id}_${symbol}`;
+
+/**
+ * Evaluate alert rules against the latest data
+ * @param {Array<Object>} rules - Alert rules (disabled ones are skipped)
+ * @param {Object} data - { symbols (watched pairs), rsiRows, signals, previousSignals (before the refresh),
+ *   previousResults (see updateSignalResults), breakouts (without re-entry) }
+ * @param {Object} state - { notifiedKeys (Set of alert keys already sent), lastFiredAt (cooldown key -> ms), now (ms) }
+ * @returns {Array<Object>} Alerts { key, cooldownKey, notifyOnce (signal/breakout alert: remember its key), rule, symbol,
+ *   time, title, body, requireInteraction, item, eventType (MESSAGE_EVENTS of a signal/breakout alert, else null:
+ *   { type: eventType, item } renders as a chat message with formatChatMessage) }
+ */
+export const evaluateAlertRules = (rules, data, { notifiedKeys = new Set(), lastFiredAt = {}, now = Date.now() } = {}) => {
+  const bySymbol = (items, symbol) => (items || []).filter(item => toDisplaySymbol(item.symbol) === symbol);
+  const watchedSymbols = (data.symbols || []).map(toDisplaySymbol);
+  const alerts = [];
+
+  rules.filter(rule => rule.enabled && !validateAlertRule(rule)).forEach(rule => {
+    const symbols = rule.symbols.length > 0 ? rule.symbols.filter(symbol => watchedSymbols.includes(symbol)) : watchedSymbols;
+    const eventCondition = rule.conditions.find(condition => EVENT_CONDITIONS.includes(condition.type));
+    const stateConditions = rule.conditions.filter(condition => !EVENT_CONDITIONS.includes(condition.type));
+
+    symbols.forEach(symbol => {
+      const cooldownKey = getRuleCooldownKey(rule, symbol);
+      if (rule.cooldownMinutes > 0 && lastFiredAt[cooldownKey] && now - lastFiredAt[cooldownKey] < rule.cooldownMinutes * 60 * 1000) {
+        return;
+      }
+      const symbolData = {
+        rsiRow: (data.rsiRows || []).find(row => toDisplaySymbol(row.symbol) === symbol) || null,
+        signals: bySymbol(data.signals, symbol),
+        previousSignals: bySymbol(data.previousSignals, symbol),
+        previousResults: data.previousResults || {},
+        breakouts: bySymbol(data.breakouts, symbol),
+        allSignals: data.signals, // Daily tally of every symbol
+        now
+      };
+      const subjects = eventCondition ? getEventSubjects(eventCondition, symbolData) : [null];
+
+      for (const subject of subjects) {
+        const key = subject
+          ? (BUILT_IN_ALERT_KEYS[rule.id] ? BUILT_IN_ALERT_KEYS[rule.id](subject.item) : `rule_${rule.id}_${subject.key}`)
+          : `rule_${rule.id}_${symbol}_${now}`;
+        if (notifiedKeys.has(key)) {
+          continue;
+        }
+        const matches = stateConditions.map(condition => checkStateCondition(condition, symbolData, subject));
+        if (matches.some(match => match === null)) {
+          continue;
+        }
+        alerts.push({
+          key,
+          cooldownKey,
+          notifyOnce: !!subject,
+          rule,
+          symbol,
+          time: subject ? subject.time : now,
+          title: `${ALERT_SEVERITY_ICONS[rule.severity]} ${symbol}: ${rule.name}`,
+          body: [subject && subject.text, ...matches].filter(Boolean).join('\n'),
+          requireInteraction: rule.severity !== ALERT_SEVERITIES.INFO,
+          item: subject ? subject.item : symbolData.rsiRow,
+          eventType: subject ? subject.eventType : null
+        });
+        // A cooldown allows one alert per symbol at a time
+        if (rule.cooldownMinutes > 0) {
+          break;
+        }
+      }
+    });
+  });
+
+  return alerts;
+};
+
+/**
+ * JSON payload of a rule alert (webhook channel)
+ * @param {Object} alert - Alert from evaluateAlertRules
+ * @returns {Object} { key, rule: { id, name }, event (MESSAGE_EVENTS entry or null), severity, symbol, time, title, body, sentAt }
+ */
+export const buildRuleAlertPayload = (alert) => ({
+  key: alert.key,
+  rule: { id: alert.rule.id, name: alert.rule.name },
+  event: alert.eventType,
+  severity: alert.rule.severity,
+  symbol: alert.symbol,
+  time: new Date(alert.time).toISOString(),
+  title: alert.title,
+  body: alert.body,
+  sentAt: new Date().toISOString()
+});
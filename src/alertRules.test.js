@@ -0,0 +1,66 @@
+// Alert Rules tests
+// Outcome alerts: a pending signal followed to its TP or SL on a later refresh, also after a reload.
+import { DEFAULT_ALERT_RULES, evaluateAlertRules, updateSignalResults } from './alertRules';
+import { getCloseAlertKey } from './alertConditions';
+import { detectBreakoutsFromCandles } from './breakoutStrategy';
+import { DATE_KEY, candle, rangeCandles, breakout, reentry } from './testing/strategyFixture';
+
+const entryCandles = [breakout, reentry];
+
+const scan = (fiveMinCandles, startTime = null) => detectBreakoutsFromCandles({
+  symbol: 'BTC/USDT',
+  dateKeys: [DATE_KEY],
+  rangeCandles,
+  fiveMinCandles,
+  startTime,
+  now: fiveMinCandles[fiveMinCandles.length - 1].closeTime.getTime() + 1,
+  verbose: false
+}).signals;
+
+const evaluateOutcomes = (data) => evaluateAlertRules(DEFAULT_ALERT_RULES.filter(rule => rule.id === 'signal-outcome'), {
+  symbols: ['BTC/USDT'],
+  breakouts: [],
+  ...data
+});
+
+describe('signal outcome alerts', () => {
+  const pending = scan(entryCandles);
+  // binance.js rescans from the earliest range close of the cached open signals
+  const rescanFrom = () => pending[0].rangeCloseTime.getTime();
+
+  test('the first scan leaves the signal open', () => {
+    expect(pending).toHaveLength(1);
+    expect(pending[0]).toMatchObject({ breakoutDirection: 'short', entryPrice: 108, result: 'pending' });
+  });
+
+  test.each([
+    ['TP', candle(2, 108, 108.2, 105.5, 106), 'win', /TP hit/],
+    ['SL', candle(2, 108, 109.5, 107.8, 109.2), 'loss', /SL hit/]
+  ])('rescanning the open signal\'s range follows it to its %s', (_, exitCandle, result, outcome) => {
+    const refreshed = scan([...entryCandles, exitCandle], rescanFrom());
+    expect(refreshed[0].result).toBe(result);
+
+    const alerts = evaluateOutcomes({ signals: refreshed, previousSignals: pending });
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0].key).toBe(getCloseAlertKey(refreshed[0]));
+    expect(alerts[0].body).toMatch(outcome);
+  });
+
+  test('alerts a close that happened while the app was shut, from the stored results', () => {
+    const storedResults = JSON.parse(JSON.stringify(updateSignalResults({}, pending)));
+    const refreshed = scan([...entryCandles, candle(2, 108, 108.2, 105.5, 106)], rescanFrom());
+
+    const alerts = evaluateOutcomes({ signals: refreshed, previousSignals: [], previousResults: storedResults });
+    expect(alerts.map(alert => alert.key)).toEqual([getCloseAlertKey(refreshed[0])]);
+
+    // The stored result is now the close: the next evaluation has nothing new
+    const nextResults = updateSignalResults(storedResults, refreshed);
+    expect(evaluateOutcomes({ signals: refreshed, previousSignals: [], previousResults: nextResults })).toEqual([]);
+  });
+
+  test('does not alert closes never seen open', () => {
+    const refreshed = scan([...entryCandles, candle(2, 108, 108.2, 105.5, 106)]);
+
+    expect(evaluateOutcomes({ signals: refreshed, previousSignals: [], previousResults: {} })).toEqual([]);
+  });
+});
@@ -0,0 +1,200 @@
+// Breakout Backtesting Engine
+// Replays the live range/breakout/re-entry/SL/TP state machine (breakoutStrategy.js) over months of history
+import { fetchKlinesRange, detectBreakoutsWithIntrabar } from './binance';
+import { DEFAULT_STRATEGY_CONFIG } from './breakoutStrategy';
+import { DEFAULT_RISK_PROFILE } from './riskProfiles';
+import { getRealizedMovePercent, getRealizedRMultiple } from './simulation';
+import { DEFAULT_SESSION, getZonedDateKey, shiftDateKey, getSessionWindow } from './sessions';
+import { clock } from './clock';
+
+const FIVE_MIN_MS = 5 * 60 * 1000;
+
+export const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Add P&L to a detected signal
+ * Partial exits are weighted by the share of the position they closed
+ * @param {Object} signal - Signal from detectBreakoutsFromCandles (result may still be 'pending')
+ * @returns {Object} Trade with exitPrice (last fill), pnlPercent and rMultiple
+ */
+const toTrade = (signal) => {
+  const isClosed = signal.result === 'win' || signal.result === 'loss';
+  const lastFill = signal.fills && signal.fills.length > 0 ? signal.fills[signal.fills.length - 1] : null;
+
+  return {
+    ...signal,
+    exitPrice: isClosed && lastFill ? lastFill.price : null,
+    pnlPercent: isClosed ? getRealizedMovePercent(signal) : null,
+    rMultiple: isClosed ? getRealizedRMultiple(signal) : null
+  };
+};
+
+/**
+ * Backtest one symbol over a period
+ * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+ * @param {Object} session - Session definition
+ * @param {number} startTime - Period start in milliseconds
+ * @param {number} endTime - Period end in milliseconds
+ * @param {Function} onProgress - Optional callback ({ symbol, stage, candles })
+ * @param {Object} riskProfile - Risk profile for SL/TP placement (default: DEFAULT_RISK_PROFILE)
+ * @param {string} intrabarPolicy - Fallback for candles reaching both stop and target without usable 1m data
+ * @returns {Promise<Array>} Trades
+ */
+export const backtestSymbol = async (symbol, session, startTime, endTime, onProgress = null, riskProfile = DEFAULT_RISK_PROFILE, intrabarPolicy = DEFAULT_STRATEGY_CONFIG.intrabarPolicy) => {
+  const reportProgress = (stage, candles = 0) => {
+    if (onProgress) {
+      onProgress({ symbol, stage, candles });
+    }
+  };
+
+  const startDateKey = getZonedDateKey(startTime, session.timeZone);
+  const endDateKey = getZonedDateKey(endTime, session.timeZone);
+  const firstWindow = getSessionWindow(session, startDateKey);
+
+  const dateKeys = [];
+  for (let dateKey = startDateKey; dateKey <= endDateKey; dateKey = shiftDateKey(dateKey, 1)) {
+    dateKeys.push(dateKey);
+  }
+
+  reportProgress('range');
+  const rangeCandles = await fetchKlinesRange(symbol, session.rangeInterval, firstWindow.rangeStart, endTime,
+    (candles) => reportProgress('range', candles));
+
+  reportProgress('5m');
+  const fiveMinCandles = await fetchKlinesRange(symbol, '5m', firstWindow.rangeEnd, endTime,
+    (candles) => reportProgress('5m', candles));
+
+  reportProgress('replay', fiveMinCandles.length);
+  // endTime acts as "now": only ranges that closed inside the backtest period are replayed
+  // Candles that reached both stop and target are settled with 1m candles (fetched as needed)
+  const { signals } = await detectBreakoutsWithIntrabar({
+    symbol,
+    dateKeys,
+    rangeCandles,
+    fiveMinCandles,
+    session,
+    now: endTime,
+    config: { ...DEFAULT_STRATEGY_CONFIG, riskProfile, intrabarPolicy },
+    verbose: false
+  });
+
+  const trades = signals.map(toTrade);
+  console.log(`[Backtest][${symbol}][${session.id}] ${trades.length} trades from ${startDateKey} to ${endDateKey} (${fiveMinCandles.length} 5m candles)`);
+  return trades;
+};
+
+/**
+ * Summarize a list of closed trades
+ * @param {Array} trades - Closed trades (result 'win' or 'loss')
+ * @returns {Object} { trades, wins, losses, winRate, expectancyR, expectancyPercent, profitFactor, totalR, totalPercent }
+ */
+const summarizeTrades = (trades) => {
+  const wins = trades.filter(t => t.result === 'win');
+  const losses = trades.filter(t => t.result === 'loss');
+  const totalR = trades.reduce((sum, t) => sum + (t.rMultiple || 0), 0);
+  const totalPercent = trades.reduce((sum, t) => sum + t.pnlPercent, 0);
+  const grossProfit = wins.reduce((sum, t) => sum + (t.rMultiple || 0), 0);
+  const grossLoss = Math.abs(losses.reduce((sum, t) => sum + (t.rMultiple || 0), 0));
+
+  return {
+    trades: trades.length,
+    wins: wins.length,
+    losses: losses.length,
+    winRate: trades.length > 0 ? (wins.length / trades.length) * 100 : 0,
+    expectancyR: trades.length > 0 ? totalR / trades.length : 0,
+    expectancyPercent: trades.length > 0 ? totalPercent / trades.length : 0,
+    // null when there are no losing trades (infinite profit factor)
+    profitFactor: grossLoss > 0 ? grossProfit / grossLoss : null,
+    totalR,
+    totalPercent
+  };
+};
+
+/**
+ * Build the backtest report from a list of trades
+ * Drawdown and losing streaks are measured on closed trades in close-time order, in R multiples
+ * @param {Array} trades - Trades from backtestSymbol
+ * @returns {Object} Report with overall stats, maxDrawdownR, longestLosingStreak, ambiguousTrades, bySymbol and byWeekday
+ */
+export const buildBacktestReport = (trades) => {
+  const closedTrades = trades
+    .filter(t => t.result === 'win' || t.result === 'loss')
+    .sort((a, b) => new Date(a.closeTime).getTime() - new Date(b.closeTime).getTime());
+
+  let equityR = 0;
+  let peakR = 0;
+  let maxDrawdownR = 0;
+  let losingStreak = 0;
+  let longestLosingStreak = 0;
+
+  closedTrades.forEach(trade => {
+    equityR += trade.rMultiple || 0;
+    peakR = Math.max(peakR, equityR);
+    maxDrawdownR = Math.max(maxDrawdownR, peakR - equityR);
+
+    losingStreak = trade.result === 'loss' ? losingStreak + 1 : 0;
+    longestLosingStreak = Math.max(longestLosingStreak, losingStreak);
+  });
+
+  const bySymbol = {};
+  [...new Set(closedTrades.map(t => t.symbol))].sort().forEach(symbol => {
+    bySymbol[symbol] = summarizeTrades(closedTrades.filter(t => t.symbol === symbol));
+  });
+
+  // Weekday of the range date (session calendar day)
+  const byWeekday = WEEKDAY_NAMES.map((name, day) => ({
+    day: name,
+    ...summarizeTrades(closedTrades.filter(t => new Date(`${t.rangeDate}T00:00:00Z`).getUTCDay() === day))
+  }));
+
+  return {
+    ...summarizeTrades(closedTrades),
+    openTrades: trades.length - closedTrades.length,
+    maxDrawdownR,
+    longestLosingStreak,
+    // Closed trades with a candle that reached both stop and target (ordered by 1m data or the fallback policy)
+    ambiguousTrades: closedTrades.filter(t => t.intrabarAmbiguous).length,
+    bySymbol,
+    byWeekday
+  };
+};
+
+/**
+ * Run a full historical backtest across symbols
+ * @param {Object} options
+ * @param {Array<string>} options.symbols - Trading pairs (e.g., ['BTC/USDT'])
+ * @param {number} options.days - Number of days to backtest, ending now (default: 90)
+ * @param {Object} options.session - Session definition (default: DEFAULT_SESSION)
+ * @param {Object} options.riskProfilesBySymbol - Map of symbol -> risk profile (unlisted symbols use the default profile)
+ * @param {string} options.intrabarPolicy - Fallback for ambiguous candles without usable 1m data (default: pessimistic)
+ * @param {Function} options.onProgress - Optional callback ({ symbol, symbolIndex, symbolCount, stage, candles })
+ * @returns {Promise<Object>} { trades, report, startTime, endTime, session }
+ */
+export const runBacktest = async ({ symbols, days = 90, session = DEFAULT_SESSION, riskProfilesBySymbol = {}, intrabarPolicy = DEFAULT_STRATEGY_CONFIG.intrabarPolicy, onProgress = null }) => {
+  // End at the last closed 5m candle so open candles never enter the replay
+  const endTime = Math.floor(clock.now() / FIVE_MIN_MS) * FIVE_MIN_MS - 1;
+  const startTime = endTime - days * 24 * 60 * 60 * 1000;
+
+  console.log(`[Backtest] Running ${symbols.length} symbols over ${days} days (${session.name})`);
+
+  const trades = [];
+  for (let symbolIndex = 0; symbolIndex < symbols.length; symbolIndex++) {
+    const symbol = symbols[symbolIndex];
+    const symbolTrades = await backtestSymbol(symbol, session, startTime, endTime, (progress) => {
+      if (onProgress) {
+        onProgress({ ...progress, symbolIndex, symbolCount: symbols.length });
+      }
+    }, riskProfilesBySymbol[symbol] || DEFAULT_RISK_PROFILE, intrabarPolicy);
+    trades.push(...symbolTrades);
+  }
+
+  trades.sort((a, b) => a.reentryTime.getTime() - b.reentryTime.getTime());
+
+  return {
+    trades,
+    report: buildBacktestReport(trades),
+    startTime,
+    endTime,
+    session
+  };
+};
@@ -0,0 +1,52 @@
+// Backtest tests
+// Report statistics: drawdown and losing streaks in close-time order, and the per-symbol and per-weekday breakdowns.
+import { buildBacktestReport } from './backtest';
+
+const trade = (symbol, rangeDate, closeHour, rMultiple, overrides = {}) => ({
+  symbol,
+  rangeDate,
+  result: rMultiple > 0 ? 'win' : 'loss',
+  rMultiple,
+  pnlPercent: rMultiple * 0.5,
+  closeTime: new Date(Date.UTC(2026, 0, 5, closeHour)),
+  intrabarAmbiguous: false,
+  ...overrides
+});
+
+// Listed out of order: the report sorts by close time (equity +2, +1, 0, -1, +1 R)
+const trades = [
+  trade('ETH', '2026-01-07', 14, 2, { intrabarAmbiguous: true }),
+  trade('BTC', '2026-01-05', 9, 2),
+  trade('ETH', '2026-01-06', 12, -1),
+  trade('BTC', '2026-01-05', 10, -1),
+  trade('ETH', '2026-01-06', 13, -1),
+  { symbol: 'BTC', rangeDate: '2026-01-07', result: 'pending', rMultiple: null, pnlPercent: null, closeTime: null }
+];
+
+describe('buildBacktestReport', () => {
+  const report = buildBacktestReport(trades);
+
+  test('summarizes the closed trades and counts the open ones apart', () => {
+    expect(report).toMatchObject({ trades: 5, wins: 2, losses: 3, winRate: 40, totalR: 1, openTrades: 1, ambiguousTrades: 1 });
+    expect(report.expectancyR).toBeCloseTo(0.2);
+    expect(report.expectancyPercent).toBeCloseTo(0.1);
+    expect(report.profitFactor).toBeCloseTo(4 / 3);
+  });
+
+  test('measures drawdown and losing streaks in close-time order', () => {
+    expect(report.maxDrawdownR).toBe(3);
+    expect(report.longestLosingStreak).toBe(3);
+  });
+
+  test('breaks the trades down per symbol and per range weekday', () => {
+    expect(report.bySymbol.BTC).toMatchObject({ trades: 2, wins: 1, winRate: 50, profitFactor: 2 });
+    expect(report.bySymbol.ETH).toMatchObject({ trades: 3, wins: 1, profitFactor: 1 });
+    expect(report.byWeekday.map(day => [day.day, day.trades])).toEqual([
+      ['Sun', 0], ['Mon', 2], ['Tue', 2], ['Wed', 1], ['Thu', 0], ['Fri', 0], ['Sat', 0]
+    ]);
+  });
+
+  test('has no profit factor without losing trades', () => {
+    expect(buildBacktestReport([trade('BTC', '2026-01-05', 9, 2)]).profitFactor).toBeNull();
+  });
+});
@@ -1,5 +1,24 @@
 // Binance API Integration
-const BINANCE_BASE_URL = 'https://api.binance.com';
+import {
+  DEFAULT_SESSION,
+  RANGE_INTERVAL_HOURS,
+  getZonedDateKey,
+  shiftDateKey,
+  getSessionWindow,
+  getSessionsSignature
+} from './sessions';
+import { DEFAULT_STRATEGY_CONFIG, detectBreakoutsFromCandles } from './breakoutStrategy';
+import { DEFAULT_RISK_PROFILE, SL_MODES, getRiskProfilesSignature } from './riskProfiles';
+import { DEFAULT_SYMBOLS } from './watchlist';
+import { toDisplaySymbol, toTradingPair, setSymbolTickSizes, getTickSize } from './symbols';
+import { candleStore, INTERVAL_MS, getSeriesKey } from './candleStore';
+import { createRequestScheduler } from './requestScheduler';
+import { DEFAULT_FETCH_CONCURRENCY, mapWithConcurrency, createInFlightDeduper } from './concurrency';
+import { clock } from './clock';
+import { replayController, REPLAY_MODES } from './replay';
+import { formatNYTime } from './timeFormat';
+
+const BINANCE_BASE_URL = process.env.REACT_APP_BINANCE_BASE_URL || 'https://api.binance.com'; // e.g. the local mock server (mock-server/)
 
 // Timezone helpers (UTC+7 - Bangkok/Indochina Time)
 const UTC_PLUS_7_OFFSET_MS = 7 * 60 * 60 * 1000; // 7 hours in milliseconds
@@ -8,11 +27,31 @@ const UTC_PLUS_7_OFFSET_MS = 7 * 60 * 60 * 1000; // 7 hours in milliseconds
 const CACHE_PREFIX = 'crypto_signal_cache_';
 const CACHE_EXPIRY_MS = 60 * 60 * 1000; // 1 hour default expiry
 
+// Storage behind CacheUtils: localStorage in the browser, replaced with setCacheStorage elsewhere (e.g. a file in the CLI)
+let cacheStorage = typeof localStorage !== 'undefined' ? localStorage : null;
+
+/**
+ * Replace the storage behind the result caches
+ * @param {Object} storage - Anything with the Web Storage API (getItem, setItem, removeItem, key, length)
+ */
+export const setCacheStorage = (storage) => {
+  cacheStorage = storage;
+};
+
+// Keys in the cache storage (Storage API, so it works for localStorage and its replacements)
+const getStorageKeys = () => {
+  const keys = [];
+  for (let i = 0; i < cacheStorage.length; i++) {
+    keys.push(cacheStorage.key(i));
+  }
+  return keys;
+};
+
 // Helper to get the latest candle timestamp that should be available
 // For 1h candles: returns timestamp of the most recent closed hour (e.g., if now is 14:30, returns 14:00)
 // For 5m candles: returns timestamp of the most recent closed 5-minute period
 const getLatestExpectedCandleTime = (interval = '1h') => {
-  const now = new Date();
+  const now = clock.date();
   const intervalMs = interval === '1h' ? 60 * 60 * 1000 : 5 * 60 * 1000; // 1 hour or 5 minutes
   const latestClosedCandleTime = Math.floor(now.getTime() / intervalMs) * intervalMs;
   return new Date(latestClosedCandleTime);
@@ -26,11 +65,19 @@ const hasNewCandleAvailable = (lastCandleTime, interval = '1h') => {
 };
 
 // Rate Limiting Configuration
-// Binance limits: 1,200 weight per minute per IP
-// We'll be conservative and limit to ~1000 requests/minute to stay safe
-const RATE_LIMIT_DELAY_MS = 250; // Base delay between requests (250ms = ~240 requests/min)
+// Binance limits: 6,000 request weight per minute per IP
+// Every REST request goes through one shared scheduler that tracks the used weight and keeps us under the margin
+// (and through the replay controller, which records responses or answers from a recording - see replay.js)
+const RATE_LIMIT_DELAY_MS = 250; // Base delay between paginated batches
 const RATE_LIMIT_SAFETY_MARGIN = 0.8; // Use only 80% of limit to be safe
 
+export const binanceScheduler = createRequestScheduler({ safetyMargin: RATE_LIMIT_SAFETY_MARGIN, fetchImpl: replayController.fetch });
+
+// Identical requests already in flight (same symbol/interval/window, same price ticker) are shared
+// between symbol workers and sections instead of being sent twice
+const klinesInFlight = createInFlightDeduper();
+const pricesInFlight = createInFlightDeduper();
+
 /**
  * Cache utility functions
  */
@@ -38,15 +85,18 @@ const CacheUtils = {
   /**
    * Get cached data for a key
    * @param {string} key - Cache key
-   * @returns {Object|null} Cached data with timestamp, or null if not found/expired
+   * @returns {Object|null} Cached data with timestamp and failedSymbols, or null if not found/expired
    */
   get: (key) => {
+    // Recordings and replays skip the live caches: a cached answer would keep its requests out of
+    // the session file, or answer before the recording is asked
+    if (replayController.getStatus().mode !== REPLAY_MODES.LIVE) return null;
     try {
-      const cached = localStorage.getItem(CACHE_PREFIX + key);
+      const cached = cacheStorage.getItem(CACHE_PREFIX + key);
       if (!cached) return null;
       
-      const { data, timestamp, expiry } = JSON.parse(cached);
-      const now = Date.now();
+      const { data, timestamp, expiry, failedSymbols = [] } = JSON.parse(cached);
+      const now = clock.now();
       
       // Check if cache is expired
       if (expiry && now > timestamp + expiry) {
@@ -54,7 +104,7 @@ const CacheUtils = {
         return null;
       }
       
-      return { data, timestamp };
+      return { data, timestamp, failedSymbols };
     } catch (error) {
       console.warn(`Cache get error for key ${key}:`, error);
       return null;
@@ -66,15 +116,19 @@ const CacheUtils = {
    * @param {string} key - Cache key
    * @param {*} data - Data to cache
    * @param {number} expiry - Expiry time in milliseconds (optional)
+   * @param {Array<string>} failedSymbols - Symbols that failed to load and are missing from data (optional)
    */
-  set: (key, data, expiry = CACHE_EXPIRY_MS) => {
+  set: (key, data, expiry = CACHE_EXPIRY_MS, failedSymbols = []) => {
+    // ...nor write replayed results into them
+    if (replayController.isReplaying()) return;
     try {
       const cacheEntry = {
         data,
-        timestamp: Date.now(),
-        expiry
+        timestamp: clock.now(),
+        expiry,
+        failedSymbols
       };
-      localStorage.setItem(CACHE_PREFIX + key, JSON.stringify(cacheEntry));
+      cacheStorage.setItem(CACHE_PREFIX + key, JSON.stringify(cacheEntry));
     } catch (error) {
       console.warn(`Cache set error for key ${key}:`, error);
       // If quota exceeded, try to clear old cache
@@ -90,7 +144,7 @@ const CacheUtils = {
    */
   remove: (key) => {
     try {
-      localStorage.removeItem(CACHE_PREFIX + key);
+      cacheStorage.removeItem(CACHE_PREFIX + key);
     } catch (error) {
       console.warn(`Cache remove error for key ${key}:`, error);
     }
@@ -101,10 +155,10 @@ const CacheUtils = {
    */
   clear: () => {
     try {
-      const keys = Object.keys(localStorage);
+      const keys = getStorageKeys();
       keys.forEach(key => {
         if (key.startsWith(CACHE_PREFIX)) {
-          localStorage.removeItem(key);
+          cacheStorage.removeItem(key);
         }
       });
     } catch (error) {
@@ -117,23 +171,23 @@ const CacheUtils = {
    */
   clearOld: () => {
     try {
-      const keys = Object.keys(localStorage);
-      const now = Date.now();
+      const keys = getStorageKeys();
+      const now = clock.now();
       const maxAge = 24 * 60 * 60 * 1000; // 24 hours
       
       keys.forEach(key => {
         if (key.startsWith(CACHE_PREFIX)) {
           try {
-            const cached = localStorage.getItem(key);
+            const cached = cacheStorage.getItem(key);
             if (cached) {
               const { timestamp } = JSON.parse(cached);
               if (now - timestamp > maxAge) {
-                localStorage.removeItem(key);
+                cacheStorage.removeItem(key);
               }
             }
           } catch (e) {
             // Invalid cache entry, remove it
-            localStorage.removeItem(key);
+            cacheStorage.removeItem(key);
           }
         }
       });
@@ -168,7 +222,7 @@ export const utcToUTCPlus7 = (utcTime) => {
  * @returns {Date} Current time in UTC+7
  */
 export const getCurrentUTCPlus7 = () => {
-  const now = new Date();
+  const now = clock.date();
   return new Date(now.getTime() + UTC_PLUS_7_OFFSET_MS);
 };
 
@@ -195,17 +249,12 @@ export const getBinanceKlines = async (symbol, interval = '1h', limit = 168, end
       params.append('endTime', endTime.toString());
     }
 
-    const response = await fetch(`${url}?${params.toString()}`);
+    // Rate limits (429) and server errors are retried with backoff by the scheduler
+    const response = await binanceScheduler.schedule(`${url}?${params.toString()}`);
     
     if (!response.ok) {
-      // Handle rate limit errors
       if (response.status === 429) {
-        const retryAfter = response.headers.get('Retry-After');
-        const waitTime = retryAfter ? parseInt(retryAfter) * 1000 : 60000; // Default 60 seconds
-        console.warn(`[Rate Limit] Binance API rate limit exceeded. Waiting ${waitTime/1000}s before retry...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        // Retry once after waiting
-        return getBinanceKlines(symbol, interval, limit, endTime);
+        throw new Error(`Binance API: rate limit exceeded (429), retries exhausted`);
       } else if (response.status === 418) {
         throw new Error(`Binance API: IP banned (418). Please wait before retrying.`);
       }
@@ -243,27 +292,23 @@ export const getBinancePrice = async (symbol) => {
     const symbolFormatted = symbol.replace('/', '').toUpperCase();
     const url = `${BINANCE_BASE_URL}/api/v3/ticker/price?symbol=${symbolFormatted}`;
     
-    const response = await fetch(url);
-    
-    if (!response.ok) {
-      // Handle rate limit errors
-      if (response.status === 429) {
-        const retryAfter = response.headers.get('Retry-After');
-        const waitTime = retryAfter ? parseInt(retryAfter) * 1000 : 60000; // Default 60 seconds
-        console.warn(`[Rate Limit] Binance API rate limit exceeded. Waiting ${waitTime/1000}s before retry...`);
-        await new Promise(resolve => setTimeout(resolve, waitTime));
-        // Retry once after waiting
-        return getBinancePrice(symbol);
-      } else if (response.status === 418) {
-        throw new Error(`Binance API: IP banned (418). Please wait before retrying.`);
-      } else if (response.status === 400) {
-        // Bad Request - usually means invalid symbol format
-        throw new Error(`Binance API: Invalid symbol format (400). Symbol: ${symbolFormatted}`);
+    const data = await pricesInFlight(url, async () => {
+      const response = await binanceScheduler.schedule(url);
+      
+      if (!response.ok) {
+        if (response.status === 429) {
+          throw new Error(`Binance API: rate limit exceeded (429), retries exhausted`);
+        } else if (response.status === 418) {
+          throw new Error(`Binance API: IP banned (418). Please wait before retrying.`);
+        } else if (response.status === 400) {
+          // Bad Request - usually means invalid symbol format
+          throw new Error(`Binance API: Invalid symbol format (400). Symbol: ${symbolFormatted}`);
+        }
+        throw new Error(`Binance API error: ${response.status} ${response.statusText}`);
       }
-      throw new Error(`Binance API error: ${response.status} ${response.statusText}`);
-    }
-
-    const data = await response.json();
+      
+      return response.json();
+    });
     return data;
   } catch (error) {
     // Check if it's a CORS error
@@ -286,7 +331,7 @@ export const getBinance24hrTicker = async (symbol) => {
     const symbolFormatted = symbol.replace('/', '');
     const url = `${BINANCE_BASE_URL}/api/v3/ticker/24hr?symbol=${symbolFormatted}`;
     
-    const response = await fetch(url);
+    const response = await binanceScheduler.schedule(url);
     
     if (!response.ok) {
       throw new Error(`Binance API error: ${response.status} ${response.statusText}`);
@@ -308,7 +353,7 @@ export const getBinance24hrTicker = async (symbol) => {
 export const getBinanceExchangeInfo = async (quoteAsset = 'USDT') => {
   try {
     const url = `${BINANCE_BASE_URL}/api/v3/exchangeInfo`;
-    const response = await fetch(url);
+    const response = await binanceScheduler.schedule(url);
     
     if (!response.ok) {
       throw new Error(`Binance API error: ${response.status} ${response.statusText}`);
@@ -326,6 +371,61 @@ export const getBinanceExchangeInfo = async (quoteAsset = 'USDT') => {
   }
 };
 
+// Exchange info of a list of trading pairs (Binance symbols), reduced to what setSymbolTickSizes needs
+const fetchExchangeSymbols = async (binanceSymbols) => {
+  const url = `${BINANCE_BASE_URL}/api/v3/exchangeInfo?symbols=${encodeURIComponent(JSON.stringify(binanceSymbols))}`;
+  const response = await binanceScheduler.schedule(url);
+
+  if (!response.ok) {
+    const error = new Error(`Binance API error: ${response.status} ${response.statusText}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  const data = await response.json();
+  // Only the price filter is kept, the rest of exchange info is large and not needed
+  return data.symbols.map(({ baseAsset, quoteAsset, filters }) => ({
+    baseAsset,
+    quoteAsset,
+    filters: (filters || []).filter(filter => filter.filterType === 'PRICE_FILTER')
+  }));
+};
+
+/**
+ * Load the tick sizes of trading pairs from exchange info (cached for a day)
+ * Prices are then shown at each pair's own precision (see formatSymbolPrice in symbols.js).
+ * Binance rejects the whole list when one pair is invalid or delisted (400), so the pairs are then asked one by one.
+ * @param {Array<string>} symbols - Trading pairs (e.g., ['BTC/USDT', 'ETH/BTC'])
+ * @returns {Promise<number>} Number of pairs with a known tick size
+ */
+export const fetchSymbolTickSizes = async (symbols = DEFAULT_SYMBOLS) => {
+  const cacheKey = `tick_sizes_${symbols.join('_')}`;
+  const cached = CacheUtils.get(cacheKey);
+  if (cached) {
+    setSymbolTickSizes(cached.data);
+    return cached.data.length;
+  }
+
+  const binanceSymbols = symbols.map(symbol => symbol.replace('/', ''));
+  let entries;
+  try {
+    entries = await fetchExchangeSymbols(binanceSymbols);
+  } catch (error) {
+    if (error.status !== 400 || binanceSymbols.length < 2) {
+      throw error;
+    }
+    console.warn(`[TickSizes] Exchange info rejected the symbol list (${error.message}), fetching each symbol on its own`);
+    const results = await mapWithConcurrency(binanceSymbols, DEFAULT_FETCH_CONCURRENCY, (symbol) => fetchExchangeSymbols([symbol]).catch(symbolError => {
+      console.warn(`[TickSizes] No exchange info for ${symbol}: ${symbolError.message}`);
+      return [];
+    }));
+    entries = results.flat();
+  }
+  setSymbolTickSizes(entries);
+  CacheUtils.set(cacheKey, entries, 24 * 60 * 60 * 1000);
+  return entries.length;
+};
+
 /**
  * Format klines data to a more usable format
  * @param {Array} klines - Raw klines data from Binance
@@ -398,160 +498,232 @@ export const calculateRSI = (prices, period = 14) => {
 };
 
 /**
- * Fetch RSI data directly from Binance (same logic as Python script)
+ * Build the RSI summary of a symbol from its 1h candles
+ * Shared by the REST fetch below and the live stream detectors (liveDetectors.js)
  * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+ * @param {Array} formattedData - Formatted 1h candles (sorted here, oldest to newest)
  * @param {number} period - RSI period (default: 14)
- * @param {number} maPeriod - Moving average period (default: 14)
- * @returns {Promise<Object>} RSI data similar to Python script output
+ * @param {number} maPeriod - RSI moving average period (default: 14)
+ * @returns {Object} RSI data { symbol, timestamp, price, rsi, rsi_ma, previous_*, change, change_ma, price_change, data_points }
  */
-export const fetchRSIFromBinance = async (symbol, period = 14, maPeriod = 14) => {
-  try {
-    // Fetch klines data - Binance returns most recent candles first (reverse chronological)
-    // Request latest 168 candles (7 days) to ensure we have enough for RSI calculation
-    const klines = await getBinanceKlines(symbol, '1h', 168);
-    
-    if (!klines || klines.length === 0) {
-      throw new Error(`No klines data returned for ${symbol}`);
-    }
-    
-    // Binance returns: [newest, ..., oldest] (reverse chronological)
-    // Format first, then sort by closeTime to ensure chronological order
-    // This is more reliable than just reversing
-    const formattedData = formatKlinesData(klines);
-    
-    // Sort by closeTime to ensure chronological order (oldest to newest)
-    // This guarantees correct RSI calculation order
-    formattedData.sort((a, b) => a.closeTime.getTime() - b.closeTime.getTime());
+export const buildRSIResult = (symbol, formattedData, period = 14, maPeriod = 14) => {
+  // Sort by closeTime to ensure chronological order (oldest to newest)
+  // This guarantees correct RSI calculation order
+  formattedData.sort((a, b) => a.closeTime.getTime() - b.closeTime.getTime());
 
-    // Extract closing prices
-    const prices = formattedData.map(d => d.close);
+  // Extract closing prices
+  const prices = formattedData.map(d => d.close);
 
-    // Calculate RSI
-    const rsiValues = calculateRSI(prices, period);
-    const latestRSI = rsiValues[rsiValues.length - 1];
-    const previousRSI = rsiValues[rsiValues.length - 2] || null;
+  // Calculate RSI
+  const rsiValues = calculateRSI(prices, period);
+  const latestRSI = rsiValues[rsiValues.length - 1];
+  const previousRSI = rsiValues[rsiValues.length - 2] || null;
 
-    // Calculate RSI MA
-    const rsiMA = [];
-    for (let i = 0; i < maPeriod; i++) {
-      rsiMA.push(null);
-    }
-    
-    for (let i = maPeriod; i < rsiValues.length; i++) {
-      const sum = rsiValues.slice(i - maPeriod + 1, i + 1)
-        .filter(v => v !== null)
-        .reduce((a, b) => a + b, 0);
-      const count = rsiValues.slice(i - maPeriod + 1, i + 1)
-        .filter(v => v !== null).length;
-      rsiMA.push(count > 0 ? sum / count : null);
-    }
+  // Calculate RSI MA
+  const rsiMA = [];
+  for (let i = 0; i < maPeriod; i++) {
+    rsiMA.push(null);
+  }
+  
+  for (let i = maPeriod; i < rsiValues.length; i++) {
+    const sum = rsiValues.slice(i - maPeriod + 1, i + 1)
+      .filter(v => v !== null)
+      .reduce((a, b) => a + b, 0);
+    const count = rsiValues.slice(i - maPeriod + 1, i + 1)
+      .filter(v => v !== null).length;
+    rsiMA.push(count > 0 ? sum / count : null);
+  }
+
+  const latestRSIMA = rsiMA[rsiMA.length - 1];
+  const previousRSIMA = rsiMA[rsiMA.length - 2] || null;
 
-    const latestRSIMA = rsiMA[rsiMA.length - 1];
-    const previousRSIMA = rsiMA[rsiMA.length - 2] || null;
-
-    // After reverse, data is chronological: [oldest, ..., newest]
-    // formattedData[0] = oldest candle
-    // formattedData[length-1] = newest candle (most recently closed)
-    // formattedData[length-2] = previous candle (one hour before newest)
-    const latestIndex = formattedData.length - 1;
-    const previousIndex = formattedData.length - 2;
-    
-    // Use closeTime for timestamps - RSI is calculated based on closing price
-    const latestPrice = formattedData[latestIndex].close;
-    const latestTimestamp = formattedData[latestIndex].closeTime;
-    const previousPrice = previousIndex >= 0 ? formattedData[previousIndex].close : null;
-    const previousTimestamp = previousIndex >= 0 ? formattedData[previousIndex].closeTime : null;
-    
-    // Verify timestamp order: latest must be newer than previous
-    if (previousTimestamp && latestTimestamp) {
-      const prevTime = previousTimestamp.getTime();
-      const latestTime = latestTimestamp.getTime();
+  // After reverse, data is chronological: [oldest, ..., newest]
+  // formattedData[0] = oldest candle
+  // formattedData[length-1] = newest candle (most recently closed)
+  // formattedData[length-2] = previous candle (one hour before newest)
+  const latestIndex = formattedData.length - 1;
+  const previousIndex = formattedData.length - 2;
+  
+  // Use closeTime for timestamps - RSI is calculated based on closing price
+  const latestPrice = formattedData[latestIndex].close;
+  const latestTimestamp = formattedData[latestIndex].closeTime;
+  const previousPrice = previousIndex >= 0 ? formattedData[previousIndex].close : null;
+  const previousTimestamp = previousIndex >= 0 ? formattedData[previousIndex].closeTime : null;
+  
+  // Verify timestamp order: latest must be newer than previous
+  if (previousTimestamp && latestTimestamp) {
+    const prevTime = previousTimestamp.getTime();
+    const latestTime = latestTimestamp.getTime();
+    
+    // If order is wrong (latest is older than previous), swap them
+    if (prevTime > latestTime) {
+      console.warn(`⚠️ ${symbol}: Timestamp order issue detected. Previous (${new Date(prevTime).toISOString()}) > Latest (${new Date(latestTime).toISOString()}). Swapping...`);
+      // Swap: use previous as latest since it's actually newer
+      const swappedLatestRSI = previousRSI !== null ? previousRSI : latestRSI;
+      const swappedLatestRSIMA = previousRSIMA !== null ? previousRSIMA : latestRSIMA;
+      const swappedPrevRSI = latestRSI;
+      const swappedPrevRSIMA = latestRSIMA;
       
-      // If order is wrong (latest is older than previous), swap them
-      if (prevTime > latestTime) {
-        console.warn(`⚠️ ${symbol}: Timestamp order issue detected. Previous (${new Date(prevTime).toISOString()}) > Latest (${new Date(latestTime).toISOString()}). Swapping...`);
-        // Swap: use previous as latest since it's actually newer
-        const swappedLatestRSI = previousRSI !== null ? previousRSI : latestRSI;
-        const swappedLatestRSIMA = previousRSIMA !== null ? previousRSIMA : latestRSIMA;
-        const swappedPrevRSI = latestRSI;
-        const swappedPrevRSIMA = latestRSIMA;
-        
-        return {
-          symbol,
-          timestamp: previousTimestamp, // Actually newer (becomes latest)
-          price: previousPrice,
-          rsi: swappedLatestRSI,
-          rsi_ma: swappedLatestRSIMA,
-          previous_timestamp: latestTimestamp, // Actually older (becomes previous)
-          previous_price: latestPrice,
-          previous_rsi: swappedPrevRSI,
-          previous_rsi_ma: swappedPrevRSIMA,
-          change: swappedPrevRSI !== null && swappedLatestRSI !== null ? swappedLatestRSI - swappedPrevRSI : null,
-          change_ma: swappedPrevRSIMA !== null && swappedLatestRSIMA !== null ? swappedLatestRSIMA - swappedPrevRSIMA : null,
-          price_change: previousPrice !== null && latestPrice !== null ? previousPrice - latestPrice : null,
-          data_points: formattedData.length
-        };
-      }
+      return {
+        symbol,
+        timestamp: previousTimestamp, // Actually newer (becomes latest)
+        price: previousPrice,
+        rsi: swappedLatestRSI,
+        rsi_ma: swappedLatestRSIMA,
+        previous_timestamp: latestTimestamp, // Actually older (becomes previous)
+        previous_price: latestPrice,
+        previous_rsi: swappedPrevRSI,
+        previous_rsi_ma: swappedPrevRSIMA,
+        change: swappedPrevRSI !== null && swappedLatestRSI !== null ? swappedLatestRSI - swappedPrevRSI : null,
+        change_ma: swappedPrevRSIMA !== null && swappedLatestRSIMA !== null ? swappedLatestRSIMA - swappedPrevRSIMA : null,
+        price_change: previousPrice !== null && latestPrice !== null ? previousPrice - latestPrice : null,
+        data_points: formattedData.length
+      };
     }
+  }
+  
+  // Debug: Log timestamps in Bangkok time
+  if (latestTimestamp) {
+    const bkkFormatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: 'Asia/Bangkok',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    });
+    const latestBKK = bkkFormatter.format(latestTimestamp);
+    const prevBKK = previousTimestamp ? bkkFormatter.format(previousTimestamp) : 'N/A';
+    console.log(`[${symbol}] Latest: ${latestBKK}, Previous: ${prevBKK}`);
+  }
+  
+  // Verify we have recent data (within last 2 hours)
+  const now = clock.now();
+  const latestTime = latestTimestamp.getTime();
+  const hoursAgo = (now - latestTime) / (1000 * 60 * 60);
+  
+  if (hoursAgo > 2) {
+    console.warn(`⚠️ ${symbol}: Latest candle is ${hoursAgo.toFixed(1)} hours old. Latest closeTime: ${latestTimestamp.toISOString()}, Now: ${new Date(now).toISOString()}`);
+  }
+
+  return {
+    symbol,
+    timestamp: latestTimestamp,
+    price: latestPrice,
+    rsi: latestRSI,
+    rsi_ma: latestRSIMA,
+    previous_timestamp: previousTimestamp,
+    previous_price: previousPrice,
+    previous_rsi: previousRSI,
+    previous_rsi_ma: previousRSIMA,
+    change: previousRSI !== null ? latestRSI - previousRSI : null,
+    change_ma: previousRSIMA !== null ? latestRSIMA - previousRSIMA : null,
+    price_change: previousPrice !== null ? latestPrice - previousPrice : null,
+    data_points: formattedData.length
+  };
+};
+
+/**
+ * Fetch RSI data directly from Binance (same logic as Python script)
+ * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+ * @param {number} period - RSI period (default: 14)
+ * @param {number} maPeriod - Moving average period (default: 14)
+ * @returns {Promise<Object>} RSI data similar to Python script output
+ */
+export const fetchRSIFromBinance = async (symbol, period = 14, maPeriod = 14) => {
+  try {
+    // Latest 168 candles (7 days) to ensure we have enough for RSI calculation
+    // Closed candles come from the candle store, only new ones and the forming candle are fetched
+    const formattedData = await fetchKlinesByInterval(symbol, '1h', 168);
     
-    // Debug: Log timestamps in Bangkok time
-    if (latestTimestamp) {
-      const bkkFormatter = new Intl.DateTimeFormat('en-US', {
-        timeZone: 'Asia/Bangkok',
-        year: 'numeric',
-        month: '2-digit',
-        day: '2-digit',
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: false
-      });
-      const latestBKK = bkkFormatter.format(latestTimestamp);
-      const prevBKK = previousTimestamp ? bkkFormatter.format(previousTimestamp) : 'N/A';
-      console.log(`[${symbol}] Latest: ${latestBKK}, Previous: ${prevBKK}`);
+    if (formattedData.length === 0) {
+      throw new Error(`No klines data returned for ${symbol}`);
     }
     
-    // Verify we have recent data (within last 2 hours)
-    const now = Date.now();
-    const latestTime = latestTimestamp.getTime();
-    const hoursAgo = (now - latestTime) / (1000 * 60 * 60);
-    
-    if (hoursAgo > 2) {
-      console.warn(`⚠️ ${symbol}: Latest candle is ${hoursAgo.toFixed(1)} hours old. Latest closeTime: ${latestTimestamp.toISOString()}, Now: ${new Date(now).toISOString()}`);
-    }
-
-    return {
-      symbol,
-      timestamp: latestTimestamp,
-      price: latestPrice,
-      rsi: latestRSI,
-      rsi_ma: latestRSIMA,
-      previous_timestamp: previousTimestamp,
-      previous_price: previousPrice,
-      previous_rsi: previousRSI,
-      previous_rsi_ma: previousRSIMA,
-      change: previousRSI !== null ? latestRSI - previousRSI : null,
-      change_ma: previousRSIMA !== null ? latestRSIMA - previousRSIMA : null,
-      price_change: previousPrice !== null ? latestPrice - previousPrice : null,
-      data_points: formattedData.length
-    };
+    return buildRSIResult(symbol, formattedData, period, maPeriod);
   } catch (error) {
     console.error('Error fetching RSI from Binance:', error);
     throw error;
   }
 };
 
+/**
+ * Fetch RSI for a list of symbols, a few at a time (the request scheduler keeps the weight in check)
+ * A failing symbol never fails the others: its slot is null and onProgress gets the error message.
+ * @param {Array<string>} symbols - Array of trading pairs
+ * @param {number} period - RSI period
+ * @param {number} maPeriod - Moving average period
+ * @param {number} concurrency - Symbols fetched at once
+ * @param {Function} onProgress - Optional callback ({ symbol, index, completed, total, result, error })
+ * @returns {Promise<Array>} RSI data objects in symbol order (null for failed symbols)
+ */
+const fetchRSIForSymbols = async (symbols, period, maPeriod, concurrency, onProgress) => {
+  let completed = 0;
+  
+  return mapWithConcurrency(symbols, concurrency, async (symbol, index) => {
+    let result = null;
+    let errorMessage = null;
+    try {
+      result = await fetchRSIFromBinance(symbol, period, maPeriod);
+    } catch (error) {
+      console.error(`Error fetching RSI for ${symbol}:`, error);
+      errorMessage = error.message || String(error);
+    }
+    completed++;
+    if (onProgress) {
+      onProgress({ symbol, index, completed, total: symbols.length, result, error: errorMessage });
+    }
+    return result;
+  });
+};
+
 /**
  * Fetch RSI for multiple symbols (with caching)
  * @param {Array<string>} symbols - Array of trading pairs
  * @param {number} period - RSI period
  * @param {number} maPeriod - Moving average period
  * @param {boolean} forceRefresh - Force refresh from API (skip cache)
- * @returns {Promise<Array>} Array of RSI data objects
+ * @param {Object} options - { concurrency (symbols fetched at once, default: DEFAULT_FETCH_CONCURRENCY),
+ *   onProgress ({ symbol, index, completed, total, result, error }) called as each symbol finishes - result is null and
+ *   error the failure message if it failed; on a cache hit only the symbols that failed when it was cached are fetched,
+ *   retrySymbols (fetch only these and merge them into the cached results) }
+ * @returns {Promise<Array>} Array of RSI data objects (failed symbols are left out) - only the retried symbols' on a retry
  */
-export const fetchMultipleRSI = async (symbols = ['BTC/USDT', 'BNB/USDT', 'ETH/USDT', 'XRP/USDT', 'SOL/USDT', 'SUI/USDT', 'DOGE/USDT', 'ADA/USDT', 'ASTER/USDT', 'PEPE/USDT', 'ENA/USDT', 'LINK/USDT', 'TAO/USDT', 'PUMP/USDT'], period = 14, maPeriod = 14, forceRefresh = false) => {
+export const fetchMultipleRSI = async (symbols = DEFAULT_SYMBOLS, period = 14, maPeriod = 14, forceRefresh = false, options = {}) => {
+  const { concurrency = DEFAULT_FETCH_CONCURRENCY, onProgress = null, retrySymbols = [] } = options;
   try {
     const cacheKey = `rsi_multiple_${symbols.join('_')}_${period}_${maPeriod}`;
     
+    // Retrying a few symbols: fetch only those and merge them into the cached rows. Without a cache entry
+    // (expired) the retried rows alone are not cached, they would stand in for every symbol's data.
+    if (retrySymbols.length > 0) {
+      const retried = (await fetchRSIForSymbols(retrySymbols, period, maPeriod, concurrency, onProgress)).filter(Boolean);
+      const cached = CacheUtils.get(cacheKey);
+      if (cached && Array.isArray(cached.data)) {
+        const rows = symbols
+          .map(symbol => retried.find(row => row.symbol === symbol) || (retrySymbols.includes(symbol) ? null : cached.data.find(row => row.symbol === symbol)))
+          .filter(Boolean);
+        const failedSymbols = symbols.filter(symbol => (retrySymbols.includes(symbol) || cached.failedSymbols.includes(symbol)) &&
+          !rows.some(row => row.symbol === symbol));
+        CacheUtils.set(cacheKey, rows, 2 * 60 * 60 * 1000, failedSymbols);
+      }
+      return retried;
+    }
+    
+    // Symbols that failed when the rows were cached are fetched again (reporting their errors through
+    // onProgress) instead of quietly missing from the cached rows
+    const withFailedRefetched = async (cached) => {
+      if (cached.failedSymbols.length === 0) {
+        return cached.data;
+      }
+      console.log(`[Cache] Refetching ${cached.failedSymbols.join(', ')}: failed when the RSI data was cached`);
+      const retried = await fetchMultipleRSI(symbols, period, maPeriod, false, { concurrency, onProgress, retrySymbols: cached.failedSymbols });
+      return symbols
+        .map(symbol => retried.find(row => row.symbol === symbol) || cached.data.find(row => row.symbol === symbol))
+        .filter(Boolean);
+    };
+    
     // Check cache first (unless force refresh)
     if (!forceRefresh) {
       const cached = CacheUtils.get(cacheKey);
@@ -567,54 +739,32 @@ export const fetchMultipleRSI = async (symbols = ['BTC/USDT', 'BNB/USDT', 'ETH/U
           const needsUpdate = hasNewCandleAvailable(latestCachedTime, '1h');
           
           if (!needsUpdate) {
-            const cacheAge = Date.now() - cached.timestamp;
+            const cacheAge = clock.now() - cached.timestamp;
             console.log(`[Cache] Using cached RSI data - latest candle: ${latestCachedTime.toISOString()}, cache age: ${Math.round(cacheAge / 1000)}s, new candle not yet available`);
-            return cached.data;
+            return withFailedRefetched(cached);
           } else {
             console.log(`[Cache] New hourly candle available - latest cached: ${latestCachedTime.toISOString()}, fetching fresh data...`);
           }
         } else {
           // If we can't determine latest timestamp, use time-based cache (5 minutes)
-          const cacheAge = Date.now() - cached.timestamp;
+          const cacheAge = clock.now() - cached.timestamp;
           if (cacheAge < 5 * 60 * 1000) {
             console.log(`[Cache] Using cached RSI data (age: ${Math.round(cacheAge / 1000)}s)`);
-            return cached.data;
+            return withFailedRefetched(cached);
           }
         }
       }
     }
     
-    // Fetch fresh data with rate limiting
     console.log(`[Cache] Fetching fresh RSI data from API...`);
-    const results = [];
-    
-    // Process symbols sequentially with delay to respect rate limits
-    for (const symbol of symbols) {
-      try {
-        const result = await fetchRSIFromBinance(symbol, period, maPeriod);
-        results.push(result);
-        
-        // Add delay between requests to avoid rate limiting
-        // Only delay if not the last symbol
-        if (symbol !== symbols[symbols.length - 1]) {
-          await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY_MS));
-        }
-      } catch (error) {
-        console.error(`Error fetching RSI for ${symbol}:`, error);
-        results.push(null);
-        
-        // Add delay even on error to maintain rate limit
-        if (symbol !== symbols[symbols.length - 1]) {
-          await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY_MS));
-        }
-      }
-    }
+    const results = await fetchRSIForSymbols(symbols, period, maPeriod, concurrency, onProgress);
     
     // Filter out null results (failed requests)
     const filteredResults = results.filter(result => result !== null);
+    const failedSymbols = symbols.filter((symbol, index) => results[index] === null);
     
     // Cache the results with 2 hour expiry (ensures we have valid cache for next hour even if no new candle)
-    CacheUtils.set(cacheKey, filteredResults, 2 * 60 * 60 * 1000);
+    CacheUtils.set(cacheKey, filteredResults, 2 * 60 * 60 * 1000, failedSymbols);
     
     return filteredResults;
   } catch (error) {
@@ -633,7 +783,7 @@ export const fetchMultipleRSI = async (symbols = ['BTC/USDT', 'BNB/USDT', 'ETH/U
  */
 export const fetchHistoricalRSI = async (symbol, days = 7, period = 14, sinceTimestamp = null) => {
   try {
-    const now = Date.now();
+    const now = clock.now();
     const cutoffTime = now - (days * 24 * 60 * 60 * 1000);
     
     // If sinceTimestamp is provided, we only need to fetch data after it
@@ -641,16 +791,13 @@ export const fetchHistoricalRSI = async (symbol, days = 7, period = 14, sinceTim
     const hours = days * 24; // Total hours to fetch (168 for 7 days)
     const fetchLimit = hours + period + 50;
     
-    // Fetch klines - EXACTLY same method as fetchRSIFromBinance
-    const klines = await getBinanceKlines(symbol, '1h', Math.min(fetchLimit, 1000));
+    // Fetch klines - EXACTLY same method as fetchRSIFromBinance (formatted, through the candle store)
+    const formattedData = await fetchKlinesByInterval(symbol, '1h', Math.min(fetchLimit, 1000));
     
-    if (!klines || klines.length === 0) {
+    if (formattedData.length === 0) {
       return [];
     }
     
-    // Format klines data - EXACTLY same as fetchRSIFromBinance
-    const formattedData = formatKlinesData(klines);
-    
     // Sort by closeTime to ensure chronological order (oldest to newest)
     // This matches fetchRSIFromBinance and guarantees correct RSI calculation
     formattedData.sort((a, b) => a.closeTime.getTime() - b.closeTime.getTime());
@@ -698,9 +845,14 @@ export const fetchHistoricalRSI = async (symbol, days = 7, period = 14, sinceTim
  * @param {number} days - Number of days to look back (default: 7)
  * @param {number} rsiThreshold - RSI threshold (default: 30)
  * @param {boolean} forceRefresh - Force refresh from API (skip cache)
+ * @param {Object} options - { concurrency (symbols fetched at once, default: DEFAULT_FETCH_CONCURRENCY),
+ *   onProgress ({ symbol, index, completed, total, result, error }) called as each symbol finishes - result is its new
+ *   oversold events, error is the fetch error message or null; on a cache hit only the symbols that failed when it was
+ *   cached are fetched }
  * @returns {Promise<Array>} Array of oversold events
  */
-export const fetchOversoldHistory = async (symbols = ['BTC/USDT', 'BNB/USDT', 'ETH/USDT', 'XRP/USDT', 'SOL/USDT', 'SUI/USDT', 'DOGE/USDT', 'ADA/USDT', 'ASTER/USDT', 'PEPE/USDT', 'ENA/USDT', 'LINK/USDT', 'TAO/USDT', 'PUMP/USDT'], days = 7, rsiThreshold = 30, forceRefresh = false) => {
+export const fetchOversoldHistory = async (symbols = DEFAULT_SYMBOLS, days = 7, rsiThreshold = 30, forceRefresh = false, options = {}) => {
+  const { concurrency = DEFAULT_FETCH_CONCURRENCY, onProgress = null } = options;
   try {
     const cacheKey = `oversold_${symbols.join('_')}_${days}_${rsiThreshold}`;
     
@@ -708,6 +860,9 @@ export const fetchOversoldHistory = async (symbols = ['BTC/USDT', 'BNB/USDT', 'E
     // This allows incremental fetching even when user clicks refresh
     let cachedData = null;
     let lastTimestamp = null;
+    // Symbols that failed when the events were cached: fetched again over the whole window
+    let cachedFailedSymbols = [];
+    let symbolsToFetch = symbols;
     
     const cached = CacheUtils.get(cacheKey);
     if (cached && cached.data && Array.isArray(cached.data) && cached.data.length > 0) {
@@ -719,10 +874,16 @@ export const fetchOversoldHistory = async (symbols = ['BTC/USDT', 'BNB/USDT', 'E
       // Check if a new hourly candle should be available (since oversold uses 1h candles)
       const needsUpdate = hasNewCandleAvailable(latestCachedTime, '1h');
       
+      cachedFailedSymbols = cached.failedSymbols.filter(symbol => symbols.includes(symbol));
+      
       if (!forceRefresh && !needsUpdate) {
         // No new candle available, return cached data
         console.log(`[Cache] Using cached oversold history - latest candle: ${latestCachedTime.toISOString()}, new candle not yet available`);
-        return cachedData;
+        if (cachedFailedSymbols.length === 0) {
+          return cachedData;
+        }
+        console.log(`[Cache] Refetching ${cachedFailedSymbols.join(', ')}: failed when the oversold history was cached`);
+        symbolsToFetch = cachedFailedSymbols;
       }
       
       // Subtract 1 minute to ensure we get complete data
@@ -734,32 +895,37 @@ export const fetchOversoldHistory = async (symbols = ['BTC/USDT', 'BNB/USDT', 'E
       }
     }
     
-    const allEvents = [];
-    
     // Fetch historical RSI for each symbol (only new data since last cache if cached exists)
-    for (const symbol of symbols) {
+    let completed = 0;
+    const failedSymbols = [];
+    const eventsBySymbol = await mapWithConcurrency(symbolsToFetch, concurrency, async (symbol, index) => {
+      let oversoldEvents = [];
+      let errorMessage = null;
       try {
-        const historicalRSI = await fetchHistoricalRSI(symbol, days, 14, lastTimestamp);
+        const historicalRSI = await fetchHistoricalRSI(symbol, days, 14, cachedFailedSymbols.includes(symbol) ? null : lastTimestamp);
         
         // Filter for RSI <= threshold
-        const oversoldEvents = historicalRSI
+        oversoldEvents = historicalRSI
           .filter(item => item.rsi <= rsiThreshold)
           .map(item => ({
-            symbol: symbol.replace('/USDT', ''),
+            symbol: toDisplaySymbol(symbol),
             timestamp: item.timestamp,
             rsi: item.rsi,
             price: item.price
           }));
-        
-        allEvents.push(...oversoldEvents);
-        
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 200));
       } catch (error) {
         console.error(`Error fetching oversold history for ${symbol}:`, error);
         // Continue with other symbols even if one fails
+        errorMessage = error.message || String(error);
+        failedSymbols.push(symbol);
       }
-    }
+      completed++;
+      if (onProgress) {
+        onProgress({ symbol, index, completed, total: symbolsToFetch.length, result: oversoldEvents, error: errorMessage });
+      }
+      return oversoldEvents;
+    });
+    const allEvents = eventsBySymbol.flat();
     
     // Merge cached data with new events (only if not force refresh or if we have new events)
     let mergedEvents;
@@ -787,7 +953,7 @@ export const fetchOversoldHistory = async (symbols = ['BTC/USDT', 'BNB/USDT', 'E
     }
     
     // Cache the merged results (1 hour expiry)
-    CacheUtils.set(cacheKey, uniqueEvents, 60 * 60 * 1000);
+    CacheUtils.set(cacheKey, uniqueEvents, 60 * 60 * 1000, failedSymbols);
     
     if (cachedData && allEvents.length > 0) {
       console.log(`[Cache] Merged ${allEvents.length} new events with ${cachedData.length} cached events = ${uniqueEvents.length} total`);
@@ -945,14 +1111,24 @@ export const calculateTrendLinePoints = (data, slope, intercept) => {
 };
 
 /**
- * Fetch 4-hour klines data from Binance
+ * Fetch klines of any interval from Binance, formatted and sorted (oldest to newest)
  * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
- * @param {number} limit - Number of candles to fetch (default: 168 = 28 days)
+ * @param {string} interval - Time interval (1h, 4h, etc.)
+ * @param {number} limit - Number of candles to fetch
  * @returns {Promise<Array>} Array of formatted kline data
  */
-export const fetch4HourKlines = async (symbol, limit = 168) => {
+export const fetchKlinesByInterval = async (symbol, interval, limit) => {
   try {
-    const klines = await getBinanceKlines(symbol, '4h', limit);
+    // Fixed-size intervals go through the candle store (the latest `limit` open times, forming candle included)
+    const intervalMs = INTERVAL_MS[interval];
+    if (intervalMs) {
+      const now = clock.now();
+      const latestOpenTime = Math.floor(now / intervalMs) * intervalMs;
+      const candles = await fetchKlinesRange(symbol, interval, latestOpenTime - (limit - 1) * intervalMs, now);
+      return candles.slice(-limit);
+    }
+    
+    const klines = await getBinanceKlines(symbol, interval, limit);
     
     if (!klines || klines.length === 0) {
       return [];
@@ -963,11 +1139,21 @@ export const fetch4HourKlines = async (symbol, limit = 168) => {
     
     return formattedData;
   } catch (error) {
-    console.error(`Error fetching 4-hour klines for ${symbol}:`, error);
+    console.error(`Error fetching ${interval} klines for ${symbol}:`, error);
     throw error;
   }
 };
 
+/**
+ * Fetch 4-hour klines data from Binance
+ * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+ * @param {number} limit - Number of candles to fetch (default: 168 = 28 days)
+ * @returns {Promise<Array>} Array of formatted kline data
+ */
+export const fetch4HourKlines = async (symbol, limit = 168) => {
+  return fetchKlinesByInterval(symbol, '4h', limit);
+};
+
 /**
  * Fetch 5-minute klines data from Binance
  * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
@@ -1047,940 +1233,327 @@ export const fetch5MinKlines = async (symbol, limit = 288, startTime = null) =>
 };
 
 /**
- * Get UTC+7 (Bangkok time) hour from a timestamp
- * @param {Date} timestamp - Timestamp to check (in UTC)
- * @returns {number} Hour in UTC+7 (0-23)
+ * Fetch klines of an interval between two timestamps straight from Binance (oldest to newest)
+ * Paginates backwards from endTime in batches of up to 1000
+ * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+ * @param {string} interval - Time interval (5m, 1h, 4h, etc.)
+ * @param {number} startTime - Earliest candle open time in milliseconds
+ * @param {number} endTime - Latest candle open time in milliseconds
+ * @param {Function} onBatch - Optional callback (candlesFetched) after each batch
+ * @returns {Promise<Object>} { candles, listedAt } - listedAt is the symbol's first open time when the range reaches back before it, else null
  */
-const getUTCPlus7Hour = (timestamp) => {
-  if (!timestamp) return -1;
-  try {
-    const date = new Date(timestamp);
-    const formatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'Asia/Bangkok',
-      hour: '2-digit',
-      hour12: false
+const fetchKlinesRangeFromBinance = async (symbol, interval, startTime, endTime, onBatch = null) => {
+  const intervalMs = INTERVAL_MS[interval];
+  const candlesByOpenTime = new Map();
+  let batchEndTime = endTime;
+  let listedAt = null;
+  
+  while (batchEndTime >= startTime) {
+    // Small gaps only need a few candles (fixed-size intervals), long windows use full batches
+    const limit = intervalMs ? Math.min(1000, Math.floor((batchEndTime - startTime) / intervalMs) + 1) : 1000;
+    const klines = await getBinanceKlines(symbol, interval, limit, batchEndTime);
+    
+    if (!klines || klines.length === 0) {
+      // Nothing opened at or before batchEndTime: the symbol was listed after it
+      listedAt = batchEndTime + 1;
+      break;
+    }
+    
+    const formattedData = formatKlinesData(klines);
+    let oldestOpenTime = Infinity;
+    formattedData.forEach(candle => {
+      const openTime = candle.timestamp.getTime();
+      oldestOpenTime = Math.min(oldestOpenTime, openTime);
+      if (openTime >= startTime && openTime <= endTime) {
+        candlesByOpenTime.set(openTime, candle);
+      }
     });
-    const hourStr = formatter.format(date);
-    return parseInt(hourStr, 10);
-  } catch (e) {
-    return -1;
+    
+    if (onBatch) {
+      onBatch(candlesByOpenTime.size);
+    }
+    
+    // Fewer candles than requested means we reached the symbol's first candle
+    if (klines.length < limit) {
+      listedAt = oldestOpenTime > startTime ? oldestOpenTime : null;
+      break;
+    }
+    
+    batchEndTime = oldestOpenTime - 1;
+    
+    if (batchEndTime >= startTime) {
+      // Small delay to avoid rate limiting
+      await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY_MS));
+    }
   }
+  
+  const candles = Array.from(candlesByOpenTime.values())
+    .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+  return { candles, listedAt };
 };
 
 /**
- * Get UTC+7 (Bangkok time) minute from a timestamp
- * @param {Date} timestamp - Timestamp to check (in UTC)
- * @returns {number} Minute in UTC+7 (0-59)
+ * Fetch every kline of an interval between two timestamps (oldest to newest)
+ * Closed candles come from the persistent candle store (candleStore.js); only the open-time gaps
+ * (and the forming candle) are fetched from Binance and written back, so long windows such as
+ * months of 5m candles for backtests are only downloaded once. Open times a fetched range came back
+ * without (exchange maintenance) are recorded as empty and not fetched again.
+ * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+ * @param {string} interval - Time interval (5m, 1h, 4h, etc.)
+ * @param {number} startTime - Earliest candle open time in milliseconds
+ * @param {number} endTime - Latest candle open time in milliseconds
+ * @param {Function} onBatch - Optional callback (candlesFetched) after each batch
+ * @returns {Promise<Array>} Array of formatted kline data
  */
-const getUTCPlus7Minute = (timestamp) => {
-  if (!timestamp) return -1;
+export const fetchKlinesRange = async (symbol, interval, startTime, endTime, onBatch = null) => {
   try {
-    const date = new Date(timestamp);
-    const formatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'Asia/Bangkok',
-      minute: '2-digit',
-      hour12: false
-    });
-    const minuteStr = formatter.format(date);
-    return parseInt(minuteStr, 10);
-  } catch (e) {
-    return -1;
+    const now = clock.now();
+    
+    // Recordings download every candle (so the session file holds them all) and replays read only the
+    // recording (the store may hold candles from after it ended)
+    if (replayController.getStatus().mode !== REPLAY_MODES.LIVE) {
+      const { candles } = await fetchKlinesRangeFromBinance(symbol, interval, startTime, Math.min(endTime, now), onBatch);
+      return candles;
+    }
+    
+    const { candles: storedCandles, missingRanges } = await candleStore.getCandles(symbol, interval, startTime, endTime, now);
+    const candlesByOpenTime = new Map(storedCandles.map(candle => [candle.timestamp.getTime(), candle]));
+    
+    if (missingRanges.length > 0 && storedCandles.length > 0) {
+      console.log(`[CandleStore] ${symbol} ${interval}: ${storedCandles.length} stored, fetching ${missingRanges.length} missing range(s)`);
+    }
+    
+    for (const range of missingRanges) {
+      const storedCount = candlesByOpenTime.size;
+      // Gaps are aligned to open times, so concurrent callers missing the same gap share one download
+      const candles = await klinesInFlight(`${getSeriesKey(symbol, interval)}|${range.startTime}|${range.endTime}`, async () => {
+        const fetched = await fetchKlinesRangeFromBinance(symbol, interval, range.startTime, range.endTime,
+          onBatch ? (count) => onBatch(storedCount + count) : null);
+        await candleStore.putCandles(symbol, interval, fetched.candles, { now, listedAt: fetched.listedAt, range });
+        return fetched.candles;
+      });
+      candles.forEach(candle => candlesByOpenTime.set(candle.timestamp.getTime(), candle));
+    }
+    
+    if (onBatch) {
+      onBatch(candlesByOpenTime.size);
+    }
+    
+    return Array.from(candlesByOpenTime.values())
+      .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+  } catch (error) {
+    console.error(`Error fetching ${interval} klines range for ${symbol}:`, error);
+    throw error;
   }
 };
 
+const FIVE_MIN_MS = 5 * 60 * 1000;
+const MAX_INTRABAR_PASSES = 3; // Detection re-runs while new ambiguous 5m candles keep appearing
+
 /**
- * Format timestamp to UTC+7 time string - for internal use only
- * @param {Date} timestamp - Timestamp to format (in UTC)
- * @returns {string} Formatted time string (MM/DD HH:00) in UTC+7
+ * Fetch the 1m candles inside each of a list of 5m candles
+ * A failed fetch stores an empty list, so the strategy falls back to its intrabar policy for that candle
+ * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+ * @param {Array<number>} candleTimes - Open times of the 5m candles in milliseconds
+ * @returns {Promise<Object>} Map of 5m open time (ms) -> 1m candles (oldest to newest)
  */
-export const formatNYTimeInternal = (timestamp) => {
-  if (!timestamp) return 'N/A';
-  try {
-    const date = new Date(timestamp);
-    const formatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'Asia/Bangkok',
-      month: '2-digit',
-      day: '2-digit',
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false
-    });
-    const timeStr = formatter.format(date);
-    // Format as MM/DD, HH:MM (show minutes for accuracy)
-    const parts = timeStr.split(', ');
-    if (parts.length === 2) {
-      const [monthDay, time] = parts;
-      const [hour, minute] = time.split(':');
-      return `${monthDay}, ${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`;
-    }
-    // Fallback
-    const [month, day, ...timeParts] = timeStr.split(/[/ ]/);
-    const time = timeParts.find(p => p.includes(':'));
-    if (time) {
-      const [hour, minute] = time.split(':');
-      return `${month}/${day}, ${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`;
+export const fetchIntrabarCandles = async (symbol, candleTimes) => {
+  const intrabarCandles = {};
+  
+  for (const openTime of candleTimes) {
+    try {
+      const candles = await fetchKlinesRange(symbol, '1m', openTime, openTime + FIVE_MIN_MS - 1);
+      intrabarCandles[openTime] = candles
+        .filter(candle => candle.timestamp.getTime() >= openTime && candle.timestamp.getTime() < openTime + FIVE_MIN_MS)
+        .sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+    } catch (error) {
+      console.warn(`[${symbol}] Could not fetch 1m candles for ${new Date(openTime).toISOString()}, using fallback policy`);
+      intrabarCandles[openTime] = [];
     }
-    return timeStr;
-  } catch (e) {
-    return 'Invalid Date';
+    
+    // Small delay to avoid rate limiting
+    await new Promise(resolve => setTimeout(resolve, RATE_LIMIT_DELAY_MS));
   }
+  
+  return intrabarCandles;
 };
 
-/**
- * Format date in UTC+7 (Bangkok time) - for internal use (detection logic)
- * @param {Date} timestamp - Timestamp to format (in UTC)
- * @returns {string} Date string (YYYY-MM-DD) in UTC+7
- */
-const formatDateUTCPlus7 = (timestamp) => {
-  if (!timestamp) return 'N/A';
-  try {
-    const date = new Date(timestamp);
-    const formatter = new Intl.DateTimeFormat('en-CA', {
-      timeZone: 'Asia/Bangkok',
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit'
+// Fixed-tick profiles without their own tick size place the stop with the pair's exchange tick size
+// (loaded here if exchange info was not fetched yet); without one the strategy skips the re-entries
+const withExchangeTickSize = async (symbol, config) => {
+  const riskProfile = config.riskProfile || DEFAULT_RISK_PROFILE;
+  if (config.tickSize || riskProfile.slMode !== SL_MODES.FIXED_TICK || riskProfile.tickSize) {
+    return config;
+  }
+  if (!getTickSize(symbol)) {
+    await fetchSymbolTickSizes([symbol]).catch(error => {
+      console.warn(`[${symbol}] Could not load the tick size for fixed-tick stops:`, error.message || error);
     });
-    return formatter.format(date);
-  } catch (e) {
-    return 'Invalid Date';
   }
+  return { ...config, tickSize: getTickSize(symbol) };
 };
 
 /**
- * Format timestamp to display time string (UTC+7)
- * Shows date and time in format "DD MMM, HH:MM" with -4 minutes adjustment for 4H breakout signals
- * @param {Date} timestamp - Timestamp to format (in UTC)
- * @returns {string} Formatted time string (DD MMM, HH:MM) in UTC+7, adjusted -4 minutes
+ * Run breakout detection, drilling into 1m candles where one 5m candle reached both the stop and a target
+ * A different exit can open or block later trades, so detection re-runs until no new ambiguous
+ * candle shows up (at most MAX_INTRABAR_PASSES runs); anything left uses the config's intrabar policy.
+ * @param {Object} input - detectBreakoutsFromCandles input (symbol, dateKeys, candles, session, config, ...)
+ * @returns {Promise<Object>} Object with { signals, breakoutsWithoutReentry }
  */
-export const formatNYTime = (timestamp) => {
-  if (!timestamp) return 'N/A';
-  try {
-    // Display in UTC+7 (Bangkok time) for UI
-    // Subtract 4 minutes from the timestamp (for 4H breakout trading signals)
-    const adjustedTime = new Date(timestamp.getTime() - (4 * 60 * 1000)); // Subtract 4 minutes
-    
-    // Month abbreviations
-    const monthAbbr = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
-    
-    // Get components in UTC+7 timezone
-    const formatter = new Intl.DateTimeFormat('en-US', {
-      timeZone: 'Asia/Bangkok',
-      day: 'numeric',
-      month: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit',
-      hour12: false
-    });
+export const detectBreakoutsWithIntrabar = async (input) => {
+  const config = await withExchangeTickSize(input.symbol, input.config || DEFAULT_STRATEGY_CONFIG);
+  const intrabarCandles = { ...(config.intrabarCandles || {}) };
+  
+  for (let pass = 1; ; pass++) {
+    const result = detectBreakoutsFromCandles({ ...input, config: { ...config, intrabarCandles } });
     
-    // Format as DD MMM, HH:MM (e.g., "01 Nov, 20:35")
-    const parts = formatter.formatToParts(adjustedTime);
-    let day = '';
-    let monthNum = '';
-    let hour = '';
-    let minute = '';
-    
-    parts.forEach(part => {
-      if (part.type === 'day') day = part.value;
-      if (part.type === 'month') monthNum = part.value;
-      if (part.type === 'hour') hour = part.value;
-      if (part.type === 'minute') minute = part.value;
-    });
+    const missingTimes = [...new Set(result.signals
+      .flatMap(signal => signal.intrabarChecks || [])
+      .map(check => check.time.getTime())
+      .filter(openTime => !(openTime in intrabarCandles)))];
     
-    // Format as DD MMM, HH:MM
-    const month = monthAbbr[parseInt(monthNum, 10) - 1] || monthNum;
-    const formattedDay = day.padStart(2, '0');
-    const formattedHour = hour.padStart(2, '0');
-    const formattedMinute = minute.padStart(2, '0');
+    if (missingTimes.length === 0 || pass >= MAX_INTRABAR_PASSES) {
+      return result;
+    }
     
-    return `${formattedDay} ${month}, ${formattedHour}:${formattedMinute}`;
-  } catch (e) {
-    return 'Invalid Date';
+    console.log(`[${input.symbol}] ${missingTimes.length} ambiguous 5m candle(s) hit both stop and target, fetching 1m candles...`);
+    Object.assign(intrabarCandles, await fetchIntrabarCandles(input.symbol, missingTimes));
   }
 };
 
 /**
  * Detect breakout and re-entry trading signals for a symbol
+ * Fetches the range and 5m candles, then runs the pure strategy (breakoutStrategy.js) on them
  * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
  * @param {number} days - Number of days to analyze (default: 3)
  * @param {Date} sinceDate - Only detect signals after this date (for incremental updates)
+ * @param {Object} session - Session definition (range timezone/start/length and detection window end, see sessions.js)
+ * @param {Object} riskProfile - Risk profile for SL/TP placement (see riskProfiles.js)
+ * @param {string} intrabarPolicy - Fallback for candles reaching both stop and target when 1m data can't settle it (see INTRABAR_POLICIES)
  * @returns {Promise<Object>} Object with { signals, breakoutsWithoutReentry }
  */
-export const detectBreakoutSignals = async (symbol, days = 3, sinceDate = null) => {
+export const detectBreakoutSignals = async (symbol, days = 3, sinceDate = null, session = DEFAULT_SESSION, riskProfile = DEFAULT_RISK_PROFILE, intrabarPolicy = DEFAULT_STRATEGY_CONFIG.intrabarPolicy) => {
   try {
-    // Calculate the date range: last N days from today 11:00 UTC+7 to (N-1) days ago 11:00 UTC+7
-    // Get today's date in UTC+7 (Bangkok timezone) 
-    const now = new Date();
-    const bangkokFormatter = new Intl.DateTimeFormat('en-CA', {
-      timeZone: 'Asia/Bangkok',
-      year: 'numeric',
-      month: '2-digit',
-      day: '2-digit'
-    });
-    
-    // Get today's date string in Bangkok timezone (YYYY-MM-DD)
-    const todayDateStr = bangkokFormatter.format(now);
-    const [year, month, day] = todayDateStr.split('-').map(Number);
-    
-    // Create today at 11:00 UTC+7 (local time string, will be interpreted as UTC+7 when using Date)
-    // But JavaScript Date interprets as local time, so we need to convert
-    // Create date string for Bangkok timezone: YYYY-MM-DDTHH:mm:ss
-    // Then convert to UTC by subtracting 7 hours
-    const today11BangkokStr = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}T11:00:00+07:00`;
-    const today11Bangkok = new Date(today11BangkokStr);
-    
-    // Calculate (days-1) days ago at 11:00 UTC+7 (start time)
-    // We include today, so we go back (days-1) days
-    // Example: If days=3, we check: 3 days ago, 2 days ago, 1 day ago, today
-    const startDate11Bangkok = new Date(today11Bangkok);
-    startDate11Bangkok.setDate(startDate11Bangkok.getDate() - (days - 1));
+    // Calculate the date range: the session's range on each of the last N days (today included)
+    // Dates are calendar days in the session's own timezone
+    const now = clock.date();
+    const todayDateKey = getZonedDateKey(now, session.timeZone);
+    const startDateKey = shiftDateKey(todayDateKey, -(days - 1));
+    const dateKeys = Array.from({ length: days }, (_, dayOffset) => shiftDateKey(startDateKey, dayOffset));
+    const startRangeWindow = getSessionWindow(session, startDateKey);
     
     // If sinceDate is provided, use it as the start time (for incremental updates)
-    // Otherwise, use the calculated start time
+    // Otherwise, use the range start (days-1) days ago
     let startTime;
     if (sinceDate) {
       startTime = sinceDate.getTime();
-      console.log(`[${symbol}] Using sinceDate for incremental fetch: ${sinceDate.toISOString()}`);
+      console.log(`[${symbol}][${session.id}] Using sinceDate for incremental fetch: ${sinceDate.toISOString()}`);
     } else {
-      startTime = startDate11Bangkok.getTime(); // (days-1) days ago 11:00 UTC+7 in UTC milliseconds
+      startTime = startRangeWindow.rangeStart;
     }
     
-    // Convert to UTC timestamps for comparison with Binance data (which is in UTC)
-    // Binance timestamps are UTC, so we compare directly
-    const endTime = today11Bangkok.getTime(); // Today 11:00 UTC+7 in UTC milliseconds
+    console.log(`[${symbol}][${session.id}] Checking last ${days} days: From ${startDateKey} to ${todayDateKey} (${session.timeZone} ${String(session.rangeStartHour).padStart(2, '0')}:00, ${session.rangeHours}h range)`);
+    console.log(`[${symbol}][${session.id}] Time range: ${new Date(startTime).toISOString()} to ${now.toISOString()} (UTC)`);
     
-    // For filtering: we want ranges that close between startTime and endTime
-    // The 4H range closes at 15:00 UTC+7, so we check if closeTime is within our date range
-    console.log(`[${symbol}] Checking last ${days} days: From ${startDate11Bangkok.toISOString()} (UTC+7 11:00) to ${today11Bangkok.toISOString()} (UTC+7 11:00)`);
-    console.log(`[${symbol}] Time range: ${new Date(startTime).toISOString()} to ${new Date(endTime).toISOString()} (UTC)`);
+    // Fetch range candles (enough for the period + buffer)
+    // 3 days of 4h candles = 18 candles, add buffer
+    const intervalHours = RANGE_INTERVAL_HOURS[session.rangeInterval] || 4;
+    const limit = Math.ceil((days * 24) / intervalHours) + Math.ceil(40 / intervalHours); // Add buffer
+    const rangeCandles = await fetchKlinesByInterval(symbol, session.rangeInterval, Math.min(limit, 1000));
     
-    // Fetch 4-hour klines (enough for the period + buffer)
-    // 7 days = 7 * 24 / 4 = 42 candles, add buffer = 52 candles
-    const limit = Math.ceil((days * 24) / 4) + 10; // Add buffer
-    const klines = await fetch4HourKlines(symbol, Math.min(limit, 500));
-    
-    if (!klines || klines.length === 0) {
+    if (!rangeCandles || rangeCandles.length === 0) {
       return { signals: [], breakoutsWithoutReentry: [] };
     }
     
-    const signals = [];
-    const breakoutsWithoutReentry = []; // Track breakouts that haven't had re-entry yet
-    
-    // Group candles by UTC+7 date and find the 11:00-15:00 candle for each day
-    const dailyRanges = new Map(); // date -> { high, low, openTime, closeTime, candle }
-    
-    // Debug: Log first few candles to understand the data
-    console.log(`[${symbol}] Total 4h candles: ${klines.length}`);
-    if (klines.length > 0) {
-      const firstCandle = klines[0];
-      const lastCandle = klines[klines.length - 1];
-      console.log(`[${symbol}] First candle: UTC open=${firstCandle.timestamp.toISOString()}, close=${firstCandle.closeTime.toISOString()}`);
-      console.log(`[${symbol}] Last candle: UTC open=${lastCandle.timestamp.toISOString()}, close=${lastCandle.closeTime.toISOString()}`);
-    }
-    
-    for (const candle of klines) {
-      // Check if this candle covers the UTC+7 time 11:00-15:00 period (4-hour range)
-      // Binance 4-hour candles align with UTC: 00:00, 04:00, 08:00, 12:00, 16:00, 20:00
-      // UTC+7 time 11:00-15:00 = UTC 04:00-08:00
-      // So we need the candle that opens at UTC 04:00 (UTC+7 11:00) and closes at UTC 08:00 (UTC+7 15:00)
-      const openHourUTC7 = getUTCPlus7Hour(candle.timestamp);
-      const closeHourUTC7 = getUTCPlus7Hour(candle.closeTime);
-      
-      // The candle should open at or around 11:00 UTC+7 and close at or around 15:00 UTC+7
-      const openMinuteUTC7 = getUTCPlus7Minute(candle.timestamp);
-      const closeMinuteUTC7 = getUTCPlus7Minute(candle.closeTime);
-      
-      // Check if candle opens around 11:00 UTC+7 and closes at or near 15:00 UTC+7
-      // For a 4-hour candle covering UTC+7 time 11:00-15:00:
-      // - Opens at UTC+7 11:00 (hour 11)
-      // - Closes at UTC+7 15:00 (hour 15) or very close (14:59)
-      // Binance candles close at 07:59:59.999Z which is UTC+7 14:59:59, so we accept hour 14 or 15
-      const opensInRange = openHourUTC7 === 11; // Opens at UTC+7 11:00 (hour 11)
-      const closesAtOrNear15 = closeHourUTC7 === 14 || closeHourUTC7 === 15; // Closes at UTC+7 14:59 or 15:00
-      
-      // Debug: Log some sample candles to see what we're checking
-      if (klines.indexOf(candle) < 5 || (opensInRange || closeHourUTC7 === 14 || closeHourUTC7 === 15)) {
-        console.log(`[${symbol}] Checking candle: UTC open=${candle.timestamp.toISOString()}, close=${candle.closeTime.toISOString()}, UTC+7 open=${openHourUTC7}:${String(openMinuteUTC7).padStart(2, '0')}, UTC+7 close=${closeHourUTC7}:${String(closeMinuteUTC7).padStart(2, '0')}, opensInRange=${opensInRange}, closesAtOrNear15=${closesAtOrNear15}`);
-      }
-      
-      if (opensInRange && closesAtOrNear15) {
-        // This candle covers the UTC+7 time 11:00-15:00 period
-        const dateKey = formatDateUTCPlus7(candle.closeTime);
-        
-        // Filter: Only include ranges within the last 7 days
-        // The range closes at 15:00 UTC+7 on its date
-        // We want ranges that close after startTime (7 days ago 11:00) but could be up to today
-        // However, we only include today's range if it has closed (completed)
-        const rangeCloseTimeUTC = candle.closeTime.getTime();
-        
-        // Include ranges that close:
-        // - After startTime (7 days ago 11:00 UTC+7)
-        // - Before or equal to endTime (today 11:00 UTC+7) OR if today's range is complete (closes at 15:00 today)
-        // Since endTime is today 11:00, we allow ranges up to today 15:00 if the range date is today
-        const rangeDate = formatDateUTCPlus7(candle.closeTime);
-        const todayDate = formatDateUTCPlus7(now);
-        
-        if (rangeCloseTimeUTC < startTime) {
-          // This range is before our start date, skip it
-          continue;
-        }
-        
-        // If the range is from today, only include if current time is past 15:00 today
-        // Otherwise, include ranges that close up to today 11:00
-        if (rangeDate === todayDate) {
-          // Today's range - only include if it has closed (we're past 15:00 today)
-          const nowHour = getUTCPlus7Hour(now);
-          if (nowHour < 15) {
-            // Today's range hasn't closed yet, skip it
-            continue;
-          }
-        } else if (rangeCloseTimeUTC > endTime) {
-          // Range closes after today 11:00 and is not today's range, skip it
-          continue;
-        }
-        
-        // Process all days within the date range
-        // The range is 11:00-15:00 UTC+7, closes at 15:00 UTC+7
-        if (!dailyRanges.has(dateKey)) {
-          dailyRanges.set(dateKey, {
-            high: candle.high,
-            low: candle.low,
-            openTime: candle.timestamp,
-            closeTime: candle.closeTime,
-            candle: candle
-          });
-        } else {
-          // Update if this candle has a wider range
-          const existing = dailyRanges.get(dateKey);
-          const existingRange = existing.high - existing.low;
-          const currentRange = candle.high - candle.low;
-          if (currentRange > existingRange) {
-            dailyRanges.set(dateKey, {
-              high: candle.high,
-              low: candle.low,
-              openTime: candle.timestamp,
-              closeTime: candle.closeTime,
-              candle: candle
-            });
-          }
-        }
-      }
-    }
-    
-    console.log(`[${symbol}] Found ${dailyRanges.size} daily ranges (UTC+7 time 11:00-15:00 candles)`);
+    console.log(`[${symbol}][${session.id}] Total ${session.rangeInterval} candles: ${rangeCandles.length}`);
     
-    // For each daily range, detect breakout and re-entry
-    // IMPORTANT: Each day is processed independently - breakouts and re-entries must occur within the same UTC+7 day as the range
-    const dailyRangeArray = Array.from(dailyRanges.entries())
-      .sort((a, b) => a[1].closeTime.getTime() - b[1].closeTime.getTime());
+    // Fetch 5-minute candles from the first range close until now (covers every detection window
+    // and the days after it, so pending positions can be followed until TP/SL)
+    const fiveMinCandles = await fetchKlinesRange(symbol, '5m', startRangeWindow.rangeEnd, now.getTime());
     
-    let breakoutsDetected = 0;
-    let reentriesDetected = 0;
-    let validSignals = 0;
+    const result = await detectBreakoutsWithIntrabar({
+      symbol,
+      dateKeys,
+      rangeCandles,
+      fiveMinCandles,
+      session,
+      startTime,
+      now: now.getTime(),
+      config: { ...DEFAULT_STRATEGY_CONFIG, riskProfile, intrabarPolicy }
+    });
     
-    // Loop through each day independently
-    for (let i = 0; i < dailyRangeArray.length; i++) {
-      const [dateKey, range] = dailyRangeArray[i];
-      const rangeHigh = range.high;
-      const rangeLow = range.low;
-      const rangeCloseTime = range.closeTime;
-      
-      // Fetch 5-minute candles after the range candle closes (for breakout and re-entry detection)
-      // Fetch enough to cover the rest of the same UTC+7 day (range closes at 15:00, day ends at 23:59)
-      // That's about 9 hours = 108 candles (9 hours * 12 candles/hour)
-      // Fetch extra buffer to be safe (300 candles)
-      const fiveMinCandles = await fetch5MinKlines(
-        symbol, 
-        300, // ~1.25 days of 5-minute candles (enough to cover same UTC+7 day + buffer)
-        rangeCloseTime.getTime() // Start from when range closes
-      );
-      
-      if (!fiveMinCandles || fiveMinCandles.length === 0) {
-        continue; // No 5-minute data available
-      }
-      
-      // Filter candles that are after the range closes AND within the date range
-      // Check breakouts and re-entries from 15:00 (current day) to 15:00 (next day) UTC+7
-      // The range closes at 15:00 UTC+7 on the range date, so we check from 15:00 same day to 15:00 next day
-      const rangeDateStr = dateKey; // e.g., '2025-11-01'
-      const nextDay = new Date(rangeCloseTime);
-      nextDay.setUTCDate(nextDay.getUTCDate() + 1);
-      const nextDayStr = formatDateUTCPlus7(nextDay); // e.g., '2025-11-02'
-      
-      // Calculate next day at 15:00 UTC+7 (end of detection window)
-      const nextDay15UTC7 = new Date(rangeCloseTime);
-      nextDay15UTC7.setUTCDate(nextDay15UTC7.getUTCDate() + 1);
-      // Range closes at 15:00 UTC+7, so next day 15:00 is exactly 24 hours later
-      const nextDay15UTC7Time = nextDay15UTC7.getTime();
-      
-      const candlesAfterRange = fiveMinCandles.filter(c => {
-        const candleUTC7Date = formatDateUTCPlus7(c.closeTime);
-        const candleCloseTime = c.closeTime.getTime();
-        
-        // Must be after range closes (15:00 UTC+7 on range date)
-        if (candleCloseTime <= rangeCloseTime.getTime()) {
-          return false;
-        }
-        
-        // Must be before next day 15:00 UTC+7 (end of detection window)
-        if (candleCloseTime >= nextDay15UTC7Time) {
-          return false;
-        }
-        
-        // Check if candle is within same day (after 15:00) or next day (before 15:00)
-        // Same day range: after 15:00 UTC+7
-        // Next day range: before 15:00 UTC+7 (exclusive, since 15:00 next day is when next range starts)
-        if (candleUTC7Date === rangeDateStr) {
-          // After 15:00 on same day
-          return true;
-        } else if (candleUTC7Date === nextDayStr) {
-          // Check if before 15:00 on next day (exclusive)
-          const candleHour = getUTCPlus7Hour(c.closeTime);
-          // Include candles before 15:00 UTC+7 (hour < 15)
-          return candleHour < 15;
-        }
-        
-        return false;
-      });
-      
-      if (candlesAfterRange.length === 0) {
-        console.log(`[${symbol}] No 5m candles found in date range (${rangeDateStr} 15:00 to ${nextDayStr} 15:00 UTC+7)`);
-        continue;
-      }
-      
-      // Debug: Log the range for this day
-      console.log(`[${symbol}] Range for ${dateKey}: High=${rangeHigh.toFixed(2)}, Low=${rangeLow.toFixed(2)}, CloseTime=${rangeCloseTime.toISOString()}`);
-      console.log(`[${symbol}] Total 5m candles in date range (${rangeDateStr} 15:00 to ${nextDayStr} 15:00 UTC+7): ${candlesAfterRange.length}`);
-      if (candlesAfterRange.length > 0) {
-        console.log(`[${symbol}] First 5m candle after range: close=${candlesAfterRange[0].close.toFixed(2)}, time=${candlesAfterRange[0].closeTime.toISOString()}, UTC+7=${formatNYTimeInternal(candlesAfterRange[0].closeTime)}`);
-        console.log(`[${symbol}] Last 5m candle after range: close=${candlesAfterRange[candlesAfterRange.length - 1].close.toFixed(2)}, time=${candlesAfterRange[candlesAfterRange.length - 1].closeTime.toISOString()}, UTC+7=${formatNYTimeInternal(candlesAfterRange[candlesAfterRange.length - 1].closeTime)}`);
-      }
-      
-      // Detect breakout (price exits the range) using 5-minute candles
-      let breakoutTime = null;
-      let breakoutPrice = null;
-      let breakoutDirection = null; // 'long' or 'short'
-      let reentryTime = null;
-      let reentryPrice = null;
-      let entryPrice = null;
-      let stopLoss = null;
-      let takeProfit = null;
-      let result = null; // 'win', 'loss', or null
-      
-      // Check for breakout above (long) or below (short) using 5-minute candles
-      // Use CLOSE price for breakout detection
-      // IMPORTANT: Track both breakouts and find which one has re-entry
-      // Strategy: Find all potential breakouts, then check which one has re-entry
-      
-      // Track potential breakouts
-      const potentialBreakouts = [];
-      
-      for (let j = 0; j < candlesAfterRange.length; j++) {
-        const candle = candlesAfterRange[j];
-        const candleNYTime = formatNYTimeInternal(candle.closeTime);
-        
-        // Track breakout above (long)
-        if (candle.close > rangeHigh) {
-          console.log(`[${symbol}] 🔺 Breakout ABOVE detected at ${candleNYTime}: close=${candle.close.toFixed(4)} > rangeHigh=${rangeHigh.toFixed(4)}`);
-          potentialBreakouts.push({
-            time: candle.closeTime,
-            price: candle.close,
-            direction: 'long',
-            candleIndex: j,
-            type: 'above',
-            low: candle.low,  // Store low for SL calculation
-            high: candle.high // Store high for reference
-          });
-        }
-        
-        // Track breakout below (short)
-        if (candle.close < rangeLow) {
-          console.log(`[${symbol}] 🔻 Breakout BELOW detected at ${candleNYTime}: close=${candle.close.toFixed(4)} < rangeLow=${rangeLow.toFixed(4)}`);
-          potentialBreakouts.push({
-            time: candle.closeTime,
-            price: candle.close,
-            direction: 'short',
-            candleIndex: j,
-            type: 'below',
-            low: candle.low,  // Store low for reference
-            high: candle.high // Store high for SL calculation
-          });
-        }
-      }
-      
-      // Sort breakouts by time (chronological order)
-      potentialBreakouts.sort((a, b) => a.time.getTime() - b.time.getTime());
-      
-      console.log(`[${symbol}] Found ${potentialBreakouts.length} potential breakouts for ${dateKey}`);
-      
-      // Track all valid signals (breakout + re-entry pairs)
-      const validBreakoutReentryPairs = [];
-      
-      // Track the first breakout index (waiting for re-entry)
-      let firstBreakoutIndex = null;
-      let firstBreakoutCandle = null;
-      let firstBreakoutTime = null;
-      let firstBreakoutPrice = null;
-      let firstBreakoutDirection = null;
-      
-      // Track if we have an open position (pending signal)
-      let hasOpenPosition = false;
-      
-      // Iterate through all candles after range to find first breakout, then wait for re-entry
-      for (let i = 0; i < candlesAfterRange.length; i++) {
-        const candle = candlesAfterRange[i];
-        const candleNYTime = formatNYTimeInternal(candle.closeTime);
-        
-        // Check if this candle is a breakout (outside the range)
-        const isBreakoutAbove = candle.close > rangeHigh;
-        const isBreakoutBelow = candle.close < rangeLow;
-        
-        // If we have an open position, check if this candle closes it (TP or SL hit)
-        if (hasOpenPosition) {
-          const lastSignal = validBreakoutReentryPairs[validBreakoutReentryPairs.length - 1];
-          if (lastSignal && lastSignal.result === 'pending') {
-            // Check if this candle hits TP or SL for the open position
-            const direction = lastSignal.breakoutDirection;
-            const stopLoss = lastSignal.stopLoss;
-            const takeProfit = lastSignal.takeProfit;
-            
-            let positionClosed = false;
-            
-            // Check if stop loss was hit first
-            if (direction === 'long' && candle.low <= stopLoss) {
-              positionClosed = true;
-              lastSignal.result = 'loss';
-              lastSignal.closeTime = candle.closeTime; // Store close time
-              console.log(`[${symbol}] Position CLOSED (LOSS) - SL hit at ${candleNYTime}: low=${candle.low.toFixed(4)} <= SL=${stopLoss.toFixed(4)}`);
-            } else if (direction === 'short' && candle.high >= stopLoss) {
-              positionClosed = true;
-              lastSignal.result = 'loss';
-              lastSignal.closeTime = candle.closeTime; // Store close time
-              console.log(`[${symbol}] Position CLOSED (LOSS) - SL hit at ${candleNYTime}: high=${candle.high.toFixed(4)} >= SL=${stopLoss.toFixed(4)}`);
-            }
-            
-            // Check if take profit was hit
-            if (!positionClosed) {
-              if (direction === 'long' && candle.high >= takeProfit) {
-                positionClosed = true;
-                lastSignal.result = 'win';
-                lastSignal.closeTime = candle.closeTime; // Store close time
-                console.log(`[${symbol}] Position CLOSED (WIN) - TP hit at ${candleNYTime}: high=${candle.high.toFixed(4)} >= TP=${takeProfit.toFixed(4)}`);
-              } else if (direction === 'short' && candle.low <= takeProfit) {
-                positionClosed = true;
-                lastSignal.result = 'win';
-                lastSignal.closeTime = candle.closeTime; // Store close time
-                console.log(`[${symbol}] Position CLOSED (WIN) - TP hit at ${candleNYTime}: low=${candle.low.toFixed(4)} <= TP=${takeProfit.toFixed(4)}`);
-              }
-            }
-            
-            if (positionClosed) {
-              // Position was closed, we can now look for new breakouts
-              hasOpenPosition = false;
-              // Reset first breakout tracker to allow detection of new breakouts immediately
-              firstBreakoutIndex = null;
-              firstBreakoutCandle = null;
-              firstBreakoutTime = null;
-              firstBreakoutPrice = null;
-              firstBreakoutDirection = null;
-              console.log(`[${symbol}] Position closed (${lastSignal.result.toUpperCase()}), now looking for next breakout...`);
-            } else {
-              // Position still open, skip this candle
-              continue;
-            }
-          } else {
-            // Last signal is not pending (shouldn't happen if hasOpenPosition is true)
-            hasOpenPosition = false;
-          }
-        }
-        
-        // If we're not waiting for a re-entry, check for first breakout
-        if (firstBreakoutIndex === null) {
-          if (isBreakoutAbove || isBreakoutBelow) {
-            // Found first breakout - save it and wait for re-entry
-            firstBreakoutIndex = i;
-            firstBreakoutCandle = candle;
-            firstBreakoutTime = candle.closeTime;
-            firstBreakoutPrice = candle.close;
-            firstBreakoutDirection = isBreakoutAbove ? 'short' : 'long';
-            breakoutsDetected++;
-            console.log(`[${symbol}] 🔵 First breakout detected at ${candleNYTime}: close=${candle.close.toFixed(4)}, direction=${firstBreakoutDirection.toUpperCase()}, waiting for re-entry...`);
-          }
-          // Continue to next candle if no breakout found
-          continue;
-        }
-        
-        // We have a first breakout waiting - check if subsequent candles are still breakout
-        // If next candle is still a breakout, ignore it (don't update firstBreakout)
-        if (isBreakoutAbove || isBreakoutBelow) {
-          console.log(`[${symbol}] ⚪ Breakout continues at ${candleNYTime}: close=${candle.close.toFixed(4)}, ignoring (waiting for re-entry from first breakout)`);
-          continue;
-        }
-        
-        // Check if this candle is a re-entry (closes back inside the range)
-        if (candle.close <= rangeHigh && candle.close >= rangeLow) {
-          const reentryNYTime = formatNYTimeInternal(candle.closeTime);
-          console.log(`[${symbol}] ✅ Re-entry detected at ${reentryNYTime}: close=${candle.close.toFixed(4)} (inside range ${rangeLow.toFixed(4)}-${rangeHigh.toFixed(4)})`);
-          
-          // Use the first breakout (stored earlier) with this re-entry
-          const currentBreakoutTime = firstBreakoutTime;
-          const currentBreakoutPrice = firstBreakoutPrice;
-          const currentBreakoutDirection = firstBreakoutDirection;
-          const currentReentryTime = candle.closeTime;
-          const currentReentryPrice = candle.close;
-          const currentEntryPrice = currentReentryPrice; // Enter at re-entry price
-          reentriesDetected++;
-          
-          // IMPORTANT: Direction is determined by WHERE the re-entry comes from, not the breakout direction
-          // Re-entry from below (price was below range, now enters) → LONG
-          // Re-entry from above (price was above range, now enters) → SHORT
-          // Check where the re-entry candle came from (its low/high relative to range)
-          let reentryDirection = null;
-          
-          // Check if re-entry candle's low was below range (entering from below) → LONG
-          if (candle.low < rangeLow) {
-            reentryDirection = 'long';
-          }
-          // Check if re-entry candle's high was above range (entering from above) → SHORT
-          else if (candle.high > rangeHigh) {
-            reentryDirection = 'short';
-          }
-          // If re-entry candle doesn't show direction clearly, check previous candle
-          else {
-            const prevCandle = i > 0 ? candlesAfterRange[i - 1] : null;
-            if (prevCandle) {
-              // If previous candle was below range, re-entry is from below → LONG
-              if (prevCandle.close < rangeLow || prevCandle.low < rangeLow) {
-                reentryDirection = 'long';
-              }
-              // If previous candle was above range, re-entry is from above → SHORT
-              else if (prevCandle.close > rangeHigh || prevCandle.high > rangeHigh) {
-                reentryDirection = 'short';
-              }
-            }
-            
-            // Final fallback: use breakout price direction
-            if (!reentryDirection) {
-              if (currentBreakoutPrice > rangeHigh) {
-                // Broke out above, likely re-entry from above → SHORT
-                reentryDirection = 'short';
-              } else if (currentBreakoutPrice < rangeLow) {
-                // Broke out below, likely re-entry from below → LONG
-                reentryDirection = 'long';
-              } else {
-                // Should not happen, but fallback
-                reentryDirection = currentBreakoutDirection;
-              }
-            }
-          }
-          
-          const currentDirection = reentryDirection; // Use re-entry direction, not breakout direction
-          console.log(`[${symbol}] Re-entry detected (${reentryDirection.toUpperCase()} - from ${reentryDirection === 'long' ? 'below' : 'above'}): ${dateKey}, close=${candle.close.toFixed(4)}, entry=${currentEntryPrice.toFixed(4)}`);
-          
-          // Calculate stop loss: find lowest/highest price during breakout period (from first breakout to re-entry)
-          // For long (re-entry from bottom): use lowest price during breakout period
-          // For short (re-entry from top): use highest price during breakout period
-          let currentRisk = 0;
-          let currentStopLoss = 0;
-          
-          // Find all candles from first breakout to re-entry (inclusive)
-          const candlesDuringBreakout = candlesAfterRange.slice(firstBreakoutIndex, i + 1);
-          
-          // Calculate maximum allowed risk (1% of entry price)
-          const maxAllowedRisk = currentEntryPrice * 0.01; // 1% of entry price
-          
-          if (currentDirection === 'long') {
-            // For LONG: Find the lowest price (low) during the breakout period
-            let lowestPrice = candlesDuringBreakout[0].low;
-            for (const breakoutCandle of candlesDuringBreakout) {
-              if (breakoutCandle.low < lowestPrice) {
-                lowestPrice = breakoutCandle.low;
-              }
-            }
-            const calculatedRisk = currentEntryPrice - lowestPrice;
-            
-            // Cap risk at 1% if calculated risk exceeds it
-            if (calculatedRisk > maxAllowedRisk) {
-              currentRisk = maxAllowedRisk;
-              currentStopLoss = currentEntryPrice - currentRisk; // SL = Entry - 1% of Entry
-              console.log(`[${symbol}] LONG: Calculated risk ${(calculatedRisk / currentEntryPrice * 100).toFixed(2)}% exceeds 1%, capping at 1%. SL=${currentStopLoss.toFixed(4)}`);
-            } else {
-              currentRisk = calculatedRisk;
-              currentStopLoss = lowestPrice;
-              console.log(`[${symbol}] LONG: Lowest price during breakout period (from first breakout to re-entry): ${currentStopLoss.toFixed(4)}`);
-            }
-          } else {
-            // For SHORT: Find the highest price (high) during the breakout period
-            let highestPrice = candlesDuringBreakout[0].high;
-            for (const breakoutCandle of candlesDuringBreakout) {
-              if (breakoutCandle.high > highestPrice) {
-                highestPrice = breakoutCandle.high;
-              }
-            }
-            const calculatedRisk = highestPrice - currentEntryPrice;
-            
-            // Cap risk at 1% if calculated risk exceeds it
-            if (calculatedRisk > maxAllowedRisk) {
-              currentRisk = maxAllowedRisk;
-              currentStopLoss = currentEntryPrice + currentRisk; // SL = Entry + 1% of Entry
-              console.log(`[${symbol}] SHORT: Calculated risk ${(calculatedRisk / currentEntryPrice * 100).toFixed(2)}% exceeds 1%, capping at 1%. SL=${currentStopLoss.toFixed(4)}`);
-            } else {
-              currentRisk = calculatedRisk;
-              currentStopLoss = highestPrice;
-              console.log(`[${symbol}] SHORT: Highest price during breakout period (from first breakout to re-entry): ${currentStopLoss.toFixed(4)}`);
-            }
-          }
-          
-          // Calculate TP based on 1:2 risk ratio (TP = Entry ± 2% of Entry)
-          // Since risk is capped at 1%, TP will be 2% (1% * 2)
-          let currentTakeProfit = 0;
-          if (currentDirection === 'long') {
-            currentTakeProfit = currentEntryPrice + (currentRisk * 2); // TP = Entry + 2%
-          } else {
-            currentTakeProfit = currentEntryPrice - (currentRisk * 2); // TP = Entry - 2%
-          }
-          
-          console.log(`[${symbol}] Entry: ${currentEntryPrice.toFixed(4)}, SL: ${currentStopLoss.toFixed(4)} (${(currentRisk / currentEntryPrice * 100).toFixed(2)}%), TP: ${currentTakeProfit.toFixed(4)} (${(currentRisk * 2 / currentEntryPrice * 100).toFixed(2)}%)`);
-          
-          // Store this valid pair (first breakout with re-entry)
-          // Result will be determined as we iterate through subsequent candles
-          const newSignal = {
-            breakoutTime: currentBreakoutTime,
-            breakoutPrice: currentBreakoutPrice,
-            breakoutDirection: currentDirection,
-            reentryTime: currentReentryTime,
-            reentryPrice: currentReentryPrice,
-            entryPrice: currentEntryPrice,
-            stopLoss: currentStopLoss,
-            takeProfit: currentTakeProfit,
-            result: 'pending', // Will be updated when TP/SL is hit
-            breakoutCandle: firstBreakoutCandle,
-            reentryCandle: candle
-          };
-          
-          validBreakoutReentryPairs.push(newSignal);
-          console.log(`[${symbol}] ✅ Created signal for first breakout at ${formatNYTimeInternal(currentBreakoutTime)} → re-entry at ${reentryNYTime}, result: PENDING (waiting for TP/SL)`);
-          
-          // Mark position as open so we don't look for new breakouts until it closes
-          hasOpenPosition = true;
-          console.log(`[${symbol}] Position is OPEN (pending), will not detect new breakouts until it closes`);
-          
-          // Reset first breakout tracker - now we can look for the next first breakout
-          // (but only if position is closed, which is checked at the start of the loop)
-          firstBreakoutIndex = null;
-          firstBreakoutCandle = null;
-          firstBreakoutTime = null;
-          firstBreakoutPrice = null;
-          firstBreakoutDirection = null;
-        }
-      }
-      
-      // Log all valid pairs for debugging
-      if (validBreakoutReentryPairs.length > 0) {
-        console.log(`[${symbol}] Found ${validBreakoutReentryPairs.length} valid breakout/re-entry pairs:`);
-        validBreakoutReentryPairs.forEach((pair, idx) => {
-          console.log(`  [${idx + 1}] Breakout: ${formatNYTimeInternal(pair.breakoutTime)} (${pair.breakoutPrice.toFixed(4)}) → Re-entry: ${formatNYTimeInternal(pair.reentryTime)} (${pair.entryPrice.toFixed(4)}) [${pair.breakoutDirection.toUpperCase()}]`);
-        });
-      }
-      
-      // Track breakouts without re-entry: check if firstBreakout is still waiting after loop ends
-      if (firstBreakoutIndex !== null && firstBreakoutTime !== null) {
-        // Check if this breakout already has a re-entry in validBreakoutReentryPairs
-        const hasReentry = validBreakoutReentryPairs.some(pair => 
-          Math.abs(pair.breakoutTime.getTime() - firstBreakoutTime.getTime()) < 60000
-        );
-        
-        if (!hasReentry) {
-          // This breakout never got a re-entry, add it to breakoutsWithoutReentry
-          const breakoutWithoutReentry = {
-            symbol: symbol.replace('/USDT', ''),
-            rangeDate: dateKey,
-            rangeHigh,
-            rangeLow,
-            rangeCloseTime,
-            breakoutTime: firstBreakoutTime,
-            breakoutPrice: firstBreakoutPrice,
-            breakoutDirection: firstBreakoutDirection === 'long' ? 'below' : 'above', // Direction of breakout (above/below)
-            isAbove: firstBreakoutPrice > rangeHigh,
-            isBelow: firstBreakoutPrice < rangeLow
-          };
-          
-          // Get current price to show how far from range
-          try {
-            const currentPriceData = await getBinancePrice(symbol);
-            if (currentPriceData && currentPriceData.price) {
-              breakoutWithoutReentry.currentPrice = parseFloat(currentPriceData.price);
-            }
-          } catch (err) {
-            // If price fetch fails, continue without current price
-            console.warn(`[${symbol}] Could not fetch current price for breakout without re-entry`);
-          }
-          
-          // Store in a separate array (will be returned separately)
-          breakoutsWithoutReentry.push(breakoutWithoutReentry);
-          console.log(`[${symbol}] 🔶 Breakout without re-entry detected: ${formatNYTimeInternal(firstBreakoutTime)} (${firstBreakoutPrice.toFixed(4)})`);
-        }
-      }
-      
-      // Add ALL valid signals, not just one per day
-      // Sort by breakout time (chronological order)
-      if (validBreakoutReentryPairs.length > 0) {
-        validBreakoutReentryPairs.sort((a, b) => a.breakoutTime.getTime() - b.breakoutTime.getTime());
-        
-        console.log(`[${symbol}] Creating ${validBreakoutReentryPairs.length} signals for ${dateKey}:`);
-        
-        // Add each valid pair as a separate signal
-        for (const pair of validBreakoutReentryPairs) {
-        validSignals++;
-          console.log(`[${symbol}] ✅ Creating signal ${validSignals}:`);
-          console.log(`  - Breakout: ${formatNYTimeInternal(pair.breakoutTime)} (${pair.breakoutPrice.toFixed(4)})`);
-          console.log(`  - Re-entry: ${formatNYTimeInternal(pair.reentryTime)} (${pair.entryPrice.toFixed(4)})`);
-          console.log(`  - Direction: ${pair.breakoutDirection.toUpperCase()}`);
-          
-        signals.push({
-          symbol: symbol.replace('/USDT', ''),
-          rangeDate: dateKey,
-          rangeHigh,
-          rangeLow,
-          rangeCloseTime,
-            breakoutTime: pair.breakoutTime,
-            breakoutPrice: pair.breakoutPrice,
-            breakoutDirection: pair.breakoutDirection,
-            reentryTime: pair.reentryTime,
-            reentryPrice: pair.reentryPrice,
-            entryPrice: pair.entryPrice,
-            stopLoss: pair.stopLoss,
-            takeProfit: pair.takeProfit,
-            result: pair.result || 'pending', // 'win', 'loss', or 'pending'
-            closeTime: pair.closeTime || null // Time when position closed (if win/loss)
+    // Get current price to show how far breakouts without re-entry are from the range
+    if (result.breakoutsWithoutReentry.length > 0) {
+      try {
+        const currentPriceData = await getBinancePrice(symbol);
+        if (currentPriceData && currentPriceData.price) {
+          result.breakoutsWithoutReentry.forEach(breakout => {
+            breakout.currentPrice = parseFloat(currentPriceData.price);
           });
         }
-      } else {
-        // No valid pairs found for this day
-        console.log(`[${symbol}] ❌ No valid signals created for ${dateKey}:`);
-        console.log(`  - Found ${validBreakoutReentryPairs.length} valid pairs`);
-        
-        if (potentialBreakouts.length === 0) {
-          console.log(`[${symbol}] No breakouts detected for ${dateKey}, rangeHigh=${rangeHigh.toFixed(4)}, rangeLow=${rangeLow.toFixed(4)}`);
-        } else if (validBreakoutReentryPairs.length === 0) {
-          console.log(`[${symbol}] ${potentialBreakouts.length} breakouts found but no re-entries for ${dateKey}`);
-          
-          // Also check if firstBreakout exists and hasn't been added yet
-          if (firstBreakoutIndex !== null && firstBreakoutTime !== null) {
-            const breakoutWithoutReentry = {
-              symbol: symbol.replace('/USDT', ''),
-              rangeDate: dateKey,
-              rangeHigh,
-              rangeLow,
-              rangeCloseTime,
-              breakoutTime: firstBreakoutTime,
-              breakoutPrice: firstBreakoutPrice,
-              breakoutDirection: firstBreakoutDirection === 'long' ? 'below' : 'above',
-              isAbove: firstBreakoutPrice > rangeHigh,
-              isBelow: firstBreakoutPrice < rangeLow
-            };
-            
-            try {
-              const currentPriceData = await getBinancePrice(symbol);
-              if (currentPriceData && currentPriceData.price) {
-                breakoutWithoutReentry.currentPrice = parseFloat(currentPriceData.price);
-              }
-            } catch (err) {
-              console.warn(`[${symbol}] Could not fetch current price for breakout without re-entry`);
-            }
-            
-            breakoutsWithoutReentry.push(breakoutWithoutReentry);
-          }
-        }
-      }
-    }
-    
-    console.log(`[${symbol}] Summary: ${breakoutsDetected} breakouts, ${reentriesDetected} re-entries, ${validSignals} valid signals`);
-    
-    // Check pending positions across subsequent days to see if they closed
-    const pendingSignals = signals.filter(s => s.result === 'pending');
-    if (pendingSignals.length > 0) {
-      console.log(`[${symbol}] Found ${pendingSignals.length} pending positions, checking subsequent days...`);
-      
-      for (const pendingSignal of pendingSignals) {
-        // Fetch additional 5-minute candles from re-entry time onwards to check for TP/SL
-        // Fetch up to 7 more days of data (enough to cover subsequent days)
-        const additionalCandles = await fetch5MinKlines(
-          symbol,
-          2000, // ~7 days of 5-minute candles (2000 candles = ~7 days * 12 candles/hour * 24 hours)
-          pendingSignal.reentryTime.getTime() // Start from re-entry time
-        );
-        
-        if (!additionalCandles || additionalCandles.length === 0) {
-          continue;
-        }
-        
-        // Find the re-entry candle index in the additional candles
-        let reentryIndex = -1;
-        for (let j = 0; j < additionalCandles.length; j++) {
-          if (Math.abs(additionalCandles[j].closeTime.getTime() - pendingSignal.reentryTime.getTime()) < 60000) { // Within 1 minute
-            reentryIndex = j;
-            break;
-          }
-        }
-        
-        if (reentryIndex === -1) {
-          // Couldn't find re-entry candle, skip
-          continue;
-        }
-        
-        // Check candles after re-entry for TP/SL
-        const candlesAfterReentry = additionalCandles.slice(reentryIndex + 1);
-        const direction = pendingSignal.breakoutDirection;
-        const stopLoss = pendingSignal.stopLoss;
-        const takeProfit = pendingSignal.takeProfit;
-        
-        for (const checkCandle of candlesAfterReentry) {
-          // Check if stop loss was hit first
-          if (direction === 'long' && checkCandle.low <= stopLoss) {
-            pendingSignal.result = 'loss';
-            pendingSignal.closeTime = checkCandle.closeTime; // Store close time
-            console.log(`[${symbol}] ✅ Pending position CLOSED (LOSS) - SL hit: ${formatNYTimeInternal(checkCandle.closeTime)}, low=${checkCandle.low.toFixed(4)} <= SL=${stopLoss.toFixed(4)}`);
-            break;
-          } else if (direction === 'short' && checkCandle.high >= stopLoss) {
-            pendingSignal.result = 'loss';
-            pendingSignal.closeTime = checkCandle.closeTime; // Store close time
-            console.log(`[${symbol}] ✅ Pending position CLOSED (LOSS) - SL hit: ${formatNYTimeInternal(checkCandle.closeTime)}, high=${checkCandle.high.toFixed(4)} >= SL=${stopLoss.toFixed(4)}`);
-            break;
-          }
-          
-          // Check if take profit was hit
-          if (direction === 'long' && checkCandle.high >= takeProfit) {
-            pendingSignal.result = 'win';
-            pendingSignal.closeTime = checkCandle.closeTime; // Store close time
-            console.log(`[${symbol}] ✅ Pending position CLOSED (WIN) - TP hit: ${formatNYTimeInternal(checkCandle.closeTime)}, high=${checkCandle.high.toFixed(4)} >= TP=${takeProfit.toFixed(4)}`);
-            break;
-          } else if (direction === 'short' && checkCandle.low <= takeProfit) {
-            pendingSignal.result = 'win';
-            pendingSignal.closeTime = checkCandle.closeTime; // Store close time
-            console.log(`[${symbol}] ✅ Pending position CLOSED (WIN) - TP hit: ${formatNYTimeInternal(checkCandle.closeTime)}, low=${checkCandle.low.toFixed(4)} <= TP=${takeProfit.toFixed(4)}`);
-            break;
-          }
-        }
+      } catch (err) {
+        // If price fetch fails, continue without current price
+        console.warn(`[${symbol}] Could not fetch current price for breakout without re-entry`);
       }
-      
-      // Count updated signals
-      const updatedSignals = signals.filter(s => s.result !== 'pending').length;
-      const stillPending = signals.filter(s => s.result === 'pending').length;
-      console.log(`[${symbol}] After checking subsequent days: ${updatedSignals} positions closed, ${stillPending} still pending`);
     }
     
     // Return both signals and breakouts without re-entry
-    return {
-      signals: signals,
-      breakoutsWithoutReentry: breakoutsWithoutReentry
-    };
+    return result;
   } catch (error) {
     console.error(`Error detecting breakout signals for ${symbol}:`, error);
     throw error;
   }
 };
 
+/**
+ * Set currentPrice on pending signals (open positions) so distance calculations use the live price
+ * One price request per symbol, a few symbols at a time. Failures leave currentPrice unset and
+ * App.js falls back to the entry price (CORS blocks this in some browsers).
+ * @param {Array<Object>} signals - Pending signals (updated in place)
+ * @param {number} concurrency - Symbols fetched at once
+ * @returns {Promise<void>}
+ */
+const updatePendingSignalPrices = async (signals, concurrency = DEFAULT_FETCH_CONCURRENCY) => {
+  const symbolNames = [...new Set(signals.map(signal => signal.symbol))];
+  
+  await mapWithConcurrency(symbolNames, concurrency, async (symbolName) => {
+    try {
+      // Ensure symbol has proper format (e.g., "PEPE" -> "PEPE/USDT")
+      const currentPriceData = await getBinancePrice(toTradingPair(symbolName));
+      if (currentPriceData && currentPriceData.price) {
+        const currentPrice = parseFloat(currentPriceData.price);
+        signals.filter(signal => signal.symbol === symbolName).forEach(signal => {
+          signal.currentPrice = currentPrice;
+        });
+        console.log(`[Price Update] Updated ${symbolName} current price: ${currentPrice}`);
+      }
+    } catch (err) {
+      // If CORS error, silently fail and use entryPrice as fallback (already handled in App.js)
+      if (err.message === 'CORS_ERROR') {
+        console.warn(`[${symbolName}] CORS blocked - will use entryPrice for distance calculation`);
+      } else {
+        console.warn(`[${symbolName}] Could not fetch current price for pending signal:`, err.message || err);
+      }
+      // Continue with other symbols even if one fails
+    }
+  });
+};
+
+/**
+ * Earliest range close among a symbol's cached open signals in a session
+ * @param {Array<Object>} signals - Cached signals
+ * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+ * @param {Object} session - Session definition
+ * @returns {number|null} Range close time in milliseconds, or null without open signals
+ */
+const getPendingRangeCloseTime = (signals, symbol, session) => {
+  const symbolName = toDisplaySymbol(symbol);
+  const closeTimes = (signals || [])
+    .filter(signal => signal.symbol === symbolName && (signal.session || DEFAULT_SESSION.id) === session.id)
+    .filter(signal => signal.result !== 'win' && signal.result !== 'loss' && signal.rangeCloseTime)
+    .map(signal => new Date(signal.rangeCloseTime).getTime());
+  return closeTimes.length > 0 ? Math.min(...closeTimes) : null;
+};
 
 /**
  * Fetch breakout signals for multiple symbols (with caching)
@@ -1990,17 +1563,30 @@ export const detectBreakoutSignals = async (symbol, days = 3, sinceDate = null)
  * @param {Array<string>} symbols - Array of trading pairs
  * @param {number} days - Number of days to analyze (default: 3)
  * @param {boolean} forceRefresh - Force refresh from API (skip cache)
- * @returns {Promise<Object>} Object with { signals, breakoutsWithoutReentry }
+ * @param {Array<Object>} sessions - Session definitions to run side by side (default: Asia 11:00 UTC+7)
+ * @param {Object} riskProfilesBySymbol - Map of symbol -> risk profile (unlisted symbols use the default profile)
+ * @param {string} intrabarPolicy - Fallback for ambiguous candles without usable 1m data (default: pessimistic)
+ * @param {Object} options - { concurrency (symbols fetched at once, default: DEFAULT_FETCH_CONCURRENCY),
+ *   onProgress ({ symbol, index, completed, total, result, error }) called as each symbol finishes - result is its new
+ *   { signals, breakoutsWithoutReentry } across all sessions, error the message of a failed session (null if none),
+ *   retrySymbols (refetch only these from scratch and merge them into the cached results) }
+ * @returns {Promise<Object>} Object with { signals, breakoutsWithoutReentry } - only the retried symbols' on a retry
  */
 export const fetchMultipleBreakoutSignals = async (
-  symbols = ['BTC/USDT', 'BNB/USDT', 'ETH/USDT', 'XRP/USDT', 'SOL/USDT', 'SUI/USDT', 'DOGE/USDT', 'ADA/USDT', 'ASTER/USDT', 'PEPE/USDT', 'ENA/USDT', 'LINK/USDT', 'TAO/USDT', 'PUMP/USDT'],
+  symbols = DEFAULT_SYMBOLS,
   days = 3,
-  forceRefresh = false
+  forceRefresh = false,
+  sessions = [DEFAULT_SESSION],
+  riskProfilesBySymbol = {},
+  intrabarPolicy = DEFAULT_STRATEGY_CONFIG.intrabarPolicy,
+  options = {}
 ) => {
-  // Ensure symbols match the same order as other features
-  // BTC BNB ETH XRP SOL SUI DOGE ADA ASTER PEPE ENA LINK TAO PUMP
+  const { concurrency = DEFAULT_FETCH_CONCURRENCY, onProgress = null, retrySymbols = [] } = options;
+  const isRetry = retrySymbols.length > 0;
+  const retriedNames = new Set(retrySymbols.map(toDisplaySymbol));
   try {
-    const cacheKey = `breakout_signals_${symbols.join('_')}_${days}`;
+    const riskSignature = getRiskProfilesSignature(riskProfilesBySymbol);
+    const cacheKey = `breakout_signals_${symbols.join('_')}_${days}_${getSessionsSignature(sessions)}${riskSignature ? `_${riskSignature}` : ''}${intrabarPolicy !== DEFAULT_STRATEGY_CONFIG.intrabarPolicy ? `_${intrabarPolicy}` : ''}`;
     
     // Check cache first (unless force refresh)
     let cachedData = null;
@@ -2023,7 +1609,7 @@ export const fetchMultipleBreakoutSignals = async (
           // Check if a new 5-minute candle should be available (since breakouts use 5m candles)
           const needsUpdate = hasNewCandleAvailable(latestCachedReentryTime, '5m');
           
-          if (!needsUpdate) {
+          if (!needsUpdate && !isRetry) {
             // No new candle available, return cached data
             console.log(`[Cache] Using cached breakout signals - latest reentry: ${latestCachedReentryTime.toISOString()}, new 5m candle not yet available`);
             return cachedData;
@@ -2053,40 +1639,68 @@ export const fetchMultipleBreakoutSignals = async (
       }
     }
     
-    const allSignals = [];
-    const allBreakoutsWithoutReentry = [];
-    
-    // Fetch signals for each symbol (incremental fetching if cache exists and not force refresh)
-    for (const symbol of symbols) {
-      try {
-        // Use incremental fetching if we have cached data and not force refresh
-        const sinceDate = (forceRefresh || !lastReentryTime) ? null : new Date(lastReentryTime);
-        const result = await detectBreakoutSignals(symbol, days, sinceDate);
-        // result is an object with { signals, breakoutsWithoutReentry }
-        const signals = Array.isArray(result) ? [] : (result.signals || []);
-        const breakouts = Array.isArray(result) ? [] : (result.breakoutsWithoutReentry || []);
-        allSignals.push(...signals);
-        allBreakoutsWithoutReentry.push(...breakouts);
-        
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 300));
-      } catch (error) {
-        console.error(`Error fetching breakout signals for ${symbol}:`, error);
-        // Continue with other symbols even if one fails
-      }
+    // Retried symbols are fetched from scratch and replace whatever the cache held for them
+    if (isRetry && cachedData) {
+      cachedData = {
+        ...cachedData,
+        signals: (cachedData.signals || []).filter(signal => !retriedNames.has(signal.symbol)),
+        breakoutsWithoutReentry: (cachedData.breakoutsWithoutReentry || []).filter(breakout => !retriedNames.has(breakout.symbol))
+      };
     }
+    const symbolsToFetch = isRetry ? symbols.filter(symbol => retrySymbols.includes(symbol)) : symbols;
+    
+    // Fetch signals for each symbol and session (incremental fetching if cache exists and not force refresh)
+    // Symbols run concurrently; one symbol's sessions run in turn so later sessions reuse the 5m candles
+    // the first one stored
+    // A failing session or symbol never fails the others; its error is reported through onProgress
+    let completed = 0;
+    const resultsBySymbol = await mapWithConcurrency(symbolsToFetch, concurrency, async (symbol, index) => {
+      const symbolResult = { signals: [], breakoutsWithoutReentry: [] };
+      let errorMessage = null;
+      for (const session of sessions) {
+        try {
+          // Use incremental fetching if we have cached data and not force refresh; the ranges of cached open
+          // signals are scanned again so they follow the new candles to TP/SL
+          let sinceTime = (forceRefresh || isRetry || !lastReentryTime) ? null : lastReentryTime;
+          const pendingRangeClose = sinceTime ? getPendingRangeCloseTime(cachedData.signals, symbol, session) : null;
+          if (pendingRangeClose !== null && pendingRangeClose < sinceTime) {
+            console.log(`[${symbol}][${session.id}] Rescanning from ${new Date(pendingRangeClose).toISOString()} to follow open signals`);
+            sinceTime = pendingRangeClose;
+          }
+          const sinceDate = sinceTime ? new Date(sinceTime) : null;
+          const result = await detectBreakoutSignals(symbol, days, sinceDate, session, riskProfilesBySymbol[symbol] || DEFAULT_RISK_PROFILE, intrabarPolicy);
+          // result is an object with { signals, breakoutsWithoutReentry }
+          const signals = Array.isArray(result) ? [] : (result.signals || []);
+          const breakouts = Array.isArray(result) ? [] : (result.breakoutsWithoutReentry || []);
+          symbolResult.signals.push(...signals);
+          symbolResult.breakoutsWithoutReentry.push(...breakouts);
+        } catch (error) {
+          console.error(`Error fetching breakout signals for ${symbol} (${session.name}):`, error);
+          errorMessage = errorMessage || `${session.name}: ${error.message || error}`;
+          // Continue with other symbols/sessions even if one fails
+        }
+      }
+      completed++;
+      if (onProgress) {
+        onProgress({ symbol, index, completed, total: symbolsToFetch.length, result: symbolResult, error: errorMessage });
+      }
+      return symbolResult;
+    });
+    const allSignals = resultsBySymbol.flatMap(result => result.signals);
+    const allBreakoutsWithoutReentry = resultsBySymbol.flatMap(result => result.breakoutsWithoutReentry);
     
     // Merge cached data with new signals
+    // New copies come first so they win the dedup below (a rescanned open signal replaces its cached copy)
     let mergedSignals;
     let mergedBreakouts;
     
     if (cachedData && !forceRefresh) {
-      mergedSignals = [...(cachedData.signals || []), ...allSignals];
-      mergedBreakouts = [...(cachedData.breakoutsWithoutReentry || []), ...allBreakoutsWithoutReentry];
+      mergedSignals = [...allSignals, ...(cachedData.signals || [])];
+      mergedBreakouts = [...allBreakoutsWithoutReentry, ...(cachedData.breakoutsWithoutReentry || [])];
     } else if (cachedData && forceRefresh && (allSignals.length > 0 || allBreakoutsWithoutReentry.length > 0)) {
       // On force refresh with new data, merge to preserve history
-      mergedSignals = [...(cachedData.signals || []), ...allSignals];
-      mergedBreakouts = [...(cachedData.breakoutsWithoutReentry || []), ...allBreakoutsWithoutReentry];
+      mergedSignals = [...allSignals, ...(cachedData.signals || [])];
+      mergedBreakouts = [...allBreakoutsWithoutReentry, ...(cachedData.breakoutsWithoutReentry || [])];
     } else {
       mergedSignals = allSignals;
       mergedBreakouts = allBreakoutsWithoutReentry;
@@ -2115,22 +1729,23 @@ export const fetchMultipleBreakoutSignals = async (
       b.breakoutTime.getTime() - a.breakoutTime.getTime()
     );
     
-    // Remove duplicates from signals (same symbol, same re-entry time)
+    // Remove duplicates from signals (same symbol, same session, same re-entry time) - the sort is stable,
+    // so the first copy kept is the newest
     const uniqueSignals = [];
     const seenSignals = new Set();
     for (const signal of normalizedSignalsForSort) {
-      const key = `${signal.symbol}_${signal.reentryTime.getTime()}_${signal.breakoutTime?.getTime() || ''}`;
+      const key = `${signal.symbol}_${signal.session || DEFAULT_SESSION.id}_${signal.reentryTime.getTime()}_${signal.breakoutTime?.getTime() || ''}`;
       if (!seenSignals.has(key)) {
         seenSignals.add(key);
         uniqueSignals.push(signal);
       }
     }
     
-    // Remove duplicates from breakouts (same symbol, same breakout time)
+    // Remove duplicates from breakouts (same symbol, same session, same breakout time)
     const uniqueBreakouts = [];
     const seenBreakouts = new Set();
     for (const breakout of normalizedBreakoutsForSort) {
-      const key = `${breakout.symbol}_${breakout.breakoutTime.getTime()}`;
+      const key = `${breakout.symbol}_${breakout.session || DEFAULT_SESSION.id}_${breakout.breakoutTime.getTime()}`;
       if (!seenBreakouts.has(key)) {
         seenBreakouts.add(key);
         uniqueBreakouts.push(breakout);
@@ -2142,31 +1757,25 @@ export const fetchMultipleBreakoutSignals = async (
     const pendingSignals = uniqueSignals.filter(s => s.result === 'pending' || !s.result || s.result === undefined || (s.result !== 'win' && s.result !== 'loss'));
     if (pendingSignals.length > 0) {
       console.log(`[Price Update] Fetching current prices for ${pendingSignals.length} pending signals...`);
-      for (const signal of pendingSignals) {
-        try {
-          // Ensure symbol has proper format (e.g., "PEPE/USDT")
-          const symbolForPrice = signal.symbol && signal.symbol.includes('/') ? signal.symbol : `${signal.symbol}/USDT`;
-          const currentPriceData = await getBinancePrice(symbolForPrice);
-          if (currentPriceData && currentPriceData.price) {
-            signal.currentPrice = parseFloat(currentPriceData.price);
-            console.log(`[Price Update] Updated ${signal.symbol} current price: ${signal.currentPrice}`);
-          }
-        } catch (err) {
-          // If CORS error, silently fail and use entryPrice as fallback (already handled in App.js)
-          if (err.message === 'CORS_ERROR') {
-            console.warn(`[${signal.symbol}] CORS blocked - will use entryPrice for distance calculation`);
-          } else {
-            console.warn(`[${signal.symbol}] Could not fetch current price for pending signal:`, err.message || err);
-          }
-          // Continue with other signals even if one fails
-        }
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 100));
+      await updatePendingSignalPrices(pendingSignals, concurrency);
+    }
+    
+    const result = { signals: uniqueSignals, breakoutsWithoutReentry: uniqueBreakouts };
+    
+    // A retry hands back only the retried symbols. Their results are merged into the cached ones, but without
+    // a cache entry (expired) they are not cached on their own: they would stand in for every symbol's data.
+    if (isRetry) {
+      if (cachedData) {
+        CacheUtils.set(cacheKey, result, 60 * 60 * 1000);
       }
+      console.log(`[Cache] Retried ${retrySymbols.join(', ')}: ${allSignals.length} signals, ${allBreakoutsWithoutReentry.length} breakouts${cachedData ? ', merged with cached data' : ', not cached (no cached data for the other symbols)'}`);
+      return {
+        signals: uniqueSignals.filter(signal => retriedNames.has(signal.symbol)),
+        breakoutsWithoutReentry: uniqueBreakouts.filter(breakout => retriedNames.has(breakout.symbol))
+      };
     }
     
     // Cache the merged results (1 hour expiry)
-    const result = { signals: uniqueSignals, breakoutsWithoutReentry: uniqueBreakouts };
     CacheUtils.set(cacheKey, result, 60 * 60 * 1000);
     
     if (cachedData && (allSignals.length > 0 || allBreakoutsWithoutReentry.length > 0)) {
@@ -2177,27 +1786,7 @@ export const fetchMultipleBreakoutSignals = async (
       const cachedPendingSignals = (cachedData.signals || []).filter(s => s.result === 'pending' || !s.result || s.result === undefined || (s.result !== 'win' && s.result !== 'loss'));
       if (cachedPendingSignals.length > 0) {
         console.log(`[Price Update] Fetching current prices for ${cachedPendingSignals.length} cached pending signals...`);
-        for (const signal of cachedPendingSignals) {
-          try {
-            // Ensure symbol has proper format (e.g., "PEPE/USDT")
-            const symbolForPrice = signal.symbol && signal.symbol.includes('/') ? signal.symbol : `${signal.symbol}/USDT`;
-            const currentPriceData = await getBinancePrice(symbolForPrice);
-            if (currentPriceData && currentPriceData.price) {
-              signal.currentPrice = parseFloat(currentPriceData.price);
-              console.log(`[Price Update] Updated ${signal.symbol} current price: ${signal.currentPrice}`);
-            }
-          } catch (err) {
-            // If CORS error, silently fail and use entryPrice as fallback (already handled in App.js)
-            if (err.message === 'CORS_ERROR') {
-              console.warn(`[${signal.symbol}] CORS blocked - will use entryPrice for distance calculation`);
-            } else {
-              console.warn(`[${signal.symbol}] Could not fetch current price for cached pending signal:`, err.message || err);
-            }
-            // Continue with other signals even if one fails
-          }
-          // Small delay to avoid rate limiting
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
+        await updatePendingSignalPrices(cachedPendingSignals, concurrency);
       }
       console.log(`[Cache] No new data found, using cached data: ${cachedData.signals?.length || 0} signals, ${cachedData.breakoutsWithoutReentry?.length || 0} breakouts`);
       return cachedData;
@@ -2217,15 +1806,21 @@ export const fetchMultipleBreakoutSignals = async (
  * @param {Array<string>} symbols - Array of trading pairs
  * @param {number} days - Number of days to analyze (default: 3)
  * @param {boolean} forceRefresh - Force refresh from API (skip cache)
+ * @param {Array<Object>} sessions - Session definitions to run side by side (default: Asia 11:00 UTC+7)
+ * @param {Object} options - { concurrency (symbols fetched at once, default: DEFAULT_FETCH_CONCURRENCY),
+ *   onProgress ({ symbol, index, completed, total, result }) called as each symbol finishes - result is its new breakouts }
  * @returns {Promise<Array>} Array of breakouts without re-entry
  */
 export const fetchBreakoutsWithoutReentry = async (
-  symbols = ['BTC/USDT', 'BNB/USDT', 'ETH/USDT', 'XRP/USDT', 'SOL/USDT', 'SUI/USDT', 'DOGE/USDT', 'ADA/USDT', 'ASTER/USDT', 'PEPE/USDT', 'ENA/USDT', 'LINK/USDT', 'TAO/USDT', 'PUMP/USDT'],
+  symbols = DEFAULT_SYMBOLS,
   days = 3,
-  forceRefresh = false
+  forceRefresh = false,
+  sessions = [DEFAULT_SESSION],
+  options = {}
 ) => {
+  const { concurrency = DEFAULT_FETCH_CONCURRENCY, onProgress = null } = options;
   try {
-    const cacheKey = `breakouts_without_reentry_${symbols.join('_')}_${days}`;
+    const cacheKey = `breakouts_without_reentry_${symbols.join('_')}_${days}_${getSessionsSignature(sessions)}`;
     
     // Always check cache to find last timestamp (even on force refresh)
     // This allows incremental fetching even when user clicks refresh
@@ -2248,7 +1843,7 @@ export const fetchBreakoutsWithoutReentry = async (
       if (!forceRefresh && !needsUpdate) {
         // No new candle available, return cached data (after filtering for last 24 hours)
         // Still need to filter to last 24 hours even when using cache
-        const now = new Date();
+        const now = clock.date();
         const last24Hours = now.getTime() - (24 * 60 * 60 * 1000);
         const breakoutsLast24Hours = cachedData.filter(breakout => {
           const breakoutTime = breakout.breakoutTime instanceof Date ? breakout.breakoutTime : new Date(breakout.breakoutTime);
@@ -2275,24 +1870,29 @@ export const fetchBreakoutsWithoutReentry = async (
       }
     }
     
-    const allBreakouts = [];
-    
-    // Fetch breakouts for each symbol (only new ones since last cache if cached exists)
-    for (const symbol of symbols) {
-      try {
-        const sinceDate = lastBreakoutTime ? new Date(lastBreakoutTime) : null;
-        const result = await detectBreakoutSignals(symbol, days, sinceDate);
-        // result is now an object with { signals, breakoutsWithoutReentry }
-        const breakouts = Array.isArray(result) ? [] : (result.breakoutsWithoutReentry || []);
-        allBreakouts.push(...breakouts);
-        
-        // Small delay to avoid rate limiting
-        await new Promise(resolve => setTimeout(resolve, 300));
-      } catch (error) {
-        console.error(`Error fetching breakouts without re-entry for ${symbol}:`, error);
-        // Continue with other symbols even if one fails
+    // Fetch breakouts for each symbol and session (only new ones since last cache if cached exists)
+    let completed = 0;
+    const breakoutsBySymbol = await mapWithConcurrency(symbols, concurrency, async (symbol, index) => {
+      const symbolBreakouts = [];
+      for (const session of sessions) {
+        try {
+          const sinceDate = lastBreakoutTime ? new Date(lastBreakoutTime) : null;
+          const result = await detectBreakoutSignals(symbol, days, sinceDate, session);
+          // result is now an object with { signals, breakoutsWithoutReentry }
+          const breakouts = Array.isArray(result) ? [] : (result.breakoutsWithoutReentry || []);
+          symbolBreakouts.push(...breakouts);
+        } catch (error) {
+          console.error(`Error fetching breakouts without re-entry for ${symbol} (${session.name}):`, error);
+          // Continue with other symbols/sessions even if one fails
+        }
       }
-    }
+      completed++;
+      if (onProgress) {
+        onProgress({ symbol, index, completed, total: symbols.length, result: symbolBreakouts });
+      }
+      return symbolBreakouts;
+    });
+    const allBreakouts = breakoutsBySymbol.flat();
     
     // Merge cached data with new breakouts (only if not force refresh or if we have new breakouts)
     let mergedBreakouts;
@@ -2312,7 +1912,7 @@ export const fetchBreakoutsWithoutReentry = async (
     }));
     
     // Filter to last 24 hours only
-    const now = new Date();
+    const now = clock.date();
     const last24Hours = now.getTime() - (24 * 60 * 60 * 1000); // 24 hours ago
     const breakoutsLast24Hours = normalizedBreakouts.filter(breakout => 
       breakout.breakoutTime.getTime() >= last24Hours
@@ -2327,7 +1927,7 @@ export const fetchBreakoutsWithoutReentry = async (
     const uniqueBreakouts = [];
     const seen = new Set();
     for (const breakout of breakoutsLast24Hours) {
-      const key = `${breakout.symbol}_${breakout.breakoutTime.getTime()}_${breakout.rangeDate}`;
+      const key = `${breakout.symbol}_${breakout.session || DEFAULT_SESSION.id}_${breakout.breakoutTime.getTime()}_${breakout.rangeDate}`;
       if (!seen.has(key)) {
         seen.add(key);
         uniqueBreakouts.push(breakout);
@@ -2342,7 +1942,7 @@ export const fetchBreakoutsWithoutReentry = async (
     } else if (cachedData && allBreakouts.length === 0) {
       // No new breakouts found, but we already checked if new candle is available
       // Filter cached data for last 24 hours and return
-      const now = new Date();
+      const now = clock.date();
       const last24Hours = now.getTime() - (24 * 60 * 60 * 1000);
       const breakoutsLast24Hours = cachedData.filter(breakout => {
         const breakoutTime = breakout.breakoutTime instanceof Date ? breakout.breakoutTime : new Date(breakout.breakoutTime);
@@ -2376,8 +1976,10 @@ export default {
   getBinancePrice,
   getBinance24hrTicker,
   getBinanceExchangeInfo,
+  fetchSymbolTickSizes,
   formatKlinesData,
   calculateRSI,
+  buildRSIResult,
   fetchRSIFromBinance,
   fetchMultipleRSI,
   fetchHistoricalRSI,
@@ -2385,6 +1987,10 @@ export default {
   fetch15MinKlines,
   detectTrend,
   calculateTrendLinePoints,
+  fetchKlinesByInterval,
+  fetchKlinesRange,
+  fetchIntrabarCandles,
+  detectBreakoutsWithIntrabar,
   fetch4HourKlines,
   formatNYTime,
   detectBreakoutSignals,
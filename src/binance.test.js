@@ -0,0 +1,167 @@
+// Binance tests
+// Per-symbol retries: the retried symbols are merged into the cached results, and never cached on their own
+// once the cache entry has expired. Symbols that failed when a result was cached are fetched again on a cache hit,
+// so their errors are reported. Candle ranges: gaps Binance has no candles for are fetched once.
+import { fetchMultipleRSI, fetchOversoldHistory, fetchMultipleBreakoutSignals, fetchKlinesRange } from './binance';
+import { clock } from './clock';
+import { createMockMarket } from '../mock-server/marketData.mjs';
+import { response, jsonResponse, createMarketFetch } from './testing/fetchMocks';
+
+const SYMBOLS = ['BTC/USDT', 'ETH/USDT'];
+const RETRY = { retrySymbols: ['ETH/USDT'] };
+
+const cachedKeys = (prefix) => Object.keys(localStorage).filter(key => key.startsWith(`crypto_signal_cache_${prefix}`));
+const symbolsOf = (rows) => Array.from(new Set(rows.map(row => row.symbol))).sort();
+
+describe('per-symbol retries', () => {
+  beforeEach(() => {
+    clock.setFixedTime(Date.UTC(2026, 0, 8, 10, 2));
+    global.fetch = createMarketFetch(createMockMarket({ historyDays: 5, now: () => clock.now() }));
+    localStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+    clock.reset();
+  });
+
+  test('an RSI retry without a cache entry returns the retried rows and caches nothing', async () => {
+    const rows = await fetchMultipleRSI(SYMBOLS, 14, 14, false, RETRY);
+
+    expect(symbolsOf(rows)).toEqual(['ETH/USDT']);
+    expect(cachedKeys('rsi_multiple')).toEqual([]);
+  });
+
+  test('an RSI retry is merged into the cached rows', async () => {
+    await fetchMultipleRSI(SYMBOLS, 14, 14, true);
+    const rows = await fetchMultipleRSI(SYMBOLS, 14, 14, false, RETRY);
+
+    expect(symbolsOf(rows)).toEqual(['ETH/USDT']);
+    const requests = global.fetch.mock.calls.length;
+    expect(symbolsOf(await fetchMultipleRSI(SYMBOLS))).toEqual(SYMBOLS);
+    expect(global.fetch).toHaveBeenCalledTimes(requests);
+  });
+
+  test('a breakout retry without a cache entry returns the retried symbol and caches nothing', async () => {
+    const results = await fetchMultipleBreakoutSignals(SYMBOLS, 3, false, undefined, {}, undefined, RETRY);
+
+    expect(symbolsOf([...results.signals, ...results.breakoutsWithoutReentry])).toEqual(['ETH']);
+    expect(cachedKeys('breakout_signals')).toEqual([]);
+  });
+
+  test('a breakout retry is merged into the cached results', async () => {
+    await fetchMultipleBreakoutSignals(SYMBOLS, 3, true);
+    const results = await fetchMultipleBreakoutSignals(SYMBOLS, 3, false, undefined, {}, undefined, RETRY);
+
+    expect(symbolsOf([...results.signals, ...results.breakoutsWithoutReentry])).toEqual(['ETH']);
+    const [cacheKey] = cachedKeys('breakout_signals');
+    const cached = JSON.parse(localStorage.getItem(cacheKey)).data;
+    expect(symbolsOf([...cached.signals, ...cached.breakoutsWithoutReentry])).toEqual(['BTC', 'ETH']);
+  });
+});
+
+describe('symbols that failed when the result was cached', () => {
+  let ethDown;
+
+  beforeEach(() => {
+    clock.setFixedTime(Date.UTC(2026, 0, 8, 10, 2));
+    const marketFetch = createMarketFetch(createMockMarket({ historyDays: 5, now: () => clock.now() }));
+    ethDown = true;
+    global.fetch = jest.fn(async (url) => (ethDown && url.includes('symbol=ETHUSDT') ? response(400) : marketFetch(url)));
+    localStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+    clock.reset();
+  });
+
+  // Errors reported through onProgress, by symbol
+  const scanErrors = async (scan) => {
+    const errors = [];
+    const result = await scan({ onProgress: ({ symbol, error }) => error && errors.push(symbol) });
+    return { result, errors };
+  };
+
+  test('cached RSI rows report the failed symbol again until it loads', async () => {
+    const first = await scanErrors(options => fetchMultipleRSI(SYMBOLS, 14, 14, false, options));
+    expect(symbolsOf(first.result)).toEqual(['BTC/USDT']);
+    expect(first.errors).toEqual(['ETH/USDT']);
+
+    const stillDown = await scanErrors(options => fetchMultipleRSI(SYMBOLS, 14, 14, false, options));
+    expect(symbolsOf(stillDown.result)).toEqual(['BTC/USDT']);
+    expect(stillDown.errors).toEqual(['ETH/USDT']);
+
+    ethDown = false;
+    global.fetch.mockClear();
+    const recovered = await scanErrors(options => fetchMultipleRSI(SYMBOLS, 14, 14, false, options));
+    expect(symbolsOf(recovered.result)).toEqual(SYMBOLS);
+    expect(recovered.errors).toEqual([]);
+    expect(global.fetch.mock.calls.every(([url]) => url.includes('symbol=ETHUSDT'))).toBe(true);
+
+    // Complete now: served from the cache alone
+    global.fetch.mockClear();
+    expect(symbolsOf(await fetchMultipleRSI(SYMBOLS))).toEqual(SYMBOLS);
+    expect(global.fetch).not.toHaveBeenCalled();
+  });
+
+  test('cached oversold history refetches the failed symbol over the whole window', async () => {
+    // A threshold of 100 makes every hourly RSI an event
+    const scan = options => fetchOversoldHistory(SYMBOLS, 1, 100, false, options);
+    const first = await scanErrors(scan);
+    expect(symbolsOf(first.result)).toEqual(['BTC']);
+    expect(first.errors).toEqual(['ETH/USDT']);
+
+    const stillDown = await scanErrors(scan);
+    expect(stillDown.errors).toEqual(['ETH/USDT']);
+
+    ethDown = false;
+    const recovered = await scanErrors(scan);
+    expect(recovered.errors).toEqual([]);
+    const eventsOf = (symbol) => recovered.result.filter(event => event.symbol === symbol).length;
+    expect(eventsOf('ETH')).toBe(eventsOf('BTC'));
+  });
+});
+
+describe('fetchKlinesRange', () => {
+  const NOW = Date.UTC(2026, 0, 8, 10, 2);
+  const FIVE_MIN_MS = 5 * 60 * 1000;
+  // Exchange maintenance: no candles between 06:00 and 06:55
+  const MAINTENANCE_START = Date.UTC(2026, 0, 8, 6, 0);
+  const MAINTENANCE_END = Date.UTC(2026, 0, 8, 6, 55);
+
+  beforeEach(() => {
+    clock.setFixedTime(NOW);
+    const marketFetch = createMarketFetch(createMockMarket({ historyDays: 5, now: () => clock.now() }));
+    global.fetch = jest.fn(async (url) => {
+      const answer = await marketFetch(url);
+      const rows = await answer.json();
+      return jsonResponse(rows.filter(row => row[0] < MAINTENANCE_START || row[0] > MAINTENANCE_END));
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+    clock.reset();
+  });
+
+  test('fetches an interior gap only once', async () => {
+    const startTime = Date.UTC(2026, 0, 8, 4, 0);
+    const endTime = Date.UTC(2026, 0, 8, 8, 0);
+    const candles = await fetchKlinesRange('SOL/USDT', '5m', startTime, endTime);
+
+    expect(candles).toHaveLength((endTime - startTime) / FIVE_MIN_MS + 1 - 12);
+    const requests = global.fetch.mock.calls.length;
+    expect(await fetchKlinesRange('SOL/USDT', '5m', startTime, endTime)).toHaveLength(candles.length);
+    expect(global.fetch).toHaveBeenCalledTimes(requests);
+  });
+});
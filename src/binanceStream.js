@@ -0,0 +1,293 @@
+// Binance WebSocket Streams
+// One combined-stream connection carrying kline and miniTicker updates for every watched symbol,
+// with automatic reconnect (exponential backoff) and a status callback so callers can fall back
+// to REST polling while the socket is down.
+
+export const BINANCE_STREAM_URL = process.env.REACT_APP_BINANCE_STREAM_URL || 'wss://stream.binance.com:9443/stream';
+
+export const DEFAULT_STREAM_INTERVALS = ['5m', '1h'];
+
+export const STREAM_STATUS = {
+  CONNECTING: 'connecting',
+  OPEN: 'open',
+  RECONNECTING: 'reconnecting',
+  CLOSED: 'closed'
+};
+
+export const STREAM_STATUS_LABELS = {
+  [STREAM_STATUS.CONNECTING]: 'Connecting...',
+  [STREAM_STATUS.OPEN]: 'Live',
+  [STREAM_STATUS.RECONNECTING]: 'Reconnecting (REST polling)',
+  [STREAM_STATUS.CLOSED]: 'Offline (REST polling)'
+};
+
+const DEFAULT_RECONNECT = {
+  initialDelayMs: 1000,
+  maxDelayMs: 30000,
+  staleTimeoutMs: 60000 // No message for this long = dead connection (miniTicker updates every second)
+};
+
+/**
+ * Stream name prefix of a trading pair
+ * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+ * @returns {string} Lowercase stream symbol (e.g., 'btcusdt')
+ */
+export const toStreamSymbol = (symbol) => symbol.replace('/', '').toLowerCase();
+
+/**
+ * Build the combined-stream names for a list of symbols
+ * @param {Array<string>} symbols - Trading pairs (e.g., ['BTC/USDT'])
+ * @param {Array<string>} intervals - Kline intervals (default: 5m and 1h)
+ * @returns {Array<string>} Stream names (e.g., 'btcusdt@kline_5m', 'btcusdt@miniTicker')
+ */
+export const buildStreamNames = (symbols, intervals = DEFAULT_STREAM_INTERVALS) => {
+  return symbols.flatMap(symbol => {
+    const streamSymbol = toStreamSymbol(symbol);
+    return [...intervals.map(interval => `${streamSymbol}@kline_${interval}`), `${streamSymbol}@miniTicker`];
+  });
+};
+
+/**
+ * Parse a combined-stream message
+ * Kline candles use the same shape as formatKlinesData so they can be fed to the detectors directly.
+ * @param {string|Object} message - Raw message ({ stream, data })
+ * @param {Object} symbolsByStream - Map of stream symbol -> trading pair (e.g., { btcusdt: 'BTC/USDT' })
+ * @returns {Object|null} { type: 'kline', symbol, interval, candle, isClosed } | { type: 'ticker', symbol, price, open, high, low, time }, or null for unknown messages
+ */
+export const parseStreamMessage = (message, symbolsByStream) => {
+  const payload = typeof message === 'string' ? JSON.parse(message) : message;
+  const data = payload && payload.data;
+  if (!data || !data.s) {
+    return null;
+  }
+
+  const symbol = symbolsByStream[data.s.toLowerCase()];
+  if (!symbol) {
+    return null;
+  }
+
+  if (data.e === 'kline' && data.k) {
+    const k = data.k;
+    return {
+      type: 'kline',
+      symbol,
+      interval: k.i,
+      isClosed: !!k.x,
+      candle: {
+        timestamp: new Date(k.t),
+        open: parseFloat(k.o),
+        high: parseFloat(k.h),
+        low: parseFloat(k.l),
+        close: parseFloat(k.c),
+        volume: parseFloat(k.v),
+        closeTime: new Date(k.T),
+        quoteVolume: parseFloat(k.q),
+        trades: parseInt(k.n),
+        takerBuyBaseVolume: parseFloat(k.V),
+        takerBuyQuoteVolume: parseFloat(k.Q)
+      }
+    };
+  }
+
+  if (data.e === '24hrMiniTicker') {
+    return {
+      type: 'ticker',
+      symbol,
+      price: parseFloat(data.c),
+      open: parseFloat(data.o),
+      high: parseFloat(data.h),
+      low: parseFloat(data.l),
+      time: new Date(data.E)
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Create a combined-stream client
+ * Nothing connects until start(); stop() closes the socket and cancels any pending reconnect.
+ * @param {Object} options
+ * @param {Array<string>} options.symbols - Trading pairs to watch
+ * @param {Array<string>} options.intervals - Kline intervals (default: 5m and 1h)
+ * @param {string} options.url - Combined-stream endpoint (default: BINANCE_STREAM_URL, e.g. a local mock server)
+ * @param {Function} options.WebSocketImpl - WebSocket constructor (default: the global WebSocket; pass the 'ws' package in Node)
+ * @param {Function} options.onKline - Called with every parsed kline event (forming and closed candles)
+ * @param {Function} options.onCandleClose - Called with kline events of closed candles only
+ * @param {Function} options.onTicker - Called with every parsed miniTicker event
+ * @param {Function} options.onStatusChange - Called on every STREAM_STATUS change with (status, details) - { attempt, delayMs } when reconnecting, { reconnected } when open
+ * @param {Object} options.reconnect - { initialDelayMs, maxDelayMs, staleTimeoutMs } (default: 1s doubling up to 30s, 60s stale timeout)
+ * @returns {Object} { start, stop, getStatus }
+ */
+export const createBinanceStream = ({
+  symbols,
+  intervals = DEFAULT_STREAM_INTERVALS,
+  url = BINANCE_STREAM_URL,
+  WebSocketImpl = typeof WebSocket !== 'undefined' ? WebSocket : null,
+  onKline = null,
+  onCandleClose = null,
+  onTicker = null,
+  onStatusChange = null,
+  reconnect = {}
+}) => {
+  const { initialDelayMs, maxDelayMs, staleTimeoutMs } = { ...DEFAULT_RECONNECT, ...reconnect };
+  const symbolsByStream = Object.fromEntries(symbols.map(symbol => [toStreamSymbol(symbol), symbol]));
+  const streamUrl = `${url}?streams=${buildStreamNames(symbols, intervals).join('/')}`;
+
+  let socket = null;
+  let status = STREAM_STATUS.CLOSED;
+  let stopped = true;
+  let attempt = 0;
+  let reconnectTimer = null;
+  let staleTimer = null;
+
+  const setStatus = (nextStatus, details = {}) => {
+    if (nextStatus === status) {
+      return;
+    }
+    status = nextStatus;
+    if (onStatusChange) {
+      onStatusChange(status, details);
+    }
+  };
+
+  const clearStaleTimer = () => {
+    if (staleTimer) {
+      clearTimeout(staleTimer);
+      staleTimer = null;
+    }
+  };
+
+  // Close connections that silently stopped delivering messages so the reconnect kicks in
+  const armStaleTimer = () => {
+    clearStaleTimer();
+    staleTimer = setTimeout(() => {
+      console.warn(`[Stream] No message for ${staleTimeoutMs / 1000}s, reconnecting...`);
+      if (socket) {
+        socket.close();
+      }
+    }, staleTimeoutMs);
+  };
+
+  const scheduleReconnect = () => {
+    const delayMs = Math.min(initialDelayMs * Math.pow(2, attempt), maxDelayMs);
+    attempt++;
+    setStatus(STREAM_STATUS.RECONNECTING, { attempt, delayMs });
+    console.log(`[Stream] Reconnecting in ${delayMs}ms (attempt ${attempt})`);
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      connect();
+    }, delayMs);
+  };
+
+  const handleMessage = (event) => {
+    armStaleTimer();
+    let parsed;
+    try {
+      parsed = parseStreamMessage(event.data, symbolsByStream);
+    } catch (error) {
+      console.warn('[Stream] Ignoring malformed message:', error.message);
+      return;
+    }
+    if (!parsed) {
+      return;
+    }
+    if (parsed.type === 'kline') {
+      if (onKline) {
+        onKline(parsed);
+      }
+      if (parsed.isClosed && onCandleClose) {
+        onCandleClose(parsed);
+      }
+    } else if (parsed.type === 'ticker' && onTicker) {
+      onTicker(parsed);
+    }
+  };
+
+  const connect = () => {
+    if (stopped) {
+      return;
+    }
+    if (!WebSocketImpl) {
+      console.warn('[Stream] WebSocket is not available, staying on REST polling');
+      setStatus(STREAM_STATUS.CLOSED);
+      return;
+    }
+
+    if (attempt === 0) {
+      setStatus(STREAM_STATUS.CONNECTING);
+    }
+
+    let ws;
+    try {
+      ws = new WebSocketImpl(streamUrl);
+    } catch (error) {
+      console.error('[Stream] Could not open WebSocket:', error);
+      scheduleReconnect();
+      return;
+    }
+    socket = ws;
+
+    ws.onopen = () => {
+      if (socket !== ws) {
+        return;
+      }
+      console.log(`[Stream] Connected (${symbols.length} symbols, ${intervals.join('/')} klines + miniTicker)`);
+      const reconnected = attempt > 0;
+      attempt = 0;
+      armStaleTimer();
+      setStatus(STREAM_STATUS.OPEN, { reconnected });
+    };
+    ws.onmessage = (event) => {
+      if (socket === ws) {
+        handleMessage(event);
+      }
+    };
+    ws.onerror = (error) => {
+      console.warn('[Stream] WebSocket error:', error && error.message ? error.message : error);
+    };
+    ws.onclose = () => {
+      if (socket !== ws) {
+        return;
+      }
+      socket = null;
+      clearStaleTimer();
+      if (stopped) {
+        setStatus(STREAM_STATUS.CLOSED);
+        return;
+      }
+      console.warn('[Stream] Connection closed');
+      scheduleReconnect();
+    };
+  };
+
+  const start = () => {
+    if (!stopped) {
+      return;
+    }
+    stopped = false;
+    attempt = 0;
+    connect();
+  };
+
+  const stop = () => {
+    stopped = true;
+    if (reconnectTimer) {
+      clearTimeout(reconnectTimer);
+      reconnectTimer = null;
+    }
+    clearStaleTimer();
+    if (socket) {
+      const ws = socket;
+      socket = null;
+      ws.close();
+    }
+    setStatus(STREAM_STATUS.CLOSED);
+  };
+
+  return {
+    start,
+    stop,
+    getStatus: () => status
+  };
+};
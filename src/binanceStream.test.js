@@ -0,0 +1,133 @@
+// Binance Stream tests
+// The combined-stream client against the mock server's streams: updates, reconnect with backoff, and the
+// REST polling fallback while the socket is down.
+import { createServer } from 'http';
+import { createBinanceStream, STREAM_STATUS } from './binanceStream';
+import { createMockMarket } from '../mock-server/marketData.mjs';
+import { attachMockStreams } from '../mock-server/streams.mjs';
+
+const FIVE_MIN_MS = 5 * 60 * 1000;
+const RECONNECT = { initialDelayMs: 20, maxDelayMs: 80, staleTimeoutMs: 5000 };
+
+const waitFor = (predicate, timeoutMs = 3000) => new Promise((resolve, reject) => {
+  const started = Date.now();
+  const check = () => {
+    if (predicate()) {
+      resolve();
+    } else if (Date.now() - started > timeoutMs) {
+      reject(new Error('Timed out waiting for the stream'));
+    } else {
+      setTimeout(check, 10);
+    }
+  };
+  check();
+});
+
+// Mock streams on a local port; the market's clock is mockTime.now
+const startMockStreams = async ({ dropAfterSeconds = 0 } = {}) => {
+  const mockTime = { now: Date.UTC(2026, 0, 5, 8, 3) };
+  const market = createMockMarket({ historyDays: 1, now: () => mockTime.now });
+  const server = createServer();
+  const streams = attachMockStreams(server, { market, isListed: (symbol) => symbol === 'BTCUSDT', updateMs: 20, dropAfterSeconds, now: () => mockTime.now });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  const listen = () => new Promise(resolve => server.listen(port, '127.0.0.1', resolve));
+  const close = () => {
+    streams.close();
+    return new Promise(resolve => server.close(resolve));
+  };
+  return { mockTime, url: `ws://127.0.0.1:${port}/stream`, listen, close };
+};
+
+describe('createBinanceStream with the mock streams', () => {
+  let mock;
+  let stream;
+  let statuses;
+
+  const startStream = (handlers = {}) => {
+    stream = createBinanceStream({
+      symbols: ['BTC/USDT'],
+      url: mock.url,
+      WebSocketImpl: WebSocket,
+      reconnect: RECONNECT,
+      onStatusChange: (status, details) => statuses.push({ status, ...details }),
+      ...handlers
+    });
+    stream.start();
+  };
+
+  beforeEach(() => {
+    statuses = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    if (stream) {
+      stream.stop();
+      stream = null;
+    }
+    await mock.close();
+    jest.restoreAllMocks();
+  });
+
+  test('delivers forming klines and tickers, and each candle close once', async () => {
+    mock = await startMockStreams();
+    const klines = [];
+    const closes = [];
+    const tickers = [];
+    startStream({ onKline: event => klines.push(event), onCandleClose: event => closes.push(event), onTicker: event => tickers.push(event) });
+
+    await waitFor(() => klines.some(event => event.interval === '1h') && tickers.length > 0);
+    expect(stream.getStatus()).toBe(STREAM_STATUS.OPEN);
+    expect(klines.find(event => event.interval === '5m')).toMatchObject({ symbol: 'BTC/USDT', isClosed: false });
+    expect(tickers[0].symbol).toBe('BTC/USDT');
+    expect(tickers[0].price).toBeGreaterThan(0);
+    expect(closes).toEqual([]);
+
+    // The 5m candle opened at 08:00 closes
+    mock.mockTime.now = Date.UTC(2026, 0, 5, 8, 5, 30);
+    await waitFor(() => closes.length > 0);
+    const seen = klines.length;
+    await waitFor(() => klines.length > seen + 4);
+    expect(closes).toHaveLength(1);
+    expect(closes[0].interval).toBe('5m');
+    expect(closes[0].candle.timestamp.getTime()).toBe(Date.UTC(2026, 0, 5, 8, 0));
+    expect(closes[0].candle.closeTime.getTime()).toBe(Date.UTC(2026, 0, 5, 8, 0) + FIVE_MIN_MS - 1);
+  });
+
+  test('reconnects after the server drops the connection', async () => {
+    mock = await startMockStreams({ dropAfterSeconds: 0.1 });
+    startStream();
+
+    await waitFor(() => statuses.filter(entry => entry.status === STREAM_STATUS.OPEN).length >= 2);
+    expect(statuses.slice(0, 4)).toEqual([
+      { status: STREAM_STATUS.CONNECTING },
+      { status: STREAM_STATUS.OPEN, reconnected: false },
+      { status: STREAM_STATUS.RECONNECTING, attempt: 1, delayMs: 20 },
+      { status: STREAM_STATUS.OPEN, reconnected: true }
+    ]);
+  });
+
+  test('backs off while the server is down and stays off the live path until it is back', async () => {
+    mock = await startMockStreams();
+    startStream();
+    await waitFor(() => stream.getStatus() === STREAM_STATUS.OPEN);
+
+    await mock.close();
+    await waitFor(() => statuses.filter(entry => entry.status === STREAM_STATUS.RECONNECTING).length > 0);
+    // Reconnect attempts that fail keep the status at RECONNECTING (REST polling); the delays show in the log
+    await waitFor(() => console.log.mock.calls.filter(([message]) => /Reconnecting in/.test(message)).length >= 4);
+    expect(stream.getStatus()).toBe(STREAM_STATUS.RECONNECTING);
+    const delays = console.log.mock.calls
+      .map(([message]) => (/Reconnecting in (\d+)ms/.exec(message) || [])[1])
+      .filter(Boolean)
+      .map(Number);
+    expect(delays.slice(0, 4)).toEqual([20, 40, 80, 80]);
+
+    await mock.listen();
+    await waitFor(() => stream.getStatus() === STREAM_STATUS.OPEN);
+    expect(statuses[statuses.length - 1]).toEqual({ status: STREAM_STATUS.OPEN, reconnected: true });
+  });
+});
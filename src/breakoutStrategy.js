@@ -0,0 +1,750 @@
+// Breakout/Re-entry Strategy
+// Pure, data-in/data-out implementation of the range breakout/re-entry state machine.
+// No network or storage access: callers pass candles in and get signals back, so the same
+// rules run on live data (binance.js), historical data (backtest.js) or stored fixtures.
+import { DEFAULT_SESSION, RANGE_INTERVAL_HOURS, getSessionWindow } from './sessions';
+import { DEFAULT_RISK_PROFILE, calculateRiskLevels, createTrail, updateTrail } from './riskProfiles';
+import { getRealizedMovePercent } from './simulation';
+import { toDisplaySymbol } from './symbols';
+import { clock } from './clock';
+
+// How to order a 5m candle whose range reaches both the stop and the next target,
+// when its 1m candles are not available (or one 1m candle reaches both too)
+export const INTRABAR_POLICIES = {
+  PESSIMISTIC: 'pessimistic',      // Stop first (the original rule)
+  OPTIMISTIC: 'optimistic',        // Target first
+  OPEN_PROXIMITY: 'open-proximity' // Whichever level is closer to the candle open
+};
+
+export const INTRABAR_POLICY_LABELS = {
+  [INTRABAR_POLICIES.PESSIMISTIC]: 'Pessimistic (stop first)',
+  [INTRABAR_POLICIES.OPTIMISTIC]: 'Optimistic (target first)',
+  [INTRABAR_POLICIES.OPEN_PROXIMITY]: 'Closest to candle open'
+};
+
+/**
+ * Default strategy config - the original rules
+ * SL/TP from the default risk profile (breakout-period extreme capped at 1% from entry, TP = 2R),
+ * open positions followed for up to 2000 5m candles (~7 days) after the detection window,
+ * ambiguous candles resolved stop-first unless 1m candles are supplied
+ */
+export const DEFAULT_STRATEGY_CONFIG = {
+  riskProfile: DEFAULT_RISK_PROFILE,
+  pendingLookaheadCandles: 2000,
+  intrabarPolicy: INTRABAR_POLICIES.PESSIMISTIC,
+  intrabarCandles: null, // Map of 5m candle open time (ms) -> its 1m candles, supplied by the caller
+  tickSize: null // The pair's exchange tick size (fixed-tick stops of profiles without their own), supplied by the caller
+};
+
+/**
+ * Format timestamp to UTC+7 time string - for internal use only
+ * @param {Date} timestamp - Timestamp to format (in UTC)
+ * @returns {string} Formatted time string (MM/DD HH:00) in UTC+7
+ */
+export const formatNYTimeInternal = (timestamp) => {
+  if (!timestamp) return 'N/A';
+  try {
+    const date = new Date(timestamp);
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: 'Asia/Bangkok',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    });
+    const timeStr = formatter.format(date);
+    // Format as MM/DD, HH:MM (show minutes for accuracy)
+    const parts = timeStr.split(', ');
+    if (parts.length === 2) {
+      const [monthDay, time] = parts;
+      const [hour, minute] = time.split(':');
+      return `${monthDay}, ${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`;
+    }
+    // Fallback
+    const [month, day, ...timeParts] = timeStr.split(/[/ ]/);
+    const time = timeParts.find(p => p.includes(':'));
+    if (time) {
+      const [hour, minute] = time.split(':');
+      return `${month}/${day}, ${hour.padStart(2, '0')}:${minute.padStart(2, '0')}`;
+    }
+    return timeStr;
+  } catch (e) {
+    return 'Invalid Date';
+  }
+};
+
+/**
+ * Build a session's range for one local date from range-interval candles
+ * A range is only valid when every candle of the window is present
+ * (e.g., a 4h range that does not line up with Binance's 4h candle boundaries is rejected)
+ * @param {Object} session - Session definition (see sessions.js)
+ * @param {string} dateKey - Local date of the range (YYYY-MM-DD)
+ * @param {Array} rangeKlines - Formatted candles of the session's range interval
+ * @returns {Object|null} { high, low, openTime, closeTime, windowEnd, candle }, or null if incomplete
+ */
+export const buildSessionRange = (session, dateKey, rangeKlines) => {
+  const { rangeStart, rangeEnd, windowEnd } = getSessionWindow(session, dateKey);
+  const intervalHours = RANGE_INTERVAL_HOURS[session.rangeInterval] || 4;
+  const expectedCandleCount = session.rangeHours / intervalHours;
+  
+  const rangeCandles = rangeKlines.filter(c => {
+    const openTime = c.timestamp.getTime();
+    return openTime >= rangeStart && openTime < rangeEnd;
+  });
+  
+  if (rangeCandles.length !== expectedCandleCount) {
+    return null;
+  }
+  
+  return {
+    high: Math.max(...rangeCandles.map(c => c.high)),
+    low: Math.min(...rangeCandles.map(c => c.low)),
+    openTime: rangeCandles[0].timestamp,
+    closeTime: rangeCandles[rangeCandles.length - 1].closeTime,
+    windowEnd,
+    candle: rangeCandles[0]
+  };
+};
+
+/**
+ * Run the breakout/re-entry state machine over one range's detection window
+ * Shared by live detection and backtesting so both replay exactly the same rules
+ * @param {string} symbol - Trading pair (for logging)
+ * @param {string} dateKey - Range date (for logging)
+ * @param {number} rangeHigh - Range high
+ * @param {number} rangeLow - Range low
+ * @param {Array} candlesAfterRange - 5m candles inside the detection window (oldest to newest)
+ * @param {Object} config - Strategy config (see DEFAULT_STRATEGY_CONFIG)
+ * @param {boolean} verbose - Log every step (disable for long backtests)
+ * @returns {Object} { pairs, openBreakout, potentialBreakoutCount, breakoutsDetected, reentriesDetected }
+ */
+export const runRangeStateMachine = (symbol, dateKey, rangeHigh, rangeLow, candlesAfterRange, config = DEFAULT_STRATEGY_CONFIG, verbose = true) => {
+  const log = verbose ? console.log : () => {};
+  let breakoutsDetected = 0;
+  let reentriesDetected = 0;
+  
+  // Check for breakout above (long) or below (short) using 5-minute candles
+  // Use CLOSE price for breakout detection
+  // IMPORTANT: Track both breakouts and find which one has re-entry
+  // Strategy: Find all potential breakouts, then check which one has re-entry
+  
+  // Track potential breakouts
+  const potentialBreakouts = [];
+  
+  for (let j = 0; j < candlesAfterRange.length; j++) {
+    const candle = candlesAfterRange[j];
+    const candleNYTime = formatNYTimeInternal(candle.closeTime);
+    
+    // Track breakout above (long)
+    if (candle.close > rangeHigh) {
+      log(`[${symbol}] 🔺 Breakout ABOVE detected at ${candleNYTime}: close=${candle.close.toFixed(4)} > rangeHigh=${rangeHigh.toFixed(4)}`);
+      potentialBreakouts.push({
+        time: candle.closeTime,
+        price: candle.close,
+        direction: 'long',
+        candleIndex: j,
+        type: 'above',
+        low: candle.low,  // Store low for SL calculation
+        high: candle.high // Store high for reference
+      });
+    }
+    
+    // Track breakout below (short)
+    if (candle.close < rangeLow) {
+      log(`[${symbol}] 🔻 Breakout BELOW detected at ${candleNYTime}: close=${candle.close.toFixed(4)} < rangeLow=${rangeLow.toFixed(4)}`);
+      potentialBreakouts.push({
+        time: candle.closeTime,
+        price: candle.close,
+        direction: 'short',
+        candleIndex: j,
+        type: 'below',
+        low: candle.low,  // Store low for reference
+        high: candle.high // Store high for SL calculation
+      });
+    }
+  }
+  
+  // Sort breakouts by time (chronological order)
+  potentialBreakouts.sort((a, b) => a.time.getTime() - b.time.getTime());
+  
+  log(`[${symbol}] Found ${potentialBreakouts.length} potential breakouts for ${dateKey}`);
+  
+  // Track all valid signals (breakout + re-entry pairs)
+  const validBreakoutReentryPairs = [];
+  
+  // Track the first breakout index (waiting for re-entry)
+  let firstBreakoutIndex = null;
+  let firstBreakoutCandle = null;
+  let firstBreakoutTime = null;
+  let firstBreakoutPrice = null;
+  let firstBreakoutDirection = null;
+  
+  // Track if we have an open position (pending signal)
+  let hasOpenPosition = false;
+  
+  // Iterate through all candles after range to find first breakout, then wait for re-entry
+  for (let i = 0; i < candlesAfterRange.length; i++) {
+    const candle = candlesAfterRange[i];
+    const candleNYTime = formatNYTimeInternal(candle.closeTime);
+    
+    // Check if this candle is a breakout (outside the range)
+    const isBreakoutAbove = candle.close > rangeHigh;
+    const isBreakoutBelow = candle.close < rangeLow;
+    
+    // If we have an open position, check if this candle closes it (TP or SL hit)
+    if (hasOpenPosition) {
+      const lastSignal = validBreakoutReentryPairs[validBreakoutReentryPairs.length - 1];
+      if (lastSignal && lastSignal.result === 'pending') {
+        // Check if this candle hits a target or the stop for the open position
+        const positionClosed = applyCandleToPosition(symbol, lastSignal, candle, log, config);
+        
+        if (positionClosed) {
+          // Position was closed, we can now look for new breakouts
+          hasOpenPosition = false;
+          // Reset first breakout tracker to allow detection of new breakouts immediately
+          firstBreakoutIndex = null;
+          firstBreakoutCandle = null;
+          firstBreakoutTime = null;
+          firstBreakoutPrice = null;
+          firstBreakoutDirection = null;
+          log(`[${symbol}] Position closed (${lastSignal.result.toUpperCase()}), now looking for next breakout...`);
+        } else {
+          // Position still open, skip this candle
+          continue;
+        }
+      } else {
+        // Last signal is not pending (shouldn't happen if hasOpenPosition is true)
+        hasOpenPosition = false;
+      }
+    }
+    
+    // If we're not waiting for a re-entry, check for first breakout
+    if (firstBreakoutIndex === null) {
+      if (isBreakoutAbove || isBreakoutBelow) {
+        // Found first breakout - save it and wait for re-entry
+        firstBreakoutIndex = i;
+        firstBreakoutCandle = candle;
+        firstBreakoutTime = candle.closeTime;
+        firstBreakoutPrice = candle.close;
+        firstBreakoutDirection = isBreakoutAbove ? 'short' : 'long';
+        breakoutsDetected++;
+        log(`[${symbol}] 🔵 First breakout detected at ${candleNYTime}: close=${candle.close.toFixed(4)}, direction=${firstBreakoutDirection.toUpperCase()}, waiting for re-entry...`);
+      }
+      // Continue to next candle if no breakout found
+      continue;
+    }
+    
+    // We have a first breakout waiting - check if subsequent candles are still breakout
+    // If next candle is still a breakout, ignore it (don't update firstBreakout)
+    if (isBreakoutAbove || isBreakoutBelow) {
+      log(`[${symbol}] ⚪ Breakout continues at ${candleNYTime}: close=${candle.close.toFixed(4)}, ignoring (waiting for re-entry from first breakout)`);
+      continue;
+    }
+    
+    // Check if this candle is a re-entry (closes back inside the range)
+    if (candle.close <= rangeHigh && candle.close >= rangeLow) {
+      const reentryNYTime = formatNYTimeInternal(candle.closeTime);
+      log(`[${symbol}] ✅ Re-entry detected at ${reentryNYTime}: close=${candle.close.toFixed(4)} (inside range ${rangeLow.toFixed(4)}-${rangeHigh.toFixed(4)})`);
+      
+      // Use the first breakout (stored earlier) with this re-entry
+      const currentBreakoutTime = firstBreakoutTime;
+      const currentBreakoutPrice = firstBreakoutPrice;
+      const currentBreakoutDirection = firstBreakoutDirection;
+      const currentReentryTime = candle.closeTime;
+      const currentReentryPrice = candle.close;
+      const currentEntryPrice = currentReentryPrice; // Enter at re-entry price
+      reentriesDetected++;
+      
+      // IMPORTANT: Direction is determined by WHERE the re-entry comes from, not the breakout direction
+      // Re-entry from below (price was below range, now enters) → LONG
+      // Re-entry from above (price was above range, now enters) → SHORT
+      // Check where the re-entry candle came from (its low/high relative to range)
+      let reentryDirection = null;
+      
+      // Check if re-entry candle's low was below range (entering from below) → LONG
+      if (candle.low < rangeLow) {
+        reentryDirection = 'long';
+      }
+      // Check if re-entry candle's high was above range (entering from above) → SHORT
+      else if (candle.high > rangeHigh) {
+        reentryDirection = 'short';
+      }
+      // If re-entry candle doesn't show direction clearly, check previous candle
+      else {
+        const prevCandle = i > 0 ? candlesAfterRange[i - 1] : null;
+        if (prevCandle) {
+          // If previous candle was below range, re-entry is from below → LONG
+          if (prevCandle.close < rangeLow || prevCandle.low < rangeLow) {
+            reentryDirection = 'long';
+          }
+          // If previous candle was above range, re-entry is from above → SHORT
+          else if (prevCandle.close > rangeHigh || prevCandle.high > rangeHigh) {
+            reentryDirection = 'short';
+          }
+        }
+        
+        // Final fallback: use breakout price direction
+        if (!reentryDirection) {
+          if (currentBreakoutPrice > rangeHigh) {
+            // Broke out above, likely re-entry from above → SHORT
+            reentryDirection = 'short';
+          } else if (currentBreakoutPrice < rangeLow) {
+            // Broke out below, likely re-entry from below → LONG
+            reentryDirection = 'long';
+          } else {
+            // Should not happen, but fallback
+            reentryDirection = currentBreakoutDirection;
+          }
+        }
+      }
+      
+      const currentDirection = reentryDirection; // Use re-entry direction, not breakout direction
+      log(`[${symbol}] Re-entry detected (${reentryDirection.toUpperCase()} - from ${reentryDirection === 'long' ? 'below' : 'above'}): ${dateKey}, close=${candle.close.toFixed(4)}, entry=${currentEntryPrice.toFixed(4)}`);
+      
+      // Calculate SL/TP with the risk profile (default: lowest/highest price from first breakout
+      // to re-entry, capped at 1% from entry, TP at 1:2)
+      const riskProfile = config.riskProfile;
+      const atrCandles = candlesAfterRange.slice(Math.max(0, i - riskProfile.atrPeriod), i + 1);
+      const levels = calculateRiskLevels(riskProfile, {
+        direction: currentDirection,
+        entryPrice: currentEntryPrice,
+        breakoutCandles: candlesAfterRange.slice(firstBreakoutIndex, i + 1),
+        atrCandles,
+        rangeHigh,
+        rangeLow,
+        tickSize: config.tickSize
+      });
+      
+      // A stop at or below 0 or across the entry (e.g. fixed ticks on a low-priced pair) cannot be traded
+      if (!levels) {
+        log(`[${symbol}] ${currentDirection.toUpperCase()}: No valid stop loss for entry ${currentEntryPrice.toFixed(4)} with profile "${riskProfile.name}", skipping re-entry`);
+        firstBreakoutIndex = null;
+        continue;
+      }
+      const { stopLoss: currentStopLoss, takeProfit: currentTakeProfit, targets, risk: currentRisk, capped } = levels;
+      
+      if (capped) {
+        log(`[${symbol}] ${currentDirection.toUpperCase()}: Risk exceeds ${riskProfile.maxSlPercent}%, capping at ${riskProfile.maxSlPercent}%. SL=${currentStopLoss.toFixed(4)}`);
+      }
+      
+      log(`[${symbol}] Entry: ${currentEntryPrice.toFixed(4)}, SL: ${currentStopLoss.toFixed(4)} (${(currentRisk / currentEntryPrice * 100).toFixed(2)}%), TP: ${targets.map(t => `${t.price.toFixed(4)} (${t.rr}R, ${t.closePercent}%)`).join(' / ')}`);
+      
+      // Store this valid pair (first breakout with re-entry)
+      // Result will be determined as we iterate through subsequent candles
+      const newSignal = {
+        breakoutTime: currentBreakoutTime,
+        breakoutPrice: currentBreakoutPrice,
+        breakoutDirection: currentDirection,
+        reentryTime: currentReentryTime,
+        reentryPrice: currentReentryPrice,
+        entryPrice: currentEntryPrice,
+        stopLoss: currentStopLoss,
+        takeProfit: currentTakeProfit,
+        targets,
+        risk: currentRisk,
+        currentStop: currentStopLoss, // Moves to entry after TP1 and/or trails the price when the profile asks for it
+        stopReason: 'sl', // What set currentStop: 'sl', 'breakeven' or 'trail'
+        moveToBreakEven: !!riskProfile.moveToBreakEven,
+        trail: createTrail(riskProfile, { entryPrice: currentEntryPrice, atrCandles }),
+        openPercent: 100, // Share of the position still open
+        worstPrice: currentEntryPrice, // Furthest adverse price reached while open (lowest for longs, highest for shorts)
+        fills: [], // Partial/final exits: { type: 'tp1'..'tpN' | 'sl' | 'breakeven' | 'trail' | 'session-end', price, percent, time }
+        result: 'pending', // Will be updated when the position is fully closed
+        exitReason: null, // 'tp', 'sl', 'breakeven', 'trail' or 'session-end' once closed
+        intrabarAmbiguous: false, // True once a candle reached both the stop and a target
+        intrabarChecks: [], // Ambiguous candles: { time (5m open time), resolution: '1m' or the fallback policy, stopFirst }
+        breakoutCandle: firstBreakoutCandle,
+        reentryCandle: candle
+      };
+      
+      validBreakoutReentryPairs.push(newSignal);
+      log(`[${symbol}] ✅ Created signal for first breakout at ${formatNYTimeInternal(currentBreakoutTime)} → re-entry at ${reentryNYTime}, result: PENDING (waiting for TP/SL)`);
+      
+      // Mark position as open so we don't look for new breakouts until it closes
+      hasOpenPosition = true;
+      log(`[${symbol}] Position is OPEN (pending), will not detect new breakouts until it closes`);
+      
+      // Reset first breakout tracker - now we can look for the next first breakout
+      // (but only if position is closed, which is checked at the start of the loop)
+      firstBreakoutIndex = null;
+      firstBreakoutCandle = null;
+      firstBreakoutTime = null;
+      firstBreakoutPrice = null;
+      firstBreakoutDirection = null;
+    }
+  }
+  
+  return {
+    pairs: validBreakoutReentryPairs,
+    // First breakout still waiting for a re-entry when the window ended
+    openBreakout: firstBreakoutIndex !== null && firstBreakoutTime !== null
+      ? { time: firstBreakoutTime, price: firstBreakoutPrice, direction: firstBreakoutDirection }
+      : null,
+    potentialBreakoutCount: potentialBreakouts.length,
+    breakoutsDetected,
+    reentriesDetected
+  };
+};
+
+/**
+ * Mark a position as fully closed
+ * The exit reason is taken from the last fill; any take-profit fill counts as 'tp'.
+ * @param {Object} signal - Signal with all of its fills recorded (updated in place)
+ * @param {Date} closeTime - Time of the final exit
+ */
+const finalizePosition = (signal, closeTime) => {
+  const lastFill = signal.fills[signal.fills.length - 1];
+  signal.exitReason = lastFill.type.startsWith('tp') ? 'tp' : lastFill.type;
+  // A win when the scaled exits add up to a profit
+  signal.result = getRealizedMovePercent(signal) > 0 ? 'win' : 'loss';
+  signal.closeTime = closeTime; // Store close time
+};
+
+/**
+ * Decide whether the stop or the target was reached first inside an ambiguous candle
+ * Walks the candle's 1m candles when the caller supplied them; otherwise (or when a single 1m
+ * candle reaches both levels too) the fallback policy decides.
+ * @param {Object} signal - Open signal
+ * @param {Object} candle - Ambiguous 5m candle
+ * @param {Object} target - Next unfilled target
+ * @param {Object} config - Strategy config (intrabarPolicy, intrabarCandles)
+ * @returns {Object} { stopFirst, resolution } - resolution is '1m' or the fallback policy used
+ */
+const getIntrabarOrder = (signal, candle, target, config) => {
+  const isLong = signal.breakoutDirection === 'long';
+  const policy = config.intrabarPolicy || INTRABAR_POLICIES.PESSIMISTIC;
+  const stopFirstByPolicy = (c) => {
+    switch (policy) {
+      case INTRABAR_POLICIES.OPTIMISTIC:
+        return false;
+      case INTRABAR_POLICIES.OPEN_PROXIMITY:
+        return Math.abs(c.open - signal.currentStop) <= Math.abs(c.open - target.price);
+      case INTRABAR_POLICIES.PESSIMISTIC:
+      default:
+        return true;
+    }
+  };
+  
+  const oneMinCandles = config.intrabarCandles ? config.intrabarCandles[candle.timestamp.getTime()] : null;
+  for (const c of oneMinCandles || []) {
+    const stopHit = isLong ? c.low <= signal.currentStop : c.high >= signal.currentStop;
+    const targetHit = isLong ? c.high >= target.price : c.low <= target.price;
+    if (stopHit && targetHit) {
+      return { stopFirst: stopFirstByPolicy(c), resolution: policy };
+    }
+    if (stopHit || targetHit) {
+      return { stopFirst: stopHit, resolution: '1m' };
+    }
+  }
+  
+  return { stopFirst: stopFirstByPolicy(candle), resolution: policy };
+};
+
+/**
+ * Apply one 5m candle to an open position
+ * A candle that reaches only the stop or only targets is unambiguous. One that reaches both is
+ * ordered with its 1m candles or the fallback policy (see getIntrabarOrder) and flagged on the signal.
+ * Every exit is recorded in signal.fills; once TP1 fills, the stop moves to entry if the profile asks for it.
+ * If the position is still open after the candle, the trailing stop (if any) is moved for the next candle.
+ * @param {string} symbol - Trading pair (for logging)
+ * @param {Object} signal - Open signal (updated in place)
+ * @param {Object} candle - 5m candle
+ * @param {Function} log - Logger (default: silent)
+ * @param {Object} config - Strategy config (default: DEFAULT_STRATEGY_CONFIG)
+ * @returns {boolean} True if the position is fully closed after this candle
+ */
+export const applyCandleToPosition = (symbol, signal, candle, log = () => {}, config = DEFAULT_STRATEGY_CONFIG) => {
+  const isLong = signal.breakoutDirection === 'long';
+  const candleNYTime = formatNYTimeInternal(candle.closeTime);
+  // Only ever move the stop in the trade's favour
+  const tightenStop = (stop, reason) => {
+    if (isLong ? stop > signal.currentStop : stop < signal.currentStop) {
+      signal.currentStop = stop;
+      signal.stopReason = reason;
+      return true;
+    }
+    return false;
+  };
+  const closeAtStop = () => {
+    signal.fills.push({ type: signal.stopReason, price: signal.currentStop, percent: signal.openPercent, time: candle.closeTime });
+    signal.openPercent = 0;
+    log(`[${symbol}] Stop (${signal.stopReason}) hit at ${candleNYTime}: ${isLong ? `low=${candle.low.toFixed(4)}` : `high=${candle.high.toFixed(4)}`}, stop=${signal.currentStop.toFixed(4)}`);
+  };
+  
+  const stopHit = isLong ? candle.low <= signal.currentStop : candle.high >= signal.currentStop;
+  // Every fill before the position closes is a target fill, so fills.length is the next target
+  const nextTarget = signal.targets[signal.fills.length];
+  const nextTargetHit = !!nextTarget && (isLong ? candle.high >= nextTarget.price : candle.low <= nextTarget.price);
+  
+  // A stop order fills at the stop, so price beyond it never counts against the position
+  const adversePrice = stopHit ? signal.currentStop : (isLong ? candle.low : candle.high);
+  signal.worstPrice = isLong ? Math.min(signal.worstPrice, adversePrice) : Math.max(signal.worstPrice, adversePrice);
+  
+  let stopFirst = stopHit;
+  if (stopHit && nextTargetHit) {
+    const order = getIntrabarOrder(signal, candle, nextTarget, config);
+    stopFirst = order.stopFirst;
+    signal.intrabarAmbiguous = true;
+    signal.intrabarChecks = [...(signal.intrabarChecks || []), { time: candle.timestamp, resolution: order.resolution, stopFirst }];
+    log(`[${symbol}] Ambiguous candle at ${candleNYTime} (stop and TP${signal.fills.length + 1} both reached): ${stopFirst ? 'stop' : 'target'} first (${order.resolution})`);
+  }
+  
+  if (stopFirst) {
+    closeAtStop();
+  } else {
+    let targetIndex = signal.fills.length;
+    while (signal.openPercent > 0 && targetIndex < signal.targets.length) {
+      const target = signal.targets[targetIndex];
+      const targetHit = isLong ? candle.high >= target.price : candle.low <= target.price;
+      if (!targetHit) {
+        break;
+      }
+      
+      // The last target closes whatever is left
+      const percent = targetIndex === signal.targets.length - 1 ? signal.openPercent : Math.min(target.closePercent, signal.openPercent);
+      signal.fills.push({ type: `tp${targetIndex + 1}`, price: target.price, percent, time: candle.closeTime });
+      signal.openPercent -= percent;
+      log(`[${symbol}] TP${targetIndex + 1} hit at ${candleNYTime}: closed ${percent}% at ${target.price.toFixed(4)}, ${signal.openPercent}% still open`);
+      
+      if (targetIndex === 0 && signal.moveToBreakEven && signal.openPercent > 0 && tightenStop(signal.entryPrice, 'breakeven')) {
+        log(`[${symbol}] Stop moved to break-even (${signal.entryPrice.toFixed(4)})`);
+      }
+      targetIndex++;
+    }
+    
+    // Target first inside an ambiguous candle: the stop (never further away than before) was reached afterwards
+    if (stopHit && signal.openPercent > 0) {
+      closeAtStop();
+    }
+  }
+  
+  if (signal.openPercent > 0) {
+    if (signal.trail) {
+      signal.trail = updateTrail(signal.trail, isLong, candle);
+      if (tightenStop(signal.trail.stop, 'trail')) {
+        log(`[${symbol}] Trailing stop (${signal.trail.mode}) moved to ${signal.currentStop.toFixed(4)} at ${candleNYTime}`);
+      }
+    }
+    return false;
+  }
+  
+  finalizePosition(signal, candle.closeTime);
+  log(`[${symbol}] Position CLOSED (${signal.result.toUpperCase()}, ${signal.exitReason}) at ${candleNYTime}`);
+  return true;
+};
+
+/**
+ * Close what is left of a position at the close of the last candle in the detection window
+ * @param {string} symbol - Trading pair (for logging)
+ * @param {Object} signal - Open signal (updated in place)
+ * @param {Object} lastCandle - Last 5m candle of the detection window
+ * @param {Function} log - Logger (default: silent)
+ */
+export const closeAtSessionEnd = (symbol, signal, lastCandle, log = () => {}) => {
+  signal.fills.push({ type: 'session-end', price: lastCandle.close, percent: signal.openPercent, time: lastCandle.closeTime });
+  signal.openPercent = 0;
+  finalizePosition(signal, lastCandle.closeTime);
+  log(`[${symbol}] Position CLOSED (${signal.result.toUpperCase()}) at session end ${formatNYTimeInternal(lastCandle.closeTime)}: close=${lastCandle.close.toFixed(4)}`);
+};
+
+/**
+ * Follow a pending signal candle by candle until it is fully closed
+ * @param {string} symbol - Trading pair (for logging)
+ * @param {Object} pendingSignal - Signal with result 'pending' (updated in place)
+ * @param {Array} candlesAfterReentry - 5m candles after the re-entry candle (oldest to newest)
+ * @param {boolean} verbose - Log exits (disable for long backtests)
+ * @param {Object} config - Strategy config (default: DEFAULT_STRATEGY_CONFIG)
+ * @returns {Object} The same signal
+ */
+export const resolvePendingSignal = (symbol, pendingSignal, candlesAfterReentry, verbose = true, config = DEFAULT_STRATEGY_CONFIG) => {
+  const log = verbose ? console.log : () => {};
+  
+  for (const checkCandle of candlesAfterReentry) {
+    if (applyCandleToPosition(symbol, pendingSignal, checkCandle, log, config)) {
+      break;
+    }
+  }
+  
+  return pendingSignal;
+};
+
+/**
+ * Find the index of the first candle whose close time is after a timestamp (candles sorted oldest to newest)
+ * @param {Array} candles - Formatted candles
+ * @param {number} timestamp - Timestamp in milliseconds
+ * @returns {number} Index (candles.length if none)
+ */
+export const findFirstCandleAfter = (candles, timestamp) => {
+  let low = 0;
+  let high = candles.length;
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (candles[mid].closeTime.getTime() <= timestamp) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+/**
+ * Get the 5m candles inside a range's detection window
+ * Candles must close after the range closes and before the window end (exclusive)
+ * @param {Array} fiveMinCandles - 5m candles (oldest to newest)
+ * @param {Object} range - Range from buildSessionRange
+ * @returns {Array} Candles in the detection window
+ */
+export const getWindowCandles = (fiveMinCandles, range) => {
+  // Candle close times are 1ms before the boundary, so shift the window end the same way
+  const windowCloseTime = range.windowEnd - 1;
+  const windowCandles = [];
+  for (let i = findFirstCandleAfter(fiveMinCandles, range.closeTime.getTime()); i < fiveMinCandles.length; i++) {
+    if (fiveMinCandles[i].closeTime.getTime() >= windowCloseTime) {
+      break;
+    }
+    windowCandles.push(fiveMinCandles[i]);
+  }
+  return windowCandles;
+};
+
+/**
+ * Detect breakout/re-entry signals from candle data (pure - no fetching)
+ * @param {Object} input
+ * @param {string} input.symbol - Trading pair (e.g., 'BTC/USDT')
+ * @param {Array<string>} input.dateKeys - Local range dates to evaluate (YYYY-MM-DD, session timezone)
+ * @param {Array} input.rangeCandles - Formatted candles of the session's range interval (e.g., 4H)
+ * @param {Array} input.fiveMinCandles - Formatted 5m candles covering the detection windows (oldest to newest)
+ * @param {Object} input.session - Session definition (default: DEFAULT_SESSION)
+ * @param {number} input.startTime - Ignore ranges closing before this time in milliseconds (optional)
+ * @param {number} input.now - Current time in milliseconds; ranges closing after it are skipped (default: the shared clock)
+ * @param {Object} input.config - Strategy config (default: DEFAULT_STRATEGY_CONFIG)
+ * @param {boolean} input.verbose - Log every step (default: true)
+ * @returns {Object} { signals, breakoutsWithoutReentry }
+ */
+export const detectBreakoutsFromCandles = ({
+  symbol,
+  dateKeys,
+  rangeCandles,
+  fiveMinCandles,
+  session = DEFAULT_SESSION,
+  startTime = null,
+  now = clock.now(),
+  config = DEFAULT_STRATEGY_CONFIG,
+  verbose = true
+}) => {
+  const log = verbose ? console.log : () => {};
+  const symbolName = toDisplaySymbol(symbol);
+  const signals = [];
+  const breakoutsWithoutReentry = []; // Track breakouts that haven't had re-entry yet
+  
+  let breakoutsDetected = 0;
+  let reentriesDetected = 0;
+  
+  // Each day is processed independently - breakouts and re-entries must occur within the range's detection window
+  for (const dateKey of dateKeys) {
+    // Only include ranges that have fully closed
+    if (getSessionWindow(session, dateKey).rangeEnd > now) {
+      log(`[${symbol}][${session.id}] Range for ${dateKey} has not closed yet, skipping`);
+      continue;
+    }
+    
+    const range = buildSessionRange(session, dateKey, rangeCandles);
+    if (!range) {
+      log(`[${symbol}][${session.id}] Range for ${dateKey}: incomplete ${session.rangeInterval} candles, skipping`);
+      continue;
+    }
+    
+    // Skip ranges that close before our start time
+    if (startTime && range.closeTime.getTime() < startTime) {
+      continue;
+    }
+    
+    const candlesAfterRange = getWindowCandles(fiveMinCandles, range);
+    if (candlesAfterRange.length === 0) {
+      log(`[${symbol}][${session.id}] No 5m candles found in detection window for ${dateKey}`);
+      continue;
+    }
+    
+    log(`[${symbol}][${session.id}] Range for ${dateKey}: High=${range.high.toFixed(2)}, Low=${range.low.toFixed(2)}, CloseTime=${range.closeTime.toISOString()}, ${candlesAfterRange.length} 5m candles in window`);
+    
+    const machine = runRangeStateMachine(symbol, dateKey, range.high, range.low, candlesAfterRange, config, verbose);
+    breakoutsDetected += machine.breakoutsDetected;
+    reentriesDetected += machine.reentriesDetected;
+    
+    const rangeInfo = {
+      symbol: symbolName,
+      session: session.id,
+      sessionName: session.name,
+      rangeDate: dateKey,
+      rangeHigh: range.high,
+      rangeLow: range.low,
+      rangeOpenTime: range.openTime,
+      rangeCloseTime: range.closeTime
+    };
+    
+    // First breakout still waiting for a re-entry when the window ended
+    const openBreakout = machine.openBreakout;
+    if (openBreakout) {
+      breakoutsWithoutReentry.push({
+        ...rangeInfo,
+        breakoutTime: openBreakout.time,
+        breakoutPrice: openBreakout.price,
+        breakoutDirection: openBreakout.direction === 'long' ? 'below' : 'above', // Direction of breakout (above/below)
+        isAbove: openBreakout.price > range.high,
+        isBelow: openBreakout.price < range.low
+      });
+      log(`[${symbol}] 🔶 Breakout without re-entry detected: ${formatNYTimeInternal(openBreakout.time)} (${openBreakout.price.toFixed(4)})`);
+    }
+    
+    // Add ALL valid signals, not just one per day (chronological order)
+    const pairs = [...machine.pairs].sort((a, b) => a.breakoutTime.getTime() - b.breakoutTime.getTime());
+    for (const pair of pairs) {
+      // Positions still open at window end are closed there if the profile asks for it
+      // (once the window is over), otherwise followed into the following days
+      if (pair.result === 'pending' && config.riskProfile.closeAtSessionEnd && range.windowEnd <= now) {
+        closeAtSessionEnd(symbol, pair, candlesAfterRange[candlesAfterRange.length - 1], log);
+      } else if (pair.result === 'pending') {
+        // The state machine already applied every window candle after the re-entry, so pick up after the window
+        const resumeIndex = findFirstCandleAfter(fiveMinCandles, candlesAfterRange[candlesAfterRange.length - 1].closeTime.getTime());
+        resolvePendingSignal(symbol, pair, fiveMinCandles.slice(resumeIndex, resumeIndex + config.pendingLookaheadCandles), verbose, config);
+      }
+      
+      signals.push({
+        ...rangeInfo,
+        breakoutTime: pair.breakoutTime,
+        breakoutPrice: pair.breakoutPrice,
+        breakoutDirection: pair.breakoutDirection,
+        reentryTime: pair.reentryTime,
+        reentryPrice: pair.reentryPrice,
+        entryPrice: pair.entryPrice,
+        stopLoss: pair.stopLoss,
+        takeProfit: pair.takeProfit,
+        targets: pair.targets,
+        currentStop: pair.currentStop,
+        stopReason: pair.stopReason,
+        trailMode: pair.trail ? pair.trail.mode : null,
+        openPercent: pair.openPercent,
+        worstPrice: pair.worstPrice,
+        fills: pair.fills,
+        exitReason: pair.exitReason,
+        intrabarAmbiguous: pair.intrabarAmbiguous,
+        intrabarChecks: pair.intrabarChecks,
+        breakoutCandle: pair.breakoutCandle,
+        reentryCandle: pair.reentryCandle,
+        riskProfile: config.riskProfile.id,
+        riskProfileName: config.riskProfile.name,
+        result: pair.result || 'pending', // 'win', 'loss', or 'pending'
+        closeTime: pair.closeTime || null // Time when position closed (if win/loss)
+      });
+    }
+  }
+  
+  log(`[${symbol}][${session.id}] Summary: ${breakoutsDetected} breakouts, ${reentriesDetected} re-entries, ${signals.length} valid signals`);
+  
+  return {
+    signals,
+    breakoutsWithoutReentry
+  };
+};
@@ -0,0 +1,260 @@
+// Breakout Strategy tests
+// Same-candle stop/target resolution under each intrabar policy, how positions are finalized,
+// and positions followed past the end of the detection window.
+import {
+  INTRABAR_POLICIES,
+  DEFAULT_STRATEGY_CONFIG,
+  runRangeStateMachine,
+  applyCandleToPosition,
+  closeAtSessionEnd,
+  resolvePendingSignal,
+  detectBreakoutsFromCandles
+} from './breakoutStrategy';
+import { RISK_PROFILE_PRESETS } from './riskProfiles';
+import { RANGE_HIGH, RANGE_LOW, DATE_KEY, candle, rangeCandles, breakout, reentry } from './testing/strategyFixture';
+
+const oneMinCandle = (fiveMin, minute, open, high, low, close) => ({
+  timestamp: new Date(fiveMin.timestamp.getTime() + minute * 60 * 1000),
+  closeTime: new Date(fiveMin.timestamp.getTime() + (minute + 1) * 60 * 1000 - 1),
+  open,
+  high,
+  low,
+  close,
+  volume: 1
+});
+
+const runShort = (nextCandles, config = {}) => runRangeStateMachine('TEST/USDT', DATE_KEY, RANGE_HIGH, RANGE_LOW,
+  [breakout, reentry, ...nextCandles], { ...DEFAULT_STRATEGY_CONFIG, ...config }, false);
+
+// Long position: entry 100, stop 99, one target at 102
+const openLong = (overrides = {}) => ({
+  symbol: 'TEST/USDT',
+  breakoutDirection: 'long',
+  entryPrice: 100,
+  stopLoss: 99,
+  takeProfit: 102,
+  targets: [{ rr: 2, price: 102, closePercent: 100 }],
+  currentStop: 99,
+  stopReason: 'sl',
+  moveToBreakEven: false,
+  trail: null,
+  openPercent: 100,
+  worstPrice: 100,
+  fills: [],
+  result: 'pending',
+  exitReason: null,
+  intrabarAmbiguous: false,
+  intrabarChecks: [],
+  ...overrides
+});
+
+describe('runRangeStateMachine', () => {
+  test('opens a short on the re-entry from above with the stop capped at 1% and TP at 2R', () => {
+    const { pairs, breakoutsDetected, reentriesDetected } = runShort([]);
+
+    expect(breakoutsDetected).toBe(1);
+    expect(reentriesDetected).toBe(1);
+    expect(pairs).toHaveLength(1);
+    const [signal] = pairs;
+    expect(signal.breakoutDirection).toBe('short');
+    expect(signal.entryPrice).toBe(108);
+    expect(signal.stopLoss).toBeCloseTo(109.08);
+    expect(signal.takeProfit).toBeCloseTo(105.84);
+    expect(signal.result).toBe('pending');
+  });
+
+  test.each([
+    [INTRABAR_POLICIES.PESSIMISTIC, 107, 'loss', 'sl'],
+    [INTRABAR_POLICIES.OPTIMISTIC, 107, 'win', 'tp'],
+    [INTRABAR_POLICIES.OPEN_PROXIMITY, 109, 'loss', 'sl'],
+    [INTRABAR_POLICIES.OPEN_PROXIMITY, 106, 'win', 'tp']
+  ])('resolves a candle reaching stop and target with the %s policy (open %d)', (intrabarPolicy, open, result, exitReason) => {
+    const ambiguous = candle(2, open, 109.5, 105.5, 107);
+    const [signal] = runShort([ambiguous], { intrabarPolicy }).pairs;
+
+    expect(signal.result).toBe(result);
+    expect(signal.exitReason).toBe(exitReason);
+    expect(signal.intrabarAmbiguous).toBe(true);
+    expect(signal.intrabarChecks).toEqual([{ time: ambiguous.timestamp, resolution: intrabarPolicy, stopFirst: result === 'loss' }]);
+    expect(signal.closeTime).toEqual(ambiguous.closeTime);
+  });
+
+  test('orders an ambiguous candle by its 1m candles before falling back to the policy', () => {
+    const ambiguous = candle(2, 107, 109.5, 105.5, 107);
+    const intrabarCandles = {
+      [ambiguous.timestamp.getTime()]: [
+        oneMinCandle(ambiguous, 0, 107, 107.5, 105.6, 106), // Target (105.84) first
+        oneMinCandle(ambiguous, 1, 106, 109.5, 106, 109)
+      ]
+    };
+    const [signal] = runShort([ambiguous], { intrabarPolicy: INTRABAR_POLICIES.PESSIMISTIC, intrabarCandles }).pairs;
+
+    expect(signal.result).toBe('win');
+    expect(signal.intrabarChecks[0]).toMatchObject({ resolution: '1m', stopFirst: false });
+  });
+
+  test('keeps the position open while no candle reaches the stop or the target', () => {
+    const { pairs } = runShort([candle(2, 108, 108.5, 107, 107.5)]);
+
+    expect(pairs[0].result).toBe('pending');
+    expect(pairs[0].fills).toEqual([]);
+  });
+});
+
+describe('applyCandleToPosition', () => {
+  test.each([
+    [INTRABAR_POLICIES.PESSIMISTIC, 100, 'loss', 99],
+    [INTRABAR_POLICIES.OPTIMISTIC, 100, 'win', 102],
+    [INTRABAR_POLICIES.OPEN_PROXIMITY, 99.2, 'loss', 99],
+    [INTRABAR_POLICIES.OPEN_PROXIMITY, 101.8, 'win', 102]
+  ])('closes a candle reaching both levels with the %s policy (open %d)', (intrabarPolicy, open, result, exitPrice) => {
+    const signal = openLong();
+    const closed = applyCandleToPosition('TEST/USDT', signal, candle(0, open, 102.5, 98.5, 100), undefined, { ...DEFAULT_STRATEGY_CONFIG, intrabarPolicy });
+
+    expect(closed).toBe(true);
+    expect(signal.result).toBe(result);
+    expect(signal.fills).toHaveLength(1);
+    expect(signal.fills[0]).toMatchObject({ price: exitPrice, percent: 100 });
+    expect(signal.intrabarChecks[0].resolution).toBe(intrabarPolicy);
+  });
+
+  test('uses the policy when a single 1m candle reaches both levels too', () => {
+    const ambiguous = candle(0, 100, 102.5, 98.5, 100);
+    const intrabarCandles = { [ambiguous.timestamp.getTime()]: [oneMinCandle(ambiguous, 0, 100, 102.5, 98.5, 100)] };
+    const signal = openLong();
+    applyCandleToPosition('TEST/USDT', signal, ambiguous, undefined, { ...DEFAULT_STRATEGY_CONFIG, intrabarPolicy: INTRABAR_POLICIES.OPTIMISTIC, intrabarCandles });
+
+    expect(signal.result).toBe('win');
+    expect(signal.intrabarChecks[0]).toMatchObject({ resolution: INTRABAR_POLICIES.OPTIMISTIC, stopFirst: false });
+  });
+
+  test('fills only the stop when the candle does not reach the target', () => {
+    const signal = openLong();
+    const closed = applyCandleToPosition('TEST/USDT', signal, candle(0, 100, 101, 98.5, 99.5));
+
+    expect(closed).toBe(true);
+    expect(signal.result).toBe('loss');
+    expect(signal.exitReason).toBe('sl');
+    expect(signal.intrabarAmbiguous).toBe(false);
+    expect(signal.worstPrice).toBe(99);
+  });
+});
+
+describe('finalizing a position', () => {
+  const scaledLong = () => openLong({
+    takeProfit: 102,
+    targets: [
+      { rr: 1, price: 101, closePercent: 50 },
+      { rr: 2, price: 102, closePercent: 50 }
+    ],
+    moveToBreakEven: true
+  });
+
+  test('closes at break-even after TP1 moved the stop to entry', () => {
+    const signal = scaledLong();
+    const tp1Candle = candle(0, 100, 101.2, 100.2, 101);
+    const backToEntry = candle(1, 101, 101.1, 99.8, 100);
+
+    expect(applyCandleToPosition('TEST/USDT', signal, tp1Candle)).toBe(false);
+    expect(signal.currentStop).toBe(100);
+    expect(signal.stopReason).toBe('breakeven');
+
+    expect(applyCandleToPosition('TEST/USDT', signal, backToEntry)).toBe(true);
+    expect(signal.fills).toEqual([
+      { type: 'tp1', price: 101, percent: 50, time: tp1Candle.closeTime },
+      { type: 'breakeven', price: 100, percent: 50, time: backToEntry.closeTime }
+    ]);
+    expect(signal.exitReason).toBe('breakeven');
+    expect(signal.result).toBe('win'); // +0.5% from the TP1 half
+    expect(signal.closeTime).toEqual(backToEntry.closeTime);
+  });
+
+  test('closes the whole position at session end below entry as a loss', () => {
+    const signal = openLong();
+    const lastCandle = candle(5, 99.8, 99.9, 99.4, 99.5);
+    closeAtSessionEnd('TEST/USDT', signal, lastCandle);
+
+    expect(signal.fills).toEqual([{ type: 'session-end', price: 99.5, percent: 100, time: lastCandle.closeTime }]);
+    expect(signal.openPercent).toBe(0);
+    expect(signal.exitReason).toBe('session-end');
+    expect(signal.result).toBe('loss');
+    expect(signal.closeTime).toEqual(lastCandle.closeTime);
+  });
+
+  test('closes what is left at session end after a partial take profit', () => {
+    const signal = scaledLong();
+    applyCandleToPosition('TEST/USDT', signal, candle(0, 100, 101.2, 100.2, 101));
+    closeAtSessionEnd('TEST/USDT', signal, candle(5, 100.4, 100.5, 100.1, 100.2));
+
+    expect(signal.fills.map(fill => [fill.type, fill.percent])).toEqual([['tp1', 50], ['session-end', 50]]);
+    expect(signal.exitReason).toBe('session-end');
+    expect(signal.result).toBe('win');
+  });
+});
+
+describe('positions open at the end of the detection window', () => {
+  // The window runs until 15:00 UTC+7 the next day: candles 0 - 286 are inside it, 287 closes on its boundary
+  const LAST_WINDOW_CANDLE = 286;
+  const AFTER_WINDOW = 288;
+
+  const fillWindow = (from, open, high, low, close) => {
+    const candles = [];
+    for (let i = from; i <= LAST_WINDOW_CANDLE + 1; i++) {
+      candles.push(candle(i, open, high, low, close));
+    }
+    return candles;
+  };
+
+  const scan = (fiveMinCandles, riskProfile) => detectBreakoutsFromCandles({
+    symbol: 'TEST/USDT',
+    dateKeys: [DATE_KEY],
+    rangeCandles,
+    fiveMinCandles,
+    now: fiveMinCandles[fiveMinCandles.length - 1].closeTime.getTime() + 1,
+    config: { ...DEFAULT_STRATEGY_CONFIG, riskProfile },
+    verbose: false
+  }).signals;
+
+  test('keeps the break-even stop from TP1 and only checks it against later candles', () => {
+    // SHORT at 108, SL 109.08: a pullback to 108.6 before TP1 (106.92), then flat until after the window
+    const tp1Candle = candle(3, 108, 107.9, 106.8, 107);
+    const breakEvenCandle = candle(AFTER_WINDOW, 107.2, 108.3, 107.1, 108.2);
+    const candles = [
+      breakout,
+      reentry,
+      candle(2, 108, 108.6, 107.5, 108),
+      tp1Candle,
+      ...fillWindow(4, 107, 107.5, 107, 107.2),
+      breakEvenCandle
+    ];
+
+    const [signal] = scan(candles, RISK_PROFILE_PRESETS.find(profile => profile.id === 'scaled'));
+    expect(signal.fills).toEqual([
+      { type: 'tp1', price: expect.closeTo(106.92), percent: 50, time: tp1Candle.closeTime },
+      { type: 'breakeven', price: 108, percent: 50, time: breakEvenCandle.closeTime }
+    ]);
+    expect(signal.result).toBe('win');
+    expect(signal.closeTime).toEqual(breakEvenCandle.closeTime);
+  });
+
+  test('carries the trailing stop over from the window without replaying its candles', () => {
+    // SHORT at 108 under a 3x ATR chandelier: a drop to 106, then 0.3-wide candles until after the window
+    const trailHitCandle = candle(AFTER_WINDOW, 106.3, 107.2, 106.2, 107);
+    const windowCandles = [breakout, reentry, candle(2, 108, 108, 106, 106.3), ...fillWindow(3, 106.3, 106.4, 106.1, 106.3)];
+    const chandelier = RISK_PROFILE_PRESETS.find(profile => profile.id === 'chandelier');
+
+    const [signal] = scan([...windowCandles, trailHitCandle], chandelier);
+
+    // One pass: the window candles through the state machine, then the candles after it
+    const config = { ...DEFAULT_STRATEGY_CONFIG, riskProfile: chandelier };
+    const { pairs: [expected] } = runRangeStateMachine('TEST/USDT', DATE_KEY, RANGE_HIGH, RANGE_LOW,
+      windowCandles.slice(0, LAST_WINDOW_CANDLE + 1), config, false);
+    expect(expected.result).toBe('pending');
+    expect(expected.currentStop).toBeCloseTo(106.9);
+    resolvePendingSignal('TEST/USDT', expected, windowCandles.slice(LAST_WINDOW_CANDLE + 1).concat(trailHitCandle), false, config);
+
+    expect(signal.fills).toEqual([{ type: 'trail', price: expected.currentStop, percent: 100, time: trailHitCandle.closeTime }]);
+    expect(signal.fills).toEqual(expected.fills);
+    expect(signal.result).toBe('win');
+  });
+});
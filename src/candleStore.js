@@ -0,0 +1,472 @@
+// Candle Store
+// Persistent per-symbol, per-interval store of closed candles in IndexedDB. Callers ask for a time
+// range, get back the stored candles plus the open-time gaps still missing, fetch only those from
+// Binance and write them back. Open times Binance has no candle for (maintenance windows) are recorded
+// as empty ranges so they are not fetched again. Falls back to an in-memory store where IndexedDB is not available
+// (Node scripts, private browsing), so callers never need to check.
+
+const DB_NAME = 'crypto_signal_candles';
+const DB_VERSION = 1;
+const CANDLES_STORE = 'candles';
+const SERIES_STORE = 'series';
+
+// Time past a candle's close before it is stored as closed, so a local clock running ahead of Binance's
+// never stores the candle still forming there
+const CLOSED_CANDLE_MARGIN_MS = 60 * 1000;
+
+// Rough size of one stored candle (structured clone of 12 numbers plus the series key)
+const CANDLE_RECORD_BYTES = 150;
+
+// Interval lengths of fixed-size Binance intervals (weekly/monthly candles are not stored)
+export const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '3m': 3 * 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '30m': 30 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '2h': 2 * 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '6h': 6 * 60 * 60 * 1000,
+  '8h': 8 * 60 * 60 * 1000,
+  '12h': 12 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+/**
+ * Key of a symbol/interval series
+ * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+ * @param {string} interval - Kline interval (e.g., '5m')
+ * @returns {string} Series key (e.g., 'BTC/USDT|5m')
+ */
+export const getSeriesKey = (symbol, interval) => `${symbol}|${interval}`;
+
+const toRecord = (series, candle) => ({
+  series,
+  openTime: candle.timestamp.getTime(),
+  open: candle.open,
+  high: candle.high,
+  low: candle.low,
+  close: candle.close,
+  volume: candle.volume,
+  closeTime: candle.closeTime.getTime(),
+  quoteVolume: candle.quoteVolume,
+  trades: candle.trades,
+  takerBuyBaseVolume: candle.takerBuyBaseVolume,
+  takerBuyQuoteVolume: candle.takerBuyQuoteVolume
+});
+
+// Same shape as formatKlinesData
+const fromRecord = (record) => ({
+  timestamp: new Date(record.openTime),
+  open: record.open,
+  high: record.high,
+  low: record.low,
+  close: record.close,
+  volume: record.volume,
+  closeTime: new Date(record.closeTime),
+  quoteVolume: record.quoteVolume,
+  trades: record.trades,
+  takerBuyBaseVolume: record.takerBuyBaseVolume,
+  takerBuyQuoteVolume: record.takerBuyQuoteVolume
+});
+
+/**
+ * Find the candles missing from a time range, by open time
+ * Only candles closed by `now` are expected in the store; the forming candle is always reported missing
+ * so callers fetch it fresh.
+ * @param {Array<number>} storedOpenTimes - Open times (ms) already stored in the range
+ * @param {string} interval - Kline interval (must be in INTERVAL_MS)
+ * @param {number} startTime - Earliest open time in ms
+ * @param {number} endTime - Latest open time in ms
+ * @param {Object} options - { now, listedAt, emptyRanges } - listedAt is the symbol's first known open time (nothing is
+ *   missing before it), emptyRanges the { startTime, endTime } open-time ranges Binance has no candles for
+ * @returns {Array<Object>} Missing ranges { startTime, endTime } of open times, oldest first
+ */
+export const findMissingRanges = (storedOpenTimes, interval, startTime, endTime, { now = Date.now(), listedAt = null, emptyRanges = [] } = {}) => {
+  const intervalMs = INTERVAL_MS[interval];
+  const stored = new Set(storedOpenTimes);
+  const isEmpty = (openTime) => emptyRanges.some(range => openTime >= range.startTime && openTime <= range.endTime);
+  const firstOpenTime = Math.ceil(Math.max(startTime, listedAt || 0) / intervalMs) * intervalMs;
+  const lastOpenTime = Math.min(endTime, now);
+  const ranges = [];
+  let current = null;
+
+  for (let openTime = firstOpenTime; openTime <= lastOpenTime; openTime += intervalMs) {
+    const isClosed = openTime + intervalMs <= now;
+    if (isClosed && (stored.has(openTime) || isEmpty(openTime))) {
+      current = null;
+      continue;
+    }
+    if (current) {
+      current.endTime = openTime;
+    } else {
+      current = { startTime: openTime, endTime: openTime };
+      ranges.push(current);
+    }
+  }
+
+  return ranges;
+};
+
+// Sorted copy of open-time ranges with overlapping and adjacent ones joined
+const mergeRanges = (ranges, intervalMs) => {
+  const merged = [];
+  [...ranges].sort((a, b) => a.startTime - b.startTime).forEach(range => {
+    const last = merged[merged.length - 1];
+    if (last && range.startTime <= last.endTime + intervalMs) {
+      last.endTime = Math.max(last.endTime, range.endTime);
+    } else {
+      merged.push({ ...range });
+    }
+  });
+  return merged;
+};
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * IndexedDB backend
+ * Candles are keyed by [series, openTime] so a series range is one key range scan.
+ * @param {IDBFactory} indexedDBImpl - IndexedDB factory
+ * @returns {Object} Backend { name, getRange, putMany, deleteRange, summarize, getSeries, putSeries, listSeries, deleteSeries }
+ */
+const createIndexedDBBackend = (indexedDBImpl) => {
+  let dbPromise = null;
+
+  const openDB = () => {
+    if (!dbPromise) {
+      const request = indexedDBImpl.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CANDLES_STORE)) {
+          db.createObjectStore(CANDLES_STORE, { keyPath: ['series', 'openTime'] });
+        }
+        if (!db.objectStoreNames.contains(SERIES_STORE)) {
+          db.createObjectStore(SERIES_STORE, { keyPath: 'series' });
+        }
+      };
+      dbPromise = requestToPromise(request);
+    }
+    return dbPromise;
+  };
+
+  const seriesRange = (series, startTime = -Infinity, endTime = Infinity) => IDBKeyRange.bound([series, startTime], [series, endTime]);
+
+  return {
+    name: 'indexedDB',
+    getRange: async (series, startTime, endTime) => {
+      const db = await openDB();
+      const store = db.transaction(CANDLES_STORE, 'readonly').objectStore(CANDLES_STORE);
+      return requestToPromise(store.getAll(seriesRange(series, startTime, endTime)));
+    },
+    putMany: async (records) => {
+      const db = await openDB();
+      const transaction = db.transaction(CANDLES_STORE, 'readwrite');
+      const store = transaction.objectStore(CANDLES_STORE);
+      records.forEach(record => store.put(record));
+      await transactionDone(transaction);
+    },
+    deleteRange: async (series, startTime, endTime) => {
+      const db = await openDB();
+      const transaction = db.transaction(CANDLES_STORE, 'readwrite');
+      transaction.objectStore(CANDLES_STORE).delete(seriesRange(series, startTime, endTime));
+      await transactionDone(transaction);
+    },
+    // Count and first/last open time of a series, read from the candles themselves
+    summarize: async (series) => {
+      const db = await openDB();
+      const store = db.transaction(CANDLES_STORE, 'readonly').objectStore(CANDLES_STORE);
+      const range = seriesRange(series);
+      const [count, first, last] = await Promise.all([
+        requestToPromise(store.count(range)),
+        requestToPromise(store.openCursor(range, 'next')),
+        requestToPromise(store.openCursor(range, 'prev'))
+      ]);
+      return {
+        count,
+        firstOpenTime: first ? first.value.openTime : null,
+        lastOpenTime: last ? last.value.openTime : null
+      };
+    },
+    getSeries: async (series) => {
+      const db = await openDB();
+      return requestToPromise(db.transaction(SERIES_STORE, 'readonly').objectStore(SERIES_STORE).get(series));
+    },
+    putSeries: async (meta) => {
+      const db = await openDB();
+      const transaction = db.transaction(SERIES_STORE, 'readwrite');
+      transaction.objectStore(SERIES_STORE).put(meta);
+      await transactionDone(transaction);
+    },
+    listSeries: async () => {
+      const db = await openDB();
+      return requestToPromise(db.transaction(SERIES_STORE, 'readonly').objectStore(SERIES_STORE).getAll());
+    },
+    deleteSeries: async (series) => {
+      const db = await openDB();
+      const transaction = db.transaction(SERIES_STORE, 'readwrite');
+      transaction.objectStore(SERIES_STORE).delete(series);
+      await transactionDone(transaction);
+    }
+  };
+};
+
+/**
+ * In-memory backend (same interface as the IndexedDB one, lost on reload)
+ * @returns {Object} Backend
+ */
+const createMemoryBackend = () => {
+  const candles = new Map(); // series -> Map(openTime -> record)
+  const seriesMeta = new Map();
+
+  const getSeriesCandles = (series) => {
+    if (!candles.has(series)) {
+      candles.set(series, new Map());
+    }
+    return candles.get(series);
+  };
+
+  return {
+    name: 'memory',
+    getRange: async (series, startTime, endTime) => {
+      return [...getSeriesCandles(series).values()]
+        .filter(record => record.openTime >= startTime && record.openTime <= endTime)
+        .sort((a, b) => a.openTime - b.openTime);
+    },
+    putMany: async (records) => {
+      records.forEach(record => getSeriesCandles(record.series).set(record.openTime, record));
+    },
+    deleteRange: async (series, startTime = -Infinity, endTime = Infinity) => {
+      const seriesCandles = getSeriesCandles(series);
+      [...seriesCandles.keys()]
+        .filter(openTime => openTime >= startTime && openTime <= endTime)
+        .forEach(openTime => seriesCandles.delete(openTime));
+    },
+    summarize: async (series) => {
+      const openTimes = [...getSeriesCandles(series).keys()];
+      return {
+        count: openTimes.length,
+        firstOpenTime: openTimes.length > 0 ? Math.min(...openTimes) : null,
+        lastOpenTime: openTimes.length > 0 ? Math.max(...openTimes) : null
+      };
+    },
+    getSeries: async (series) => seriesMeta.get(series),
+    putSeries: async (meta) => {
+      seriesMeta.set(meta.series, meta);
+    },
+    listSeries: async () => [...seriesMeta.values()],
+    deleteSeries: async (series) => {
+      seriesMeta.delete(series);
+      candles.delete(series);
+    }
+  };
+};
+
+/**
+ * Create a candle store
+ * Every method catches storage errors and logs them, so a broken store degrades to fetching from Binance.
+ * @param {Object} options
+ * @param {IDBFactory} options.indexedDB - IndexedDB factory (default: the global one; in-memory store when missing)
+ * @returns {Object} { getCandles, putCandles, getStats, evictSeries, evictBefore, clear, getBackendName }
+ */
+export const createCandleStore = ({ indexedDB: indexedDBImpl = typeof indexedDB !== 'undefined' ? indexedDB : null } = {}) => {
+  const backend = indexedDBImpl ? createIndexedDBBackend(indexedDBImpl) : createMemoryBackend();
+
+  // Refresh a series' count and span after writes or evictions
+  const updateSeriesMeta = async (symbol, interval, changes = {}) => {
+    const series = getSeriesKey(symbol, interval);
+    const [existing, summary] = await Promise.all([backend.getSeries(series), backend.summarize(series)]);
+    await backend.putSeries({
+      series,
+      symbol,
+      interval,
+      listedAt: null,
+      emptyRanges: [],
+      ...existing,
+      ...summary,
+      ...changes,
+      updatedAt: Date.now()
+    });
+  };
+
+  /**
+   * Read a range of candles and the gaps still missing from it
+   * @param {string} symbol - Trading pair
+   * @param {string} interval - Kline interval
+   * @param {number} startTime - Earliest open time in ms
+   * @param {number} endTime - Latest open time in ms
+   * @param {number} now - Current time in ms (default: Date.now())
+   * @returns {Promise<Object>} { candles, missingRanges } - candles are formatted (oldest to newest); an interval the store
+   *   cannot hold (e.g., '1w') comes back as one missing range
+   */
+  const getCandles = async (symbol, interval, startTime, endTime, now = Date.now()) => {
+    if (!INTERVAL_MS[interval]) {
+      return { candles: [], missingRanges: [{ startTime, endTime }] };
+    }
+    try {
+      const series = getSeriesKey(symbol, interval);
+      const [records, meta] = await Promise.all([backend.getRange(series, startTime, endTime), backend.getSeries(series)]);
+      const candles = records.map(fromRecord);
+      const missingRanges = findMissingRanges(records.map(record => record.openTime), interval, startTime, endTime, {
+        now,
+        listedAt: meta ? meta.listedAt : null,
+        emptyRanges: meta && meta.emptyRanges ? meta.emptyRanges : []
+      });
+      return { candles, missingRanges };
+    } catch (error) {
+      console.warn(`[CandleStore] Could not read ${symbol} ${interval} candles:`, error && error.message ? error.message : error);
+      return { candles: [], missingRanges: findMissingRanges([], interval, startTime, endTime, { now }) };
+    }
+  };
+
+  /**
+   * Store fetched candles (only those closed for at least a minute; the forming candle is never stored)
+   * @param {string} symbol - Trading pair
+   * @param {string} interval - Kline interval
+   * @param {Array} candles - Formatted candles
+   * @param {Object} options - { now, listedAt, range } - listedAt records the symbol's first candle once Binance has returned it;
+   *   range is the { startTime, endTime } the candles were fetched for, whose closed open times without a candle are recorded
+   *   as empty so they are not reported missing again
+   * @returns {Promise<number>} Number of candles stored
+   */
+  const putCandles = async (symbol, interval, candles, { now = Date.now(), listedAt = null, range = null } = {}) => {
+    const intervalMs = INTERVAL_MS[interval];
+    if (!intervalMs) {
+      return 0;
+    }
+    const series = getSeriesKey(symbol, interval);
+    const closedBefore = now - CLOSED_CANDLE_MARGIN_MS;
+    const records = candles
+      .filter(candle => candle.closeTime.getTime() < closedBefore)
+      .map(candle => toRecord(series, candle));
+    const emptyRanges = range
+      ? findMissingRanges(records.map(record => record.openTime), interval, range.startTime, Math.min(range.endTime, closedBefore - intervalMs), {
+        now: closedBefore,
+        listedAt
+      })
+      : [];
+    if (records.length === 0 && listedAt === null && emptyRanges.length === 0) {
+      return 0;
+    }
+    try {
+      await backend.putMany(records);
+      const changes = listedAt !== null ? { listedAt } : {};
+      if (emptyRanges.length > 0) {
+        const existing = await backend.getSeries(series);
+        changes.emptyRanges = mergeRanges([...(existing && existing.emptyRanges ? existing.emptyRanges : []), ...emptyRanges], intervalMs);
+      }
+      await updateSeriesMeta(symbol, interval, changes);
+      return records.length;
+    } catch (error) {
+      console.warn(`[CandleStore] Could not store ${symbol} ${interval} candles:`, error && error.message ? error.message : error);
+      return 0;
+    }
+  };
+
+  /**
+   * Size statistics of every stored series
+   * @returns {Promise<Object>} { backend, series: [{ series, symbol, interval, count, firstOpenTime, lastOpenTime, estimatedBytes, updatedAt }],
+   *   totalCandles, estimatedBytes, usage, quota } - usage/quota come from navigator.storage.estimate() when available
+   */
+  const getStats = async () => {
+    try {
+      const series = (await backend.listSeries())
+        .map(meta => ({ ...meta, estimatedBytes: meta.count * CANDLE_RECORD_BYTES }))
+        .sort((a, b) => a.symbol.localeCompare(b.symbol) || (INTERVAL_MS[a.interval] || 0) - (INTERVAL_MS[b.interval] || 0));
+      const totalCandles = series.reduce((sum, meta) => sum + meta.count, 0);
+      let estimate = {};
+      if (backend.name === 'indexedDB' && typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+        estimate = await navigator.storage.estimate();
+      }
+      return {
+        backend: backend.name,
+        series,
+        totalCandles,
+        estimatedBytes: totalCandles * CANDLE_RECORD_BYTES,
+        usage: estimate.usage ?? null,
+        quota: estimate.quota ?? null
+      };
+    } catch (error) {
+      console.warn('[CandleStore] Could not read stats:', error && error.message ? error.message : error);
+      return { backend: backend.name, series: [], totalCandles: 0, estimatedBytes: 0, usage: null, quota: null };
+    }
+  };
+
+  /**
+   * Delete every candle of a series
+   * @param {string} symbol - Trading pair
+   * @param {string} interval - Kline interval
+   * @returns {Promise<void>}
+   */
+  const evictSeries = async (symbol, interval) => {
+    const series = getSeriesKey(symbol, interval);
+    try {
+      await backend.deleteRange(series, -Infinity, Infinity);
+      await backend.deleteSeries(series);
+      console.log(`[CandleStore] Evicted ${symbol} ${interval}`);
+    } catch (error) {
+      console.warn(`[CandleStore] Could not evict ${symbol} ${interval}:`, error && error.message ? error.message : error);
+    }
+  };
+
+  /**
+   * Delete candles opened before a time, in every series
+   * @param {number} cutoffTime - Open time in ms; older candles are deleted
+   * @returns {Promise<void>}
+   */
+  const evictBefore = async (cutoffTime) => {
+    try {
+      const allSeries = await backend.listSeries();
+      for (const meta of allSeries) {
+        await backend.deleteRange(meta.series, -Infinity, cutoffTime - 1);
+        const emptyRanges = (meta.emptyRanges || [])
+          .filter(range => range.endTime >= cutoffTime)
+          .map(range => ({ ...range, startTime: Math.max(range.startTime, cutoffTime) }));
+        await updateSeriesMeta(meta.symbol, meta.interval, { emptyRanges });
+      }
+      console.log(`[CandleStore] Evicted candles before ${new Date(cutoffTime).toISOString()}`);
+    } catch (error) {
+      console.warn('[CandleStore] Could not evict old candles:', error && error.message ? error.message : error);
+    }
+  };
+
+  /**
+   * Delete every stored candle
+   * @returns {Promise<void>}
+   */
+  const clear = async () => {
+    try {
+      const allSeries = await backend.listSeries();
+      for (const meta of allSeries) {
+        await backend.deleteRange(meta.series, -Infinity, Infinity);
+        await backend.deleteSeries(meta.series);
+      }
+      console.log('[CandleStore] Cleared');
+    } catch (error) {
+      console.warn('[CandleStore] Could not clear:', error && error.message ? error.message : error);
+    }
+  };
+
+  return {
+    getCandles,
+    putCandles,
+    getStats,
+    evictSeries,
+    evictBefore,
+    clear,
+    getBackendName: () => backend.name
+  };
+};
+
+// Shared store used by the Binance fetchers
+export const candleStore = createCandleStore();
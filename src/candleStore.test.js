@@ -0,0 +1,199 @@
+// Candle Store tests
+// Gap detection, the listedAt clamp, empty ranges, the forming candle and eviction, against the
+// in-memory backend.
+import { createCandleStore, findMissingRanges } from './candleStore';
+
+const MINUTE_MS = 60 * 1000;
+const FIVE_MIN_MS = 5 * MINUTE_MS;
+const START = Date.UTC(2026, 0, 8, 10, 0);
+
+// 5m open time of the nth candle after START
+const at = (n) => START + n * FIVE_MIN_MS;
+
+// Formatted 5m candle (same shape as formatKlinesData)
+const candle = (openTime) => ({
+  timestamp: new Date(openTime),
+  open: 100,
+  high: 101,
+  low: 99,
+  close: 100.5,
+  volume: 10,
+  closeTime: new Date(openTime + FIVE_MIN_MS - 1),
+  quoteVolume: 1000,
+  trades: 5,
+  takerBuyBaseVolume: 5,
+  takerBuyQuoteVolume: 500
+});
+
+const openTimesOf = (candles) => candles.map(c => c.timestamp.getTime());
+
+describe('findMissingRanges', () => {
+  const now = at(10);
+
+  test('reports every open time of an empty range as one gap', () => {
+    expect(findMissingRanges([], '5m', at(0), at(5), { now })).toEqual([{ startTime: at(0), endTime: at(5) }]);
+  });
+
+  test('splits the gaps around stored candles', () => {
+    const stored = [at(0), at(1), at(4)];
+
+    expect(findMissingRanges(stored, '5m', at(0), at(5), { now })).toEqual([
+      { startTime: at(2), endTime: at(3) },
+      { startTime: at(5), endTime: at(5) }
+    ]);
+  });
+
+  test('starts at the first open time inside an unaligned range', () => {
+    expect(findMissingRanges([], '5m', at(0) + 1, at(2), { now })).toEqual([{ startTime: at(1), endTime: at(2) }]);
+  });
+
+  test('always reports the forming candle, and nothing after now', () => {
+    const stored = [at(8), at(9), at(10)];
+
+    expect(findMissingRanges(stored, '5m', at(8), at(20), { now: at(10) + MINUTE_MS })).toEqual([
+      { startTime: at(10), endTime: at(10) }
+    ]);
+  });
+
+  test('reports nothing missing before the listing', () => {
+    expect(findMissingRanges([at(3)], '5m', at(0), at(3), { now, listedAt: at(2) })).toEqual([
+      { startTime: at(2), endTime: at(2) }
+    ]);
+  });
+
+  test('skips known empty open times', () => {
+    const emptyRanges = [{ startTime: at(2), endTime: at(3) }];
+
+    expect(findMissingRanges([at(0), at(1), at(4)], '5m', at(0), at(4), { now, emptyRanges })).toEqual([]);
+  });
+});
+
+describe('createCandleStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createCandleStore({ indexedDB: null });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('falls back to the in-memory backend', () => {
+    expect(store.getBackendName()).toBe('memory');
+  });
+
+  test('reads stored candles back and reports only the gaps', async () => {
+    await store.putCandles('BTC/USDT', '5m', [0, 1, 4].map(n => candle(at(n))), { now: at(10) });
+    const { candles, missingRanges } = await store.getCandles('BTC/USDT', '5m', at(0), at(5), at(10));
+
+    expect(openTimesOf(candles)).toEqual([at(0), at(1), at(4)]);
+    expect(candles[0]).toEqual(candle(at(0)));
+    expect(missingRanges).toEqual([
+      { startTime: at(2), endTime: at(3) },
+      { startTime: at(5), endTime: at(5) }
+    ]);
+  });
+
+  test('never stores the forming candle', async () => {
+    const now = at(2) + MINUTE_MS;
+    const stored = await store.putCandles('BTC/USDT', '5m', [0, 1, 2].map(n => candle(at(n))), { now });
+    const { candles, missingRanges } = await store.getCandles('BTC/USDT', '5m', at(0), at(2), now);
+
+    expect(stored).toBe(2);
+    expect(openTimesOf(candles)).toEqual([at(0), at(1)]);
+    expect(missingRanges).toEqual([{ startTime: at(2), endTime: at(2) }]);
+  });
+
+  test('does not store a candle closed less than a minute ago, nor record it as empty', async () => {
+    // The local clock runs ahead of Binance's: at(2) looks closed here but may still be forming there
+    const now = at(3) + 10 * 1000;
+    const range = { startTime: at(0), endTime: at(3) };
+    const stored = await store.putCandles('BTC/USDT', '5m', [0, 1, 2].map(n => candle(at(n))), { now, range });
+    const { missingRanges } = await store.getCandles('BTC/USDT', '5m', at(0), at(3), now);
+
+    expect(stored).toBe(2);
+    expect(missingRanges).toEqual([{ startTime: at(2), endTime: at(3) }]);
+  });
+
+  test('keeps the listing time, so ranges before it are never missing', async () => {
+    await store.putCandles('NEW/USDT', '5m', [3, 4].map(n => candle(at(n))), { now: at(10), listedAt: at(3) });
+    const { missingRanges } = await store.getCandles('NEW/USDT', '5m', at(0), at(4), at(10));
+
+    expect(missingRanges).toEqual([]);
+  });
+
+  test('records the open times a fetched range came back without', async () => {
+    // Binance has no candles for at(2)..at(3) (maintenance); at(6) is still forming
+    const range = { startTime: at(0), endTime: at(6) };
+    const now = at(6) + MINUTE_MS;
+    await store.putCandles('BTC/USDT', '5m', [0, 1, 4, 5].map(n => candle(at(n))), { now, range });
+    const { missingRanges } = await store.getCandles('BTC/USDT', '5m', at(0), at(6), now);
+
+    expect(missingRanges).toEqual([{ startTime: at(6), endTime: at(6) }]);
+  });
+
+  test('records a fetched range with no candles at all as empty', async () => {
+    await store.putCandles('BTC/USDT', '5m', [], { now: at(10), range: { startTime: at(2), endTime: at(3) } });
+    await store.putCandles('BTC/USDT', '5m', [], { now: at(10), range: { startTime: at(4), endTime: at(4) } });
+    const { missingRanges } = await store.getCandles('BTC/USDT', '5m', at(0), at(5), at(10));
+    const stats = await store.getStats();
+
+    expect(missingRanges).toEqual([
+      { startTime: at(0), endTime: at(1) },
+      { startTime: at(5), endTime: at(5) }
+    ]);
+    // Adjacent empty ranges are joined
+    expect(stats.series[0].emptyRanges).toEqual([{ startTime: at(2), endTime: at(4) }]);
+  });
+
+  test('reports the size of every series', async () => {
+    await store.putCandles('ETH/USDT', '5m', [0, 1].map(n => candle(at(n))), { now: at(10) });
+    await store.putCandles('BTC/USDT', '5m', [0, 1, 2].map(n => candle(at(n))), { now: at(10) });
+    const stats = await store.getStats();
+
+    expect(stats.series.map(meta => [meta.series, meta.count, meta.firstOpenTime, meta.lastOpenTime])).toEqual([
+      ['BTC/USDT|5m', 3, at(0), at(2)],
+      ['ETH/USDT|5m', 2, at(0), at(1)]
+    ]);
+    expect(stats.totalCandles).toBe(5);
+  });
+
+  test('evicts a whole series', async () => {
+    await store.putCandles('BTC/USDT', '5m', [0, 1].map(n => candle(at(n))), { now: at(10) });
+    await store.putCandles('ETH/USDT', '5m', [0, 1].map(n => candle(at(n))), { now: at(10) });
+    await store.evictSeries('BTC/USDT', '5m');
+
+    const { candles } = await store.getCandles('BTC/USDT', '5m', at(0), at(1), at(10));
+    expect(candles).toEqual([]);
+    expect((await store.getStats()).series.map(meta => meta.series)).toEqual(['ETH/USDT|5m']);
+  });
+
+  test('evicts candles and empty ranges opened before a cutoff', async () => {
+    const range = { startTime: at(0), endTime: at(5) };
+    await store.putCandles('BTC/USDT', '5m', [0, 1, 4, 5].map(n => candle(at(n))), { now: at(10), range });
+    await store.evictBefore(at(3));
+
+    const { candles, missingRanges } = await store.getCandles('BTC/USDT', '5m', at(0), at(5), at(10));
+    expect(openTimesOf(candles)).toEqual([at(4), at(5)]);
+    expect(missingRanges).toEqual([{ startTime: at(0), endTime: at(2) }]);
+    const [meta] = (await store.getStats()).series;
+    expect(meta).toMatchObject({ count: 2, firstOpenTime: at(4), emptyRanges: [{ startTime: at(3), endTime: at(3) }] });
+  });
+
+  test('clears every series', async () => {
+    await store.putCandles('BTC/USDT', '5m', [candle(at(0))], { now: at(10) });
+    await store.clear();
+
+    expect(await store.getStats()).toMatchObject({ series: [], totalCandles: 0 });
+  });
+
+  test('reports intervals it cannot hold as one missing range', async () => {
+    expect(await store.putCandles('BTC/USDT', '1w', [candle(at(0))], { now: at(10) })).toBe(0);
+    expect(await store.getCandles('BTC/USDT', '1w', at(0), at(5), at(10))).toEqual({
+      candles: [],
+      missingRanges: [{ startTime: at(0), endTime: at(5) }]
+    });
+  });
+});
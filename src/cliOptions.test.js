@@ -0,0 +1,171 @@
+// CLI options tests
+// Argument parsing, the table output, and the breakout settings named on the command line: the risk profile
+// reaches fetchMultipleBreakoutSignals under the pair it looks profiles up by.
+import { EXIT_CODES, DEFAULT_CLI_OPTIONS, parseArgs, formatTable, resolveBreakoutSettings } from '../cli/options.mjs';
+import { fetchMultipleBreakoutSignals } from './binance';
+import { clock } from './clock';
+import * as sessions from './sessions';
+import * as riskProfiles from './riskProfiles';
+import * as symbols from './symbols';
+import { createMockMarket } from '../mock-server/marketData.mjs';
+import { createMarketFetch } from './testing/fetchMocks';
+
+const SYMBOLS = ['BTC/USDT', 'ETH/USDT'];
+const MODULES = { sessions, riskProfiles, symbols };
+
+describe('parseArgs', () => {
+  const usageErrorOf = (args) => {
+    try {
+      parseArgs(args);
+    } catch (error) {
+      return error;
+    }
+    return null;
+  };
+
+  test('reads the command and keeps the defaults', () => {
+    expect(parseArgs(['scan'])).toEqual({ command: 'scan', options: DEFAULT_CLI_OPTIONS });
+  });
+
+  test('reads values after the flag or after =', () => {
+    const { options } = parseArgs(['scan', '--mode', 'rsi', '--days=5', '--risk-profile=atr', '--base-url', 'http://localhost:4000']);
+
+    expect(options).toMatchObject({ mode: 'rsi', days: 5, riskProfile: 'atr', baseUrl: 'http://localhost:4000' });
+  });
+
+  test('splits on the first = only', () => {
+    const { options } = parseArgs(['watch', '--webhook=https://hooks.example.com/a?token=x=y']);
+
+    expect(options.webhooks).toEqual(['https://hooks.example.com/a?token=x=y']);
+  });
+
+  test('splits list options on commas', () => {
+    const { options } = parseArgs(['scan', '--symbols', 'BTC/USDT, ETH/BTC,', '--sessions=asia,london']);
+
+    expect(options.symbols).toEqual(['BTC/USDT', 'ETH/BTC']);
+    expect(options.sessions).toEqual(['asia', 'london']);
+  });
+
+  test('adds up repeated --webhook and --chat options', () => {
+    const { options } = parseArgs([
+      'watch',
+      '--webhook', 'https://a.example.com/hook',
+      '--webhook=https://b.example.com/hook,https://c.example.com/hook',
+      '--chat', 'Discord=https://discord.com/api/webhooks/1/abc',
+      '--chat=telegram=https://api.telegram.org/bot1:abc/sendMessage?chat_id=5'
+    ]);
+
+    expect(options.webhooks).toEqual(['https://a.example.com/hook', 'https://b.example.com/hook', 'https://c.example.com/hook']);
+    expect(options.chats).toEqual([
+      { format: 'discord', url: 'https://discord.com/api/webhooks/1/abc' },
+      { format: 'telegram', url: 'https://api.telegram.org/bot1:abc/sendMessage?chat_id=5' }
+    ]);
+  });
+
+  test('turns boolean options on, and --no-cache / --no-rsi off', () => {
+    const { options } = parseArgs(['watch', '--force', '--once', '--no-cache', '--no-rsi']);
+
+    expect(options).toMatchObject({ force: true, once: true, cache: false, rsi: false });
+  });
+
+  test('rejects the spellings that only exist as --no-* flags', () => {
+    ['--cache', '--rsi', '--webhooks=https://a.example.com', '--chats=discord=https://a.example.com'].forEach(flag => {
+      expect(usageErrorOf(['scan', flag]).message).toMatch(/^Unknown option/);
+    });
+  });
+
+  test.each([
+    [['scan', '--bogus'], 'Unknown option --bogus'],
+    [['scan', 'watch'], 'Unexpected argument watch'],
+    [['scan', '--days'], 'Missing value for --days'],
+    [['scan', '--mode', '--force'], 'Missing value for --mode'],
+    [['scan', '--days', '0'], '--days must be a positive number'],
+    [['scan', '--interval=soon'], '--interval must be a positive number'],
+    [['scan', '--mode', 'macd'], 'Unknown mode macd (expected rsi, oversold, breakout)'],
+    [['scan', '--format', 'csv'], 'Unknown format csv (expected table or json)'],
+    [['watch', '--chat', 'https://discord.com/api/webhooks/1/abc'], '--chat expects <format>=<url>, e.g. discord=https://discord.com/api/webhooks/...'],
+    [['watch', '--chat', 'discord=not a url'], '--chat expects <format>=<url>, e.g. discord=https://discord.com/api/webhooks/...']
+  ])('rejects %j with the usage exit code', (args, message) => {
+    const error = usageErrorOf(args);
+
+    expect(error.message).toBe(message);
+    expect(error.exitCode).toBe(EXIT_CODES.USAGE);
+  });
+
+  test('exits with code 2 on usage errors', () => {
+    expect(EXIT_CODES.USAGE).toBe(2);
+  });
+});
+
+describe('formatTable', () => {
+  const columns = [
+    { label: 'Symbol', value: row => row.symbol },
+    { label: 'Price', value: row => row.price, align: 'right' },
+    { label: 'Note', value: row => row.note }
+  ];
+
+  test('pads every column to its widest cell and right-aligns numbers', () => {
+    const table = formatTable(columns, [
+      { symbol: 'BTC', price: '65000.0', note: 'breakout' },
+      { symbol: 'ETH/BTC', price: '0.05', note: 'x' }
+    ]);
+
+    expect(table.split('\n')).toEqual([
+      'Symbol     Price  Note',
+      '-------  -------  --------',
+      'BTC      65000.0  breakout',
+      'ETH/BTC     0.05  x'
+    ]);
+  });
+
+  test('shows missing values as -', () => {
+    expect(formatTable(columns, [{ symbol: 'BTC', price: null }]).split('\n')[2]).toBe('BTC         -  -');
+  });
+});
+
+describe('resolveBreakoutSettings', () => {
+  beforeEach(() => {
+    clock.setFixedTime(Date.UTC(2026, 0, 8, 10, 2));
+    global.fetch = createMarketFetch(createMockMarket({ historyDays: 5, now: () => clock.now() }));
+    localStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+    clock.reset();
+  });
+
+  const settingsFor = (riskProfile) => resolveBreakoutSettings(MODULES, { sessions: ['asia'], riskProfile, symbols: SYMBOLS });
+
+  test('keys the risk profile by trading pair', () => {
+    const { riskProfilesBySymbol } = settingsFor('range');
+
+    expect(Object.keys(riskProfilesBySymbol)).toEqual(SYMBOLS);
+    expect(riskProfilesBySymbol['BTC/USDT'].id).toBe('range');
+  });
+
+  test('a non-default risk profile changes the stops of the scanned signals', async () => {
+    const scan = async (riskProfile) => {
+      const settings = settingsFor(riskProfile);
+      const { signals } = await fetchMultipleBreakoutSignals(SYMBOLS, 3, true, settings.sessions, settings.riskProfilesBySymbol);
+      return signals;
+    };
+    // The range profile puts the stop on the opposite range boundary, the default one at the breakout extreme
+    const isRangeStop = (signal) => signal.stopLoss === (signal.breakoutDirection === 'long' ? signal.rangeLow : signal.rangeHigh);
+    const defaultSignals = await scan(null);
+    const rangeSignals = await scan('range');
+
+    expect(defaultSignals.length).toBeGreaterThan(0);
+    expect(rangeSignals.length).toBeGreaterThan(0);
+    expect(defaultSignals.every(isRangeStop)).toBe(false);
+    expect(rangeSignals.every(isRangeStop)).toBe(true);
+    expect(rangeSignals.every(signal => signal.riskProfile === 'range')).toBe(true);
+  });
+
+  test('rejects an unknown risk profile with the usage exit code', () => {
+    expect(() => settingsFor('nope')).toThrow(expect.objectContaining({ exitCode: 2 }));
+  });
+});
@@ -0,0 +1,67 @@
+// Clock
+// Every "what time is it" question in the fetchers, detectors and tables goes through one clock,
+// so replay mode (replay.js) can pin the app to the moment a session was recorded and reproduce
+// its signals exactly, down to cache expiry. Rate limiting keeps using the real time.
+
+/**
+ * Create a clock
+ * Runs on the system time until setFixedTime() pins it; reset() goes back to the system time.
+ * @param {Function} systemNow - Source of the real time in ms (default: Date.now)
+ * @returns {Object} { now, date, setFixedTime, reset, isFixed, subscribe }
+ */
+export const createClock = (systemNow = () => Date.now()) => {
+  let fixedTime = null;
+  const listeners = new Set();
+
+  const notify = () => {
+    listeners.forEach(listener => listener(fixedTime));
+  };
+
+  /**
+   * Current time in ms
+   * @returns {number}
+   */
+  const now = () => (fixedTime !== null ? fixedTime : systemNow());
+
+  /**
+   * Current time as a Date (replaces `new Date()`)
+   * @returns {Date}
+   */
+  const date = () => new Date(now());
+
+  /**
+   * Pin the clock to a time
+   * @param {number} time - Time in ms
+   */
+  const setFixedTime = (time) => {
+    fixedTime = time;
+    notify();
+  };
+
+  const reset = () => {
+    fixedTime = null;
+    notify();
+  };
+
+  /**
+   * Listen to the clock being pinned or released
+   * @param {Function} listener - Called with the fixed time in ms, or null when back on the system time
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    now,
+    date,
+    setFixedTime,
+    reset,
+    isFixed: () => fixedTime !== null,
+    subscribe
+  };
+};
+
+// Shared clock used by the whole app
+export const clock = createClock();
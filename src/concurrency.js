@@ -0,0 +1,52 @@
+// Concurrency
+// Helpers for the multi-symbol fetchers: work on a few symbols at once instead of one after the
+// other, and share identical requests that are already in flight. How many requests actually hit
+// Binance per minute is still up to the request scheduler (requestScheduler.js).
+
+export const DEFAULT_FETCH_CONCURRENCY = 4; // Symbols fetched at once
+
+/**
+ * Map items through an async function with a bounded number of calls running at once
+ * Results keep the input order. A rejected call rejects the whole map, so callers that want
+ * per-item failures catch inside mapper.
+ * @param {Array} items - Items to map
+ * @param {number} limit - Maximum calls running at once (at least 1)
+ * @param {Function} mapper - async (item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+export const mapWithConcurrency = async (items, limit, mapper) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await mapper(items[index], index);
+    }
+  };
+
+  const workerCount = Math.min(items.length, Math.max(1, Math.floor(limit) || 1));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+  return results;
+};
+
+/**
+ * Create an in-flight request deduper
+ * Calls with a key that is already running share its promise instead of starting the request
+ * again; the key is released once the request settles, so later calls fetch fresh data.
+ * @returns {Function} (key, request) => Promise - request is only called when nothing is in flight for key
+ */
+export const createInFlightDeduper = () => {
+  const inFlight = new Map();
+
+  return (key, request) => {
+    if (inFlight.has(key)) {
+      return inFlight.get(key);
+    }
+    const promise = Promise.resolve()
+      .then(request)
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, promise);
+    return promise;
+  };
+};
@@ -0,0 +1,182 @@
+// Concurrency tests
+// The bound on calls running at once, results in input order, and in-flight requests shared by identical
+// keys (the Binance price and klines requests go through one) but never kept once they fail.
+import { mapWithConcurrency, createInFlightDeduper } from './concurrency';
+import { getBinancePrice, fetchKlinesRange } from './binance';
+import { clock } from './clock';
+import { createMockMarket } from '../mock-server/marketData.mjs';
+import { jsonResponse, createFetch, createMarketFetch } from './testing/fetchMocks';
+
+// Promise settled from outside
+const deferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((onResolve, onReject) => {
+    resolve = onResolve;
+    reject = onReject;
+  });
+  return { promise, resolve, reject };
+};
+
+const flushPromises = async () => {
+  for (let i = 0; i < 20; i++) {
+    await Promise.resolve();
+  }
+};
+
+describe('mapWithConcurrency', () => {
+  test('never runs more calls than the limit at once', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    await mapWithConcurrency(Array.from({ length: 10 }, (_, i) => i), 3, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await flushPromises();
+      running--;
+    });
+
+    expect(maxRunning).toBe(3);
+  });
+
+  test('keeps the input order when calls finish out of order', async () => {
+    const calls = [deferred(), deferred(), deferred()];
+    const mapped = mapWithConcurrency(['a', 'b', 'c'], 3, (item, index) => calls[index].promise.then(() => `${item}${index}`));
+
+    calls[2].resolve();
+    calls[0].resolve();
+    await flushPromises();
+    calls[1].resolve();
+
+    expect(await mapped).toEqual(['a0', 'b1', 'c2']);
+  });
+
+  test('starts the next item as soon as a call finishes', async () => {
+    const calls = [deferred(), deferred(), deferred()];
+    const started = [];
+    const mapped = mapWithConcurrency([0, 1, 2], 2, (item) => {
+      started.push(item);
+      return calls[item].promise;
+    });
+
+    await flushPromises();
+    expect(started).toEqual([0, 1]);
+    calls[1].resolve();
+    await flushPromises();
+    expect(started).toEqual([0, 1, 2]);
+
+    calls[0].resolve();
+    calls[2].resolve();
+    await mapped;
+  });
+
+  test('runs one call at a time with a limit below 1', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    await mapWithConcurrency([1, 2, 3], 0, async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await flushPromises();
+      running--;
+    });
+
+    expect(maxRunning).toBe(1);
+  });
+
+  test('rejects with the first rejected call', async () => {
+    const mapped = mapWithConcurrency([1, 2, 3], 2, async (item) => {
+      if (item === 2) {
+        throw new Error('symbol 2 failed');
+      }
+      return item;
+    });
+
+    await expect(mapped).rejects.toThrow('symbol 2 failed');
+  });
+});
+
+describe('createInFlightDeduper', () => {
+  test('identical keys in flight share one request', async () => {
+    const dedupe = createInFlightDeduper();
+    const call = deferred();
+    const request = jest.fn(() => call.promise);
+
+    const first = dedupe('BTCUSDT', request);
+    const second = dedupe('BTCUSDT', request);
+    const other = dedupe('ETHUSDT', () => Promise.resolve('eth'));
+    call.resolve('btc');
+
+    expect(await Promise.all([first, second, other])).toEqual(['btc', 'btc', 'eth']);
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  test('a settled request is not reused by later calls', async () => {
+    const dedupe = createInFlightDeduper();
+    const request = jest.fn(async () => request.mock.calls.length);
+
+    expect(await dedupe('BTCUSDT', request)).toBe(1);
+    expect(await dedupe('BTCUSDT', request)).toBe(2);
+  });
+
+  test('a rejected request fails the callers sharing it, and later callers request again', async () => {
+    const dedupe = createInFlightDeduper();
+    const call = deferred();
+    const failing = jest.fn(() => call.promise);
+
+    const first = dedupe('BTCUSDT', failing);
+    const second = dedupe('BTCUSDT', failing);
+    call.reject(new Error('network down'));
+
+    await expect(first).rejects.toThrow('network down');
+    await expect(second).rejects.toThrow('network down');
+    expect(failing).toHaveBeenCalledTimes(1);
+    expect(await dedupe('BTCUSDT', () => Promise.resolve('btc'))).toBe('btc');
+  });
+});
+
+describe('Binance requests in flight', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete global.fetch;
+    clock.reset();
+  });
+
+  test('concurrent price requests for one symbol are sent once', async () => {
+    global.fetch = createFetch(jsonResponse({ symbol: 'BTCUSDT', price: '97000.00' }));
+
+    const prices = await Promise.all([getBinancePrice('BTC/USDT'), getBinancePrice('BTCUSDT')]);
+
+    expect(prices.map(price => price.price)).toEqual(['97000.00', '97000.00']);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('a failed price request is sent again by the next caller', async () => {
+    global.fetch = createFetch(400, jsonResponse({ symbol: 'BTCUSDT', price: '97000.00' }));
+
+    await expect(getBinancePrice('BTC/USDT')).rejects.toThrow(/400/);
+    expect((await getBinancePrice('BTC/USDT')).price).toBe('97000.00');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('concurrent candle ranges missing the same gap download it once', async () => {
+    clock.setFixedTime(Date.UTC(2026, 0, 8, 10, 2));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    global.fetch = createMarketFetch(createMockMarket({ historyDays: 5, now: () => clock.now() }));
+    const startTime = Date.UTC(2026, 0, 7, 0, 0);
+    const endTime = Date.UTC(2026, 0, 8, 0, 0);
+
+    const [first, second] = await Promise.all([
+      fetchKlinesRange('XRP/USDT', '5m', startTime, endTime),
+      fetchKlinesRange('XRP/USDT', '5m', startTime, endTime)
+    ]);
+    const concurrentRequests = global.fetch.mock.calls.length;
+    global.fetch.mockClear();
+    await fetchKlinesRange('ADA/USDT', '5m', startTime, endTime);
+
+    expect(second).toEqual(first);
+    expect(concurrentRequests).toBe(global.fetch.mock.calls.length);
+  });
+});
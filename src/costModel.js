@@ -0,0 +1,107 @@
+// Trading Cost Model
+// Estimated fees, slippage and perpetual funding for the leveraged trade simulation.
+// Entries and stop-type exits (SL, break-even, trail, session end) are market orders: taker fee + slippage.
+// Take-profit exits are resting limit orders: maker fee, no slippage.
+import { toTradingPair } from './symbols';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * Default cost model - Binance USDⓈ-M futures, regular (VIP 0) fee tier
+ */
+export const DEFAULT_COST_MODEL = {
+  makerFeePercent: 0.02,   // % of notional per maker fill
+  takerFeePercent: 0.05,   // % of notional per taker fill
+  defaultSlippageBps: 3,   // Market order slippage for symbols not listed below
+  slippageBpsBySymbol: {
+    'BTC/USDT': 1,
+    'ETH/USDT': 1,
+    'BNB/USDT': 2,
+    'SOL/USDT': 2,
+    'XRP/USDT': 2,
+    'DOGE/USDT': 3,
+    'ADA/USDT': 3,
+    'LINK/USDT': 3,
+    'SUI/USDT': 4,
+    'ENA/USDT': 5,
+    'TAO/USDT': 5,
+    'PEPE/USDT': 6,
+    'ASTER/USDT': 8,
+    'PUMP/USDT': 8
+  },
+  fundingRatePercent: 0.01, // Estimated rate per funding interval (longs pay, shorts receive when positive)
+  fundingHoursUTC: [0, 8, 16]
+};
+
+/**
+ * Get the market order slippage for a symbol
+ * @param {string} symbol - Trading pair ('BTC/USDT') or symbol as shown in signals ('BTC', 'ETH/BTC')
+ * @param {Object} model - Cost model (default: DEFAULT_COST_MODEL)
+ * @returns {number} Slippage in basis points
+ */
+export const getSlippageBps = (symbol, model = DEFAULT_COST_MODEL) => {
+  const pair = toTradingPair(symbol);
+  const bps = model.slippageBpsBySymbol[pair];
+  return bps !== undefined ? bps : model.defaultSlippageBps;
+};
+
+/**
+ * Count funding timestamps in (startTime, endTime]
+ * @param {Date|number} startTime - Position open time
+ * @param {Date|number} endTime - Position close time
+ * @param {Array<number>} fundingHoursUTC - UTC hours of the funding timestamps (default: 00/08/16)
+ * @returns {number} Number of funding payments
+ */
+export const countFundingEvents = (startTime, endTime, fundingHoursUTC = DEFAULT_COST_MODEL.fundingHoursUTC) => {
+  const start = new Date(startTime).getTime();
+  const end = new Date(endTime).getTime();
+  let count = 0;
+
+  for (let day = Math.floor(start / DAY_MS) * DAY_MS; day <= end; day += DAY_MS) {
+    for (const hour of fundingHoursUTC) {
+      const fundingTime = day + hour * HOUR_MS;
+      if (fundingTime > start && fundingTime <= end) {
+        count++;
+      }
+    }
+  }
+  return count;
+};
+
+/**
+ * Estimate the costs of a trade for a set of exits
+ * @param {Object} signal - Signal with symbol, entryPrice, breakoutDirection and reentryTime
+ * @param {Array<Object>} exits - Exits { type ('tp1'..'tpN' | 'sl' | 'breakeven' | 'trail' | 'session-end'), price, percent, time }
+ *   (exits without a time pay no funding)
+ * @param {Object} options - { principal, leverage }
+ * @param {Object} model - Cost model (default: DEFAULT_COST_MODEL)
+ * @returns {Object} { fees, slippage, funding, total } in dollars (positive = cost; funding can be negative for shorts)
+ */
+export const estimateTradeCosts = (signal, exits, { principal, leverage }, model = DEFAULT_COST_MODEL) => {
+  const notional = principal * leverage;
+  const slippageRate = getSlippageBps(signal.symbol, model) / 10000;
+  const fundingSign = signal.breakoutDirection === 'long' ? 1 : -1;
+
+  // Entry: market order on the re-entry close
+  let fees = notional * model.takerFeePercent / 100;
+  let slippage = notional * slippageRate;
+  let funding = 0;
+
+  exits.forEach(exit => {
+    const exitNotional = notional * (exit.percent / 100) * (exit.price / signal.entryPrice);
+    if (exit.type.startsWith('tp')) {
+      fees += exitNotional * model.makerFeePercent / 100;
+    } else {
+      fees += exitNotional * model.takerFeePercent / 100;
+      slippage += exitNotional * slippageRate;
+    }
+
+    if (exit.time && signal.reentryTime) {
+      const fundingEvents = countFundingEvents(signal.reentryTime, exit.time, model.fundingHoursUTC);
+      funding += fundingSign * notional * (exit.percent / 100) * fundingEvents * model.fundingRatePercent / 100;
+    }
+  });
+
+  return { fees, slippage, funding, total: fees + slippage + funding };
+};
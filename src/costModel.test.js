@@ -0,0 +1,83 @@
+// Cost Model tests
+// Fees, slippage and funding of the $1000 @ 50x simulation, computed by hand for a long and a short.
+import { DEFAULT_COST_MODEL, getSlippageBps, countFundingEvents, estimateTradeCosts } from './costModel';
+
+const OPTIONS = { principal: 1000, leverage: 50 }; // $50,000 notional
+const at = (day, hour) => new Date(Date.UTC(2026, 0, day, hour));
+
+describe('getSlippageBps', () => {
+  test('looks symbols up by trading pair', () => {
+    expect(getSlippageBps('BTC/USDT')).toBe(1);
+    expect(getSlippageBps('PEPE')).toBe(6);
+  });
+
+  test('falls back to the default slippage', () => {
+    expect(getSlippageBps('ETH/BTC')).toBe(DEFAULT_COST_MODEL.defaultSlippageBps);
+    expect(getSlippageBps('BTC', { ...DEFAULT_COST_MODEL, slippageBpsBySymbol: {}, defaultSlippageBps: 7 })).toBe(7);
+  });
+});
+
+describe('countFundingEvents', () => {
+  test('counts funding times after the open, up to and including the close', () => {
+    expect(countFundingEvents(at(5, 8), at(5, 16))).toBe(1);
+    expect(countFundingEvents(at(5, 7), at(5, 8))).toBe(1);
+    expect(countFundingEvents(at(5, 9), at(5, 15))).toBe(0);
+  });
+
+  test('counts across days', () => {
+    // 16:00, 00:00, 08:00, 16:00
+    expect(countFundingEvents(at(5, 9), at(6, 17))).toBe(4);
+  });
+
+  test('uses the given funding hours', () => {
+    expect(countFundingEvents(at(5, 0), at(6, 0), [0, 4, 8, 12, 16, 20])).toBe(6);
+  });
+});
+
+describe('estimateTradeCosts', () => {
+  test('long closed at the target: taker entry, maker exit, longs pay funding', () => {
+    const signal = { symbol: 'BTC/USDT', breakoutDirection: 'long', entryPrice: 100, reentryTime: at(5, 9) };
+    const costs = estimateTradeCosts(signal, [{ type: 'tp1', price: 102, percent: 100, time: at(5, 17) }], OPTIONS);
+
+    // Entry: 50,000 * 0.05% = 25 fee, 50,000 * 1 bps = 5 slippage
+    // Exit: 51,000 * 0.02% = 10.2 maker fee, no slippage
+    // Funding: one event (16:00), 50,000 * 0.01% = 5
+    expect(costs.fees).toBeCloseTo(35.2, 10);
+    expect(costs.slippage).toBeCloseTo(5, 10);
+    expect(costs.funding).toBeCloseTo(5, 10);
+    expect(costs.total).toBeCloseTo(45.2, 10);
+  });
+
+  test('long stopped out: taker fee and slippage on the exit as well', () => {
+    const signal = { symbol: 'BTC/USDT', breakoutDirection: 'long', entryPrice: 100, reentryTime: at(5, 9) };
+    const costs = estimateTradeCosts(signal, [{ type: 'sl', price: 99, percent: 100, time: at(5, 10) }], OPTIONS);
+
+    // Exit: 49,500 * 0.05% = 24.75 fee, 49,500 * 1 bps = 4.95 slippage
+    expect(costs.fees).toBeCloseTo(49.75, 10);
+    expect(costs.slippage).toBeCloseTo(9.95, 10);
+    expect(costs.funding).toBe(0);
+  });
+
+  test('short with a partial target and a break-even stop: shorts receive funding', () => {
+    const signal = { symbol: 'PEPE', breakoutDirection: 'short', entryPrice: 100, reentryTime: at(5, 9) };
+    const costs = estimateTradeCosts(signal, [
+      { type: 'tp1', price: 98, percent: 50, time: at(5, 10) },
+      { type: 'breakeven', price: 100, percent: 50, time: at(6, 1) }
+    ], OPTIONS);
+
+    // Entry: 25 fee, 50,000 * 6 bps = 30 slippage
+    // TP1: 24,500 * 0.02% = 4.9 maker fee, no funding event before 10:00
+    // Break-even: 25,000 * 0.05% = 12.5 fee, 25,000 * 6 bps = 15 slippage,
+    //   two events (16:00, 00:00) on half the position: -25,000 * 2 * 0.01% = -5
+    expect(costs.fees).toBeCloseTo(42.4, 10);
+    expect(costs.slippage).toBeCloseTo(45, 10);
+    expect(costs.funding).toBeCloseTo(-5, 10);
+    expect(costs.total).toBeCloseTo(82.4, 10);
+  });
+
+  test('exits without a time pay no funding', () => {
+    const signal = { symbol: 'BTC/USDT', breakoutDirection: 'long', entryPrice: 100, reentryTime: at(5, 9) };
+
+    expect(estimateTradeCosts(signal, [{ type: 'sl', price: 99, percent: 100 }], OPTIONS).funding).toBe(0);
+  });
+});
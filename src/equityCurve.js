@@ -0,0 +1,106 @@
+// Equity Curve
+// Compounds closed breakout signals in close-time order into an account balance series
+// (fixed % of the balance risked per trade), with running peak/drawdown, one compounded
+// line per symbol and an optional buy-and-hold benchmark over the same period.
+import { getRealizedRMultiple } from './simulation';
+
+export const DEFAULT_EQUITY_SETTINGS = {
+  startingBalance: 10000,
+  riskPercent: 1 // % of the current balance lost when a trade hits its initial stop (-1R)
+};
+
+/**
+ * Data key of a symbol's own equity line in the curve points
+ * @param {string} symbol - Symbol as shown in signals (e.g., 'BTC')
+ * @returns {string} Point key
+ */
+export const getSymbolEquityKey = (symbol) => `symbol_${symbol}`;
+
+/**
+ * Build the equity curve of a list of signals
+ * Each closed trade changes the balance by balance * riskPercent * R (partial exits weighted, see simulation.js).
+ * @param {Array} signals - Signals (pending and incomplete ones are skipped)
+ * @param {Object} settings - { startingBalance, riskPercent } (default: DEFAULT_EQUITY_SETTINGS)
+ * @returns {Object} { points, symbols, trades, finalEquity, returnPercent, maxDrawdownPercent } - points are
+ *   { time, equity, peak, drawdownRange ([equity, peak], for shading), drawdownPercent, symbol, rMultiple, symbol_<SYMBOL>... }, starting with the opening balance
+ */
+export const buildEquityCurve = (signals, { startingBalance = DEFAULT_EQUITY_SETTINGS.startingBalance, riskPercent = DEFAULT_EQUITY_SETTINGS.riskPercent } = {}) => {
+  const closedTrades = signals
+    .filter(signal => (signal.result === 'win' || signal.result === 'loss') && signal.closeTime)
+    .map(signal => ({ signal, time: new Date(signal.closeTime).getTime(), rMultiple: getRealizedRMultiple(signal) }))
+    .filter(trade => trade.rMultiple !== null)
+    .sort((a, b) => a.time - b.time);
+
+  const symbols = [...new Set(closedTrades.map(trade => trade.signal.symbol))].sort();
+  const symbolEquity = {};
+  symbols.forEach(symbol => {
+    symbolEquity[getSymbolEquityKey(symbol)] = startingBalance;
+  });
+
+  if (closedTrades.length === 0) {
+    return { points: [], symbols, trades: 0, finalEquity: startingBalance, returnPercent: 0, maxDrawdownPercent: 0 };
+  }
+
+  // Opening balance at the first trade's entry
+  const firstEntryTime = Math.min(...closedTrades.map(trade => new Date(trade.signal.reentryTime).getTime()));
+  const points = [{ time: firstEntryTime, equity: startingBalance, peak: startingBalance, drawdownRange: [startingBalance, startingBalance], drawdownPercent: 0, symbol: null, rMultiple: null, ...symbolEquity }];
+
+  let equity = startingBalance;
+  let peak = startingBalance;
+  let maxDrawdownPercent = 0;
+
+  closedTrades.forEach(({ signal, time, rMultiple }) => {
+    const growth = 1 + (riskPercent / 100) * rMultiple;
+    equity *= growth;
+    peak = Math.max(peak, equity);
+    const drawdownPercent = ((peak - equity) / peak) * 100;
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, drawdownPercent);
+
+    const symbolKey = getSymbolEquityKey(signal.symbol);
+    symbolEquity[symbolKey] *= growth;
+
+    points.push({ time, equity, peak, drawdownRange: [equity, peak], drawdownPercent, symbol: signal.symbol, rMultiple, ...symbolEquity });
+  });
+
+  return {
+    points,
+    symbols,
+    trades: closedTrades.length,
+    finalEquity: equity,
+    returnPercent: ((equity - startingBalance) / startingBalance) * 100,
+    maxDrawdownPercent
+  };
+};
+
+/**
+ * Add a buy-and-hold benchmark to equity curve points
+ * The benchmark buys with the starting balance at the first point's time and is valued at each point
+ * with the close of the latest candle opened at or before it.
+ * @param {Array} points - Points from buildEquityCurve
+ * @param {Array} candles - Formatted candles of the benchmark asset (oldest to newest)
+ * @param {number} startingBalance - Starting balance
+ * @param {string} key - Point key for the benchmark value (default: 'buyAndHold')
+ * @returns {Array} New points with the benchmark value (null before the first candle)
+ */
+export const addBuyAndHold = (points, candles, startingBalance, key = 'buyAndHold') => {
+  if (!candles || candles.length === 0 || points.length === 0) {
+    return points;
+  }
+
+  let candleIndex = -1;
+  let basePrice = null;
+
+  return points.map(point => {
+    // Points are in time order, so the candle pointer only moves forward
+    while (candleIndex + 1 < candles.length && candles[candleIndex + 1].timestamp.getTime() <= point.time) {
+      candleIndex++;
+    }
+    if (candleIndex < 0) {
+      return { ...point, [key]: null };
+    }
+    if (basePrice === null) {
+      basePrice = candles[candleIndex].close;
+    }
+    return { ...point, [key]: startingBalance * candles[candleIndex].close / basePrice };
+  });
+};
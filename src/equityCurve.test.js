@@ -0,0 +1,93 @@
+// Equity Curve tests
+// Compounding closed trades in close-time order, the running drawdown, one line per symbol, and the
+// buy-and-hold benchmark (nothing before its first candle).
+import { buildEquityCurve, addBuyAndHold, getSymbolEquityKey } from './equityCurve';
+
+const HOUR_MS = 60 * 60 * 1000;
+const START = Date.UTC(2026, 0, 5, 8, 0);
+
+// LONG from 100 with its stop at 99 (1R = 1%), entered at `entryHour` and closed at `closeHour` (hours after START)
+const trade = (symbol, entryHour, closeHour, fills, result = 'win') => ({
+  symbol,
+  breakoutDirection: 'long',
+  entryPrice: 100,
+  stopLoss: 99,
+  takeProfit: 102,
+  reentryTime: new Date(START + entryHour * HOUR_MS),
+  closeTime: closeHour === null ? null : new Date(START + closeHour * HOUR_MS),
+  result,
+  fills
+});
+const win = (symbol, entryHour, closeHour) => trade(symbol, entryHour, closeHour, [{ type: 'tp1', price: 102, percent: 100 }]);
+const loss = (symbol, entryHour, closeHour) => trade(symbol, entryHour, closeHour, [{ type: 'sl', price: 99, percent: 100 }], 'loss');
+
+describe('buildEquityCurve', () => {
+  // Listed out of order: BTC +2R (closes 2h), ETH -1R (3h), BTC +2R (5h)
+  const signals = [win('BTC', 4, 5), loss('ETH', 1, 3), win('BTC', 0, 2)];
+
+  test('compounds each trade on the balance in close-time order, from the first entry', () => {
+    const curve = buildEquityCurve(signals);
+
+    expect(curve.points.map(point => point.time)).toEqual([0, 2, 3, 5].map(hour => START + hour * HOUR_MS));
+    expect(curve.points.map(point => point.rMultiple)).toEqual([null, 2, -1, 2]);
+    [10000, 10200, 10098, 10299.96].forEach((equity, index) => expect(curve.points[index].equity).toBeCloseTo(equity, 6));
+    expect(curve.trades).toBe(3);
+    expect(curve.finalEquity).toBeCloseTo(10299.96, 6);
+    expect(curve.returnPercent).toBeCloseTo(2.9996, 6);
+  });
+
+  test('tracks the peak and the drawdown from it', () => {
+    const { points, maxDrawdownPercent } = buildEquityCurve(signals);
+
+    expect(points.map(point => point.peak)).toEqual([10000, 10200, 10200, points[3].equity]);
+    expect(points[2].drawdownPercent).toBeCloseTo(1, 6);
+    expect(points[2].drawdownRange).toEqual([points[2].equity, 10200]);
+    expect(points[3].drawdownPercent).toBe(0);
+    expect(maxDrawdownPercent).toBeCloseTo(1, 6);
+  });
+
+  test('compounds a line per symbol on its own trades only', () => {
+    const { points, symbols } = buildEquityCurve(signals);
+    const line = (symbol) => points.map(point => point[getSymbolEquityKey(symbol)]);
+
+    expect(symbols).toEqual(['BTC', 'ETH']);
+    [10000, 10200, 10200, 10404].forEach((equity, index) => expect(line('BTC')[index]).toBeCloseTo(equity, 6));
+    [10000, 10000, 9900, 9900].forEach((equity, index) => expect(line('ETH')[index]).toBeCloseTo(equity, 6));
+  });
+
+  test('weights partial exits and uses the risk setting', () => {
+    const partial = trade('BTC', 0, 1, [{ type: 'tp1', price: 102, percent: 50 }, { type: 'breakeven', price: 100, percent: 50 }]);
+    const { points } = buildEquityCurve([partial], { startingBalance: 1000, riskPercent: 2 });
+
+    expect(points[1].rMultiple).toBeCloseTo(1, 6);
+    expect(points[1].equity).toBeCloseTo(1020, 6);
+  });
+
+  test('skips open trades and starts flat without closed ones', () => {
+    const open = trade('BTC', 0, null, [], 'pending');
+
+    expect(buildEquityCurve([open, win('ETH', 1, 2)]).trades).toBe(1);
+    expect(buildEquityCurve([open])).toEqual({ points: [], symbols: [], trades: 0, finalEquity: 10000, returnPercent: 0, maxDrawdownPercent: 0 });
+  });
+});
+
+describe('addBuyAndHold', () => {
+  const candle = (hour, close) => ({ timestamp: new Date(START + hour * HOUR_MS), close });
+  const points = [0, 2, 3, 5].map(hour => ({ time: START + hour * HOUR_MS }));
+
+  test('buys at the first candle and values each point at the latest candle opened by then', () => {
+    const benchmarked = addBuyAndHold(points, [candle(0, 200), candle(1, 210), candle(3, 220), candle(4, 180)], 10000);
+
+    expect(benchmarked.map(point => point.buyAndHold)).toEqual([10000, 10500, 11000, 9000]);
+  });
+
+  test('has no value before the first candle, and buys at the first one covered', () => {
+    const benchmarked = addBuyAndHold(points, [candle(2.5, 100), candle(4, 150)], 10000, 'btcHold');
+
+    expect(benchmarked.map(point => point.btcHold)).toEqual([null, null, 10000, 15000]);
+  });
+
+  test('leaves the points as they are without candles', () => {
+    expect(addBuyAndHold(points, [], 10000)).toBe(points);
+  });
+});
@@ -0,0 +1,79 @@
+// Liquidation Model
+// Liquidation prices for leveraged perpetual positions, using Binance-style maintenance margin
+// tiers (the maintenance margin rate steps up as the position notional grows).
+import { toTradingPair } from './symbols';
+
+export const MARGIN_MODES = {
+  ISOLATED: 'isolated', // Only the position's own margin (principal) backs the trade
+  CROSS: 'cross'        // The whole wallet backs the trade (one position at a time)
+};
+
+export const MARGIN_MODE_LABELS = {
+  [MARGIN_MODES.ISOLATED]: 'Isolated',
+  [MARGIN_MODES.CROSS]: 'Cross'
+};
+
+// Maintenance margin tiers: positions up to maxNotional use rate mmr, minus maintenanceAmount
+// (the amount that keeps the maintenance margin continuous across tier boundaries)
+const MAJOR_TIERS = [
+  { maxNotional: 50000, mmr: 0.004, maintenanceAmount: 0 },
+  { maxNotional: 250000, mmr: 0.005, maintenanceAmount: 50 },
+  { maxNotional: 3000000, mmr: 0.01, maintenanceAmount: 1300 },
+  { maxNotional: 15000000, mmr: 0.025, maintenanceAmount: 46300 },
+  { maxNotional: Infinity, mmr: 0.05, maintenanceAmount: 421300 }
+];
+
+const DEFAULT_TIERS = [
+  { maxNotional: 10000, mmr: 0.01, maintenanceAmount: 0 },
+  { maxNotional: 50000, mmr: 0.015, maintenanceAmount: 50 },
+  { maxNotional: 250000, mmr: 0.02, maintenanceAmount: 300 },
+  { maxNotional: 1000000, mmr: 0.05, maintenanceAmount: 7800 },
+  { maxNotional: Infinity, mmr: 0.1, maintenanceAmount: 57800 }
+];
+
+export const MAINTENANCE_MARGIN_TIERS = {
+  'BTC/USDT': MAJOR_TIERS,
+  'ETH/USDT': MAJOR_TIERS,
+  default: DEFAULT_TIERS
+};
+
+/**
+ * Get the maintenance margin tier for a position
+ * @param {string} symbol - Trading pair ('BTC/USDT') or symbol as shown in signals ('BTC', 'ETH/BTC')
+ * @param {number} notional - Position notional in dollars
+ * @returns {Object} Tier { maxNotional, mmr, maintenanceAmount }
+ */
+export const getMaintenanceTier = (symbol, notional) => {
+  const pair = toTradingPair(symbol);
+  const tiers = MAINTENANCE_MARGIN_TIERS[pair] || MAINTENANCE_MARGIN_TIERS.default;
+  return tiers.find(tier => notional <= tier.maxNotional) || tiers[tiers.length - 1];
+};
+
+/**
+ * Calculate the liquidation price of a position
+ * Liquidation happens when the loss eats the collateral down to the maintenance margin:
+ * long: Q * (entry - liq) = collateral - (Q * liq * mmr - maintenanceAmount), short mirrored.
+ * @param {Object} signal - Signal with symbol, entryPrice and breakoutDirection
+ * @param {Object} options
+ * @param {number} options.principal - Margin put on the trade in dollars
+ * @param {number} options.leverage - Leverage
+ * @param {string} options.marginMode - MARGIN_MODES value (default: isolated)
+ * @param {number} options.walletBalance - Wallet backing the position in cross mode
+ * @returns {Object} { liquidationPrice, collateral, mmr } - liquidationPrice is null when the collateral covers the full move to 0
+ */
+export const calculateLiquidationPrice = (signal, { principal, leverage, marginMode = MARGIN_MODES.ISOLATED, walletBalance = principal }) => {
+  const notional = principal * leverage;
+  const quantity = notional / signal.entryPrice;
+  const collateral = marginMode === MARGIN_MODES.CROSS ? Math.max(walletBalance, principal) : principal;
+  const { mmr, maintenanceAmount } = getMaintenanceTier(signal.symbol, notional);
+
+  const liquidationPrice = signal.breakoutDirection === 'long'
+    ? (notional - collateral - maintenanceAmount) / (quantity * (1 - mmr))
+    : (notional + collateral + maintenanceAmount) / (quantity * (1 + mmr));
+
+  return {
+    liquidationPrice: liquidationPrice > 0 ? liquidationPrice : null,
+    collateral,
+    mmr
+  };
+};
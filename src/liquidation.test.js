@@ -0,0 +1,84 @@
+// Liquidation tests
+// Maintenance margin tiers and isolated/cross liquidation prices, computed by hand for longs and shorts.
+import { MARGIN_MODES, getMaintenanceTier, calculateLiquidationPrice } from './liquidation';
+
+const long = (symbol) => ({ symbol, breakoutDirection: 'long', entryPrice: 100 });
+const short = (symbol) => ({ symbol, breakoutDirection: 'short', entryPrice: 100 });
+
+describe('getMaintenanceTier', () => {
+  test('steps up at the tier boundary', () => {
+    expect(getMaintenanceTier('BTC/USDT', 50000)).toMatchObject({ mmr: 0.004, maintenanceAmount: 0 });
+    expect(getMaintenanceTier('BTC/USDT', 50000.01)).toMatchObject({ mmr: 0.005, maintenanceAmount: 50 });
+  });
+
+  test('keeps the maintenance margin continuous across the boundary', () => {
+    const margin = ({ mmr, maintenanceAmount }, notional) => notional * mmr - maintenanceAmount;
+
+    // 50,000 * 0.4% = 200 = 50,000 * 0.5% - 50
+    expect(margin(getMaintenanceTier('BTC/USDT', 50000), 50000)).toBeCloseTo(200, 10);
+    expect(margin({ mmr: 0.005, maintenanceAmount: 50 }, 50000)).toBeCloseTo(200, 10);
+  });
+
+  test('uses the default tiers for other pairs, by trading pair', () => {
+    expect(getMaintenanceTier('SOL', 10000)).toMatchObject({ mmr: 0.01, maintenanceAmount: 0 });
+    expect(getMaintenanceTier('SOL/USDT', 10001)).toMatchObject({ mmr: 0.015, maintenanceAmount: 50 });
+    expect(getMaintenanceTier('ETH', 10001)).toMatchObject({ mmr: 0.004 });
+  });
+
+  test('uses the last tier for any larger notional', () => {
+    expect(getMaintenanceTier('BTC/USDT', 1e9)).toMatchObject({ mmr: 0.05, maintenanceAmount: 421300 });
+  });
+});
+
+describe('calculateLiquidationPrice', () => {
+  test('isolated long and short on the first tier', () => {
+    // $1000 @ 50x: notional 50,000, quantity 500, mmr 0.4%
+    // long: (50,000 - 1,000) / (500 * 0.996), short: (50,000 + 1,000) / (500 * 1.004)
+    const options = { principal: 1000, leverage: 50 };
+
+    expect(calculateLiquidationPrice(long('BTC/USDT'), options)).toEqual({
+      liquidationPrice: expect.closeTo(98.393574, 6),
+      collateral: 1000,
+      mmr: 0.004
+    });
+    expect(calculateLiquidationPrice(short('BTC/USDT'), options).liquidationPrice).toBeCloseTo(101.593625, 6);
+  });
+
+  test('isolated long and short just past the tier boundary', () => {
+    // $1001 @ 50x: notional 50,050, quantity 500.5, mmr 0.5%, maintenance amount 50
+    // long: (50,050 - 1,001 - 50) / (500.5 * 0.995), short: (50,050 + 1,001 + 50) / (500.5 * 1.005)
+    const options = { principal: 1001, leverage: 50 };
+
+    expect(calculateLiquidationPrice(long('BTC/USDT'), options)).toMatchObject({ mmr: 0.005 });
+    expect(calculateLiquidationPrice(long('BTC/USDT'), options).liquidationPrice).toBeCloseTo(98.392060, 6);
+    expect(calculateLiquidationPrice(short('BTC/USDT'), options).liquidationPrice).toBeCloseTo(101.591940, 6);
+  });
+
+  test('loses the collateral down to the maintenance margin at the liquidation price', () => {
+    const { liquidationPrice } = calculateLiquidationPrice(long('SOL/USDT'), { principal: 200, leverage: 50 });
+    const quantity = 10000 / 100;
+
+    // Notional 10,000 is the last amount on the 1% tier
+    expect(quantity * (100 - liquidationPrice)).toBeCloseTo(200 - quantity * liquidationPrice * 0.01, 8);
+  });
+
+  test('cross margin uses the whole wallet as collateral', () => {
+    const options = { principal: 1000, leverage: 50, marginMode: MARGIN_MODES.CROSS, walletBalance: 5000 };
+
+    // long: (50,000 - 5,000) / (500 * 0.996)
+    expect(calculateLiquidationPrice(long('BTC/USDT'), options)).toMatchObject({ collateral: 5000 });
+    expect(calculateLiquidationPrice(long('BTC/USDT'), options).liquidationPrice).toBeCloseTo(90.361446, 6);
+    // short: (50,000 + 5,000) / (500 * 1.004)
+    expect(calculateLiquidationPrice(short('BTC/USDT'), options).liquidationPrice).toBeCloseTo(109.561753, 6);
+  });
+
+  test('cross margin never backs the trade with less than its principal', () => {
+    const options = { principal: 1000, leverage: 50, marginMode: MARGIN_MODES.CROSS, walletBalance: 500 };
+
+    expect(calculateLiquidationPrice(long('BTC/USDT'), options).collateral).toBe(1000);
+  });
+
+  test('an unleveraged long cannot be liquidated', () => {
+    expect(calculateLiquidationPrice(long('BTC/USDT'), { principal: 1000, leverage: 1 }).liquidationPrice).toBeNull();
+  });
+});
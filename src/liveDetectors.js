@@ -0,0 +1,236 @@
+// Live Detectors
+// Incremental RSI and breakout detection fed by WebSocket candle closes (binanceStream.js).
+// Candles are seeded once over REST, then each closed 1h candle recomputes the symbol's RSI and each
+// closed 5m candle re-runs breakout detection for that symbol - in memory, without refetching klines.
+import { fetchKlinesByInterval, fetchKlinesRange, buildRSIResult, detectBreakoutsWithIntrabar } from './binance';
+import { DEFAULT_STRATEGY_CONFIG } from './breakoutStrategy';
+import { DEFAULT_RISK_PROFILE } from './riskProfiles';
+import { DEFAULT_SESSION, RANGE_INTERVAL_HOURS, getZonedDateKey, shiftDateKey, getSessionWindow } from './sessions';
+import { toDisplaySymbol } from './symbols';
+import { clock } from './clock';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const HOUR_CANDLES = 168; // Same 7 days of 1h candles as the REST RSI fetch (also covers the range candles)
+const SEED_DELAY_MS = 250;
+
+/**
+ * Insert or replace a candle (by open time), keeping the list sorted and at most maxLength long
+ * @param {Array} candles - Formatted candles (oldest to newest)
+ * @param {Object} candle - Formatted candle
+ * @param {number} maxLength - Maximum number of candles kept (oldest dropped first)
+ * @returns {Array} New candle list
+ */
+const upsertCandle = (candles, candle, maxLength) => {
+  const openTime = candle.timestamp.getTime();
+  const next = candles.filter(c => c.timestamp.getTime() !== openTime);
+  next.push(candle);
+  next.sort((a, b) => a.timestamp.getTime() - b.timestamp.getTime());
+  return next.length > maxLength ? next.slice(next.length - maxLength) : next;
+};
+
+/**
+ * Merge 1h candles into UTC-aligned candles of a longer interval (e.g., 4h like Binance's own 4h klines)
+ * Only complete groups are returned, so an unfinished 4h candle never forms a range
+ * @param {Array} hourCandles - Formatted closed 1h candles (oldest to newest)
+ * @param {number} intervalHours - Hours per merged candle
+ * @returns {Array} Formatted merged candles (oldest to newest)
+ */
+export const aggregateHourCandles = (hourCandles, intervalHours) => {
+  if (intervalHours === 1) {
+    return hourCandles;
+  }
+  const intervalMs = intervalHours * HOUR_MS;
+  const groups = new Map();
+  hourCandles.forEach(candle => {
+    const groupTime = Math.floor(candle.timestamp.getTime() / intervalMs) * intervalMs;
+    if (!groups.has(groupTime)) {
+      groups.set(groupTime, []);
+    }
+    groups.get(groupTime).push(candle);
+  });
+
+  return [...groups.entries()]
+    .filter(([, candles]) => candles.length === intervalHours)
+    .sort(([a], [b]) => a - b)
+    .map(([groupTime, candles]) => ({
+      timestamp: new Date(groupTime),
+      open: candles[0].open,
+      high: Math.max(...candles.map(c => c.high)),
+      low: Math.min(...candles.map(c => c.low)),
+      close: candles[candles.length - 1].close,
+      volume: candles.reduce((sum, c) => sum + c.volume, 0),
+      closeTime: candles[candles.length - 1].closeTime
+    }));
+};
+
+/**
+ * Merge one symbol's live breakout results into the current breakout data
+ * Signals are upserted (same symbol/session/re-entry/breakout as the REST merge), so older history is kept
+ * and live updates of pending signals replace their previous state; the symbol's breakouts without
+ * re-entry are replaced as a whole (a breakout that got its re-entry is now a signal).
+ * @param {Object} current - { signals, breakoutsWithoutReentry } currently shown
+ * @param {Object} live - { symbol, signals, breakoutsWithoutReentry } from applyCandle
+ * @returns {Object} { signals, breakoutsWithoutReentry } sorted most recent first
+ */
+export const mergeLiveBreakouts = (current, live) => {
+  const symbolName = toDisplaySymbol(live.symbol);
+  const getSignalKey = (signal) => `${signal.symbol}_${signal.session || DEFAULT_SESSION.id}_${new Date(signal.reentryTime).getTime()}_${signal.breakoutTime ? new Date(signal.breakoutTime).getTime() : ''}`;
+
+  const liveKeys = new Set(live.signals.map(getSignalKey));
+  const signals = [
+    ...(current.signals || []).filter(signal => !liveKeys.has(getSignalKey(signal))),
+    ...live.signals
+  ].sort((a, b) => new Date(b.reentryTime).getTime() - new Date(a.reentryTime).getTime());
+
+  const breakoutsWithoutReentry = [
+    ...(current.breakoutsWithoutReentry || []).filter(breakout => breakout.symbol !== symbolName),
+    ...live.breakoutsWithoutReentry
+  ].sort((a, b) => new Date(b.breakoutTime).getTime() - new Date(a.breakoutTime).getTime());
+
+  return { signals, breakoutsWithoutReentry };
+};
+
+/**
+ * Create the live detectors for a list of symbols
+ * @param {Object} options
+ * @param {Array<string>} options.symbols - Trading pairs (e.g., ['BTC/USDT'])
+ * @param {number} options.days - Days of breakout ranges to evaluate (default: 3, same as the REST fetch)
+ * @param {number} options.rsiPeriod - RSI period (default: 14)
+ * @param {number} options.rsiMaPeriod - RSI moving average period (default: 14)
+ * @param {Array<Object>} options.sessions - Enabled sessions (default: [DEFAULT_SESSION])
+ * @param {Object} options.riskProfilesBySymbol - Map of symbol -> risk profile
+ * @param {string} options.intrabarPolicy - Fallback for ambiguous candles (default: pessimistic)
+ * @returns {Object} { seed, applyCandle, applyTicker, setConfig, detectBreakouts, isSeeded }
+ */
+export const createLiveDetectors = ({
+  symbols,
+  days = 3,
+  rsiPeriod = 14,
+  rsiMaPeriod = 14,
+  sessions = [DEFAULT_SESSION],
+  riskProfilesBySymbol = {},
+  intrabarPolicy = DEFAULT_STRATEGY_CONFIG.intrabarPolicy
+}) => {
+  const maxFiveMinCandles = (days + 1) * 288;
+  let config = { sessions, riskProfilesBySymbol, intrabarPolicy };
+  const hourCandles = {};
+  const fiveMinCandles = {};
+  const prices = {};
+  let seeded = false;
+
+  /**
+   * Load the closed 1h and 5m candles of every symbol over REST (again after a reconnect, to fill the gap)
+   * @returns {Promise<void>}
+   */
+  const seed = async () => {
+    const now = clock.now();
+    for (const symbol of symbols) {
+      try {
+        const hourly = await fetchKlinesByInterval(symbol, '1h', HOUR_CANDLES);
+        hourCandles[symbol] = hourly.filter(candle => candle.closeTime.getTime() < now);
+        const fiveMin = await fetchKlinesRange(symbol, '5m', now - (days + 1) * DAY_MS, now);
+        fiveMinCandles[symbol] = fiveMin.filter(candle => candle.closeTime.getTime() < now);
+      } catch (error) {
+        console.error(`[Live] Could not seed candles for ${symbol}:`, error);
+      }
+      await new Promise(resolve => setTimeout(resolve, SEED_DELAY_MS));
+    }
+    seeded = true;
+    console.log(`[Live] Seeded candles for ${symbols.length} symbols`);
+  };
+
+  /**
+   * Run breakout detection for one symbol on the candles in memory
+   * @param {string} symbol - Trading pair
+   * @returns {Promise<Object>} { symbol, signals, breakoutsWithoutReentry } for every enabled session
+   */
+  const detectBreakouts = async (symbol) => {
+    const now = clock.now();
+    const signals = [];
+    const breakoutsWithoutReentry = [];
+    const riskProfile = config.riskProfilesBySymbol[symbol] || DEFAULT_RISK_PROFILE;
+
+    for (const session of config.sessions) {
+      const todayDateKey = getZonedDateKey(now, session.timeZone);
+      const startDateKey = shiftDateKey(todayDateKey, -(days - 1));
+      const result = await detectBreakoutsWithIntrabar({
+        symbol,
+        dateKeys: Array.from({ length: days }, (_, dayOffset) => shiftDateKey(startDateKey, dayOffset)),
+        rangeCandles: aggregateHourCandles(hourCandles[symbol] || [], RANGE_INTERVAL_HOURS[session.rangeInterval] || 4),
+        fiveMinCandles: fiveMinCandles[symbol] || [],
+        session,
+        startTime: getSessionWindow(session, startDateKey).rangeStart,
+        now,
+        config: { ...DEFAULT_STRATEGY_CONFIG, riskProfile, intrabarPolicy: config.intrabarPolicy },
+        verbose: false
+      });
+      signals.push(...result.signals);
+      breakoutsWithoutReentry.push(...result.breakoutsWithoutReentry);
+    }
+
+    // Latest streamed price for open positions and breakouts still waiting for a re-entry
+    if (prices[symbol] !== undefined) {
+      signals.filter(signal => signal.result === 'pending').forEach(signal => {
+        signal.currentPrice = prices[symbol];
+      });
+      breakoutsWithoutReentry.forEach(breakout => {
+        breakout.currentPrice = prices[symbol];
+      });
+    }
+
+    return { symbol, signals, breakoutsWithoutReentry };
+  };
+
+  /**
+   * Feed a closed candle from the stream
+   * @param {Object} event - Closed kline event { symbol, interval, candle }
+   * @returns {Promise<Object|null>} { type: 'rsi', symbol, data } after a 1h close, { type: 'breakouts', symbol, signals, breakoutsWithoutReentry }
+   *   after a 5m close, or null (not seeded yet, unknown symbol or interval)
+   */
+  const applyCandle = async ({ symbol, interval, candle }) => {
+    if (!seeded || !hourCandles[symbol]) {
+      return null;
+    }
+
+    if (interval === '1h') {
+      hourCandles[symbol] = upsertCandle(hourCandles[symbol], candle, HOUR_CANDLES);
+      if (hourCandles[symbol].length <= rsiPeriod) {
+        return null;
+      }
+      return { type: 'rsi', symbol, data: buildRSIResult(symbol, [...hourCandles[symbol]], rsiPeriod, rsiMaPeriod) };
+    }
+
+    if (interval === '5m') {
+      fiveMinCandles[symbol] = upsertCandle(fiveMinCandles[symbol] || [], candle, maxFiveMinCandles);
+      return { type: 'breakouts', ...(await detectBreakouts(symbol)) };
+    }
+
+    return null;
+  };
+
+  /**
+   * Record the latest price of a symbol from a miniTicker event
+   * @param {Object} event - { symbol, price }
+   */
+  const applyTicker = ({ symbol, price }) => {
+    prices[symbol] = price;
+  };
+
+  /**
+   * Update the detection settings (takes effect on the next candle close or detectBreakouts call)
+   * @param {Object} nextConfig - Any of { sessions, riskProfilesBySymbol, intrabarPolicy }
+   */
+  const setConfig = (nextConfig) => {
+    config = { ...config, ...nextConfig };
+  };
+
+  return {
+    seed,
+    applyCandle,
+    applyTicker,
+    setConfig,
+    detectBreakouts,
+    isSeeded: () => seeded
+  };
+};
@@ -0,0 +1,265 @@
+// Message Formatters
+// Render alert events (breakout, breakout back near its range, re-entry, TP/SL close, RSI cross) as Markdown messages for chat bots.
+// The message content is built once per event; each formatter only knows its platform's Markdown
+// dialect (escaping, bold, links) and the request body its endpoint expects, so adding a platform
+// means adding a formatter object.
+
+import { toDisplaySymbol, formatSymbolPrice } from './symbols';
+import { formatNYTime } from './timeFormat';
+import { getSignalTargets, getRealizedMovePercent, getRealizedRMultiple } from './simulation';
+import { ALERT_TYPES, calculateDistanceFromRange } from './alertConditions';
+
+export const MESSAGE_EVENTS = {
+  BREAKOUT: 'breakout',
+  NEAR_RANGE: 'near-range', // Breakout back within the distance alert's % of its range
+  REENTRY: 'reentry',
+  CLOSE: 'close',
+  RSI: 'rsi'
+};
+
+// Deep links open the app with the signal's chart (App.js reads ?signal=&time=&session=)
+export const DEFAULT_APP_URL = 'https://cryptosignalchecker.web.app';
+
+const EXIT_REASON_LABELS = {
+  tp: 'Take profit',
+  sl: 'Stop loss',
+  breakeven: 'Break-even stop',
+  trail: 'Trailing stop',
+  'session-end': 'Session end'
+};
+
+const toDate = (time) => (time instanceof Date ? time : new Date(time));
+
+// Discord rejects message content over 2000 characters
+const DISCORD_MAX_LENGTH = 2000;
+
+// Whole lines up to maxLength: a cut inside a line could split an escape sequence, a bold span or the link
+const truncateAtLine = (text, maxLength) => {
+  if (text.length <= maxLength) {
+    return text;
+  }
+  const lineEnd = text.lastIndexOf('\n', maxLength);
+  return lineEnd > 0 ? text.slice(0, lineEnd) : text.slice(0, maxLength);
+};
+
+// Telegram MarkdownV2 rejects messages with any of these characters unescaped
+const escapeTelegram = (text) => String(text).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+
+export const MESSAGE_FORMATTERS = {
+  telegram: {
+    name: 'Telegram',
+    escape: escapeTelegram,
+    bold: (text) => `*${text}*`,
+    link: (text, url) => `[${text}](${url.replace(/[)\\]/g, '\\$&')})`,
+    // Bot API sendMessage: the endpoint is https://api.telegram.org/bot<token>/sendMessage?chat_id=<chat>
+    toRequestBody: (text, url) => ({
+      chat_id: new URL(url).searchParams.get('chat_id'),
+      text,
+      parse_mode: 'MarkdownV2',
+      disable_web_page_preview: true
+    })
+  },
+  discord: {
+    name: 'Discord',
+    escape: (text) => String(text).replace(/[\\*_~`|>[\]]/g, '\\$&'),
+    bold: (text) => `**${text}**`,
+    // <url> keeps Discord from embedding a preview of the app
+    link: (text, url) => `[${text}](<${url}>)`,
+    toRequestBody: (text) => ({ content: truncateAtLine(text, DISCORD_MAX_LENGTH) })
+  },
+  slack: {
+    name: 'Slack',
+    escape: (text) => String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;'),
+    bold: (text) => `*${text}*`,
+    link: (text, url) => `<${url}|${text}>`,
+    toRequestBody: (text) => ({ text, mrkdwn: true })
+  }
+};
+
+export const MESSAGE_FORMATS = Object.keys(MESSAGE_FORMATTERS);
+
+/**
+ * Deep link to a signal in the app
+ * @param {Object} signal - Signal with symbol, reentryTime and session
+ * @param {string} appUrl - App URL (default: DEFAULT_APP_URL)
+ * @returns {string} URL that opens the signal's chart
+ */
+export const getSignalLink = (signal, appUrl = DEFAULT_APP_URL) => {
+  const params = new URLSearchParams({
+    signal: toDisplaySymbol(signal.symbol),
+    time: String(toDate(signal.reentryTime).getTime())
+  });
+  if (signal.session) {
+    params.set('session', signal.session);
+  }
+  return `${appUrl.replace(/\/+$/, '')}/?${params.toString()}`;
+};
+
+/**
+ * Read a signal deep link (see getSignalLink)
+ * @param {string} search - Query string (e.g. window.location.search)
+ * @returns {Object|null} { symbol, time (ms), session } or null if the URL is no signal link
+ */
+export const parseSignalLink = (search) => {
+  const params = new URLSearchParams(search || '');
+  const time = Number(params.get('time'));
+  if (!params.get('signal') || !Number.isFinite(time) || time <= 0) {
+    return null;
+  }
+  return { symbol: params.get('signal'), time, session: params.get('session') || null };
+};
+
+/**
+ * Risk/reward of a signal's last target
+ * @param {Object} signal - Signal with entryPrice, stopLoss and takeProfit/targets
+ * @returns {number|null} Reward per unit of risk, or null without prices
+ */
+export const getSignalRiskReward = (signal) => {
+  const targets = getSignalTargets(signal);
+  const lastTarget = targets[targets.length - 1];
+  if (lastTarget.rr) {
+    return lastTarget.rr;
+  }
+  const risk = Math.abs(signal.entryPrice - signal.stopLoss);
+  return risk > 0 && lastTarget.price ? Math.abs(lastTarget.price - signal.entryPrice) / risk : null;
+};
+
+/**
+ * Message event of an alert from alertConditions.js
+ * @param {Object} alert - Alert ({ type, item, ... })
+ * @returns {Object} Event { type (MESSAGE_EVENTS), item, ...alert details }
+ */
+export const toMessageEvent = (alert) => {
+  const eventTypes = {
+    [ALERT_TYPES.SIGNAL]: MESSAGE_EVENTS.REENTRY,
+    [ALERT_TYPES.CLOSE]: MESSAGE_EVENTS.CLOSE,
+    [ALERT_TYPES.DISTANCE]: MESSAGE_EVENTS.NEAR_RANGE,
+    [ALERT_TYPES.RSI_CROSS]: MESSAGE_EVENTS.RSI
+  };
+  return { ...alert, type: eventTypes[alert.type] || alert.type };
+};
+
+const formatPercent = (value) => `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+
+/**
+ * Format a duration (e.g., "2h 15m", "40m")
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Duration text
+ */
+export const formatDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  const hours = Math.floor(minutes / 60);
+  return hours > 0 ? `${hours}h ${minutes % 60}m` : `${minutes}m`;
+};
+
+// Message content shared by every formatter: { title, fields: [[label, value]], link: { text, url } }
+const buildMessageContent = (event, appUrl) => {
+  const { item } = event;
+  const symbol = toDisplaySymbol(item.symbol);
+  const price = (value) => formatSymbolPrice(value, item.symbol);
+  const range = item.rangeHigh && item.rangeLow ? `${price(item.rangeLow)} - ${price(item.rangeHigh)}` : null;
+  const appLink = { text: 'Open app', url: appUrl };
+
+  if (event.type === MESSAGE_EVENTS.BREAKOUT || event.type === MESSAGE_EVENTS.NEAR_RANGE) {
+    const distance = event.distancePercent !== undefined ? event.distancePercent : calculateDistanceFromRange(item);
+    return {
+      title: event.type === MESSAGE_EVENTS.BREAKOUT
+        ? `📈 ${symbol} broke ${item.isAbove ? 'above' : 'below'} its range`
+        : `📊 ${symbol} is back near its range (broke ${item.isAbove ? 'above' : 'below'})`,
+      fields: [
+        ['Session', item.sessionName],
+        ['Breakout', `${price(item.breakoutPrice)} at ${formatNYTime(toDate(item.breakoutTime))}`],
+        ['Range', range],
+        ['Price', item.currentPrice ? price(item.currentPrice) : null],
+        ['Distance from range', distance !== null && distance !== undefined ? formatPercent(distance) : null],
+        ['Status', 'Waiting for re-entry']
+      ],
+      link: appLink
+    };
+  }
+
+  if (event.type === MESSAGE_EVENTS.REENTRY || event.type === MESSAGE_EVENTS.CLOSE) {
+    const direction = item.breakoutDirection === 'long' ? 'LONG' : 'SHORT';
+    const riskPercent = Math.abs(item.entryPrice - item.stopLoss) / item.entryPrice * 100;
+    const riskReward = getSignalRiskReward(item);
+    const targets = getSignalTargets(item)
+      .map(target => `${price(target.price)}${target.rr ? ` (${target.rr}R, ${target.closePercent}%)` : ''}`)
+      .join(' / ');
+    const levels = [
+      ['Entry', price(item.entryPrice)],
+      ['Stop loss', `${price(item.stopLoss)} (-${riskPercent.toFixed(2)}%)`],
+      ['Take profit', targets],
+      ['Risk/reward', riskReward ? `1:${riskReward.toFixed(2).replace(/\.?0+$/, '')}` : null],
+      ['Range', range],
+      ['Session', item.sessionName],
+      ['Risk profile', item.riskProfileName]
+    ];
+    const link = { text: 'Open signal', url: getSignalLink(item, appUrl) };
+
+    if (event.type === MESSAGE_EVENTS.REENTRY) {
+      return {
+        title: `🚀 ${symbol} ${direction} re-entry`,
+        fields: [
+          ['Breakout', formatNYTime(toDate(item.breakoutTime))],
+          ['Re-entry', formatNYTime(toDate(item.reentryTime))],
+          ...levels
+        ],
+        link
+      };
+    }
+
+    const move = getRealizedMovePercent(item);
+    const rMultiple = getRealizedRMultiple(item);
+    const fills = item.fills || [];
+    const exitPrice = fills.length > 0 ? fills[fills.length - 1].price : null;
+    return {
+      title: `${item.result === 'win' ? '✅' : '❌'} ${symbol} ${direction} closed: ${EXIT_REASON_LABELS[item.exitReason] || (item.result === 'win' ? 'Take profit' : 'Stop loss')}`,
+      fields: [
+        ['Result', move !== null ? `${formatPercent(move)}${rMultiple !== null ? ` (${rMultiple >= 0 ? '+' : ''}${rMultiple.toFixed(2)}R)` : ''}` : item.result],
+        ['Exit', exitPrice ? price(exitPrice) : null],
+        ['Closed', item.closeTime ? formatNYTime(toDate(item.closeTime)) : null],
+        ['Time in trade', item.closeTime ? formatDuration(toDate(item.closeTime).getTime() - toDate(item.reentryTime).getTime()) : null],
+        ...levels
+      ],
+      link
+    };
+  }
+
+  if (event.type === MESSAGE_EVENTS.RSI) {
+    const oversold = event.direction === 'oversold';
+    return {
+      title: `${oversold ? '📉' : '📈'} ${symbol} RSI ${oversold ? 'oversold' : 'overbought'}`,
+      fields: [
+        ['RSI (1h)', `${item.previous_rsi.toFixed(2)} → ${item.rsi.toFixed(2)} (${oversold ? 'crossed below' : 'crossed above'} ${event.threshold})`],
+        ['Price', price(item.price)],
+        ['Candle close', formatNYTime(toDate(item.timestamp))]
+      ],
+      link: appLink
+    };
+  }
+
+  throw new Error(`Unknown message event ${event.type}`);
+};
+
+/**
+ * Render an event as a Markdown chat message
+ * @param {Object} event - { type (MESSAGE_EVENTS), item, ... } (see toMessageEvent for alerts)
+ * @param {string|Object} format - MESSAGE_FORMATS entry or a formatter object ({ escape, bold, link })
+ * @param {Object} options - { appUrl } (default: DEFAULT_APP_URL)
+ * @returns {string} Message text
+ */
+export const formatChatMessage = (event, format = 'telegram', { appUrl = DEFAULT_APP_URL } = {}) => {
+  const formatter = typeof format === 'string' ? MESSAGE_FORMATTERS[format] : format;
+  if (!formatter) {
+    throw new Error(`Unknown message format ${format} (expected ${MESSAGE_FORMATS.join(', ')})`);
+  }
+  const { title, fields, link } = buildMessageContent(event, appUrl);
+  const { escape, bold } = formatter;
+  return [
+    bold(escape(title)),
+    ...fields
+      .filter(([, value]) => value !== null && value !== undefined && value !== '')
+      .map(([label, value]) => `${bold(escape(`${label}:`))} ${escape(value)}`),
+    formatter.link(escape(link.text), link.url)
+  ].join('\n');
+};
@@ -0,0 +1,95 @@
+// Message Formatters tests
+// Each platform's escaping, links and request body; Telegram rejects a whole MarkdownV2 message over one
+// unescaped character, and Discord over 2000 characters.
+import { MESSAGE_FORMATTERS, MESSAGE_EVENTS, formatChatMessage } from './messageFormatters';
+
+const { telegram, discord, slack } = MESSAGE_FORMATTERS;
+
+const reentry = {
+  type: MESSAGE_EVENTS.REENTRY,
+  item: {
+    symbol: 'BTC/USDT',
+    breakoutDirection: 'long',
+    breakoutTime: new Date(Date.UTC(2026, 0, 5, 8, 30)),
+    reentryTime: new Date(Date.UTC(2026, 0, 5, 9, 0)),
+    entryPrice: 100,
+    stopLoss: 99,
+    takeProfit: 102,
+    rangeHigh: 105,
+    rangeLow: 100.5,
+    session: 'asia',
+    sessionName: 'Asia 11:00 UTC+7',
+    riskProfileName: 'ATR 1.5x / 1:2 [v2]'
+  }
+};
+
+describe('telegram', () => {
+  test('escapes every MarkdownV2 special character', () => {
+    expect(telegram.escape('_*[]()~`>#+-=|{}.!\\')).toBe('\\_\\*\\[\\]\\(\\)\\~\\`\\>\\#\\+\\-\\=\\|\\{\\}\\.\\!\\\\');
+    expect(telegram.escape('BTC_USDT -1.5% (2R)')).toBe('BTC\\_USDT \\-1\\.5% \\(2R\\)');
+    expect(telegram.escape(42.5)).toBe('42\\.5');
+  });
+
+  test('escapes ) and \\ inside link URLs only', () => {
+    expect(telegram.link('Open signal', 'https://example.com/?a=(1)&b=\\')).toBe('[Open signal](https://example.com/?a=(1\\)&b=\\\\)');
+    expect(telegram.link('Open app', 'https://cryptosignalchecker.web.app/?signal=BTC&time=1')).toBe(
+      '[Open app](https://cryptosignalchecker.web.app/?signal=BTC&time=1)'
+    );
+  });
+
+  test('sends to the chat named in the endpoint URL as MarkdownV2', () => {
+    expect(telegram.toRequestBody('*Hi*', 'https://api.telegram.org/bot123:abc/sendMessage?chat_id=-100200')).toEqual({
+      chat_id: '-100200',
+      text: '*Hi*',
+      parse_mode: 'MarkdownV2',
+      disable_web_page_preview: true
+    });
+  });
+
+  test('escapes the field values of a message but not its markup', () => {
+    const lines = formatChatMessage(reentry, 'telegram').split('\n');
+
+    expect(lines).toContain('*Risk profile:* ATR 1\\.5x / 1:2 \\[v2\\]');
+    expect(lines).toContain('*Session:* Asia 11:00 UTC\\+7');
+    expect(lines[lines.length - 1]).toMatch(/^\[Open signal\]\(https:\/\/cryptosignalchecker\.web\.app\/\?signal=BTC&time=\d+&session=asia\)$/);
+  });
+});
+
+describe('discord', () => {
+  test('escapes Markdown characters', () => {
+    expect(discord.escape('a*b_c~d`e|f>g[h]i\\')).toBe('a\\*b\\_c\\~d\\`e\\|f\\>g\\[h\\]i\\\\');
+    expect(discord.escape('1.5% (+2)')).toBe('1.5% (+2)');
+  });
+
+  test('wraps link URLs in <> so the app is not embedded', () => {
+    expect(discord.link('Open app', 'https://example.com/')).toBe('[Open app](<https://example.com/>)');
+  });
+
+  test('sends short messages whole', () => {
+    expect(discord.toRequestBody('**Hi**\nthere')).toEqual({ content: '**Hi**\nthere' });
+  });
+
+  test('cuts long messages at a line end, never inside a line', () => {
+    const text = Array.from({ length: 200 }, (_, i) => `**Field\\_${i}:** value\\_${i}`).join('\n');
+    const { content } = discord.toRequestBody(text);
+
+    expect(text.length).toBeGreaterThan(2000);
+    expect(content.length).toBeLessThanOrEqual(2000);
+    expect(text.startsWith(content)).toBe(true);
+    expect(text[content.length]).toBe('\n');
+  });
+});
+
+describe('slack', () => {
+  test('escapes only &, < and >', () => {
+    expect(slack.escape('<BTC & ETH> *1.5%*')).toBe('&lt;BTC &amp; ETH&gt; *1.5%*');
+  });
+
+  test('writes links in Slack syntax', () => {
+    expect(slack.link('Open app', 'https://example.com/?a=1')).toBe('<https://example.com/?a=1|Open app>');
+  });
+
+  test('sends the text as mrkdwn', () => {
+    expect(slack.toRequestBody('*Hi*')).toEqual({ text: '*Hi*', mrkdwn: true });
+  });
+});
@@ -0,0 +1,123 @@
+// Mock Server tests
+// The request scheduler against the mock Binance server (mock-server/server.mjs) running the rate-limit
+// scenario: scripted 429s pause the queue for Retry-After and are retried, 5xx errors are retried with
+// backoff, and a 400 comes back as is.
+import { spawn } from 'child_process';
+import http from 'http';
+import net from 'net';
+import path from 'path';
+import { createRequestScheduler } from './requestScheduler';
+
+const SERVER_SCRIPT = path.join(__dirname, '../mock-server/server.mjs');
+const RATE_LIMIT_SCENARIO = path.join(__dirname, '../mock-server/scenarios/rate-limit.json');
+
+// A port nothing listens on
+const getFreePort = () => new Promise((resolve, reject) => {
+  const probe = net.createServer();
+  probe.on('error', reject);
+  probe.listen(0, () => {
+    const { port } = probe.address();
+    probe.close(() => resolve(port));
+  });
+});
+
+// fetch over Node's http module (the jsdom test environment has none)
+const httpFetch = (url) => new Promise((resolve, reject) => {
+  http.get(url, (response) => {
+    let body = '';
+    response.setEncoding('utf8');
+    response.on('data', chunk => {
+      body += chunk;
+    });
+    response.on('end', () => resolve({
+      ok: response.statusCode >= 200 && response.statusCode < 300,
+      status: response.statusCode,
+      statusText: response.statusMessage,
+      headers: { get: (name) => response.headers[name.toLowerCase()] ?? null },
+      json: async () => JSON.parse(body)
+    }));
+  }).on('error', reject);
+});
+
+describe('scheduler against the mock server\'s rate-limit scenario', () => {
+  let server;
+  let baseUrl;
+
+  beforeAll(async () => {
+    const port = await getFreePort();
+    baseUrl = `http://localhost:${port}`;
+    server = spawn(process.execPath, [SERVER_SCRIPT, '--port', String(port), '--scenario', RATE_LIMIT_SCENARIO, '--history-days', '2'], {
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+      let output = '';
+      server.stdout.on('data', chunk => {
+        output += chunk;
+        if (output.includes('Listening on')) {
+          resolve();
+        }
+      });
+      server.stderr.on('data', chunk => {
+        output += chunk;
+      });
+      server.on('exit', code => reject(new Error(`Mock server exited (${code}): ${output}`)));
+    });
+  }, 20000);
+
+  afterAll(async () => {
+    if (server && server.exitCode === null) {
+      const exited = new Promise(resolve => server.on('exit', resolve));
+      server.kill();
+      await exited;
+    }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('pauses the queue for Retry-After on the scripted 429s and retries them', async () => {
+    const fetchImpl = jest.fn(httpFetch);
+    const scheduler = createRequestScheduler({ fetchImpl });
+    const pauses = [];
+    scheduler.subscribe(status => {
+      if (status.pausedUntil && !pauses.includes(status.pausedUntil)) {
+        pauses.push(status.pausedUntil);
+      }
+    });
+
+    // Klines requests 21 - 23 get a 429 with Retry-After: 2
+    const startedAt = Date.now();
+    const responses = await Promise.all(Array.from({ length: 24 }, (_, i) =>
+      scheduler.schedule(`${baseUrl}/api/v3/klines?symbol=BTCUSDT&interval=5m&limit=${i + 1}`)));
+
+    expect(responses.map(response => response.status)).toEqual(Array(24).fill(200));
+    expect(await responses[23].json()).toHaveLength(24);
+    expect(fetchImpl).toHaveBeenCalledTimes(27);
+    expect(scheduler.getStatus().retries).toBe(3);
+    expect(pauses.length).toBeGreaterThan(0);
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(1900);
+  }, 20000);
+
+  test('retries the scripted 503s with backoff and returns the 400 without retrying', async () => {
+    const fetchImpl = jest.fn(httpFetch);
+    const scheduler = createRequestScheduler({ fetchImpl, baseDelayMs: 50 });
+
+    // Price requests 3 and 4 get a 503
+    const prices = [];
+    for (let i = 0; i < 4; i++) {
+      prices.push(await scheduler.schedule(`${baseUrl}/api/v3/ticker/price?symbol=ETHUSDT`));
+    }
+    expect(prices.map(response => response.status)).toEqual([200, 200, 200, 200]);
+    expect(fetchImpl).toHaveBeenCalledTimes(6);
+
+    const invalid = await scheduler.schedule(`${baseUrl}/api/v3/klines?symbol=PUMPUSDT&interval=5m&limit=10`);
+    expect(invalid.status).toBe(400);
+    expect((await invalid.json()).code).toBe(-1121);
+    expect(fetchImpl).toHaveBeenCalledTimes(7);
+  }, 20000);
+});
@@ -1,4 +1,5 @@
 // Notification Service for Breakout Alerts
+import { toDisplaySymbol } from './symbols';
 
 // Check if browser supports notifications
 export const isNotificationSupported = () => {
@@ -94,9 +95,10 @@ export const sendNotification = async (title, options = {}) => {
 };
 
 // Format notification message for breakout
-// Note: formatNYTime should be imported from binance.js when used
-export const formatBreakoutNotification = (symbol, breakoutTime, reentryTime, direction, formatNYTimeFn) => {
-  const symbolName = symbol.replace('/USDT', '');
+// Note: formatNYTime should be imported from timeFormat.js when used
+// details (optional): { sessionName, entryPrice, stopLoss, takeProfit, riskProfileName }
+export const formatBreakoutNotification = (symbol, breakoutTime, reentryTime, direction, formatNYTimeFn, details = {}) => {
+  const symbolName = toDisplaySymbol(symbol);
   
   // Use provided formatNYTime function or fallback
   const formatTime = formatNYTimeFn || ((timestamp) => {
@@ -119,11 +121,15 @@ export const formatBreakoutNotification = (symbol, breakoutTime, reentryTime, di
   
   const time = breakoutTime ? formatTime(breakoutTime) : 'Now';
   const directionText = direction === 'long' ? 'LONG' : 'SHORT';
+  const sessionText = details.sessionName ? `\nSession: ${details.sessionName}` : '';
+  const levelsText = details.entryPrice && details.stopLoss && details.takeProfit
+    ? `\nEntry: ${details.entryPrice} | SL: ${details.stopLoss} | TP: ${details.takeProfit}${details.riskProfileName ? ` (${details.riskProfileName})` : ''}`
+    : '';
   
   if (reentryTime) {
     return {
       title: `🚀 ${symbolName} Breakout & Re-entry`,
-      body: `${directionText} signal detected\nBreakout: ${time}\nRe-entry: ${formatTime(reentryTime)}`,
+      body: `${directionText} signal detected\nBreakout: ${time}\nRe-entry: ${formatTime(reentryTime)}${levelsText}${sessionText}`,
       icon: '/icon-192x192.png',
       tag: `breakout-${symbolName}-${Date.now()}`,
       data: { symbol, type: 'breakout-reentry', direction }
@@ -131,7 +137,7 @@ export const formatBreakoutNotification = (symbol, breakoutTime, reentryTime, di
   } else {
     return {
       title: `📈 ${symbolName} Breakout Detected`,
-      body: `${directionText} breakout at ${time}\nWaiting for re-entry...`,
+      body: `${directionText} breakout at ${time}\nWaiting for re-entry...${sessionText}`,
       icon: '/icon-192x192.png',
       tag: `breakout-${symbolName}-${Date.now()}`,
       data: { symbol, type: 'breakout-only', direction }
@@ -139,5 +145,5 @@ export const formatBreakoutNotification = (symbol, breakoutTime, reentryTime, di
   }
 };
 
-// Note: formatNYTime is imported from binance.js in App.js where this is used
+// Note: formatNYTime is imported from timeFormat.js in App.js where this is used
 
@@ -0,0 +1,273 @@
+// Replay
+// Records every Binance REST response the app receives into a session file that can be downloaded,
+// and replays a loaded session: requests are answered from the recording and the clock is pinned to
+// the time the recording ended, so disputed signals can be reproduced exactly.
+// Klines are served from all recorded candles of a symbol/interval (not just identical URLs), so
+// requests for slightly different windows still replay; other endpoints use the latest response.
+
+import { clock as sharedClock } from './clock';
+
+export const RECORDING_VERSION = 1;
+
+export const REPLAY_MODES = {
+  LIVE: 'live',
+  RECORDING: 'recording',
+  REPLAY: 'replay'
+};
+
+// Request path + query (the base URL is left out so recordings replay against any host)
+const toRequestPath = (url) => {
+  const { pathname, search } = new URL(url, 'http://localhost');
+  return `${pathname}${search}`;
+};
+
+const isKlinesPath = (pathname) => pathname.endsWith('/klines') || pathname.endsWith('/uiKlines');
+
+/**
+ * Validate a recording
+ * @param {Object} recording - Parsed session file
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateRecording = (recording) => {
+  if (!recording || typeof recording !== 'object') {
+    return 'Invalid session file';
+  }
+  if (recording.version !== RECORDING_VERSION) {
+    return `Unsupported session file version (${recording.version})`;
+  }
+  if (!Array.isArray(recording.responses)) {
+    return 'Session file has no responses';
+  }
+  if (typeof recording.endedAt !== 'number' || typeof recording.startedAt !== 'number') {
+    return 'Session file has no recording time';
+  }
+  return null;
+};
+
+/**
+ * Index a recording for replay
+ * Later responses win, so forming candles and prices replay as they were at the end of the recording.
+ * @param {Object} recording - Recording ({ responses: [{ time, path, status, body }] })
+ * @returns {Object} { klines (series -> Map of open time -> kline row), latest (path or endpoint|symbol -> response) }
+ */
+export const createReplayIndex = (recording) => {
+  const klines = new Map();
+  const latest = new Map();
+
+  [...recording.responses]
+    .sort((a, b) => a.time - b.time)
+    .forEach(entry => {
+      const { pathname, searchParams } = new URL(entry.path, 'http://localhost');
+      latest.set(entry.path, entry);
+      if (searchParams.has('symbol')) {
+        latest.set(`${pathname}|${searchParams.get('symbol')}`, entry);
+      }
+      latest.set(pathname, entry);
+
+      if (isKlinesPath(pathname) && entry.status === 200 && Array.isArray(entry.body)) {
+        const series = `${searchParams.get('symbol')}|${searchParams.get('interval')}`;
+        if (!klines.has(series)) {
+          klines.set(series, new Map());
+        }
+        const rows = klines.get(series);
+        entry.body.forEach(row => rows.set(row[0], row));
+      }
+    });
+
+  return { klines, latest };
+};
+
+/**
+ * Answer a request from a replay index
+ * Klines follow Binance's rules for startTime/endTime/limit (latest `limit` candles up to endTime, or the
+ * first `limit` from startTime) and never include candles opening after `now`.
+ * @param {Object} index - From createReplayIndex
+ * @param {string} url - Request URL
+ * @param {number} now - Replay time in ms
+ * @returns {Object|null} { status, body }, or null if the recording has nothing for the request
+ */
+export const getReplayResponse = (index, url, now) => {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+
+  if (isKlinesPath(pathname)) {
+    const rows = index.klines.get(`${searchParams.get('symbol')}|${searchParams.get('interval')}`);
+    if (!rows) {
+      return null;
+    }
+    const limit = searchParams.has('limit') ? parseInt(searchParams.get('limit')) : 500;
+    const startTime = searchParams.has('startTime') ? parseInt(searchParams.get('startTime')) : -Infinity;
+    const endTime = Math.min(searchParams.has('endTime') ? parseInt(searchParams.get('endTime')) : Infinity, now);
+    const inWindow = Array.from(rows.values())
+      .filter(row => row[0] >= startTime && row[0] <= endTime)
+      .sort((a, b) => a[0] - b[0]);
+    const body = searchParams.has('startTime') && !searchParams.has('endTime')
+      ? inWindow.slice(0, limit)
+      : inWindow.slice(-limit);
+    return { status: 200, body };
+  }
+
+  const exact = index.latest.get(toRequestPath(url));
+  const bySymbol = searchParams.has('symbol') ? index.latest.get(`${pathname}|${searchParams.get('symbol')}`) : null;
+  const entry = exact || bySymbol || (searchParams.has('symbol') ? null : index.latest.get(pathname));
+  return entry ? { status: entry.status, body: entry.body } : null;
+};
+
+// Minimal fetch Response for replayed bodies (what the Binance helpers and the scheduler read)
+const createReplayedResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 404 ? 'Not in recording' : 'OK',
+  headers: { get: () => null },
+  json: async () => body,
+  clone() {
+    return createReplayedResponse(status, body);
+  }
+});
+
+/**
+ * Create a replay controller
+ * Its fetch() sits between the request scheduler and the network: it passes requests through in live
+ * mode, also stores each response while recording, and answers from the loaded recording in replay mode
+ * (404 for requests the recording does not cover).
+ * @param {Object} options - { fetchImpl (default: the global fetch), clock (default: the shared clock) }
+ * @returns {Object} { fetch, startRecording, stopRecording, exportRecording, loadRecording, stopReplay, isReplaying, getStatus, subscribe }
+ */
+export const createReplayController = ({ fetchImpl, clock = sharedClock } = {}) => {
+  const doFetch = (...args) => (fetchImpl || fetch)(...args);
+  const listeners = new Set();
+  let mode = REPLAY_MODES.LIVE;
+  let recording = null;
+  let index = null;
+
+  const getStatus = () => ({
+    mode,
+    responses: recording ? recording.responses.length : 0,
+    startedAt: recording ? recording.startedAt : null,
+    endedAt: recording ? recording.endedAt : null
+  });
+
+  const notify = () => {
+    const status = getStatus();
+    listeners.forEach(listener => listener(status));
+  };
+
+  const record = async (url, response) => {
+    let body = null;
+    try {
+      body = await response.clone().json();
+    } catch (error) {
+      // Non-JSON bodies are recorded without content
+    }
+    recording.responses.push({ time: clock.now(), path: toRequestPath(url), status: response.status, body });
+    notify();
+  };
+
+  const replayFetch = async (url, init) => {
+    if (mode === REPLAY_MODES.REPLAY) {
+      const replayed = getReplayResponse(index, url, clock.now());
+      if (!replayed) {
+        console.warn(`[Replay] No recorded response for ${toRequestPath(url)}`);
+        return createReplayedResponse(404, { code: -1, msg: 'Not in recording' });
+      }
+      return createReplayedResponse(replayed.status, replayed.body);
+    }
+
+    const response = await doFetch(url, init);
+    if (mode === REPLAY_MODES.RECORDING) {
+      await record(url, response);
+    }
+    return response;
+  };
+
+  const startRecording = () => {
+    if (mode === REPLAY_MODES.REPLAY) {
+      throw new Error('Leave replay mode before recording');
+    }
+    recording = { version: RECORDING_VERSION, startedAt: clock.now(), endedAt: null, responses: [] };
+    mode = REPLAY_MODES.RECORDING;
+    console.log('[Replay] Recording started');
+    notify();
+  };
+
+  /**
+   * Stop recording (the recording stays available for exportRecording)
+   * @returns {Object|null} The recording
+   */
+  const stopRecording = () => {
+    if (mode !== REPLAY_MODES.RECORDING) {
+      return recording;
+    }
+    recording.endedAt = clock.now();
+    mode = REPLAY_MODES.LIVE;
+    console.log(`[Replay] Recording stopped (${recording.responses.length} responses)`);
+    notify();
+    return recording;
+  };
+
+  /**
+   * Session file contents of the current (or last) recording
+   * @returns {string|null} JSON, or null if nothing was recorded
+   */
+  const exportRecording = () => {
+    if (!recording) {
+      return null;
+    }
+    return JSON.stringify({ ...recording, endedAt: recording.endedAt || clock.now() });
+  };
+
+  /**
+   * Enter replay mode with a recording; the clock is pinned to the time the recording ended
+   * @param {Object|string} session - Recording or session file contents
+   * @returns {Object} getStatus()
+   */
+  const loadRecording = (session) => {
+    const parsed = typeof session === 'string' ? JSON.parse(session) : session;
+    const error = validateRecording(parsed);
+    if (error) {
+      throw new Error(error);
+    }
+    recording = parsed;
+    index = createReplayIndex(parsed);
+    mode = REPLAY_MODES.REPLAY;
+    clock.setFixedTime(parsed.endedAt);
+    console.log(`[Replay] Replaying ${parsed.responses.length} responses at ${new Date(parsed.endedAt).toISOString()}`);
+    notify();
+    return getStatus();
+  };
+
+  const stopReplay = () => {
+    if (mode !== REPLAY_MODES.REPLAY) {
+      return;
+    }
+    mode = REPLAY_MODES.LIVE;
+    index = null;
+    clock.reset();
+    console.log('[Replay] Back to live data');
+    notify();
+  };
+
+  /**
+   * Listen to mode changes and recorded responses
+   * @param {Function} listener - Called with getStatus() after every change
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    fetch: replayFetch,
+    startRecording,
+    stopRecording,
+    exportRecording,
+    loadRecording,
+    stopReplay,
+    isReplaying: () => mode === REPLAY_MODES.REPLAY,
+    getStatus,
+    subscribe
+  };
+};
+
+// Shared controller in front of every Binance REST request
+export const replayController = createReplayController();
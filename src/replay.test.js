@@ -0,0 +1,109 @@
+// Replay tests
+// Recording the Binance helpers' responses and replaying them with the network gone, klines served from
+// every recorded candle of a series, and the clock pinned to the end of the recording.
+import { createReplayIndex, getReplayResponse, replayController, RECORDING_VERSION } from './replay';
+import { getBinanceKlines, getBinancePrice, getBinance24hrTicker } from './binance';
+import { clock } from './clock';
+import { createMockMarket } from '../mock-server/marketData.mjs';
+import { createMarketFetch } from './testing/fetchMocks';
+
+const FIVE_MIN_MS = 5 * 60 * 1000;
+const START = Date.UTC(2026, 0, 8, 10, 0);
+
+// Kline row opening `index` candles after START, closing at its index
+const row = (index, close = index) => [START + index * FIVE_MIN_MS, '1', '1', '1', String(close), '1', START + (index + 1) * FIVE_MIN_MS - 1];
+
+const recordingOf = (responses) => ({ version: RECORDING_VERSION, startedAt: START, endedAt: START + 10 * FIVE_MIN_MS, responses });
+const klinesEntry = (time, query, rows) => ({ time, path: `/api/v3/klines?symbol=BTCUSDT&interval=5m&${query}`, status: 200, body: rows });
+
+describe('getReplayResponse', () => {
+  // Two recorded windows of one series, 0 - 5 and 4 - 9; the second also has candle 5 as it closed later
+  const index = createReplayIndex(recordingOf([
+    klinesEntry(START + 6 * FIVE_MIN_MS, 'limit=6', [0, 1, 2, 3, 4, 5].map(i => row(i))),
+    klinesEntry(START + 10 * FIVE_MIN_MS, 'startTime=0&limit=6', [4, 5, 6, 7, 8, 9].map(i => row(i, i === 5 ? 55 : i))),
+    { time: START, path: '/api/v3/ticker/price?symbol=BTCUSDT', status: 200, body: { symbol: 'BTCUSDT', price: '1' } }
+  ]));
+  const NOW = START + 10 * FIVE_MIN_MS;
+  const openTimes = (url, now = NOW) => getReplayResponse(index, url, now).body.map(kline => (kline[0] - START) / FIVE_MIN_MS);
+
+  test('serves the latest candles of every recorded window, not only identical URLs', () => {
+    expect(openTimes('/api/v3/klines?symbol=BTCUSDT&interval=5m&limit=8')).toEqual([2, 3, 4, 5, 6, 7, 8, 9]);
+  });
+
+  test('takes the first candles from startTime, and the last up to endTime', () => {
+    expect(openTimes(`/api/v3/klines?symbol=BTCUSDT&interval=5m&startTime=${START + FIVE_MIN_MS}&limit=3`)).toEqual([1, 2, 3]);
+    expect(openTimes(`/api/v3/klines?symbol=BTCUSDT&interval=5m&startTime=${START + FIVE_MIN_MS}&endTime=${START + 6 * FIVE_MIN_MS}&limit=3`))
+      .toEqual([4, 5, 6]);
+  });
+
+  test('leaves out candles opening after the replay time', () => {
+    expect(openTimes('/api/v3/klines?symbol=BTCUSDT&interval=5m&limit=3', START + 7 * FIVE_MIN_MS)).toEqual([5, 6, 7]);
+  });
+
+  test('keeps the later copy of a candle recorded twice', () => {
+    const [candle] = getReplayResponse(index, `/api/v3/klines?symbol=BTCUSDT&interval=5m&startTime=${START + 5 * FIVE_MIN_MS}&limit=1`, NOW).body;
+    expect(candle[4]).toBe('55');
+  });
+
+  test('has nothing for series and symbols it did not record', () => {
+    expect(getReplayResponse(index, '/api/v3/klines?symbol=BTCUSDT&interval=1h&limit=3', NOW)).toBeNull();
+    expect(getReplayResponse(index, '/api/v3/ticker/price?symbol=ETHUSDT', NOW)).toBeNull();
+    expect(getReplayResponse(index, '/api/v3/ticker/price?symbol=BTCUSDT', NOW).body.price).toBe('1');
+  });
+});
+
+describe('recording and replaying the Binance helpers', () => {
+  const RECORDED_AT = Date.UTC(2026, 0, 8, 10, 2);
+
+  beforeEach(() => {
+    clock.setFixedTime(RECORDED_AT);
+    global.fetch = createMarketFetch(createMockMarket({ historyDays: 2, now: () => clock.now() }));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    replayController.stopReplay();
+    jest.restoreAllMocks();
+    delete global.fetch;
+    clock.reset();
+  });
+
+  const fetchAll = async () => ({
+    klines: await getBinanceKlines('BTC/USDT', '5m', 20),
+    price: await getBinancePrice('BTC/USDT'),
+    ticker: await getBinance24hrTicker('BTC/USDT')
+  });
+
+  test('answers from the recording with the network gone, at the time the recording ended', async () => {
+    replayController.startRecording();
+    const recorded = await fetchAll();
+    const recording = replayController.stopRecording();
+    expect(recording.responses.map(entry => entry.path.split('?')[0]))
+      .toEqual(['/api/v3/klines', '/api/v3/ticker/price', '/api/v3/ticker/24hr']);
+
+    // An hour later and offline
+    clock.setFixedTime(RECORDED_AT + 60 * 60 * 1000);
+    global.fetch = jest.fn(async () => {
+      throw new Error('Failed to connect');
+    });
+
+    replayController.loadRecording(replayController.exportRecording());
+    expect(clock.now()).toBe(recording.endedAt);
+    expect(await fetchAll()).toEqual(recorded);
+    expect(global.fetch).not.toHaveBeenCalled();
+
+    replayController.stopReplay();
+    expect(clock.isFixed()).toBe(false);
+  });
+
+  test('answers requests the recording does not cover with a 404', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    replayController.startRecording();
+    await getBinancePrice('BTC/USDT');
+    replayController.stopRecording();
+    replayController.loadRecording(replayController.exportRecording());
+
+    await expect(getBinanceKlines('BTC/USDT', '5m', 20)).rejects.toThrow(/404 Not in recording/);
+  });
+});
@@ -0,0 +1,230 @@
+// Request Scheduler
+// Shared queue for Binance REST requests. Tracks the per-minute request weight (estimated from the
+// endpoint, corrected by the X-MBX-USED-WEIGHT-1M response header), holds requests back
+// when the budget is spent, caps concurrency and retries 429s, 5xx errors and network failures with
+// exponential backoff and jitter. A 429 or 418 (IP ban) pauses the whole queue until Retry-After.
+
+const MINUTE_MS = 60 * 1000;
+
+export const DEFAULT_SCHEDULER_OPTIONS = {
+  weightLimit: 6000,      // Binance spot REQUEST_WEIGHT limit per minute per IP
+  safetyMargin: 0.8,      // Share of the limit the scheduler lets requests use
+  maxConcurrent: 4,       // Requests in flight at once
+  maxRetries: 4,          // Retries after the first attempt (429, 5xx, network errors)
+  baseDelayMs: 1000,      // First retry delay, doubled per attempt
+  maxDelayMs: 60000,      // Retry delay cap
+  banPauseMs: 120000      // Queue pause after a 418 without Retry-After (Binance bans last 2 minutes and up)
+};
+
+/**
+ * Estimated request weight of a Binance REST endpoint
+ * @param {string} url - Request URL (path and query are used)
+ * @returns {number} Request weight
+ */
+export const getRequestWeight = (url) => {
+  const { pathname, searchParams } = new URL(url, 'http://localhost');
+
+  if (pathname.endsWith('/klines') || pathname.endsWith('/uiKlines')) {
+    // Same weight for any limit (up to 1000 candles)
+    return 2;
+  }
+  if (pathname.endsWith('/ticker/price')) {
+    return searchParams.has('symbol') ? 2 : 4;
+  }
+  if (pathname.endsWith('/ticker/24hr')) {
+    return searchParams.has('symbol') ? 2 : 80;
+  }
+  if (pathname.endsWith('/exchangeInfo')) {
+    return 20;
+  }
+  return 1;
+};
+
+/**
+ * Retry delay for an attempt: exponential backoff with jitter (half of the delay is random,
+ * so requests that failed together do not all retry at the same moment)
+ * @param {number} attempt - Retry number (1 = first retry)
+ * @param {Object} options - { baseDelayMs, maxDelayMs }
+ * @param {Function} random - Random number source in [0, 1) (default: Math.random)
+ * @returns {number} Delay in ms
+ */
+export const getRetryDelay = (attempt, { baseDelayMs, maxDelayMs }, random = Math.random) => {
+  const cap = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt - 1));
+  return Math.round(cap / 2 + random() * cap / 2);
+};
+
+/**
+ * Create a request scheduler
+ * schedule() resolves with the fetch Response (callers still check response.ok), or rejects with the last
+ * network error once retries run out. A 418 (IP ban) is never retried, and holds every queued request until the ban
+ * is over (requests sent during a ban make Binance lengthen it).
+ * @param {Object} options - Overrides of DEFAULT_SCHEDULER_OPTIONS, plus fetchImpl (default: the global fetch)
+ * @returns {Object} { schedule, getStatus, subscribe }
+ */
+export const createRequestScheduler = (options = {}) => {
+  const { fetchImpl, ...overrides } = options;
+  const config = { ...DEFAULT_SCHEDULER_OPTIONS, ...overrides };
+  const budget = Math.floor(config.weightLimit * config.safetyMargin);
+  const doFetch = (...args) => (fetchImpl || fetch)(...args);
+
+  const queue = [];
+  const listeners = new Set();
+  let active = 0;
+  let activeWeight = 0;
+  let usedWeight = 0;
+  let windowStart = Math.floor(Date.now() / MINUTE_MS) * MINUTE_MS;
+  let pausedUntil = 0;
+  let retries = 0;
+  let wakeTimer = null;
+
+  // Binance counts weight per UTC minute
+  const rollWindow = (now) => {
+    const currentWindow = Math.floor(now / MINUTE_MS) * MINUTE_MS;
+    if (currentWindow !== windowStart) {
+      windowStart = currentWindow;
+      usedWeight = 0;
+    }
+  };
+
+  const getStatus = () => {
+    rollWindow(Date.now());
+    return {
+      usedWeight,
+      weightLimit: config.weightLimit,
+      budget,
+      queued: queue.length,
+      active,
+      pausedUntil: pausedUntil > Date.now() ? pausedUntil : null,
+      retries
+    };
+  };
+
+  const notify = () => {
+    const status = getStatus();
+    listeners.forEach(listener => listener(status));
+  };
+
+  const wakeAt = (time) => {
+    if (wakeTimer) {
+      return;
+    }
+    wakeTimer = setTimeout(() => {
+      wakeTimer = null;
+      pump();
+    }, Math.max(0, time - Date.now()));
+  };
+
+  const pump = () => {
+    const now = Date.now();
+    rollWindow(now);
+
+    if (pausedUntil > now) {
+      wakeAt(pausedUntil);
+      notify();
+      return;
+    }
+
+    while (queue.length > 0 && active < config.maxConcurrent) {
+      const task = queue[0];
+      // A request heavier than the whole budget still runs once the minute is fresh
+      const fits = usedWeight + activeWeight + task.weight <= budget || (usedWeight === 0 && activeWeight === 0);
+      if (!fits) {
+        if (!wakeTimer) {
+          console.warn(`[Scheduler] Weight budget reached (${usedWeight + activeWeight}/${budget}), waiting for the next minute...`);
+        }
+        wakeAt(windowStart + MINUTE_MS);
+        break;
+      }
+      queue.shift();
+      run(task);
+    }
+    notify();
+  };
+
+  const retry = (task, delayMs, reason) => {
+    retries++;
+    console.warn(`[Scheduler] ${reason}, retrying in ${delayMs}ms (attempt ${task.attempt}/${config.maxRetries})`);
+    setTimeout(() => {
+      queue.unshift(task);
+      pump();
+    }, delayMs);
+  };
+
+  const run = async (task) => {
+    active++;
+    activeWeight += task.weight;
+    let response = null;
+    let error = null;
+    try {
+      response = await doFetch(task.url, task.init);
+    } catch (fetchError) {
+      error = fetchError;
+    }
+    active--;
+    activeWeight -= task.weight;
+
+    const now = Date.now();
+    rollWindow(now);
+    const headerWeight = response && response.headers ? response.headers.get('X-MBX-USED-WEIGHT-1M') : null;
+    usedWeight = headerWeight !== null && headerWeight !== undefined ? parseInt(headerWeight) : usedWeight + task.weight;
+
+    const canRetry = task.attempt < config.maxRetries;
+    if (error) {
+      if (canRetry) {
+        task.attempt++;
+        retry(task, getRetryDelay(task.attempt, config), `Request failed (${error.message || error})`);
+      } else {
+        task.reject(error);
+      }
+    } else if (response.status === 429 || response.status === 418) {
+      // Every queued request waits out Retry-After, not just this one
+      const isBan = response.status === 418;
+      const retryAfter = response.headers ? parseInt(response.headers.get('Retry-After')) : NaN;
+      const fallbackMs = isBan ? config.banPauseMs : getRetryDelay(task.attempt + 1, config);
+      const delayMs = retryAfter >= 0 ? retryAfter * 1000 : fallbackMs;
+      pausedUntil = Math.max(pausedUntil, now + delayMs);
+      if (!isBan && canRetry) {
+        task.attempt++;
+        retry(task, delayMs, 'Rate limit exceeded (429)');
+      } else {
+        if (isBan) {
+          console.warn(`[Scheduler] IP banned (418), holding ${queue.length} queued requests for ${delayMs}ms`);
+        }
+        task.resolve(response);
+      }
+    } else if (response.status >= 500 && canRetry) {
+      task.attempt++;
+      retry(task, getRetryDelay(task.attempt, config), `Binance API error ${response.status}`);
+    } else {
+      task.resolve(response);
+    }
+    pump();
+  };
+
+  /**
+   * Queue a request
+   * @param {string} url - Request URL
+   * @param {Object} requestOptions - { weight (default: getRequestWeight(url)), init (fetch options) }
+   * @returns {Promise<Response>} Fetch response
+   */
+  const schedule = (url, { weight = getRequestWeight(url), init } = {}) => new Promise((resolve, reject) => {
+    queue.push({ url, init, weight, attempt: 0, resolve, reject });
+    pump();
+  });
+
+  /**
+   * Listen to status changes (weight used, queued and active requests)
+   * @param {Function} listener - Called with getStatus() after every change
+   * @returns {Function} Unsubscribe
+   */
+  const subscribe = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  };
+
+  return {
+    schedule,
+    getStatus,
+    subscribe
+  };
+};
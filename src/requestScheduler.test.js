@@ -0,0 +1,227 @@
+// Request Scheduler tests
+// Weight accounting, the budget wait, the queue pause after a 429 or 418, and retries of 5xx and
+// network errors.
+import { createRequestScheduler, getRequestWeight, getRetryDelay } from './requestScheduler';
+import { response, createFetch } from './testing/fetchMocks';
+
+const START = Date.UTC(2026, 0, 8, 10, 0, 0);
+const KLINES_URL = 'https://api.binance.com/api/v3/klines?symbol=BTCUSDT&interval=5m&limit=1000';
+
+// Let the fetch promises and the scheduler's follow-up work settle
+const flushPromises = async () => {
+  for (let i = 0; i < 20; i++) {
+    await Promise.resolve();
+  }
+};
+
+const advance = async (ms) => {
+  jest.advanceTimersByTime(ms);
+  await flushPromises();
+};
+
+describe('getRequestWeight', () => {
+  test('weighs klines at 2 for any limit', () => {
+    expect(getRequestWeight(KLINES_URL)).toBe(2);
+    expect(getRequestWeight('https://api.binance.com/api/v3/uiKlines?symbol=BTCUSDT&interval=1m&limit=10')).toBe(2);
+  });
+
+  test('weighs tickers by whether a symbol is named', () => {
+    expect(getRequestWeight('https://api.binance.com/api/v3/ticker/price?symbol=BTCUSDT')).toBe(2);
+    expect(getRequestWeight('https://api.binance.com/api/v3/ticker/price')).toBe(4);
+    expect(getRequestWeight('https://api.binance.com/api/v3/ticker/24hr?symbol=BTCUSDT')).toBe(2);
+    expect(getRequestWeight('https://api.binance.com/api/v3/ticker/24hr')).toBe(80);
+  });
+
+  test('weighs exchangeInfo at 20 and other endpoints at 1', () => {
+    expect(getRequestWeight('https://api.binance.com/api/v3/exchangeInfo')).toBe(20);
+    expect(getRequestWeight('/api/v3/ping')).toBe(1);
+  });
+});
+
+describe('getRetryDelay', () => {
+  const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+
+  test('doubles per attempt with up to half of the delay random', () => {
+    expect(getRetryDelay(1, options, () => 0)).toBe(500);
+    expect(getRetryDelay(2, options, () => 0)).toBe(1000);
+    expect(getRetryDelay(3, options, () => 0.5)).toBe(3000);
+  });
+
+  test('caps the delay', () => {
+    expect(getRetryDelay(10, options, () => 0.999999)).toBe(5000);
+  });
+});
+
+describe('createRequestScheduler', () => {
+  beforeEach(() => {
+    jest.useFakeTimers('modern');
+    jest.setSystemTime(START);
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('takes the used weight from X-MBX-USED-WEIGHT-1M, or adds the estimate without it', async () => {
+    const fetchImpl = createFetch(response(200, { 'X-MBX-USED-WEIGHT-1M': 123 }), response(200));
+    const scheduler = createRequestScheduler({ fetchImpl });
+
+    await scheduler.schedule(KLINES_URL);
+    expect(scheduler.getStatus().usedWeight).toBe(123);
+
+    await scheduler.schedule(KLINES_URL);
+    expect(scheduler.getStatus().usedWeight).toBe(125);
+  });
+
+  test('starts a fresh weight count every UTC minute', async () => {
+    const scheduler = createRequestScheduler({ fetchImpl: createFetch(response(200, { 'X-MBX-USED-WEIGHT-1M': 50 })) });
+
+    await scheduler.schedule(KLINES_URL);
+    jest.setSystemTime(START + 60 * 1000);
+
+    expect(scheduler.getStatus().usedWeight).toBe(0);
+  });
+
+  test('holds requests that do not fit the budget until the next minute', async () => {
+    // Budget: 100 * 0.8 = 80
+    const fetchImpl = createFetch(response(200, { 'X-MBX-USED-WEIGHT-1M': 79 }), response(200));
+    const scheduler = createRequestScheduler({ fetchImpl, weightLimit: 100 });
+
+    await scheduler.schedule(KLINES_URL);
+    const second = scheduler.schedule(KLINES_URL);
+    await flushPromises();
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(scheduler.getStatus().queued).toBe(1);
+
+    await advance(60 * 1000 - 1);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+    await advance(1);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    await expect(second).resolves.toMatchObject({ status: 200 });
+  });
+
+  test('caps the requests in flight', async () => {
+    let release;
+    const fetchImpl = jest.fn(() => new Promise(resolve => {
+      release = () => resolve(response(200));
+    }));
+    const scheduler = createRequestScheduler({ fetchImpl, maxConcurrent: 2 });
+
+    [1, 2, 3].forEach(() => scheduler.schedule(KLINES_URL));
+    await flushPromises();
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    expect(scheduler.getStatus()).toMatchObject({ active: 2, queued: 1 });
+
+    release();
+    await flushPromises();
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  test('pauses the whole queue for Retry-After after a 429 and retries the request', async () => {
+    const fetchImpl = createFetch(response(429, { 'Retry-After': 5 }), response(200));
+    const scheduler = createRequestScheduler({ fetchImpl, maxConcurrent: 1 });
+
+    const first = scheduler.schedule(KLINES_URL);
+    const second = scheduler.schedule(KLINES_URL);
+    await flushPromises();
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(scheduler.getStatus().pausedUntil).toBe(START + 5000);
+
+    await advance(4999);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+
+    await advance(1);
+    await expect(first).resolves.toMatchObject({ status: 200 });
+    await expect(second).resolves.toMatchObject({ status: 200 });
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+    expect(scheduler.getStatus().retries).toBe(1);
+  });
+
+  test('answers a 418 at once and holds the queued requests until Retry-After', async () => {
+    const fetchImpl = createFetch(response(418, { 'Retry-After': 30 }), response(200));
+    const scheduler = createRequestScheduler({ fetchImpl, maxConcurrent: 1 });
+
+    const banned = scheduler.schedule(KLINES_URL);
+    const queued = scheduler.schedule(KLINES_URL);
+    await expect(banned).resolves.toMatchObject({ status: 418 });
+    expect(scheduler.getStatus().pausedUntil).toBe(START + 30 * 1000);
+
+    // Requests scheduled during the ban wait as well
+    const later = scheduler.schedule(KLINES_URL);
+    await advance(30 * 1000 - 1);
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(scheduler.getStatus().queued).toBe(2);
+
+    await advance(1);
+    await expect(queued).resolves.toMatchObject({ status: 200 });
+    await expect(later).resolves.toMatchObject({ status: 200 });
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+    expect(scheduler.getStatus().retries).toBe(0);
+  });
+
+  test('tells subscribers the queue is paused, and when it resumes', async () => {
+    const fetchImpl = createFetch(response(418, { 'Retry-After': 30 }), response(200));
+    const scheduler = createRequestScheduler({ fetchImpl });
+    const pauses = [];
+    scheduler.subscribe(status => pauses.push(status.pausedUntil));
+
+    await scheduler.schedule(KLINES_URL);
+    expect(pauses[pauses.length - 1]).toBe(START + 30 * 1000);
+
+    const queued = scheduler.schedule(KLINES_URL);
+    await advance(30 * 1000);
+    await queued;
+    expect(pauses[pauses.length - 1]).toBeNull();
+  });
+
+  test('pauses for banPauseMs after a 418 without Retry-After', async () => {
+    const fetchImpl = createFetch(response(418), response(200));
+    const scheduler = createRequestScheduler({ fetchImpl, banPauseMs: 10000 });
+
+    await scheduler.schedule(KLINES_URL);
+
+    expect(scheduler.getStatus().pausedUntil).toBe(START + 10000);
+  });
+
+  test('retries 5xx responses up to maxRetries and answers with the last one', async () => {
+    const fetchImpl = createFetch(response(503));
+    const scheduler = createRequestScheduler({ fetchImpl, maxRetries: 2 });
+
+    const request = scheduler.schedule(KLINES_URL);
+    await flushPromises();
+    // Retry delays with Math.random() = 0: 1000ms, then 2000ms
+    await advance(1000);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+    await advance(2000);
+
+    await expect(request).resolves.toMatchObject({ status: 503 });
+    expect(fetchImpl).toHaveBeenCalledTimes(3);
+  });
+
+  test('retries network errors and rejects with the last error once retries run out', async () => {
+    const fetchImpl = createFetch(new Error('socket hang up'));
+    const scheduler = createRequestScheduler({ fetchImpl, maxRetries: 1 });
+
+    let error = null;
+    scheduler.schedule(KLINES_URL).catch(rejection => {
+      error = rejection;
+    });
+    await flushPromises();
+    await advance(1000);
+
+    expect(error).toEqual(new Error('socket hang up'));
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+  });
+
+  test('does not retry 4xx responses other than 429', async () => {
+    const fetchImpl = createFetch(response(400));
+    const scheduler = createRequestScheduler({ fetchImpl });
+
+    await expect(scheduler.schedule(KLINES_URL)).resolves.toMatchObject({ status: 400 });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+});
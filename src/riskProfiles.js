@@ -0,0 +1,404 @@
+// Risk Profiles
+// A risk profile decides where the stop loss goes for a breakout/re-entry signal
+// and where the take-profit targets sit (as multiples of the risk), how much of the
+// position each target closes, whether the stop moves to entry after TP1 and how
+// the stop trails the price while the position is open.
+
+// Stop loss placement modes
+export const SL_MODES = {
+  BREAKOUT_EXTREME: 'breakout-extreme', // Lowest low / highest high from first breakout to re-entry
+  ATR: 'atr',                           // Entry ± ATR(5m) * multiplier
+  RANGE_OPPOSITE: 'range-opposite',     // Opposite boundary of the range (range low for longs, range high for shorts)
+  FIXED_TICK: 'fixed-tick'              // Entry ± fixed number of ticks
+};
+
+export const SL_MODE_LABELS = {
+  [SL_MODES.BREAKOUT_EXTREME]: 'Breakout Extreme',
+  [SL_MODES.ATR]: 'ATR Multiple',
+  [SL_MODES.RANGE_OPPOSITE]: 'Opposite Range Boundary',
+  [SL_MODES.FIXED_TICK]: 'Fixed Ticks'
+};
+
+// Trailing stop modes (the stop only ever moves in the trade's favour)
+export const TRAIL_MODES = {
+  NONE: 'none',
+  PERCENT: 'percent',         // Best price since entry ∓ fixed %
+  ATR: 'atr',                 // Latest close ∓ ATR(5m) * multiplier
+  PREV_CANDLE: 'prev-candle', // Low (long) / high (short) of the previous 5m candle
+  CHANDELIER: 'chandelier'    // Best price since entry ∓ ATR(5m) * multiplier
+};
+
+export const TRAIL_MODE_LABELS = {
+  [TRAIL_MODES.NONE]: 'No Trailing',
+  [TRAIL_MODES.PERCENT]: 'Fixed %',
+  [TRAIL_MODES.ATR]: 'ATR Multiple',
+  [TRAIL_MODES.PREV_CANDLE]: 'Previous 5m Candle',
+  [TRAIL_MODES.CHANDELIER]: 'Chandelier'
+};
+
+/**
+ * Default risk profile - the original rules
+ * SL at the breakout-period extreme, capped at 1% from entry, single TP at 1:2
+ */
+export const DEFAULT_RISK_PROFILE = {
+  id: 'default',
+  name: 'Breakout Extreme 1% / 1:2',
+  slMode: SL_MODES.BREAKOUT_EXTREME,
+  maxSlPercent: 1,    // Cap on the SL distance from entry (0 = no cap)
+  targets: [{ rr: 2, closePercent: 100 }], // TPn = entry ± risk * rr, closing closePercent of the position
+  moveToBreakEven: false, // Move the stop to entry once TP1 is hit
+  trailMode: TRAIL_MODES.NONE,
+  trailPercent: 0.5,  // Fixed % trailing only
+  trailAtrMultiplier: 2, // ATR / chandelier trailing only
+  closeAtSessionEnd: false, // Close what is left at the end of the detection window
+  atrPeriod: 14,      // ATR stop and ATR / chandelier trailing
+  atrMultiplier: 1.5, // ATR mode only
+  tickSize: null,     // Fixed-tick mode only (null = the pair's exchange tick size)
+  ticks: 100          // Fixed-tick mode only
+};
+
+// Built-in profiles
+export const RISK_PROFILE_PRESETS = [
+  DEFAULT_RISK_PROFILE,
+  {
+    ...DEFAULT_RISK_PROFILE,
+    id: 'atr',
+    name: 'ATR 1.5x / 1:2',
+    slMode: SL_MODES.ATR,
+    maxSlPercent: 2
+  },
+  {
+    ...DEFAULT_RISK_PROFILE,
+    id: 'range',
+    name: 'Opposite Range / 1:1',
+    slMode: SL_MODES.RANGE_OPPOSITE,
+    maxSlPercent: 0,
+    targets: [{ rr: 1, closePercent: 100 }]
+  },
+  {
+    ...DEFAULT_RISK_PROFILE,
+    id: 'scaled',
+    name: 'Scaled 1R/2R/3R + BE',
+    targets: [
+      { rr: 1, closePercent: 50 },
+      { rr: 2, closePercent: 30 },
+      { rr: 3, closePercent: 20 }
+    ],
+    moveToBreakEven: true
+  },
+  {
+    ...DEFAULT_RISK_PROFILE,
+    id: 'chandelier',
+    name: 'Breakout Extreme / Chandelier 3x',
+    targets: [{ rr: 4, closePercent: 100 }],
+    trailMode: TRAIL_MODES.CHANDELIER,
+    trailAtrMultiplier: 3
+  }
+];
+
+/**
+ * Get the take-profit targets of a profile
+ * Profiles saved before multi-target support have a single rewardRatio (100% close)
+ * @param {Object} profile - Risk profile
+ * @returns {Array<Object>} Targets [{ rr, closePercent }] in ascending rr order
+ */
+export const getProfileTargets = (profile) => {
+  if (profile.targets && profile.targets.length > 0) {
+    return profile.targets;
+  }
+  return [{ rr: profile.rewardRatio || 2, closePercent: 100 }];
+};
+
+/**
+ * Parse a targets string like "1:50, 2:30, 3:20" (R multiple : close %)
+ * @param {string} text - Targets text
+ * @returns {Array<Object>} Targets [{ rr, closePercent }] (NaN values are left for validation)
+ */
+export const parseTargets = (text) => {
+  return text
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean)
+    .map(part => {
+      const [rr, closePercent] = part.split(':').map(value => parseFloat(value));
+      return { rr, closePercent: closePercent === undefined ? 100 : closePercent };
+    });
+};
+
+/**
+ * Format targets as "1:50, 2:30, 3:20" (inverse of parseTargets)
+ * @param {Array<Object>} targets - Targets [{ rr, closePercent }]
+ * @returns {string} Targets text
+ */
+export const formatTargets = (targets) => targets.map(t => `${t.rr}:${t.closePercent}`).join(', ');
+
+/**
+ * Calculate the Average True Range (Wilder's smoothing) of a candle series
+ * Uses as many candles as are available when there are fewer than period + 1
+ * @param {Array} candles - Formatted candles (oldest to newest)
+ * @param {number} period - ATR period (default: 14)
+ * @returns {number|null} ATR value, or null if there are fewer than 2 candles
+ */
+export const calculateATR = (candles, period = 14) => {
+  if (!candles || candles.length < 2) {
+    return null;
+  }
+
+  const trueRanges = [];
+  for (let i = 1; i < candles.length; i++) {
+    const { high, low } = candles[i];
+    const prevClose = candles[i - 1].close;
+    trueRanges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+  }
+
+  const seedLength = Math.min(period, trueRanges.length);
+  let atr = trueRanges.slice(0, seedLength).reduce((sum, tr) => sum + tr, 0) / seedLength;
+  for (let i = seedLength; i < trueRanges.length; i++) {
+    atr = (atr * (period - 1) + trueRanges[i]) / period;
+  }
+  return atr;
+};
+
+/**
+ * Calculate stop loss, take profit and risk for a re-entry signal
+ * @param {Object} profile - Risk profile
+ * @param {Object} trade
+ * @param {string} trade.direction - 'long' or 'short'
+ * @param {number} trade.entryPrice - Entry (re-entry close) price
+ * @param {Array} trade.breakoutCandles - 5m candles from first breakout to re-entry (inclusive)
+ * @param {Array} trade.atrCandles - 5m candles up to the re-entry candle (for ATR mode)
+ * @param {number} trade.rangeHigh - Range high
+ * @param {number} trade.rangeLow - Range low
+ * @param {number} trade.tickSize - The pair's exchange tick size (fixed-tick mode when the profile has none)
+ * @returns {Object|null} { stopLoss, takeProfit, targets, risk, capped } - takeProfit is the last target's price;
+ *   null when no valid stop can be placed (at or below 0, on or across the entry, or no tick size in fixed-tick mode)
+ */
+export const calculateRiskLevels = (profile, { direction, entryPrice, breakoutCandles, atrCandles, rangeHigh, rangeLow, tickSize }) => {
+  const isLong = direction === 'long';
+  let stopLoss;
+
+  switch (profile.slMode) {
+    case SL_MODES.ATR: {
+      const atr = calculateATR(atrCandles, profile.atrPeriod) || 0;
+      stopLoss = isLong ? entryPrice - atr * profile.atrMultiplier : entryPrice + atr * profile.atrMultiplier;
+      break;
+    }
+    case SL_MODES.RANGE_OPPOSITE:
+      stopLoss = isLong ? rangeLow : rangeHigh;
+      break;
+    case SL_MODES.FIXED_TICK: {
+      const distance = (profile.tickSize || tickSize) * profile.ticks;
+      stopLoss = isLong ? entryPrice - distance : entryPrice + distance;
+      break;
+    }
+    case SL_MODES.BREAKOUT_EXTREME:
+    default:
+      stopLoss = isLong
+        ? Math.min(...breakoutCandles.map(c => c.low))
+        : Math.max(...breakoutCandles.map(c => c.high));
+      break;
+  }
+
+  let risk = isLong ? entryPrice - stopLoss : stopLoss - entryPrice;
+  let capped = false;
+
+  // Cap risk at the max SL % if calculated risk exceeds it
+  const maxAllowedRisk = profile.maxSlPercent > 0 ? entryPrice * (profile.maxSlPercent / 100) : Infinity;
+  if (risk > maxAllowedRisk) {
+    risk = maxAllowedRisk;
+    stopLoss = isLong ? entryPrice - risk : entryPrice + risk;
+    capped = true;
+  }
+
+  if (!(stopLoss > 0) || !(risk > 0)) {
+    return null;
+  }
+
+  const targets = getProfileTargets(profile).map(target => ({
+    rr: target.rr,
+    price: isLong ? entryPrice + risk * target.rr : entryPrice - risk * target.rr,
+    closePercent: target.closePercent
+  }));
+
+  return { stopLoss, takeProfit: targets[targets.length - 1].price, targets, risk, capped };
+};
+
+/**
+ * Create the trailing stop state for a new position
+ * @param {Object} profile - Risk profile
+ * @param {Object} position
+ * @param {number} position.entryPrice - Entry price
+ * @param {Array} position.atrCandles - 5m candles up to the entry candle (seed for the ATR)
+ * @returns {Object|null} Trail state { mode, percent, atrMultiplier, atrPeriod, atr, extreme, prevClose, stop }, or null when trailing is off
+ */
+export const createTrail = (profile, { entryPrice, atrCandles }) => {
+  const mode = profile.trailMode || TRAIL_MODES.NONE;
+  if (mode === TRAIL_MODES.NONE) {
+    return null;
+  }
+
+  return {
+    mode,
+    percent: profile.trailPercent,
+    atrMultiplier: profile.trailAtrMultiplier,
+    atrPeriod: profile.atrPeriod,
+    atr: calculateATR(atrCandles, profile.atrPeriod),
+    extreme: entryPrice, // Best price since entry (highest high for longs, lowest low for shorts)
+    prevClose: entryPrice,
+    stop: null
+  };
+};
+
+/**
+ * Advance the trailing stop state by one closed candle
+ * The ATR keeps Wilder's smoothing so it matches calculateATR over the same candles.
+ * @param {Object} trail - Trail state from createTrail
+ * @param {boolean} isLong - Position direction
+ * @param {Object} candle - The 5m candle that just closed
+ * @returns {Object} New trail state; stop is the trailed stop for the next candle (not yet tightened against the current stop)
+ */
+export const updateTrail = (trail, isLong, candle) => {
+  const trueRange = Math.max(candle.high - candle.low, Math.abs(candle.high - trail.prevClose), Math.abs(candle.low - trail.prevClose));
+  const atr = trail.atr === null ? trueRange : (trail.atr * (trail.atrPeriod - 1) + trueRange) / trail.atrPeriod;
+  const extreme = isLong ? Math.max(trail.extreme, candle.high) : Math.min(trail.extreme, candle.low);
+  const sign = isLong ? -1 : 1;
+
+  let stop;
+  switch (trail.mode) {
+    case TRAIL_MODES.PERCENT:
+      stop = extreme * (1 + sign * trail.percent / 100);
+      break;
+    case TRAIL_MODES.ATR:
+      stop = candle.close + sign * atr * trail.atrMultiplier;
+      break;
+    case TRAIL_MODES.PREV_CANDLE:
+      stop = isLong ? candle.low : candle.high;
+      break;
+    case TRAIL_MODES.CHANDELIER:
+    default:
+      stop = extreme + sign * atr * trail.atrMultiplier;
+      break;
+  }
+
+  return { ...trail, atr, extreme, prevClose: candle.close, stop };
+};
+
+/**
+ * Validate a risk profile definition
+ * @param {Object} profile - Risk profile
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateRiskProfile = (profile) => {
+  if (!profile || !profile.id || !profile.name) {
+    return 'Risk profile needs an id and a name';
+  }
+  if (!Object.values(SL_MODES).includes(profile.slMode)) {
+    return `Unknown stop loss mode: ${profile.slMode}`;
+  }
+  const targets = getProfileTargets(profile);
+  if (targets.some(t => !(t.rr > 0) || !(t.closePercent > 0))) {
+    return 'Each target needs an R multiple and a close % greater than 0';
+  }
+  if (targets.some((t, i) => i > 0 && t.rr <= targets[i - 1].rr)) {
+    return 'Target R multiples must be in ascending order';
+  }
+  if (Math.abs(targets.reduce((sum, t) => sum + t.closePercent, 0) - 100) > 0.01) {
+    return 'Target close percentages must add up to 100';
+  }
+  if (!(profile.maxSlPercent >= 0)) {
+    return 'Max SL % must be 0 (no cap) or more';
+  }
+  if (profile.slMode === SL_MODES.ATR && !(profile.atrPeriod >= 1 && profile.atrMultiplier > 0)) {
+    return 'ATR mode needs a period of at least 1 and a multiplier greater than 0';
+  }
+  const trailMode = profile.trailMode || TRAIL_MODES.NONE;
+  if (!Object.values(TRAIL_MODES).includes(trailMode)) {
+    return `Unknown trailing stop mode: ${trailMode}`;
+  }
+  if (trailMode === TRAIL_MODES.PERCENT && !(profile.trailPercent > 0)) {
+    return 'Fixed % trailing needs a trail % greater than 0';
+  }
+  if ((trailMode === TRAIL_MODES.ATR || trailMode === TRAIL_MODES.CHANDELIER) && !(profile.atrPeriod >= 1 && profile.trailAtrMultiplier > 0)) {
+    return 'ATR and chandelier trailing need an ATR period of at least 1 and a trail multiplier greater than 0';
+  }
+  if (profile.slMode === SL_MODES.FIXED_TICK && !(profile.ticks > 0)) {
+    return 'Fixed-tick mode needs a tick count greater than 0';
+  }
+  if (profile.slMode === SL_MODES.FIXED_TICK && profile.tickSize !== null && profile.tickSize !== undefined && !(profile.tickSize > 0)) {
+    return 'Tick size must be greater than 0 (or empty for the exchange tick size)';
+  }
+  return null;
+};
+
+/**
+ * Describe a risk profile in one line (e.g., "ATR(14) x1.5, max 2%, TP 2R")
+ * @param {Object} profile - Risk profile
+ * @returns {string} Description
+ */
+export const describeRiskProfile = (profile) => {
+  let slText;
+  switch (profile.slMode) {
+    case SL_MODES.ATR:
+      slText = `ATR(${profile.atrPeriod}) x${profile.atrMultiplier}`;
+      break;
+    case SL_MODES.FIXED_TICK:
+      slText = `${profile.ticks} ticks of ${profile.tickSize || 'the exchange tick size'}`;
+      break;
+    default:
+      slText = SL_MODE_LABELS[profile.slMode] || profile.slMode;
+  }
+  const capText = profile.maxSlPercent > 0 ? `, max ${profile.maxSlPercent}%` : '';
+  const targets = getProfileTargets(profile);
+  const targetsText = targets.length === 1
+    ? `TP ${targets[0].rr}R`
+    : `TP ${targets.map(t => `${t.rr}R ${t.closePercent}%`).join(' / ')}`;
+  const breakEvenText = profile.moveToBreakEven ? ', BE after TP1' : '';
+  let trailText = '';
+  switch (profile.trailMode) {
+    case TRAIL_MODES.PERCENT:
+      trailText = `, trail ${profile.trailPercent}%`;
+      break;
+    case TRAIL_MODES.ATR:
+      trailText = `, trail ATR(${profile.atrPeriod}) x${profile.trailAtrMultiplier}`;
+      break;
+    case TRAIL_MODES.PREV_CANDLE:
+      trailText = ', trail prev 5m candle';
+      break;
+    case TRAIL_MODES.CHANDELIER:
+      trailText = `, chandelier ATR(${profile.atrPeriod}) x${profile.trailAtrMultiplier}`;
+      break;
+    default:
+      break;
+  }
+  const sessionEndText = profile.closeAtSessionEnd ? ', close at session end' : '';
+  return `${slText}${capText}, ${targetsText}${breakEvenText}${trailText}${sessionEndText}`;
+};
+
+/**
+ * Resolve the risk profile assigned to a symbol
+ * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+ * @param {Object} assignments - Map of symbol -> profile id
+ * @param {Array<Object>} profiles - Available profiles
+ * @returns {Object} Risk profile (DEFAULT_RISK_PROFILE if unassigned or missing)
+ */
+export const getRiskProfileForSymbol = (symbol, assignments, profiles) => {
+  const profileId = assignments ? assignments[symbol] : null;
+  return (profileId && profiles.find(p => p.id === profileId)) || DEFAULT_RISK_PROFILE;
+};
+
+/**
+ * Build a cache-friendly signature for a set of per-symbol risk profiles
+ * Symbols on the default profile are left out, so the default setup keeps its cache key
+ * @param {Object} profilesBySymbol - Map of symbol -> risk profile
+ * @returns {string} Signature string
+ */
+export const getRiskProfilesSignature = (profilesBySymbol) => {
+  return Object.keys(profilesBySymbol)
+    .filter(symbol => profilesBySymbol[symbol].id !== DEFAULT_RISK_PROFILE.id)
+    .sort()
+    .map(symbol => {
+      const p = profilesBySymbol[symbol];
+      return `${symbol}-${p.slMode}-${p.maxSlPercent}-${formatTargets(getProfileTargets(p))}-${p.moveToBreakEven ? 'be' : ''}-${p.trailMode || TRAIL_MODES.NONE}-${p.trailPercent}-${p.trailAtrMultiplier}-${p.closeAtSessionEnd ? 'se' : ''}-${p.atrPeriod}-${p.atrMultiplier}-${p.tickSize}-${p.ticks}`;
+    })
+    .join('_');
+};
@@ -0,0 +1,64 @@
+// Risk Profiles tests
+// Stop placement, in particular fixed-tick stops on low-priced pairs.
+import { DEFAULT_RISK_PROFILE, SL_MODES, calculateRiskLevels, validateRiskProfile } from './riskProfiles';
+
+const fixedTick = (overrides = {}) => ({
+  ...DEFAULT_RISK_PROFILE,
+  id: 'fixed',
+  name: 'Fixed 100 ticks',
+  slMode: SL_MODES.FIXED_TICK,
+  maxSlPercent: 0,
+  ...overrides
+});
+
+describe('calculateRiskLevels', () => {
+  test('caps the breakout extreme stop at the max SL %', () => {
+    const levels = calculateRiskLevels(DEFAULT_RISK_PROFILE, {
+      direction: 'long',
+      entryPrice: 100,
+      breakoutCandles: [{ low: 97, high: 101 }, { low: 98, high: 100.5 }]
+    });
+
+    expect(levels.stopLoss).toBeCloseTo(99);
+    expect(levels.takeProfit).toBeCloseTo(102);
+    expect(levels.capped).toBe(true);
+  });
+
+  test('places fixed-tick stops with the pair\'s exchange tick size when the profile has none', () => {
+    const levels = calculateRiskLevels(fixedTick(), { direction: 'long', entryPrice: 0.005, tickSize: 0.000001 });
+
+    expect(levels.stopLoss).toBeCloseTo(0.0049, 10);
+    expect(levels.risk).toBeCloseTo(0.0001, 10);
+  });
+
+  test('uses the profile\'s own tick size before the exchange tick size', () => {
+    const levels = calculateRiskLevels(fixedTick({ tickSize: 0.01 }), { direction: 'short', entryPrice: 50, tickSize: 0.0001 });
+
+    expect(levels.stopLoss).toBeCloseTo(51);
+  });
+
+  test('rejects a stop at or below zero', () => {
+    expect(calculateRiskLevels(fixedTick({ tickSize: 0.01 }), { direction: 'long', entryPrice: 0.005 })).toBeNull();
+  });
+
+  test('rejects fixed-tick stops without any tick size', () => {
+    expect(calculateRiskLevels(fixedTick(), { direction: 'long', entryPrice: 0.005 })).toBeNull();
+  });
+
+  test('rejects a stop on or across the entry', () => {
+    const profile = { ...DEFAULT_RISK_PROFILE, slMode: SL_MODES.RANGE_OPPOSITE, maxSlPercent: 0 };
+
+    expect(calculateRiskLevels(profile, { direction: 'long', entryPrice: 100, rangeLow: 100.5, rangeHigh: 110 })).toBeNull();
+    expect(calculateRiskLevels(profile, { direction: 'short', entryPrice: 100, rangeLow: 90, rangeHigh: 100 })).toBeNull();
+  });
+});
+
+describe('validateRiskProfile', () => {
+  test('accepts fixed-tick profiles without a tick size (exchange tick size)', () => {
+    expect(validateRiskProfile(fixedTick())).toBeNull();
+  });
+
+  test('rejects a tick size of 0 or less', () => {
+    expect(validateRiskProfile(fixedTick({ tickSize: 0 }))).toMatch(/Tick size/);
+  });
+});
@@ -0,0 +1,194 @@
+// Breakout Session Definitions
+// A session describes when the daily range forms (in its own timezone) and how long
+// breakouts / re-entries are tracked after the range closes.
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Candle intervals that can be used to build a range (hours per candle)
+export const RANGE_INTERVAL_HOURS = {
+  '1h': 1,
+  '4h': 4
+};
+
+/**
+ * Default session - the original 4H range candle 11:00-15:00 UTC+7,
+ * with breakouts/re-entries tracked until 15:00 UTC+7 the next day
+ */
+export const DEFAULT_SESSION = {
+  id: 'asia',
+  name: 'Asia 11:00 UTC+7',
+  timeZone: 'Asia/Bangkok',
+  rangeStartHour: 11,
+  rangeHours: 4,
+  rangeInterval: '4h',
+  windowEndHour: 15
+};
+
+// Built-in sessions that can be enabled side by side
+export const SESSION_PRESETS = [
+  DEFAULT_SESSION,
+  {
+    id: 'london',
+    name: 'London Open',
+    timeZone: 'Europe/London',
+    rangeStartHour: 8,
+    rangeHours: 1,
+    rangeInterval: '1h',
+    windowEndHour: 17
+  },
+  {
+    id: 'newyork',
+    name: 'New York Open',
+    timeZone: 'America/New_York',
+    rangeStartHour: 9,
+    rangeHours: 1,
+    rangeInterval: '1h',
+    windowEndHour: 16
+  }
+];
+
+/**
+ * Get calendar parts of a timestamp in a given timezone
+ * @param {Date|number} timestamp - Timestamp (UTC)
+ * @param {string} timeZone - IANA timezone (e.g., 'Europe/London')
+ * @returns {Object} { year, month, day, hour, minute }
+ */
+export const getZonedParts = (timestamp, timeZone) => {
+  const date = new Date(timestamp);
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  });
+  const parts = {};
+  formatter.formatToParts(date).forEach(part => {
+    if (part.type !== 'literal') {
+      parts[part.type] = parseInt(part.value, 10);
+    }
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute
+  };
+};
+
+/**
+ * Get the calendar date (YYYY-MM-DD) of a timestamp in a given timezone
+ * @param {Date|number} timestamp - Timestamp (UTC)
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Date key (YYYY-MM-DD)
+ */
+export const getZonedDateKey = (timestamp, timeZone) => {
+  const { year, month, day } = getZonedParts(timestamp, timeZone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Shift a date key (YYYY-MM-DD) by a number of calendar days
+ * @param {string} dateKey - Date key
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date key
+ */
+export const shiftDateKey = (dateKey, days) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const shifted = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+  return shifted.toISOString().slice(0, 10);
+};
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC timestamp (DST aware: an hour skipped when clocks go
+ * forward is moved past the gap, an hour repeated when they go back is its first occurrence)
+ * @param {string} dateKey - Local date (YYYY-MM-DD)
+ * @param {number} hour - Local hour (0-23)
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Timestamp in UTC (milliseconds)
+ */
+export const zonedTimeToUTC = (dateKey, hour, timeZone) => {
+  const [year, month, day] = dateKey.split('-').map(Number);
+  const wallClockAsUTC = Date.UTC(year, month - 1, day, hour, 0, 0);
+
+  // Offset of the timezone at a given instant (local wall clock - UTC)
+  const getOffset = (timestamp) => {
+    const parts = getZonedParts(timestamp, timeZone);
+    const localAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return localAsUTC - Math.floor(timestamp / 60000) * 60000;
+  };
+
+  // DST changes are months apart: the offsets a day either side are the ones before and after any change
+  // near this wall-clock time. Each gives a candidate, valid if that instant reads back as the wall clock.
+  const offsetBefore = getOffset(wallClockAsUTC - DAY_MS);
+  const offsetAfter = getOffset(wallClockAsUTC + DAY_MS);
+  const candidates = [wallClockAsUTC - offsetBefore, wallClockAsUTC - offsetAfter]
+    .filter(utcTime => utcTime + getOffset(utcTime) === wallClockAsUTC);
+  // Neither is valid in a skipped hour: the offset before the change lands as far past the gap as the hour was into it
+  return candidates.length > 0 ? Math.min(...candidates) : wallClockAsUTC - offsetBefore;
+};
+
+/**
+ * Get the range and detection window of a session for a local date
+ * The detection window runs from range close until the next windowEndHour (local time)
+ * @param {Object} session - Session definition
+ * @param {string} dateKey - Local date of the range (YYYY-MM-DD)
+ * @returns {Object} { rangeStart, rangeEnd, windowEnd } timestamps in UTC (milliseconds)
+ */
+export const getSessionWindow = (session, dateKey) => {
+  const rangeStart = zonedTimeToUTC(dateKey, session.rangeStartHour, session.timeZone);
+  const rangeEnd = rangeStart + session.rangeHours * HOUR_MS;
+
+  let windowEnd = zonedTimeToUTC(getZonedDateKey(rangeEnd, session.timeZone), session.windowEndHour, session.timeZone);
+  if (windowEnd <= rangeEnd) {
+    windowEnd = zonedTimeToUTC(shiftDateKey(getZonedDateKey(rangeEnd, session.timeZone), 1), session.windowEndHour, session.timeZone);
+  }
+
+  return { rangeStart, rangeEnd, windowEnd };
+};
+
+/**
+ * Build a cache-friendly signature for a list of sessions
+ * @param {Array<Object>} sessions - Session definitions
+ * @returns {string} Signature string
+ */
+export const getSessionsSignature = (sessions) => {
+  return sessions
+    .map(s => `${s.id}-${s.timeZone}-${s.rangeStartHour}-${s.rangeHours}-${s.rangeInterval}-${s.windowEndHour}`)
+    .join('_');
+};
+
+/**
+ * Validate a session definition
+ * @param {Object} session - Session definition
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateSession = (session) => {
+  if (!session || !session.id || !session.name) {
+    return 'Session needs an id and a name';
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: session.timeZone });
+  } catch (e) {
+    return `Unknown timezone: ${session.timeZone}`;
+  }
+  const intervalHours = RANGE_INTERVAL_HOURS[session.rangeInterval];
+  if (!intervalHours) {
+    return `Unsupported range interval: ${session.rangeInterval}`;
+  }
+  if (!Number.isInteger(session.rangeStartHour) || session.rangeStartHour < 0 || session.rangeStartHour > 23) {
+    return 'Range start hour must be between 0 and 23';
+  }
+  if (!Number.isInteger(session.windowEndHour) || session.windowEndHour < 0 || session.windowEndHour > 23) {
+    return 'Detection window end hour must be between 0 and 23';
+  }
+  if (!Number.isInteger(session.rangeHours) || session.rangeHours < intervalHours || session.rangeHours % intervalHours !== 0 || session.rangeHours > 24) {
+    return `Range length must be a multiple of ${intervalHours}h (max 24h)`;
+  }
+  return null;
+};
+
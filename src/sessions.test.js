@@ -0,0 +1,100 @@
+// Sessions tests
+// Wall-clock times and session windows on both sides of the London and New York DST changes (including the
+// hour skipped and the hour repeated), windows ending on the next local day, and session validation.
+import { DEFAULT_SESSION, SESSION_PRESETS, zonedTimeToUTC, getSessionWindow, validateSession } from './sessions';
+
+const LONDON = SESSION_PRESETS.find(session => session.id === 'london');
+const NEW_YORK = SESSION_PRESETS.find(session => session.id === 'newyork');
+
+const utc = (isoTime) => Date.parse(`${isoTime}Z`);
+
+// 2026 DST changes: London on 29 March and 25 October (01:00 UTC), New York on 8 March (07:00 UTC) and
+// 1 November (06:00 UTC)
+describe('zonedTimeToUTC', () => {
+  test.each([
+    ['London winter', '2026-03-28', 8, 'Europe/London', '2026-03-28T08:00'],
+    ['London summer', '2026-03-30', 8, 'Europe/London', '2026-03-30T07:00'],
+    ['London summer before the change back', '2026-10-24', 8, 'Europe/London', '2026-10-24T07:00'],
+    ['London winter after the change back', '2026-10-26', 8, 'Europe/London', '2026-10-26T08:00'],
+    ['New York winter', '2026-03-07', 9, 'America/New_York', '2026-03-07T14:00'],
+    ['New York summer', '2026-03-09', 9, 'America/New_York', '2026-03-09T13:00'],
+    ['New York summer before the change back', '2026-10-31', 9, 'America/New_York', '2026-10-31T13:00'],
+    ['New York winter after the change back', '2026-11-02', 9, 'America/New_York', '2026-11-02T14:00']
+  ])('%s', (_, dateKey, hour, timeZone, expected) => {
+    expect(zonedTimeToUTC(dateKey, hour, timeZone)).toBe(utc(expected));
+  });
+
+  test.each([
+    ['London', '2026-03-29', 1, 'Europe/London', '2026-03-29T01:00'], // 02:00 BST
+    ['New York', '2026-03-08', 2, 'America/New_York', '2026-03-08T07:00'] // 03:00 EDT
+  ])('moves the hour %s skips past the gap', (_, dateKey, hour, timeZone, expected) => {
+    expect(zonedTimeToUTC(dateKey, hour, timeZone)).toBe(utc(expected));
+    expect(zonedTimeToUTC(dateKey, hour + 1, timeZone)).toBe(utc(expected));
+  });
+
+  test.each([
+    ['London', '2026-10-25', 1, 'Europe/London', '2026-10-25T00:00'], // 01:00 BST, not 01:00 GMT
+    ['New York', '2026-11-01', 1, 'America/New_York', '2026-11-01T05:00'] // 01:00 EDT, not 01:00 EST
+  ])('takes the first occurrence of the hour %s repeats', (_, dateKey, hour, timeZone, expected) => {
+    expect(zonedTimeToUTC(dateKey, hour, timeZone)).toBe(utc(expected));
+    // The hours either side are two real hours apart
+    expect(zonedTimeToUTC(dateKey, hour + 1, timeZone) - zonedTimeToUTC(dateKey, hour - 1, timeZone)).toBe(3 * 60 * 60 * 1000);
+  });
+});
+
+describe('getSessionWindow', () => {
+  test.each([
+    ['London', '2026-03-27', LONDON, { rangeStart: '2026-03-27T08:00', rangeEnd: '2026-03-27T09:00', windowEnd: '2026-03-27T17:00' }],
+    ['London', '2026-03-30', LONDON, { rangeStart: '2026-03-30T07:00', rangeEnd: '2026-03-30T08:00', windowEnd: '2026-03-30T16:00' }],
+    ['New York', '2026-03-06', NEW_YORK, { rangeStart: '2026-03-06T14:00', rangeEnd: '2026-03-06T15:00', windowEnd: '2026-03-06T21:00' }],
+    ['New York', '2026-03-09', NEW_YORK, { rangeStart: '2026-03-09T13:00', rangeEnd: '2026-03-09T14:00', windowEnd: '2026-03-09T20:00' }],
+    ['New York', '2026-11-02', NEW_YORK, { rangeStart: '2026-11-02T14:00', rangeEnd: '2026-11-02T15:00', windowEnd: '2026-11-02T21:00' }]
+  ])('%s keeps its local hours on %s', (_, dateKey, session, expected) => {
+    const window = getSessionWindow(session, dateKey);
+    expect(window).toEqual({
+      rangeStart: utc(expected.rangeStart),
+      rangeEnd: utc(expected.rangeEnd),
+      windowEnd: utc(expected.windowEnd)
+    });
+  });
+
+  test('ends the default session\'s window at 15:00 UTC+7 on the next day', () => {
+    expect(getSessionWindow(DEFAULT_SESSION, '2026-01-05')).toEqual({
+      rangeStart: utc('2026-01-05T04:00'),
+      rangeEnd: utc('2026-01-05T08:00'),
+      windowEnd: utc('2026-01-06T08:00')
+    });
+  });
+
+  test('a range closing after midnight ends its window on that local day, across the clocks going forward', () => {
+    const lateSession = { ...LONDON, id: 'late', rangeStartHour: 22, rangeHours: 4, rangeInterval: '4h', windowEndHour: 20 };
+
+    expect(getSessionWindow(lateSession, '2026-03-28')).toEqual({
+      rangeStart: utc('2026-03-28T22:00'), // 22:00 GMT
+      rangeEnd: utc('2026-03-29T02:00'), // 03:00 BST
+      windowEnd: utc('2026-03-29T19:00') // 20:00 BST
+    });
+  });
+});
+
+describe('validateSession', () => {
+  test('accepts the presets', () => {
+    SESSION_PRESETS.forEach(session => expect(validateSession(session)).toBeNull());
+  });
+
+  test.each([
+    ['no id', { id: '' }, /id and a name/],
+    ['an unknown timezone', { timeZone: 'Mars/Olympus_Mons' }, /Unknown timezone/],
+    ['an unsupported interval', { rangeInterval: '15m' }, /Unsupported range interval/],
+    ['a start hour past 23', { rangeStartHour: 24 }, /start hour/],
+    ['a fractional end hour', { windowEndHour: 16.5 }, /end hour/],
+    ['a range not a multiple of its interval', { rangeInterval: '4h', rangeHours: 6 }, /multiple of 4h/],
+    ['a range longer than a day', { rangeHours: 25 }, /max 24h/]
+  ])('rejects %s', (_, overrides, message) => {
+    expect(validateSession({ ...NEW_YORK, ...overrides })).toMatch(message);
+  });
+
+  test('rejects a missing session', () => {
+    expect(validateSession(null)).toMatch(/id and a name/);
+  });
+});
@@ -0,0 +1,106 @@
+// Signal Chart
+// Chart data for reviewing a single breakout signal on 5m candles: the session range box,
+// breakout/re-entry candles, entry/SL/TP levels and the exit fills.
+import { clock } from './clock';
+
+const FIVE_MIN_MS = 5 * 60 * 1000;
+const PADDING_CANDLES = 6; // Extra 5m candles shown after the close (or around the range when nothing closed yet)
+
+const toTime = (value) => (value ? new Date(value).getTime() : null);
+
+/**
+ * Time span of 5m candles needed to chart a signal
+ * Runs from the range open through the close (or now while the position is still open).
+ * @param {Object} signal - Signal with rangeOpenTime/rangeCloseTime, reentryTime and closeTime
+ * @param {number} now - Current time in ms (default: the app clock)
+ * @returns {Object} { startTime, endTime } in ms
+ */
+export const getSignalChartWindow = (signal, now = clock.now()) => {
+  const rangeCloseTime = toTime(signal.rangeCloseTime);
+  const startTime = toTime(signal.rangeOpenTime) || (rangeCloseTime ? rangeCloseTime - 4 * 60 * 60 * 1000 : toTime(signal.breakoutTime) - PADDING_CANDLES * FIVE_MIN_MS);
+  const closeTime = toTime(signal.closeTime);
+  const endTime = closeTime ? Math.min(closeTime + PADDING_CANDLES * FIVE_MIN_MS, now) : now;
+  return { startTime, endTime };
+};
+
+/**
+ * Open time of the candle containing a timestamp (the last candle opened at or before it)
+ * @param {Array} points - Chart points with time (oldest to newest)
+ * @param {number} time - Timestamp in ms
+ * @returns {number|null} Candle open time, or null if the time is before the first candle
+ */
+const snapToCandle = (points, time) => {
+  let snapped = null;
+  for (const point of points) {
+    if (point.time > time) {
+      break;
+    }
+    snapped = point.time;
+  }
+  return snapped;
+};
+
+/**
+ * Build the chart data of a signal
+ * Breakout/re-entry markers come from the breakoutCandle/reentryCandle stored on the signal,
+ * falling back to the candle closing at breakoutTime/reentryTime for signals cached without them.
+ * @param {Object} signal - Signal
+ * @param {Array} candles - Formatted 5m candles covering getSignalChartWindow (oldest to newest)
+ * @returns {Object} { points, rangeBox, breakout, reentry, levels, exits, yDomain } - points are
+ *   { time, open, high, low, close, range: [low, high] }; markers are { time, price } on the candle open times
+ */
+export const buildSignalChartData = (signal, candles) => {
+  const points = candles.map(candle => ({
+    time: candle.timestamp.getTime(),
+    open: candle.open,
+    high: candle.high,
+    low: candle.low,
+    close: candle.close,
+    range: [candle.low, candle.high]
+  }));
+
+  const rangeOpenTime = toTime(signal.rangeOpenTime);
+  const rangeCloseTime = toTime(signal.rangeCloseTime);
+  const rangePoints = points.filter(point => (rangeOpenTime === null || point.time >= rangeOpenTime) && point.time < rangeCloseTime);
+  const rangeBox = rangePoints.length > 0
+    ? { x1: rangePoints[0].time, x2: rangePoints[rangePoints.length - 1].time, y1: signal.rangeLow, y2: signal.rangeHigh }
+    : null;
+
+  const getMarker = (candle, time, price) => {
+    const markerTime = candle ? toTime(candle.timestamp) : snapToCandle(points, toTime(time) - 1);
+    return markerTime !== null && points.some(point => point.time === markerTime)
+      ? { time: markerTime, price: candle ? candle.close : price }
+      : null;
+  };
+
+  const levels = [
+    { key: 'entry', label: 'Entry', price: signal.entryPrice },
+    { key: 'sl', label: 'SL', price: signal.stopLoss },
+    ...(signal.targets && signal.targets.length > 0
+      ? signal.targets.map((target, index) => ({ key: `tp${index + 1}`, label: signal.targets.length > 1 ? `TP${index + 1}` : 'TP', price: target.price }))
+      : [{ key: 'tp1', label: 'TP', price: signal.takeProfit }])
+  ].filter(level => typeof level.price === 'number');
+
+  // Fills are stamped with the close time of the candle they happened in
+  const exits = (signal.fills || [])
+    .map(fill => ({ type: fill.type, price: fill.price, percent: fill.percent, time: snapToCandle(points, toTime(fill.time) - 1) }))
+    .filter(exit => exit.time !== null);
+
+  const prices = [
+    ...points.flatMap(point => [point.low, point.high]),
+    ...levels.map(level => level.price)
+  ];
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const padding = (max - min) * 0.05 || max * 0.001;
+
+  return {
+    points,
+    rangeBox,
+    breakout: getMarker(signal.breakoutCandle, signal.breakoutTime, signal.breakoutPrice),
+    reentry: getMarker(signal.reentryCandle, signal.reentryTime, signal.reentryPrice),
+    levels,
+    exits,
+    yDomain: [min - padding, max + padding]
+  };
+};
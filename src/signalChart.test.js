@@ -0,0 +1,95 @@
+// Signal Chart tests
+// The chart window, the range box, breakout/re-entry markers (also for cached signals stored without their
+// candles) and exit fills snapped to the candle they happened in.
+import { getSignalChartWindow, buildSignalChartData } from './signalChart';
+import { detectBreakoutsFromCandles } from './breakoutStrategy';
+import { FIVE_MIN_MS, RANGE_OPEN, START, DATE_KEY, candle, rangeCandles, breakout, reentry } from './testing/strategyFixture';
+
+// The 5m candles of the range (100 - 110), then the SHORT's breakout, re-entry and TP candle, then flat
+const rangeFiveMin = Array.from({ length: 48 }, (_, i) => candle(i - 48, 105, i === 10 ? 110 : 106, i === 20 ? 100 : 104, 105));
+const exitCandle = candle(2, 108, 108.2, 105.5, 106);
+const afterCandles = Array.from({ length: 8 }, (_, i) => candle(i + 3, 106, 106.5, 105.5, 106));
+const chartCandles = [...rangeFiveMin, breakout, reentry, exitCandle, ...afterCandles];
+
+const [signal] = detectBreakoutsFromCandles({
+  symbol: 'BTC/USDT',
+  dateKeys: [DATE_KEY],
+  rangeCandles,
+  fiveMinCandles: [breakout, reentry, exitCandle, ...afterCandles],
+  now: afterCandles[afterCandles.length - 1].closeTime.getTime() + 1,
+  verbose: false
+}).signals;
+
+// As read back from the results cache: dates as strings, and older entries have no breakout/re-entry candles
+const cachedWithoutCandles = () => {
+  const { breakoutCandle, reentryCandle, ...rest } = JSON.parse(JSON.stringify(signal));
+  return rest;
+};
+
+describe('getSignalChartWindow', () => {
+  test('runs from the range open to six candles after the close', () => {
+    expect(signal.result).toBe('win');
+    expect(getSignalChartWindow(signal, START + 100 * FIVE_MIN_MS)).toEqual({
+      startTime: RANGE_OPEN,
+      endTime: exitCandle.closeTime.getTime() + 6 * FIVE_MIN_MS
+    });
+  });
+
+  test('stops at now, and runs to now while the position is open', () => {
+    const now = exitCandle.closeTime.getTime() + FIVE_MIN_MS;
+    expect(getSignalChartWindow(signal, now).endTime).toBe(now);
+    expect(getSignalChartWindow({ ...signal, closeTime: null, result: 'pending' }, now).endTime).toBe(now);
+  });
+
+  test('falls back to a 4h range before the range close, then to the breakout', () => {
+    const now = START + 100 * FIVE_MIN_MS;
+    expect(getSignalChartWindow({ ...cachedWithoutCandles(), rangeOpenTime: null }, now).startTime)
+      .toBe(new Date(signal.rangeCloseTime).getTime() - 4 * 60 * 60 * 1000);
+    expect(getSignalChartWindow({ ...cachedWithoutCandles(), rangeOpenTime: null, rangeCloseTime: null }, now).startTime)
+      .toBe(new Date(signal.breakoutTime).getTime() - 6 * FIVE_MIN_MS);
+  });
+});
+
+describe('buildSignalChartData', () => {
+  test('boxes the range candles between the range low and high', () => {
+    const { points, rangeBox } = buildSignalChartData(signal, chartCandles);
+
+    expect(points).toHaveLength(chartCandles.length);
+    expect(points[0]).toEqual({ time: RANGE_OPEN, open: 105, high: 106, low: 104, close: 105, range: [104, 106] });
+    expect(rangeBox).toEqual({ x1: RANGE_OPEN, x2: START - FIVE_MIN_MS, y1: 100, y2: 110 });
+  });
+
+  test('marks the breakout and re-entry candles at their close', () => {
+    const chart = buildSignalChartData(signal, chartCandles);
+
+    expect(chart.breakout).toEqual({ time: breakout.timestamp.getTime(), price: 112 });
+    expect(chart.reentry).toEqual({ time: reentry.timestamp.getTime(), price: 108 });
+  });
+
+  test('places the markers of cached signals without candles on the candles closing at their times', () => {
+    const cached = cachedWithoutCandles();
+    const chart = buildSignalChartData(cached, chartCandles);
+
+    expect(chart.breakout).toEqual({ time: breakout.timestamp.getTime(), price: cached.breakoutPrice });
+    expect(chart.reentry).toEqual({ time: reentry.timestamp.getTime(), price: cached.reentryPrice });
+  });
+
+  test('has no marker for a candle outside the chart', () => {
+    expect(buildSignalChartData(cachedWithoutCandles(), afterCandles).breakout).toBeNull();
+  });
+
+  test('snaps the fills to the candle they happened in', () => {
+    const { exits } = buildSignalChartData(signal, chartCandles);
+
+    expect(signal.fills.length).toBeGreaterThan(0);
+    expect(exits).toEqual(signal.fills.map(fill => ({ type: fill.type, price: fill.price, percent: fill.percent, time: exitCandle.timestamp.getTime() })));
+  });
+
+  test('draws the entry, stop and target levels inside the price axis', () => {
+    const { levels, yDomain } = buildSignalChartData(signal, chartCandles);
+
+    expect(levels.map(level => [level.label, level.price])).toEqual([['Entry', 108], ['SL', signal.stopLoss], ['TP', signal.takeProfit]]);
+    expect(yDomain[0]).toBeLessThan(100);
+    expect(yDomain[1]).toBeGreaterThan(113);
+  });
+});
@@ -0,0 +1,158 @@
+// Trade Simulation
+// P&L math for breakout signals: price move of each exit, scaled partial fills
+// and leveraged dollar results (e.g., the "$1000 @ 50x" simulation columns), gross and net of costs,
+// with trades whose adverse move reaches the liquidation price counted as liquidated.
+import { DEFAULT_COST_MODEL, estimateTradeCosts } from './costModel';
+import { MARGIN_MODES, calculateLiquidationPrice } from './liquidation';
+
+export const DEFAULT_SIMULATION = {
+  principal: 1000,
+  leverage: 50,
+  marginMode: MARGIN_MODES.ISOLATED,
+  walletBalance: 10000 // Backs every position in cross margin mode
+};
+
+/**
+ * Price move from entry to an exit price, in % of entry (positive = profit)
+ * @param {Object} signal - Signal with entryPrice and breakoutDirection
+ * @param {number} exitPrice - Exit price
+ * @returns {number} Move in percent
+ */
+export const getMovePercent = (signal, exitPrice) => {
+  const sign = signal.breakoutDirection === 'long' ? 1 : -1;
+  return (sign * (exitPrice - signal.entryPrice) / signal.entryPrice) * 100;
+};
+
+/**
+ * Get the take-profit targets of a signal
+ * Signals detected before multi-target support only have a single takeProfit (100% close)
+ * @param {Object} signal - Signal
+ * @returns {Array<Object>} Targets [{ rr, price, closePercent }]
+ */
+export const getSignalTargets = (signal) => {
+  if (signal.targets && signal.targets.length > 0) {
+    return signal.targets;
+  }
+  return [{ rr: null, price: signal.takeProfit, closePercent: 100 }];
+};
+
+/**
+ * Weighted move (% of entry) if every target is hit
+ * @param {Object} signal - Signal
+ * @returns {number} Move in percent
+ */
+export const getTargetsMovePercent = (signal) => {
+  return getSignalTargets(signal).reduce((sum, target) => sum + (target.closePercent / 100) * getMovePercent(signal, target.price), 0);
+};
+
+/**
+ * Realized move (% of entry) from the signal's fills, weighted by the closed share of the position
+ * Signals without fills fall back to all targets (win) or the full stop loss (loss)
+ * @param {Object} signal - Signal
+ * @returns {number|null} Move in percent, or null if nothing has been closed yet
+ */
+export const getRealizedMovePercent = (signal) => {
+  if (signal.fills && signal.fills.length > 0) {
+    return signal.fills.reduce((sum, fill) => sum + (fill.percent / 100) * getMovePercent(signal, fill.price), 0);
+  }
+  if (signal.result === 'win') {
+    return getTargetsMovePercent(signal);
+  }
+  if (signal.result === 'loss') {
+    return getMovePercent(signal, signal.stopLoss);
+  }
+  return null;
+};
+
+/**
+ * Realized result in R multiples (realized move / initial risk)
+ * @param {Object} signal - Signal with entryPrice and stopLoss
+ * @returns {number|null} R multiple, or null if nothing has been closed yet or the risk is 0
+ */
+export const getRealizedRMultiple = (signal) => {
+  const move = getRealizedMovePercent(signal);
+  const riskPercent = Math.abs(signal.entryPrice - signal.stopLoss) / signal.entryPrice * 100;
+  return move === null || !(riskPercent > 0) ? null : move / riskPercent;
+};
+
+/**
+ * Exits that produced the realized move (see getRealizedMovePercent)
+ * @param {Object} signal - Signal
+ * @returns {Array<Object>} Exits { type, price, percent, time }
+ */
+const getRealizedExits = (signal) => {
+  if (signal.fills && signal.fills.length > 0) {
+    return signal.fills;
+  }
+  if (signal.result === 'win') {
+    return getSignalTargets(signal).map((target, index) => ({ type: `tp${index + 1}`, price: target.price, percent: target.closePercent, time: signal.closeTime }));
+  }
+  if (signal.result === 'loss') {
+    return [{ type: 'sl', price: signal.stopLoss, percent: 100, time: signal.closeTime }];
+  }
+  return [];
+};
+
+/**
+ * Simulate a signal with a fixed principal and leverage
+ * Net figures subtract fees, slippage and funding from the cost model (funding only where exit times are known).
+ * A trade is liquidated when its worst price while open reaches the liquidation price (the stop never fired first):
+ * the whole collateral is lost, and the stop-loss scenario is capped the same way when the stop sits beyond liquidation.
+ * @param {Object} signal - Signal with entryPrice, stopLoss, takeProfit (and optional targets/fills/worstPrice)
+ * @param {Object} options - { principal, leverage, marginMode, walletBalance, costModel } (default: DEFAULT_SIMULATION, DEFAULT_COST_MODEL)
+ * @returns {Object} { profit, loss, realized, netProfit, netLoss, netRealized, costs, liquidated, liquidationPrice, result } -
+ *   profit if all targets hit, loss if SL hit (positive amount), realized P&L from fills (signed, null if nothing closed yet),
+ *   the same net of costs, the realized costs { fees, slippage, funding, total } (null if nothing closed yet) and the
+ *   simulated result ('liquidated' or the signal's result); all null when prices are missing
+ */
+export const simulateSignal = (signal, {
+  principal = DEFAULT_SIMULATION.principal,
+  leverage = DEFAULT_SIMULATION.leverage,
+  marginMode = DEFAULT_SIMULATION.marginMode,
+  walletBalance = DEFAULT_SIMULATION.walletBalance,
+  costModel = DEFAULT_COST_MODEL
+} = {}) => {
+  if (!signal.entryPrice || !signal.takeProfit || !signal.stopLoss) {
+    return { profit: null, loss: null, realized: null, netProfit: null, netLoss: null, netRealized: null, costs: null, liquidated: false, liquidationPrice: null, result: signal.result };
+  }
+
+  const notional = principal * leverage;
+  const options = { principal, leverage };
+  const isLong = signal.breakoutDirection === 'long';
+
+  const { liquidationPrice, collateral } = calculateLiquidationPrice(signal, { principal, leverage, marginMode, walletBalance });
+  const reachesLiquidation = (price) => liquidationPrice !== null && (isLong ? price <= liquidationPrice : price >= liquidationPrice);
+  // Signals detected before worstPrice was tracked: a loss went at least to the stop
+  const worstPrice = signal.worstPrice !== undefined ? signal.worstPrice : (signal.result === 'loss' ? signal.stopLoss : signal.entryPrice);
+  const liquidated = reachesLiquidation(worstPrice);
+  const stopBeyondLiquidation = reachesLiquidation(signal.stopLoss);
+
+  const profit = notional * getTargetsMovePercent(signal) / 100;
+  const loss = stopBeyondLiquidation ? collateral : -notional * getMovePercent(signal, signal.stopLoss) / 100;
+
+  const realizedMove = getRealizedMovePercent(signal);
+  let realized = realizedMove === null ? null : notional * realizedMove / 100;
+  let realizedExits = getRealizedExits(signal);
+  if (liquidated) {
+    realized = -collateral;
+    realizedExits = []; // Only the entry is paid for; the liquidation takes the rest
+  }
+
+  const targetExits = getSignalTargets(signal).map((target, index) => ({ type: `tp${index + 1}`, price: target.price, percent: target.closePercent }));
+  const profitCosts = estimateTradeCosts(signal, targetExits, options, costModel);
+  const lossCosts = estimateTradeCosts(signal, stopBeyondLiquidation ? [] : [{ type: 'sl', price: signal.stopLoss, percent: 100 }], options, costModel);
+  const costs = realized === null ? null : estimateTradeCosts(signal, realizedExits, options, costModel);
+
+  return {
+    profit,
+    loss,
+    realized,
+    netProfit: profit - profitCosts.total,
+    netLoss: loss + lossCosts.total,
+    netRealized: realized === null ? null : realized - costs.total,
+    costs,
+    liquidated,
+    liquidationPrice,
+    result: liquidated ? 'liquidated' : signal.result
+  };
+};
@@ -0,0 +1,118 @@
+// Symbols
+// Trading pair helpers for every supported quote asset. USDT pairs keep showing as the bare base
+// asset ('BTC') as they always have; pairs with any other quote show in full ('ETH/BTC') so the
+// same base asset on two quotes never collides in signals, filters, caches or notification keys.
+
+export const DEFAULT_QUOTE_ASSET = 'USDT';
+
+// Quote assets offered by the watchlist symbol picker
+export const QUOTE_ASSETS = ['USDT', 'USDC', 'FDUSD', 'BTC', 'ETH'];
+
+// Quotes priced in dollars (shown as $1,234.50 instead of 1,234.50 BTC)
+const USD_QUOTE_ASSETS = ['USDT', 'USDC', 'FDUSD'];
+
+// Tick sizes from exchange info, keyed by trading pair (filled by setSymbolTickSizes)
+const tickSizes = {};
+
+/**
+ * Base asset of a trading pair or display symbol
+ * @param {string} symbol - 'ETH/BTC', 'BTC/USDT' or 'BTC'
+ * @returns {string} Base asset (e.g., 'ETH')
+ */
+export const getBaseAsset = (symbol) => (symbol || '').split('/')[0];
+
+/**
+ * Quote asset of a trading pair or display symbol (bare base assets are USDT pairs)
+ * @param {string} symbol - 'ETH/BTC', 'BTC/USDT' or 'BTC'
+ * @returns {string} Quote asset (e.g., 'BTC')
+ */
+export const getQuoteAsset = (symbol) => ((symbol || '').includes('/') ? symbol.split('/')[1] : DEFAULT_QUOTE_ASSET);
+
+/**
+ * Symbol as shown in tables, filters and signals
+ * @param {string} symbol - Trading pair (e.g., 'BTC/USDT', 'ETH/BTC') or an existing display symbol
+ * @returns {string} 'BTC' for USDT pairs, the full pair ('ETH/BTC') for other quotes
+ */
+export const toDisplaySymbol = (symbol) => {
+  if (!symbol) {
+    return '';
+  }
+  return getQuoteAsset(symbol) === DEFAULT_QUOTE_ASSET ? getBaseAsset(symbol) : symbol;
+};
+
+/**
+ * Trading pair of a display symbol
+ * @param {string} symbol - Display symbol ('BTC', 'ETH/BTC') or trading pair
+ * @returns {string} Trading pair (e.g., 'BTC/USDT', 'ETH/BTC')
+ */
+export const toTradingPair = (symbol) => (symbol.includes('/') ? symbol : `${symbol}/${DEFAULT_QUOTE_ASSET}`);
+
+/**
+ * Whether a symbol is quoted in a dollar stablecoin
+ * @param {string} symbol - Display symbol or trading pair
+ * @returns {boolean}
+ */
+export const isUsdQuoted = (symbol) => USD_QUOTE_ASSETS.includes(getQuoteAsset(symbol));
+
+/**
+ * Record tick sizes from Binance exchange info
+ * @param {Array<Object>} exchangeSymbols - Exchange info entries ({ baseAsset, quoteAsset, filters })
+ */
+export const setSymbolTickSizes = (exchangeSymbols) => {
+  exchangeSymbols.forEach(entry => {
+    const priceFilter = (entry.filters || []).find(filter => filter.filterType === 'PRICE_FILTER');
+    const tickSize = priceFilter ? parseFloat(priceFilter.tickSize) : 0;
+    if (tickSize > 0) {
+      tickSizes[`${entry.baseAsset}/${entry.quoteAsset}`] = tickSize;
+    }
+  });
+};
+
+/**
+ * Tick size of a symbol
+ * @param {string} symbol - Display symbol or trading pair
+ * @returns {number|null} Tick size, or null if exchange info was not loaded for it
+ */
+export const getTickSize = (symbol) => tickSizes[toTradingPair(symbol)] || null;
+
+/**
+ * Decimals needed to show prices at a tick size (e.g., 0.01 -> 2, 0.00000100 -> 6)
+ * @param {number} tickSize - Tick size
+ * @returns {number} Number of decimals
+ */
+export const getTickDecimals = (tickSize) => Math.max(0, Math.ceil(-Math.log10(tickSize) - 1e-9));
+
+/**
+ * Format a price for a symbol
+ * Uses the symbol's tick size when known, otherwise decimals by magnitude.
+ * @param {number} price - Price
+ * @param {string} symbol - Display symbol or trading pair (optional)
+ * @returns {string} Formatted price without currency, or 'N/A'
+ */
+export const formatSymbolPrice = (price, symbol) => {
+  if (!price || isNaN(price)) return 'N/A';
+  const tickSize = symbol ? getTickSize(symbol) : null;
+  if (tickSize) {
+    return price.toFixed(getTickDecimals(tickSize));
+  }
+  if (price >= 1000) {
+    return price.toFixed(2);
+  } else if (price >= 0.01) {
+    return price.toFixed(4);
+  }
+  return price.toFixed(6);
+};
+
+/**
+ * Format a price with its quote currency
+ * @param {number} price - Price
+ * @param {string} symbol - Display symbol or trading pair
+ * @returns {string} '$1234.50' for dollar quotes, '0.052310 BTC' otherwise, or 'N/A'
+ */
+export const formatQuotedPrice = (price, symbol) => {
+  const formatted = formatSymbolPrice(price, symbol);
+  if (formatted === 'N/A') {
+    return formatted;
+  }
+  return isUsdQuoted(symbol) ? `$${formatted}` : `${formatted} ${getQuoteAsset(symbol)}`;
+};
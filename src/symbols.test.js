@@ -0,0 +1,85 @@
+// Symbols tests
+// Display symbols and trading pairs on USDT and other quotes, and prices formatted at the pair's tick
+// size, down to the many decimals of low-priced tokens.
+import {
+  toDisplaySymbol,
+  toTradingPair,
+  getBaseAsset,
+  getQuoteAsset,
+  isUsdQuoted,
+  setSymbolTickSizes,
+  getTickSize,
+  getTickDecimals,
+  formatSymbolPrice,
+  formatQuotedPrice
+} from './symbols';
+
+const exchangeEntry = (baseAsset, quoteAsset, tickSize) => ({
+  symbol: `${baseAsset}${quoteAsset}`,
+  baseAsset,
+  quoteAsset,
+  filters: [{ filterType: 'LOT_SIZE', stepSize: '0.00100000' }, { filterType: 'PRICE_FILTER', tickSize }]
+});
+
+describe('display symbols', () => {
+  test.each([
+    ['BTC/USDT', 'BTC'],
+    ['BTC', 'BTC'],
+    ['ETH/BTC', 'ETH/BTC'],
+    ['SOL/USDC', 'SOL/USDC']
+  ])('shows %s as "%s"', (symbol, expected) => {
+    expect(toDisplaySymbol(symbol)).toBe(expected);
+  });
+
+  test('turns display symbols back into their pairs', () => {
+    expect(['BTC', 'ETH/BTC', 'SOL/USDC'].map(toTradingPair)).toEqual(['BTC/USDT', 'ETH/BTC', 'SOL/USDC']);
+    expect(['BTC/USDT', 'ETH/BTC'].map(symbol => toTradingPair(toDisplaySymbol(symbol)))).toEqual(['BTC/USDT', 'ETH/BTC']);
+  });
+
+  test('splits base and quote assets, bare symbols being USDT pairs', () => {
+    expect([getBaseAsset('ETH/BTC'), getQuoteAsset('ETH/BTC')]).toEqual(['ETH', 'BTC']);
+    expect([getBaseAsset('BTC'), getQuoteAsset('BTC')]).toEqual(['BTC', 'USDT']);
+    expect(['BTC', 'SOL/USDC', 'ETH/FDUSD', 'ETH/BTC'].map(isUsdQuoted)).toEqual([true, true, true, false]);
+  });
+});
+
+describe('tick sizes', () => {
+  test.each([
+    [1, 0],
+    [0.1, 1],
+    [0.01, 2],
+    [0.001, 3],
+    [0.000001, 6],
+    [0.00000001, 8]
+  ])('shows prices at tick size %s with %s decimals', (tickSize, decimals) => {
+    expect(getTickDecimals(tickSize)).toBe(decimals);
+  });
+
+  test('records the price filter of each exchange info entry by pair', () => {
+    setSymbolTickSizes([exchangeEntry('PEPE', 'USDT', '0.00000001'), exchangeEntry('ETH', 'BTC', '0.00001000'), exchangeEntry('XYZ', 'USDT', '0.00000000')]);
+
+    expect(getTickSize('PEPE')).toBe(0.00000001);
+    expect(getTickSize('PEPE/USDT')).toBe(0.00000001);
+    expect(getTickSize('ETH/BTC')).toBe(0.00001);
+    expect(getTickSize('ETH')).toBeNull();
+    expect(getTickSize('XYZ')).toBeNull();
+  });
+
+  test('formats prices at the tick size, keeping every decimal of low-priced tokens', () => {
+    setSymbolTickSizes([exchangeEntry('SHIB', 'USDT', '0.00000001'), exchangeEntry('LINK', 'BTC', '0.00000010')]);
+
+    expect(formatSymbolPrice(0.00001234, 'SHIB')).toBe('0.00001234');
+    expect(formatSymbolPrice(0.0002481, 'LINK/BTC')).toBe('0.0002481');
+    expect(formatQuotedPrice(0.00001234, 'SHIB')).toBe('$0.00001234');
+    expect(formatQuotedPrice(0.0002481, 'LINK/BTC')).toBe('0.0002481 BTC');
+  });
+
+  test('falls back to decimals by magnitude without a tick size', () => {
+    expect(formatSymbolPrice(97123.456, 'UNLISTED')).toBe('97123.46');
+    expect(formatSymbolPrice(1.23456789)).toBe('1.2346');
+    expect(formatSymbolPrice(0.001234567)).toBe('0.001235');
+    expect(formatQuotedPrice(0.052, 'UNLISTED/ETH')).toBe('0.0520 ETH');
+    expect(formatSymbolPrice(0)).toBe('N/A');
+    expect(formatQuotedPrice(NaN, 'BTC')).toBe('N/A');
+  });
+});
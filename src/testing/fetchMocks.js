@@ -0,0 +1,64 @@
+/* eslint-env jest */
+// Fetch mocks for tests
+// Responses with a status, headers and JSON body, a fetch answering a fixed sequence of them, and a fetch
+// answering Binance's klines, prices, 24hr tickers and exchangeInfo from the mock server's market.
+
+/**
+ * Fetch response
+ * @param {number} status - HTTP status
+ * @param {Object} headers - Header values by name (e.g., { 'Retry-After': 5 })
+ * @param {*} body - Body json() resolves to
+ * @returns {Object} Response (ok, status, statusText, headers.get, json, clone)
+ */
+export const response = (status, headers = {}, body = null) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  statusText: status === 200 ? 'OK' : String(status),
+  headers: { get: (name) => (name in headers ? String(headers[name]) : null) },
+  json: async () => body,
+  clone: () => response(status, headers, body)
+});
+
+export const jsonResponse = (body) => response(200, {}, body);
+
+/**
+ * fetch answering with the given answers in turn, repeating the last one: a status is answered as a
+ * response, an Error is thrown instead of answered
+ * @param {...(number|Object|Error)} answers - Statuses, responses or errors
+ * @returns {Function} jest.fn fetch
+ */
+export const createFetch = (...answers) => jest.fn(async () => {
+  const answer = answers.length > 1 ? answers.shift() : answers[0];
+  if (answer instanceof Error) {
+    throw answer;
+  }
+  return typeof answer === 'number' ? response(answer) : answer;
+});
+
+/**
+ * fetch answering klines, prices, 24hr tickers and exchangeInfo from the mock market
+ * @param {Object} market - Market from createMockMarket (mock-server/marketData.mjs)
+ * @returns {Function} jest.fn fetch (any other request is rejected)
+ */
+export const createMarketFetch = (market) => jest.fn(async (url) => {
+  const { pathname, searchParams } = new URL(url);
+  const number = (name) => (searchParams.has(name) ? parseInt(searchParams.get(name)) : null);
+  if (pathname.endsWith('/klines')) {
+    return jsonResponse(market.getKlines(searchParams.get('symbol'), searchParams.get('interval'), {
+      startTime: number('startTime'),
+      endTime: number('endTime'),
+      limit: number('limit') || 500
+    }));
+  }
+  if (pathname.endsWith('/ticker/price')) {
+    return jsonResponse({ symbol: searchParams.get('symbol'), price: market.getPrice(searchParams.get('symbol')) });
+  }
+  if (pathname.endsWith('/ticker/24hr')) {
+    return jsonResponse(market.get24hrTicker(searchParams.get('symbol')));
+  }
+  if (pathname.endsWith('/exchangeInfo')) {
+    const pairs = searchParams.has('symbols') ? JSON.parse(searchParams.get('symbols')) : ['BTCUSDT', 'ETHUSDT'];
+    return jsonResponse({ symbols: pairs.map(symbol => market.getSymbolInfo(symbol)) });
+  }
+  throw new Error(`Unexpected request ${url}`);
+});
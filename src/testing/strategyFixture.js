@@ -0,0 +1,36 @@
+// Breakout strategy test fixture
+// The default session's 2026-01-05 range (100 - 110), the 5-minute candles after its close, and the
+// breakout and re-entry that open a SHORT from it.
+
+export const FIVE_MIN_MS = 5 * 60 * 1000;
+export const DATE_KEY = '2026-01-05';
+export const RANGE_OPEN = Date.UTC(2026, 0, 5, 4, 0); // 11:00 UTC+7, the default session's 4h range
+export const START = Date.UTC(2026, 0, 5, 8, 0); // Close of the default session's 2026-01-05 range (11:00 - 15:00 UTC+7)
+export const RANGE_HIGH = 110;
+export const RANGE_LOW = 100;
+
+// 5-minute candle `index` candles after the range close
+export const candle = (index, open, high, low, close) => ({
+  timestamp: new Date(START + index * FIVE_MIN_MS),
+  closeTime: new Date(START + (index + 1) * FIVE_MIN_MS - 1),
+  open,
+  high,
+  low,
+  close,
+  volume: 1
+});
+
+// The range as one 4h candle
+export const rangeCandles = [{
+  timestamp: new Date(RANGE_OPEN),
+  closeTime: new Date(START - 1),
+  open: 105,
+  high: RANGE_HIGH,
+  low: RANGE_LOW,
+  close: 105,
+  volume: 1
+}];
+
+// Range 100 - 110: breakout above, then a close back inside at 108 (SHORT, stop capped at 1%: SL 109.08, TP 105.84 at 2R)
+export const breakout = candle(0, 109, 113, 108.5, 112);
+export const reentry = candle(1, 112, 112.5, 107.5, 108);
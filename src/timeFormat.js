@@ -0,0 +1,55 @@
+// Time Formatting
+// Display formats for signal and alert times. Kept apart from binance.js so the formatting, alert
+// and rule modules (and the CLI that loads them) do not pull in the fetchers, caches and stores.
+
+/**
+ * Format timestamp to display time string (UTC+7)
+ * Shows date and time in format "DD MMM, HH:MM" with -4 minutes adjustment for 4H breakout signals
+ * @param {Date} timestamp - Timestamp to format (in UTC)
+ * @returns {string} Formatted time string (DD MMM, HH:MM) in UTC+7, adjusted -4 minutes
+ */
+export const formatNYTime = (timestamp) => {
+  if (!timestamp) return 'N/A';
+  try {
+    // Display in UTC+7 (Bangkok time) for UI
+    // Subtract 4 minutes from the timestamp (for 4H breakout trading signals)
+    const adjustedTime = new Date(timestamp.getTime() - (4 * 60 * 1000)); // Subtract 4 minutes
+    
+    // Month abbreviations
+    const monthAbbr = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+    
+    // Get components in UTC+7 timezone
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: 'Asia/Bangkok',
+      day: 'numeric',
+      month: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    });
+    
+    // Format as DD MMM, HH:MM (e.g., "01 Nov, 20:35")
+    const parts = formatter.formatToParts(adjustedTime);
+    let day = '';
+    let monthNum = '';
+    let hour = '';
+    let minute = '';
+    
+    parts.forEach(part => {
+      if (part.type === 'day') day = part.value;
+      if (part.type === 'month') monthNum = part.value;
+      if (part.type === 'hour') hour = part.value;
+      if (part.type === 'minute') minute = part.value;
+    });
+    
+    // Format as DD MMM, HH:MM
+    const month = monthAbbr[parseInt(monthNum, 10) - 1] || monthNum;
+    const formattedDay = day.padStart(2, '0');
+    const formattedHour = hour.padStart(2, '0');
+    const formattedMinute = minute.padStart(2, '0');
+    
+    return `${formattedDay} ${month}, ${formattedHour}:${formattedMinute}`;
+  } catch (e) {
+    return 'Invalid Date';
+  }
+};
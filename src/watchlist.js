@@ -0,0 +1,127 @@
+// Watchlists
+// Named symbol lists managed by the user. The active watchlist drives every fetcher
+// (RSI, oversold history, breakout signals, live stream, backtest symbols).
+
+// Shared cryptocurrency list - the built-in watchlist and the fetchers' default symbols
+// Order: BTC BNB ETH XRP SOL SUI DOGE ADA ASTER PEPE ENA LINK TAO PUMP
+export const DEFAULT_SYMBOLS = ['BTC/USDT', 'BNB/USDT', 'ETH/USDT', 'XRP/USDT', 'SOL/USDT', 'SUI/USDT', 'DOGE/USDT', 'ADA/USDT', 'ASTER/USDT', 'PEPE/USDT', 'ENA/USDT', 'LINK/USDT', 'TAO/USDT', 'PUMP/USDT'];
+
+export const DEFAULT_WATCHLIST = {
+  id: 'default',
+  name: 'Default',
+  symbols: DEFAULT_SYMBOLS
+};
+
+/**
+ * Get a watchlist by id
+ * @param {Array<Object>} watchlists - Watchlists
+ * @param {string} id - Watchlist id
+ * @returns {Object} The watchlist, the first one if the id is unknown, or DEFAULT_WATCHLIST if there are none
+ */
+export const getWatchlist = (watchlists, id) => {
+  return watchlists.find(watchlist => watchlist.id === id) || watchlists[0] || DEFAULT_WATCHLIST;
+};
+
+/**
+ * Validate a watchlist
+ * @param {Object} watchlist - Watchlist { id, name, symbols }
+ * @returns {string|null} Error message, or null if valid
+ */
+export const validateWatchlist = (watchlist) => {
+  if (!watchlist || typeof watchlist !== 'object') {
+    return 'Invalid watchlist';
+  }
+  if (!watchlist.id || typeof watchlist.id !== 'string') {
+    return 'Watchlist id is required';
+  }
+  if (!watchlist.name || !watchlist.name.trim()) {
+    return 'Name is required';
+  }
+  if (!Array.isArray(watchlist.symbols) || watchlist.symbols.length === 0) {
+    return 'A watchlist needs at least one symbol';
+  }
+  if (watchlist.symbols.some(symbol => typeof symbol !== 'string' || !symbol.includes('/'))) {
+    return 'Symbols must be trading pairs like BTC/USDT';
+  }
+  if (new Set(watchlist.symbols).size !== watchlist.symbols.length) {
+    return 'Symbols must be unique';
+  }
+  return null;
+};
+
+/**
+ * Create a new watchlist
+ * @param {string} name - Display name
+ * @param {Array<string>} symbols - Initial trading pairs (default: DEFAULT_SYMBOLS)
+ * @returns {Object} Watchlist { id, name, symbols }
+ */
+export const createWatchlist = (name, symbols = DEFAULT_SYMBOLS) => ({
+  id: `watchlist-${Date.now()}`,
+  name: name.trim(),
+  symbols: [...symbols]
+});
+
+/**
+ * Add a symbol to the end of a watchlist (no-op if already present)
+ * @param {Object} watchlist - Watchlist
+ * @param {string} symbol - Trading pair (e.g., 'BTC/USDT')
+ * @returns {Object} Updated watchlist
+ */
+export const addWatchlistSymbol = (watchlist, symbol) => {
+  if (watchlist.symbols.includes(symbol)) {
+    return watchlist;
+  }
+  return { ...watchlist, symbols: [...watchlist.symbols, symbol] };
+};
+
+/**
+ * Remove a symbol from a watchlist (the last symbol is kept)
+ * @param {Object} watchlist - Watchlist
+ * @param {string} symbol - Trading pair
+ * @returns {Object} Updated watchlist
+ */
+export const removeWatchlistSymbol = (watchlist, symbol) => {
+  if (watchlist.symbols.length <= 1) {
+    return watchlist;
+  }
+  return { ...watchlist, symbols: watchlist.symbols.filter(s => s !== symbol) };
+};
+
+/**
+ * Move a symbol up or down in a watchlist
+ * @param {Object} watchlist - Watchlist
+ * @param {string} symbol - Trading pair
+ * @param {number} offset - Positions to move (-1 = up, 1 = down)
+ * @returns {Object} Updated watchlist
+ */
+export const moveWatchlistSymbol = (watchlist, symbol, offset) => {
+  const index = watchlist.symbols.indexOf(symbol);
+  const target = index + offset;
+  if (index < 0 || target < 0 || target >= watchlist.symbols.length) {
+    return watchlist;
+  }
+  const symbols = [...watchlist.symbols];
+  symbols.splice(index, 1);
+  symbols.splice(target, 0, symbol);
+  return { ...watchlist, symbols };
+};
+
+/**
+ * Search exchange symbols for the picker
+ * @param {Array<Object>} exchangeSymbols - Entries from getBinanceExchangeInfo ({ symbol, baseAsset, quoteAsset, status })
+ * @param {string} query - Search text (matches the base asset or the pair, case-insensitive)
+ * @param {Object} options - { excludeSymbols, limit } (default: no exclusions, 20 results)
+ * @returns {Array<string>} Trading pairs (e.g., 'BTC/USDT'), exact base asset matches first
+ */
+export const searchExchangeSymbols = (exchangeSymbols, query, { excludeSymbols = [], limit = 20 } = {}) => {
+  const text = query.trim().toUpperCase().replace('/', '');
+  const excluded = new Set(excludeSymbols);
+
+  return exchangeSymbols
+    .filter(entry => entry.status === 'TRADING')
+    .map(entry => ({ pair: `${entry.baseAsset}/${entry.quoteAsset}`, baseAsset: entry.baseAsset, symbol: entry.symbol }))
+    .filter(entry => !excluded.has(entry.pair) && (!text || entry.symbol.includes(text)))
+    .sort((a, b) => (b.baseAsset === text) - (a.baseAsset === text) || (b.baseAsset.startsWith(text)) - (a.baseAsset.startsWith(text)) || a.baseAsset.localeCompare(b.baseAsset))
+    .slice(0, limit)
+    .map(entry => entry.pair);
+};